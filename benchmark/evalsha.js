@@ -0,0 +1,63 @@
+/**
+ *  @description 对比 EVAL（每次发送完整脚本）与 EVALSHA（只发送 SHA1）的吞吐量
+ *  需要先构建（npm run build）并在本地启动 redis，用法：node benchmark/evalsha.js [请求数] [并发数]
+ *  可通过 REDIS_URL 环境变量指定 redis 地址，默认 redis://127.0.0.1:6379
+ */
+import Redis from 'ioredis';
+import { RateLimiterTokenBucketRedis } from '../dist/bundle.js';
+
+const total = Number(process.argv[2]) || 50000;
+const concurrency = Number(process.argv[3]) || 100;
+
+const redis = new Redis(process.env.REDIS_URL || 'redis://127.0.0.1:6379');
+const limiter = new RateLimiterTokenBucketRedis({
+  tokenPerSecond: 1000000,
+  capacity: 1000000,
+  keyPrefix: 'benchmark:',
+  redisClient: redis,
+});
+
+// 与 getToken 传入相同的参数
+function scriptArgs(key) {
+  return [
+    1,
+    `benchmark:${key}`,
+    limiter.capacity,
+    1,
+    limiter.tokenPerInterval,
+    limiter.refillInterval,
+    limiter.lockDuration,
+    limiter.bucketTtl,
+    Date.now(),
+    0,
+  ];
+}
+
+async function run(name, call) {
+  let sent = 0;
+  const start = process.hrtime.bigint();
+  const worker = async () => {
+    while (sent < total) {
+      sent++;
+      await call(`key${sent % 1000}`);
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`${name.padEnd(8)} ${total} 次请求，耗时 ${ms.toFixed(0)}ms，${Math.round(total / ms * 1000)} 次/秒`);
+}
+
+async function main() {
+  console.log(`脚本大小：${Buffer.byteLength(limiter.script)} 字节，并发数：${concurrency}`);
+  await run('EVAL', (key) => redis.eval(limiter.script, ...scriptArgs(key)));
+  // 与限流器相同，先加载脚本，之后只发送 SHA1
+  const sha = await redis.script('LOAD', limiter.script);
+  await run('EVALSHA', (key) => redis.evalsha(sha, ...scriptArgs(key)));
+  redis.disconnect();
+}
+
+main().catch((error) => {
+  console.error(error);
+  redis.disconnect();
+  process.exit(1);
+});
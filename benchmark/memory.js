@@ -0,0 +1,35 @@
+/**
+ *  @description 内存限流器在大量不同键（如扫描或 DDoS 时的海量 ip）下的内存占用与吞吐量
+ *  需要先构建（npm run build），用法：node --expose-gc benchmark/memory.js [键数] [maxKeys]
+ */
+import { RateLimiterTokenBucket } from '../dist/bundle.js';
+
+const total = Number(process.argv[2]) || 1000000;
+const maxKeys = Number(process.argv[3]) || undefined;
+
+function heapUsedMb() {
+  if (global.gc) {
+    global.gc();
+  }
+  return process.memoryUsage().heapUsed / 1024 / 1024;
+}
+
+function run(name, limiter, keyOf) {
+  const heapBefore = heapUsedMb();
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < total; i++) {
+    limiter.getToken(keyOf(i));
+  }
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  const heapAfter = heapUsedMb();
+  console.log(`${name.padEnd(10)} ${total} 次请求，耗时 ${ms.toFixed(0)}ms，${Math.round(total / ms * 1000)} 次/秒，`
+    + `保存 ${limiter.buckets.size} 个桶，堆内存增加 ${(heapAfter - heapBefore).toFixed(1)}MB`);
+  limiter.destroy();
+}
+
+const options = { tokenPerSecond: 10, capacity: 10, keyPrefix: 'benchmark:', maxKeys };
+console.log(`maxKeys：${maxKeys || '默认'}${global.gc ? '' : '（未开启 --expose-gc，内存数据仅供参考）'}`);
+// 每个请求都是不同的 ip
+run('不同的键', new RateLimiterTokenBucket(options), (i) => `10.${(i >> 16) & 255}.${(i >> 8) & 255}.${i & 255}`);
+// 少量热点键
+run('热点键', new RateLimiterTokenBucket(options), (i) => `user${i % 1000}`);
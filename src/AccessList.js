@@ -0,0 +1,174 @@
+/**
+ *  @description 白名单、黑名单和封禁名单：条目可以是完整的键、以 * 结尾的键前缀或 IP 网段（CIDR），每个条目可以设置过期时间
+ */
+import { parseCidr, parseIp, isIpInRanges } from './utils';
+
+/**
+ * 名单条目
+ * @typedef {object} AccessListEntry
+ * @property {string} key - 条目，如 health-checker、internal:*、10.0.0.0/8
+ * @property {number|null} expiresAt - 过期时间戳（毫秒），永不过期时为 null
+ */
+
+class AccessList {
+  /**
+   * 构造函数
+   *
+   * @param {Array<string|{ key: string, ttl: number }>} entries - 可选，初始条目，ttl 为过期时间（秒），不设置时永不过期
+   * @param {number} now - 可选，计算过期时间的当前时间戳（毫秒）
+   */
+  constructor(entries = [], now = Date.now()) {
+    this.entries = new Map(); // 条目 -> { key, expiresAt, prefix, range }
+    this.patterns = []; // 键前缀和网段条目，匹配时需要逐个比较
+    for (const entry of entries) {
+      if (typeof entry === 'string') {
+        this.add(entry);
+      } else {
+        this.add(entry.key, entry.ttl ? now + entry.ttl * 1000 : Infinity);
+      }
+    }
+  }
+
+  /**
+   * 条目数，包括尚未清除的过期条目
+   *
+   * @returns {number} - 条目数
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * 添加条目，已存在时更新过期时间
+   *
+   * @param {string} key - 完整的键、以 * 结尾的键前缀，或 IP 网段
+   * @param {number} expiresAt - 可选，过期时间戳（毫秒），默认永不过期
+   */
+  add(key, expiresAt = Infinity) {
+    const entry = { key, expiresAt, prefix: null, range: null };
+    if (key.endsWith('*')) {
+      entry.prefix = key.slice(0, -1);
+    } else if (key.includes('/') && parseIp(key.split('/')[0])) {
+      entry.range = parseCidr(key);
+    }
+    const existing = this.entries.get(key);
+    this.entries.set(key, entry);
+    if (existing && this._isPattern(existing)) {
+      this._indexPatterns();
+    } else if (this._isPattern(entry)) {
+      this.patterns.push(entry);
+    }
+  }
+
+  /**
+   * 删除条目
+   *
+   * @param {string} key - 添加时的条目
+   * @returns {boolean} - 条目是否存在
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.entries.delete(key);
+    if (this._isPattern(entry)) {
+      this._indexPatterns();
+    }
+    return true;
+  }
+
+  /**
+   * 清空所有条目
+   */
+  clear() {
+    this.entries.clear();
+    this.patterns = [];
+  }
+
+  /**
+   * 查找与任一键或客户端ip匹配的条目，网段条目只与客户端ip比较
+   *
+   * @param {string[]} keys - 键，如令牌标识和阻塞键标识，空字符串会被忽略
+   * @param {string} clientIp - 可选，客户端ip
+   * @param {number} now - 可选，当前时间戳（毫秒）
+   * @returns {AccessListEntry|undefined} - 匹配的条目，没有匹配时返回 undefined
+   */
+  match(keys, clientIp, now = Date.now()) {
+    if (this.entries.size === 0) {
+      return undefined;
+    }
+    const candidates = clientIp ? [...keys, clientIp] : keys;
+    for (const key of candidates) {
+      const entry = key && this.entries.get(key);
+      if (entry && entry.prefix === null && this._isAlive(entry, now)) {
+        return this._toEntry(entry);
+      }
+    }
+    const ipBytes = clientIp ? parseIp(clientIp) : null;
+    for (const entry of this.patterns) {
+      const matched = entry.prefix !== null
+        ? candidates.some((key) => key && key.startsWith(entry.prefix))
+        : ipBytes !== null && isIpInRanges(ipBytes, [entry.range]);
+      if (matched && this._isAlive(entry, now)) {
+        return this._toEntry(entry);
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * 列出未过期的条目
+   *
+   * @param {number} now - 可选，当前时间戳（毫秒）
+   * @returns {AccessListEntry[]} - 条目
+   */
+  list(now = Date.now()) {
+    return [...this.entries.values()].filter((entry) => this._isAlive(entry, now)).map((entry) => this._toEntry(entry));
+  }
+
+  /**
+   * 判断条目是否未过期，过期的条目会被删除
+   * @private
+   * @param {object} entry - 条目
+   * @param {number} now - 当前时间戳（毫秒）
+   * @returns {boolean} - 未过期时返回 true
+   */
+  _isAlive(entry, now) {
+    if (entry.expiresAt > now) {
+      return true;
+    }
+    this.delete(entry.key);
+    return false;
+  }
+
+  /**
+   * 重新收集需要逐个比较的键前缀和网段条目
+   * @private
+   */
+  _indexPatterns() {
+    this.patterns = [...this.entries.values()].filter((entry) => this._isPattern(entry));
+  }
+
+  /**
+   * 判断条目是否为键前缀或网段
+   * @private
+   * @param {object} entry - 条目
+   * @returns {boolean} - 键前缀或网段条目返回 true
+   */
+  _isPattern(entry) {
+    return entry.prefix !== null || entry.range !== null;
+  }
+
+  /**
+   * 转换为对外的条目格式
+   * @private
+   * @param {object} entry - 条目
+   * @returns {AccessListEntry} - 条目
+   */
+  _toEntry(entry) {
+    return { key: entry.key, expiresAt: Number.isFinite(entry.expiresAt) ? entry.expiresAt : null };
+  }
+}
+
+export default AccessList;
@@ -0,0 +1,173 @@
+/**
+ *  @description 内存阻塞策略的窗口计数：统计每个阻塞键在窗口内的请求数（或消耗的令牌数），
+ *  达到阈值时给出阻塞时长，支持固定窗口和滑动窗口，以及对屡次触发的键逐次加长阻塞时间
+ */
+
+// 计数方式
+const COUNT_BY = ['requests', 'tokens'];
+
+class BlockWindow {
+  /**
+   * 构造函数
+   *
+   * @param {object} opts - 限流器的选项对象
+   * @param {number} opts.inMemoryBlockOnConsumed - 窗口内消耗数触发阻塞的阈值
+   * @param {number} opts.inMemoryBlockDuration - 触发阻塞后的阻塞时间（秒）
+   * @param {number} opts.inMemoryBlockWindow - 可选，计数窗口的长度（毫秒），默认60000
+   * @param {'requests'|'tokens'} opts.inMemoryBlockCountBy - 可选，按请求次数（requests）还是消耗的令牌数（tokens）计数，默认 requests
+   * @param {boolean} opts.inMemoryBlockSlidingWindow - 可选，是否使用滑动窗口计数，按上一个窗口剩余的比例加权，避免在窗口交界处集中请求绕过阈值，默认 false
+   * @param {object|boolean} opts.inMemoryBlockEscalation - 可选，屡次触发阻塞时加长阻塞时间 { factor, resetAfter, maxDuration }，
+   *   上次阻塞结束后 resetAfter 毫秒（默认3600000）内再次触发时，阻塞时间乘以 factor（默认2），最长 maxDuration 秒（默认不限制），传入 true 使用默认配置
+   */
+  constructor(opts) {
+    const countBy = opts.inMemoryBlockCountBy || 'requests';
+    if (!COUNT_BY.includes(countBy)) {
+      throw new Error(`inMemoryBlockCountBy must be one of ${COUNT_BY.join(', ')}, got ${countBy}`);
+    }
+    this.threshold = opts.inMemoryBlockOnConsumed; // 触发阻塞的阈值
+    this.duration = opts.inMemoryBlockDuration * 1000; // 阻塞时间ms
+    this.window = opts.inMemoryBlockWindow || 60000; // 窗口长度ms
+    this.countTokens = countBy === 'tokens'; // 是否按令牌数计数
+    this.sliding = Boolean(opts.inMemoryBlockSlidingWindow); // 是否使用滑动窗口
+
+    const escalation = opts.inMemoryBlockEscalation === true ? {} : opts.inMemoryBlockEscalation;
+    this.escalationFactor = escalation ? escalation.factor || 2 : 1; // 每次再犯阻塞时间的倍数
+    this.escalationResetAfter = escalation ? escalation.resetAfter || 3600000 : 0; // 上次阻塞结束后多久不再算作再犯ms
+    this.maxDuration = escalation && escalation.maxDuration ? escalation.maxDuration * 1000 : Infinity; // 最长阻塞时间ms
+
+    this.counters = new Map(); // 阻塞键 -> { windowStart, count, previousCount }
+    this.offences = new Map(); // 阻塞键 -> { times 连续再犯次数, until 上次阻塞的截止时间 }
+  }
+
+  /**
+   * 计数中的键数
+   *
+   * @returns {number} - 键数
+   */
+  get size() {
+    return this.counters.size + this.offences.size;
+  }
+
+  /**
+   * 记录一次请求，窗口内的消耗已达到阈值时重新开始计数并返回阻塞时长
+   * 与阈值比较的是本次请求之前的消耗，即超过阈值后的下一次请求触发阻塞，触发阻塞的请求本身仍会正常处理
+   *
+   * @param {string} key - 完整的阻塞键
+   * @param {number} requestedTokens - 本次请求消耗的令牌数
+   * @param {number} now - 可选，当前时间戳（毫秒）
+   * @returns {number} - 阻塞的毫秒数，不需要阻塞时为0
+   */
+  hit(key, requestedTokens, now = Date.now()) {
+    const counter = this._advance(key, now);
+    if (this._estimate(counter, now) >= this.threshold) {
+      this.counters.delete(key);
+      return this._escalate(key, now);
+    }
+    counter.count += this.countTokens ? requestedTokens : 1;
+    return 0;
+  }
+
+  /**
+   * 清除键的计数和再犯记录
+   *
+   * @param {string} key - 完整的阻塞键
+   */
+  reset(key) {
+    this.counters.delete(key);
+    this.offences.delete(key);
+  }
+
+  /**
+   * 清除已经不会影响计数的窗口和过期的再犯记录
+   *
+   * @param {number} now - 可选，当前时间戳（毫秒）
+   */
+  collect(now = Date.now()) {
+    // 滑动窗口会用到上一个窗口的计数，因此保留两个窗口
+    const keepWindows = this.sliding ? 2 : 1;
+    for (const [key, counter] of this.counters) {
+      if (now - counter.windowStart >= this.window * keepWindows) {
+        this.counters.delete(key);
+      }
+    }
+    for (const [key, offence] of this.offences) {
+      if (now - offence.until >= this.escalationResetAfter) {
+        this.offences.delete(key);
+      }
+    }
+  }
+
+  /**
+   * 清空所有计数和再犯记录
+   */
+  clear() {
+    this.counters.clear();
+    this.offences.clear();
+  }
+
+  /**
+   * 获取键的计数，当前窗口结束时切换到新的窗口
+   * @private
+   * @param {string} key - 完整的阻塞键
+   * @param {number} now - 当前时间戳（毫秒）
+   * @returns {{ windowStart: number, count: number, previousCount: number }} - 计数
+   */
+  _advance(key, now) {
+    let counter = this.counters.get(key);
+    if (!counter) {
+      counter = { windowStart: now, count: 0, previousCount: 0 };
+      this.counters.set(key, counter);
+      return counter;
+    }
+    const elapsed = now - counter.windowStart;
+    if (elapsed < this.window) {
+      return counter;
+    }
+    if (this.sliding && elapsed < this.window * 2) {
+      // 紧接着的下一个窗口，保留上一个窗口的计数用于加权
+      counter.windowStart += this.window;
+      counter.previousCount = counter.count;
+    } else {
+      // 固定窗口从本次请求开始新的窗口
+      counter.windowStart = now;
+      counter.previousCount = 0;
+    }
+    counter.count = 0;
+    return counter;
+  }
+
+  /**
+   * 估算窗口内的消耗，滑动窗口按上一个窗口与当前窗口重叠的比例加权
+   * @private
+   * @param {object} counter - 计数
+   * @param {number} now - 当前时间戳（毫秒）
+   * @returns {number} - 窗口内的消耗
+   */
+  _estimate(counter, now) {
+    if (!this.sliding) {
+      return counter.count;
+    }
+    const overlap = 1 - (now - counter.windowStart) / this.window;
+    return counter.count + counter.previousCount * overlap;
+  }
+
+  /**
+   * 计算本次阻塞的时长，在上次阻塞结束后 resetAfter 内再次触发时逐次加长
+   * @private
+   * @param {string} key - 完整的阻塞键
+   * @param {number} now - 当前时间戳（毫秒）
+   * @returns {number} - 阻塞的毫秒数
+   */
+  _escalate(key, now) {
+    if (this.escalationFactor === 1) {
+      return this.duration;
+    }
+    const offence = this.offences.get(key);
+    const times = offence && now - offence.until < this.escalationResetAfter ? offence.times + 1 : 0;
+    const duration = Math.min(this.duration * this.escalationFactor ** times, this.maxDuration);
+    this.offences.set(key, { times, until: now + duration });
+    return duration;
+  }
+}
+
+export default BlockWindow;
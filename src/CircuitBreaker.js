@@ -0,0 +1,101 @@
+/**
+ *  @description redis 调用的熔断器，连续失败达到阈值后熔断，冷却时间过后放行一个探测请求，探测成功则恢复
+ */
+import { EventEmitter } from 'events';
+import { resolveClock } from './utils';
+
+class CircuitBreaker extends EventEmitter {
+  /**
+   * 构造函数
+   *
+   * @param {object} opts - 选项对象
+   * @param {number} opts.failureThreshold - 连续失败多少次后熔断，默认5
+   * @param {number} opts.cooldownMs - 熔断后等待多久（毫秒）放行探测请求，默认10000
+   * @param {object} opts.clock - 可选，时钟，至少需要实现 now()，默认使用系统时钟
+   */
+  constructor(opts = {}) {
+    super();
+    this.clock = resolveClock(opts.clock); // 时钟
+    this.failureThreshold = opts.failureThreshold || 5;
+    this.cooldownMs = opts.cooldownMs || 10000;
+    this.state = 'closed'; // closed 正常 | open 熔断中 | half-open 探测中
+    this.failures = 0; // 连续失败次数
+    this.openedAt = 0; // 熔断开始时间
+    this.probing = false; // 是否有探测请求正在执行
+  }
+
+  /**
+   * 判断本次调用是否可以访问 redis，熔断冷却结束后只放行一个探测请求
+   *
+   * @returns {boolean} - 可以访问时返回 true
+   */
+  allowRequest() {
+    if (this.state === 'closed') {
+      return true;
+    }
+    if (this.state === 'open') {
+      if (this.clock.now() - this.openedAt < this.cooldownMs) {
+        return false;
+      }
+      this._transition('half-open');
+    }
+    if (this.probing) {
+      return false;
+    }
+    this.probing = true;
+    return true;
+  }
+
+  /**
+   * 记录一次成功的调用，探测成功时恢复正常
+   */
+  onSuccess() {
+    this.failures = 0;
+    this.probing = false;
+    if (this.state !== 'closed') {
+      this._transition('closed');
+    }
+  }
+
+  /**
+   * 记录一次失败的调用，连续失败达到阈值或探测失败时熔断
+   *
+   * @param {Error} error - 调用失败的原因
+   */
+  onFailure(error) {
+    this.failures++;
+    this.probing = false;
+    if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+      this.openedAt = this.clock.now();
+      this._transition('open', error);
+    }
+  }
+
+  /**
+   * 距离放行探测请求的剩余毫秒数，未熔断时为0
+   *
+   * @returns {number} - 剩余毫秒数
+   */
+  getRemainingCooldown() {
+    if (this.state !== 'open') {
+      return 0;
+    }
+    return Math.max(this.openedAt + this.cooldownMs - this.clock.now(), 0);
+  }
+
+  /**
+   * 切换状态并触发事件：stateChange 事件携带 { from, to, error }，同时触发以新状态命名的事件
+   * @private
+   * @param {string} to - 新的状态
+   * @param {Error} error - 可选，导致熔断的错误
+   */
+  _transition(to, error) {
+    const from = this.state;
+    this.state = to;
+    const event = { from, to, error };
+    this.emit('stateChange', event);
+    this.emit(to, event);
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,112 @@
+/**
+ *  @description 用于测试的时钟：时间只在调用 advance 时前进，到期的定时器按时间顺序执行，
+ *  传入限流器的 clock 选项后，不需要真正等待就可以验证令牌投放、限流惩罚、内存阻塞和等待令牌的行为
+ */
+
+class FakeClock {
+  /**
+   * 构造函数
+   *
+   * @param {number} now - 可选，初始时间戳（毫秒），默认为当前时间
+   */
+  constructor(now = Date.now()) {
+    this.time = now;
+    this.timers = new Set(); // 未执行的定时器
+    this.sequence = 0; // 同一时刻到期的定时器按设置的顺序执行
+  }
+
+  /**
+   * 当前时间戳
+   *
+   * @returns {number} - 时间戳（毫秒）
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * 设置定时器，在时间前进到到期时间时执行
+   *
+   * @param {function(): void} callback - 回调
+   * @param {number} ms - 延迟的毫秒数
+   * @returns {object} - 定时器句柄，提供空操作的 ref 和 unref
+   */
+  setTimeout(callback, ms = 0) {
+    const timer = {
+      at: this.time + Math.max(ms, 0),
+      sequence: this.sequence++,
+      callback,
+      ref() {
+        return this;
+      },
+      unref() {
+        return this;
+      },
+    };
+    this.timers.add(timer);
+    return timer;
+  }
+
+  /**
+   * 清除定时器
+   *
+   * @param {object} timer - 定时器句柄
+   */
+  clearTimeout(timer) {
+    this.timers.delete(timer);
+  }
+
+  /**
+   * 未执行的定时器数
+   *
+   * @returns {number} - 定时器数
+   */
+  get pendingTimers() {
+    return this.timers.size;
+  }
+
+  /**
+   * 让时间前进，依次执行期间到期的定时器。每个定时器执行前后都会等待进行中的异步操作继续执行，
+   * 因此定时器唤醒的等待（如 waitForToken）设置的新定时器也会在同一次调用中按时执行
+   *
+   * @param {number} ms - 前进的毫秒数
+   * @returns {Promise<void>} - 定时器执行完成
+   */
+  async advance(ms) {
+    const target = this.time + ms;
+    await flush();
+    for (let timer = this._nextTimer(target); timer; timer = this._nextTimer(target)) {
+      this.timers.delete(timer);
+      this.time = Math.max(this.time, timer.at);
+      timer.callback();
+      await flush();
+    }
+    this.time = target;
+  }
+
+  /**
+   * 到期时间不晚于 target 的最早的定时器
+   * @private
+   * @param {number} target - 时间戳（毫秒）
+   * @returns {object|undefined} - 定时器句柄
+   */
+  _nextTimer(target) {
+    let next;
+    for (const timer of this.timers) {
+      if (timer.at <= target && (!next || timer.at < next.at || (timer.at === next.at && timer.sequence < next.sequence))) {
+        next = timer;
+      }
+    }
+    return next;
+  }
+}
+
+/**
+ * 等待当前排队的 Promise 回调执行完成
+ * @returns {Promise<void>}
+ */
+function flush() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+export default FakeClock;
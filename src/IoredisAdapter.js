@@ -0,0 +1,96 @@
+/**
+ *  @description ioredis 客户端（单节点、Sentinel、Cluster）的存储适配器，通过 EVALSHA 执行 Lua 脚本
+ */
+import { evalScript, getScriptSha, toResultTuple } from './redisScript';
+import { isRedisReady } from './redisClient';
+
+class IoredisAdapter {
+  /**
+   * 构造函数
+   *
+   * @param {object} client - ioredis 客户端
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * 判断是否可以执行命令
+   *
+   * @returns {boolean} - 可以执行命令时返回 true
+   */
+  isReady() {
+    return isRedisReady(this.client);
+  }
+
+  /**
+   * 原子地执行一次存储操作，基于 redis 的适配器直接执行操作对应的 Lua 脚本
+   *
+   * @param {string} operation - 操作名，如 consume、peek、refund、block
+   * @param {string} script - 操作对应的 Lua 脚本
+   * @param {string[]} keys - 脚本的 KEYS
+   * @param {Array<string|number>} args - 脚本的 ARGV
+   * @returns {Promise<*>} - 脚本的返回值
+   */
+  execute(operation, script, keys, args) {
+    return evalScript(this.client, script, keys.length, ...keys, ...args);
+  }
+
+  /**
+   * 通过一个 pipeline 执行一批存储操作，按顺序返回每个操作的 [错误, 结果]；脚本缓存丢失（NOSCRIPT）的操作改用 EVAL 重新执行。
+   * Cluster 的 pipeline 要求所有键属于同一个槽位，因此逐个发送
+   *
+   * @param {Array<{ operation: string, script: string, keys: string[], args: Array<string|number> }>} calls - 存储操作
+   * @returns {Promise<Array<Array>>} - 每个操作的 [错误, 结果]
+   */
+  async executeBatch(calls) {
+    if (this.client.isCluster || typeof this.client.pipeline !== 'function') {
+      return Promise.all(calls.map(({ operation, script, keys, args }) => toResultTuple(this.execute(operation, script, keys, args))));
+    }
+    const pipeline = this.client.pipeline();
+    for (const { script, keys, args } of calls) {
+      pipeline.evalsha(getScriptSha(script), keys.length, ...keys, ...args);
+    }
+    const results = await pipeline.exec();
+    return Promise.all(results.map(([error, result], i) => {
+      if (!error || !String(error.message).includes('NOSCRIPT')) {
+        return [error, result];
+      }
+      const { script, keys, args } = calls[i];
+      return toResultTuple(this.client.eval(script, keys.length, ...keys, ...args));
+    }));
+  }
+
+  /**
+   * 订阅频道，使用单独的连接
+   *
+   * @param {string} channel - 频道
+   * @param {function(string): void} onMessage - 收到消息的回调
+   * @param {function(Error): void} onError - 连接或订阅出错的回调
+   * @returns {function(): void} - 取消订阅并断开连接
+   */
+  subscribe(channel, onMessage, onError) {
+    // 不能创建新连接的客户端无法订阅，只使用 redis 中的状态
+    if (typeof this.client.duplicate !== 'function') {
+      return () => {};
+    }
+    const subscriber = this.client.duplicate();
+    subscriber.on('error', onError);
+    subscriber.on('message', (messageChannel, message) => {
+      if (messageChannel === channel) {
+        onMessage(message);
+      }
+    });
+    Promise.resolve(subscriber.subscribe(channel)).catch(onError);
+    return () => subscriber.disconnect();
+  }
+
+  /**
+   * 断开连接
+   */
+  disconnect() {
+    this.client.disconnect();
+  }
+}
+
+export default IoredisAdapter;
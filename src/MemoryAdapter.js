@@ -0,0 +1,484 @@
+/**
+ *  @description 基于内存 Map 的存储适配器：用 JavaScript 实现与 Lua 脚本相同的操作，参数和返回值与脚本一致，
+ *  用于单进程部署、测试，以及作为第三方适配器的参考实现。同一个适配器可以被多个限流器实例共享，订阅在进程内广播
+ */
+import { EventEmitter } from 'events';
+import { resolveClock } from './utils';
+import { ALGORITHM_OPERATIONS, cloneState, runAlgorithm } from './algorithms';
+
+class MemoryAdapter {
+  /**
+   * 构造函数
+   *
+   * @param {object} opts - 可选，选项对象
+   * @param {object} opts.clock - 可选，计算键过期的时钟，至少需要实现 now()，测试中传入与限流器相同的 FakeClock，默认使用系统时钟
+   */
+  constructor(opts = {}) {
+    this.clock = resolveClock(opts.clock); // 时钟
+    this.entries = new Map(); // 键 -> { value 数值或 hash 对象, expiresAt 过期时间戳（毫秒） }
+    this.channels = new EventEmitter(); // 进程内的发布订阅
+    this.channels.setMaxListeners(0);
+    this.collectThreshold = 1000; // 键数超过该数量时清除过期的键
+  }
+
+  /**
+   * 始终可以执行命令
+   *
+   * @returns {boolean} - true
+   */
+  isReady() {
+    return true;
+  }
+
+  /**
+   * 原子地执行一次存储操作，操作在同一个事件循环中同步完成，不会与其他操作交错
+   *
+   * @param {string} operation - 操作名，如 consume、peek、refund、block
+   * @param {string} script - 操作对应的 Lua 脚本，不使用
+   * @param {string[]} keys - 脚本的 KEYS，兼容模式下旧版本的键会被忽略
+   * @param {Array<string|number>} args - 脚本的 ARGV
+   * @returns {Promise<*>} - 与脚本相同的返回值
+   */
+  async execute(operation, script, keys, args) {
+    const handler = OPERATIONS[operation];
+    if (!handler) {
+      throw new Error(`MemoryAdapter does not support operation ${operation}`);
+    }
+    if (this.entries.size >= this.collectThreshold) {
+      this._collect();
+    }
+    return handler.call(this, keys, args);
+  }
+
+  /**
+   * 订阅频道
+   *
+   * @param {string} channel - 频道
+   * @param {function(string): void} onMessage - 收到消息的回调
+   * @returns {function(): void} - 取消订阅
+   */
+  subscribe(channel, onMessage) {
+    this.channels.on(channel, onMessage);
+    return () => this.channels.off(channel, onMessage);
+  }
+
+  /**
+   * 清空所有键
+   */
+  disconnect() {
+    this.entries.clear();
+  }
+
+  /**
+   * 读取未过期的键
+   * @private
+   * @param {string} key - 键
+   * @returns {object|undefined} - { value, expiresAt }
+   */
+  _entry(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= this.clock.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * 读取 hash，不存在时返回空对象
+   * @private
+   * @param {string} key - 键
+   * @returns {object} - hash 的字段
+   */
+  _hash(key) {
+    const entry = this._entry(key);
+    return entry ? entry.value : {};
+  }
+
+  /**
+   * 写入 hash 的字段，保留原有的过期时间
+   * @private
+   * @param {string} key - 键
+   * @param {object} fields - 字段
+   * @returns {number} - 新增的字段数
+   */
+  _hset(key, fields) {
+    let entry = this._entry(key);
+    if (!entry) {
+      entry = { value: {}, expiresAt: Infinity };
+      this.entries.set(key, entry);
+    }
+    const added = Object.keys(fields).filter((field) => !(field in entry.value)).length;
+    Object.assign(entry.value, fields);
+    return added;
+  }
+
+  /**
+   * 设置键的过期时间
+   * @private
+   * @param {string} key - 键
+   * @param {number} ttlMs - 过期时间（毫秒）
+   */
+  _pexpire(key, ttlMs) {
+    const entry = this._entry(key);
+    if (entry) {
+      entry.expiresAt = this.clock.now() + ttlMs;
+    }
+  }
+
+  /**
+   * 删除键
+   * @private
+   * @param {string[]} keys - 键
+   * @returns {number} - 删除的键数
+   */
+  _del(keys) {
+    return keys.filter((key) => this._entry(key) && this.entries.delete(key)).length;
+  }
+
+  /**
+   * 读取令牌桶，与 Lua 脚本中的 load_bucket 相同
+   * @private
+   * @param {string} key - 令牌桶的 hash
+   * @returns {[number|undefined, number|undefined, number]} - [令牌数, 上次投放时间, 限流惩罚截止时间]，令牌桶不存在时前两项为 undefined
+   */
+  _loadBucket(key) {
+    const bucket = this._hash(key);
+    return [bucket.tokens, bucket.ts, bucket.lock || 0];
+  }
+
+  /**
+   * 按经过的时间投放令牌，最多投放到桶的容量
+   * @private
+   * @param {number} currentValue - 桶中的令牌数
+   * @param {number} lastTime - 上次投放时间
+   * @param {number} currentTime - 当前时间戳（毫秒）
+   * @param {number[]} refill - [容量, 每个时间单位内流入的令牌数, 时间单位（毫秒）, 是否连续投放]
+   * @returns {[number, number]} - [投放后的令牌数, 投放后的上次投放时间]
+   */
+  _refill(currentValue, lastTime, currentTime, [capacity, perUnit, unit, continuous]) {
+    let available = currentValue;
+    const pastTime = Math.max(currentTime - lastTime, 0);
+    if (continuous === 1) {
+      available += pastTime * perUnit / unit;
+      lastTime = Math.max(currentTime, lastTime);
+    } else if (pastTime >= unit) {
+      const pastUnits = Math.floor(pastTime / unit);
+      available += pastUnits * perUnit;
+      lastTime += pastUnits * unit;
+    }
+    return [Math.min(available, capacity), lastTime];
+  }
+
+  /**
+   * 清除过期的键，并把下次清除的阈值设为剩余数量的两倍
+   * @private
+   */
+  _collect() {
+    const now = this.clock.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+    this.collectThreshold = Math.max(this.entries.size * 2, 1000);
+  }
+}
+
+// 各操作的实现，与 RateLimiterTokenBucketRedis 和 RateLimiterCompositeTokenBucketRedis 中同名的 Lua 脚本一一对应
+const OPERATIONS = {
+  consume(keys, [capacity, amount, perUnit, unit, lockSeconds, keyTtl, now, continuous]) {
+    let currentTime = now;
+    const [tokens, loadedTs, lockUntil] = this._loadBucket(keys[0]);
+    if (lockUntil > currentTime) {
+      return [2, -1, 0, lockUntil - currentTime];
+    }
+    // 令牌桶不存在时视为刚刚回满的满桶
+    const ts = loadedTs === undefined ? currentTime : loadedTs;
+    const currentValue = tokens === undefined || loadedTs === undefined ? capacity : tokens;
+    currentTime = Math.max(currentTime, ts);
+    const pastTime = currentTime - ts;
+    let lastTime = ts;
+    let bucketAmount;
+    if (continuous === 1) {
+      lastTime = currentTime;
+      bucketAmount = currentValue + pastTime * perUnit / unit;
+    } else if (pastTime < unit) {
+      bucketAmount = currentValue;
+    } else {
+      const pastUnits = Math.floor(pastTime / unit);
+      lastTime += pastUnits * unit;
+      bucketAmount = currentValue + pastUnits * perUnit;
+    }
+    // 先按容量截断，再扣减本次请求的令牌
+    bucketAmount = Math.min(bucketAmount, capacity) - amount;
+    const nextRefillMs = lastTime + unit - currentTime;
+    if (bucketAmount < 0) {
+      let lockTtlMs = 0;
+      if (lockSeconds > 0) {
+        lockTtlMs = lockSeconds * 1000;
+        this._hset(keys[0], { tokens: currentValue, ts, lock: currentTime + lockTtlMs });
+        this._pexpire(keys[0], Math.max(keyTtl, lockTtlMs));
+      }
+      return [1, String(bucketAmount), nextRefillMs, lockTtlMs];
+    }
+    this._hset(keys[0], { tokens: bucketAmount, ts: lastTime });
+    this._pexpire(keys[0], keyTtl);
+    return [0, String(bucketAmount), nextRefillMs, 0];
+  },
+
+  peek(keys, [capacity, perUnit, unit, continuous, now]) {
+    const [tokens, ts, lockUntil] = this._loadBucket(keys[0]);
+    let available = capacity;
+    if (ts !== undefined) {
+      let pastUnits = Math.max(now - ts, 0) / unit;
+      if (continuous !== 1) {
+        pastUnits = Math.floor(pastUnits);
+      }
+      available = Math.min((tokens === undefined ? capacity : tokens) + pastUnits * perUnit, capacity);
+    }
+    return [String(available), Math.max(lockUntil - now, 0)];
+  },
+
+  refund(keys, [amount, capacity]) {
+    const [tokens, ts] = this._loadBucket(keys[0]);
+    if (ts === undefined) {
+      return String(capacity);
+    }
+    const bucketAmount = Math.min((tokens === undefined ? capacity : tokens) + amount, capacity);
+    this._hset(keys[0], { tokens: bucketAmount });
+    return String(bucketAmount);
+  },
+
+  reserve(keys, [capacity, amount, perUnit, unit, keyTtl, maxWait, now, continuous]) {
+    const [tokens, ts, lockUntil] = this._loadBucket(keys[0]);
+    if (lockUntil > now) {
+      return [2, '0', lockUntil - now, 0];
+    }
+    let currentTime = now;
+    let available = capacity;
+    let lastTime = currentTime;
+    if (ts !== undefined) {
+      currentTime = Math.max(currentTime, ts);
+      [available, lastTime] = this._refill(tokens === undefined ? capacity : tokens, ts, currentTime, [capacity, perUnit, unit, continuous]);
+    }
+    const nextRefillMs = lastTime + unit - currentTime;
+    const bucketAmount = available - amount;
+    let waitMs = 0;
+    if (bucketAmount < 0) {
+      if (perUnit <= 0) {
+        return [1, String(available), -1, nextRefillMs];
+      }
+      const intervals = -bucketAmount / perUnit;
+      waitMs = continuous === 1 ? Math.ceil(intervals * unit) : nextRefillMs + (Math.ceil(intervals) - 1) * unit;
+      if (maxWait >= 0 && waitMs > maxWait) {
+        return [1, String(available), waitMs, nextRefillMs];
+      }
+    }
+    this._hset(keys[0], { tokens: bucketAmount, ts: lastTime });
+    this._pexpire(keys[0], keyTtl + waitMs);
+    return [0, String(bucketAmount), waitMs, nextRefillMs];
+  },
+
+  lease(keys, [capacity, amount, minAmount, perUnit, unit, lockSeconds, keyTtl, now, continuous]) {
+    const [tokens, ts, lockUntil] = this._loadBucket(keys[0]);
+    if (lockUntil > now) {
+      return [2, '-1', 0, lockUntil - now, '0'];
+    }
+    let currentTime = now;
+    let available = capacity;
+    let lastTime = currentTime;
+    if (ts !== undefined) {
+      currentTime = Math.max(currentTime, ts);
+      [available, lastTime] = this._refill(tokens === undefined ? capacity : tokens, ts, currentTime, [capacity, perUnit, unit, continuous]);
+    }
+    const nextRefillMs = lastTime + unit - currentTime;
+    if (available < minAmount) {
+      let lockTtlMs = 0;
+      if (lockSeconds > 0 && ts !== undefined) {
+        lockTtlMs = lockSeconds * 1000;
+        this._hset(keys[0], { tokens: tokens === undefined ? capacity : tokens, ts, lock: currentTime + lockTtlMs });
+        this._pexpire(keys[0], Math.max(keyTtl, lockTtlMs));
+      }
+      return [1, String(available - minAmount), nextRefillMs, lockTtlMs, '0'];
+    }
+    const granted = Math.max(minAmount, Math.min(amount, Math.floor(available)));
+    const bucketAmount = available - granted;
+    this._hset(keys[0], { tokens: bucketAmount, ts: lastTime });
+    this._pexpire(keys[0], keyTtl);
+    return [0, String(bucketAmount), nextRefillMs, 0, String(granted)];
+  },
+
+  settle(keys, [delta, capacity, perUnit, unit, continuous, keyTtl, now]) {
+    const [tokens, ts, lockUntil] = this._loadBucket(keys[0]);
+    let available = capacity;
+    let lastTime = now;
+    if (ts === undefined) {
+      if (delta <= 0) {
+        return String(capacity);
+      }
+    } else {
+      [available, lastTime] = this._refill(tokens === undefined ? capacity : tokens, ts, now, [capacity, perUnit, unit, continuous]);
+    }
+    const bucketAmount = Math.min(available - delta, capacity);
+    const debtMs = bucketAmount < 0 && perUnit > 0 ? Math.ceil(-bucketAmount / perUnit) * unit : 0;
+    this._hset(keys[0], { tokens: bucketAmount, ts: lastTime, lock: lockUntil });
+    this._pexpire(keys[0], Math.max(keyTtl + debtMs, lockUntil - now));
+    return String(bucketAmount);
+  },
+
+  debit(keys, [amount, capacity, perUnit, unit, continuous, keyTtl, now]) {
+    const [tokens, ts, lockUntil] = this._loadBucket(keys[0]);
+    let available = capacity;
+    let lastTime = now;
+    if (ts !== undefined) {
+      [available, lastTime] = this._refill(tokens === undefined ? capacity : tokens, ts, now, [capacity, perUnit, unit, continuous]);
+    }
+    const bucketAmount = Math.max(available - amount, Math.min(available, 0));
+    this._hset(keys[0], { tokens: bucketAmount, ts: lastTime, lock: lockUntil });
+    this._pexpire(keys[0], Math.max(keyTtl, lockUntil - now));
+    return String(bucketAmount);
+  },
+
+  reset(keys) {
+    return this._del(keys);
+  },
+
+  block(keys, [threshold, cost, window, sliding, duration, factor, resetAfter, maxDuration, now, , channel, blockedKey]) {
+    const state = this._hash(keys[0]);
+    let blockUntil = state.until || 0;
+    if (blockUntil > now) {
+      return [1, blockUntil - now];
+    }
+    let windowStart = state.ws === undefined ? now : state.ws;
+    let count = state.count || 0;
+    let previous = state.prev || 0;
+    const elapsed = now - windowStart;
+    if (elapsed >= window) {
+      if (sliding === 1 && elapsed < window * 2) {
+        windowStart += window;
+        previous = count;
+      } else {
+        windowStart = now;
+        previous = 0;
+      }
+      count = 0;
+    }
+    const estimate = sliding === 1 ? count + previous * (1 - (now - windowStart) / window) : count;
+    const offenceUntil = state.ountil;
+    if (estimate >= threshold) {
+      let times = 0;
+      if (factor !== 1 && offenceUntil !== undefined && now - offenceUntil < resetAfter) {
+        times = (state.times || 0) + 1;
+      }
+      let blockMs = Math.floor(duration * factor ** times);
+      if (maxDuration > 0) {
+        blockMs = Math.min(blockMs, maxDuration);
+      }
+      blockUntil = now + blockMs;
+      this._del([keys[0]]);
+      this._hset(keys[0], { until: blockUntil, times, ountil: blockUntil });
+      this._pexpire(keys[0], blockMs + resetAfter);
+      this.channels.emit(channel, JSON.stringify({ key: blockedKey, blockMs }));
+      return [2, blockMs];
+    }
+    this._hset(keys[0], { ws: windowStart, count: count + cost, prev: previous });
+    let ttl = window * (sliding === 1 ? 2 : 1);
+    if (offenceUntil !== undefined) {
+      ttl = Math.max(ttl, offenceUntil + resetAfter - now);
+    }
+    this._pexpire(keys[0], ttl);
+    return [0, 0];
+  },
+
+  unblock(keys, [channel, blockedKey]) {
+    const deleted = this._del([keys[0]]);
+    this.channels.emit(channel, JSON.stringify({ key: blockedKey, blockMs: 0 }));
+    return deleted;
+  },
+
+  unlock(keys) {
+    const bucket = this._hash(keys[0]);
+    if (!('lock' in bucket)) {
+      return 0;
+    }
+    delete bucket.lock;
+    return 1;
+  },
+
+  ban(keys, [field, expiresAt, now]) {
+    const bans = this._hash(keys[0]);
+    for (const [key, value] of Object.entries(bans)) {
+      if (Number(value) > 0 && Number(value) <= now) {
+        delete bans[key];
+      }
+    }
+    return this._hset(keys[0], { [field]: String(expiresAt) });
+  },
+
+  unban(keys, [field]) {
+    const bans = this._hash(keys[0]);
+    if (!(field in bans)) {
+      return 0;
+    }
+    delete bans[field];
+    return 1;
+  },
+
+  listBans(keys) {
+    return Object.entries(this._hash(keys[0])).flat();
+  },
+
+  compositeConsume(keys, [amount, now, , ...limits]) {
+    const ret = [0];
+    const states = [];
+    for (let i = 0; i < keys.length / 2; i++) {
+      const [capacity, perUnit, unit, continuous, keyTtl] = limits.slice(i * 5, i * 5 + 5);
+      const tokenEntry = this._entry(keys[i * 2]);
+      const timeEntry = this._entry(keys[i * 2 + 1]);
+      let available = capacity;
+      let lastTime = now;
+      if (timeEntry) {
+        [available, lastTime] = this._refill(tokenEntry ? tokenEntry.value : capacity, timeEntry.value, now, [capacity, perUnit, unit, continuous]);
+      }
+      if (available < amount) {
+        ret[0] = 1;
+      }
+      states.push([available, lastTime, keyTtl]);
+      ret.push(String(available), lastTime + unit - now);
+    }
+    if (ret[0] === 0) {
+      states.forEach(([available, lastTime, keyTtl], i) => {
+        const expiresAt = this.clock.now() + keyTtl;
+        this.entries.set(keys[i * 2], { value: available - amount, expiresAt });
+        this.entries.set(keys[i * 2 + 1], { value: lastTime, expiresAt });
+      });
+    }
+    return ret;
+  },
+};
+
+// 令牌桶之外的算法，与基于内存的限流器共用 algorithms.js 中的实现，KEYS[1] 的 hash 保存算法的状态和限流惩罚截止时间 lock
+for (const [algorithm, operation] of Object.entries(ALGORITHM_OPERATIONS)) {
+  OPERATIONS[operation] = function (keys, [capacity, amount, emissionInterval, windowMs, lockSeconds, now, dryRun]) {
+    const bucket = this._hash(keys[0]);
+    const lockUntil = bucket.lock || 0;
+    if (lockUntil > now) {
+      return [2, '0', 0, lockUntil - now, lockUntil - now, 0];
+    }
+    const state = dryRun === 1 ? cloneState(bucket) : bucket;
+    const [allowed, remaining, retryAfterMs, resetAfterMs, delayMs] = runAlgorithm(algorithm, state, amount, now, { capacity, emissionInterval, windowMs });
+    let lockTtlMs = 0;
+    if (dryRun !== 1) {
+      if (!allowed && lockSeconds > 0) {
+        lockTtlMs = lockSeconds * 1000;
+        state.lock = now + lockTtlMs;
+      }
+      this._hset(keys[0], state);
+      this._pexpire(keys[0], Math.max(resetAfterMs, lockTtlMs, 1));
+    }
+    return [allowed ? 0 : 1, String(remaining), retryAfterMs === Infinity ? -1 : retryAfterMs, lockTtlMs, Math.max(resetAfterMs, lockTtlMs), delayMs];
+  };
+}
+
+export default MemoryAdapter;
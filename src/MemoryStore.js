@@ -0,0 +1,164 @@
+/**
+ *  @description 有容量上限的内存存储，超过上限时淘汰最久未使用的键（近似 LRU），
+ *  过期的键在读取时或随写入逐步惰性清除，不为每个键创建定时器
+ */
+
+// 默认最多保存的键数
+const DEFAULT_MAX_KEYS = 1000000;
+
+// 每次写入时最多检查的键数，用于逐步清除不再访问的过期键
+const SWEEP_COUNT = 2;
+
+class MemoryStore {
+  /**
+   * 构造函数
+   * 键分为新旧两代保存：新一代写满时整体变为旧一代，原来的旧一代被丢弃，旧一代中被访问的键会移回新一代。
+   * 与每次访问都调整顺序的严格 LRU 相比，淘汰和访问都是 O(1)，也不需要为每个键维护链表节点
+   *
+   * @param {object} opts - 选项对象
+   * @param {number} opts.maxKeys - 可选，最多保存的键数，超过时淘汰最久未使用的键，默认1000000
+   */
+  constructor(opts = {}) {
+    this.maxKeys = opts.maxKeys || DEFAULT_MAX_KEYS;
+    this.generationSize = Math.max(Math.ceil(this.maxKeys / 2), 1); // 每一代最多保存的键数
+    // 值的 expiresAt 属性为过期时间戳（毫秒）
+    this.current = new Map(); // 新一代
+    this.previous = new Map(); // 旧一代
+    this.sweeper = null; // 逐步检查过期键的迭代器
+  }
+
+  /**
+   * 保存的键数，包括尚未清除的过期键
+   *
+   * @returns {number} - 键数
+   */
+  get size() {
+    return this.current.size + this.previous.size;
+  }
+
+  /**
+   * 读取未过期的值，并标记为最近使用
+   *
+   * @param {string} key - 键
+   * @param {number} now - 可选，当前时间戳（毫秒）
+   * @returns {object|undefined} - 值，不存在或已过期时返回 undefined
+   */
+  get(key, now = Date.now()) {
+    let value = this.current.get(key);
+    if (value !== undefined) {
+      if (value.expiresAt <= now) {
+        this.current.delete(key);
+        return undefined;
+      }
+      return value;
+    }
+    value = this.previous.get(key);
+    if (value === undefined) {
+      return undefined;
+    }
+    this.previous.delete(key);
+    if (value.expiresAt <= now) {
+      return undefined;
+    }
+    // 旧一代中被访问的键移回新一代
+    this._add(key, value);
+    return value;
+  }
+
+  /**
+   * 读取未过期的值，不改变使用顺序
+   *
+   * @param {string} key - 键
+   * @param {number} now - 可选，当前时间戳（毫秒）
+   * @returns {object|undefined} - 值，不存在或已过期时返回 undefined
+   */
+  peek(key, now = Date.now()) {
+    const value = this.current.has(key) ? this.current.get(key) : this.previous.get(key);
+    return value !== undefined && value.expiresAt > now ? value : undefined;
+  }
+
+  /**
+   * 写入值并标记为最近使用，超过容量上限时淘汰最久未使用的键
+   *
+   * @param {string} key - 键
+   * @param {object} value - 值，expiresAt 属性为过期时间戳（毫秒）
+   * @param {number} now - 可选，当前时间戳（毫秒）
+   */
+  set(key, value, now = Date.now()) {
+    if (this.current.has(key)) {
+      this.current.set(key, value);
+    } else {
+      this.previous.delete(key);
+      this._add(key, value);
+    }
+    this._sweep(now);
+  }
+
+  /**
+   * 删除键
+   *
+   * @param {string} key - 键
+   * @returns {boolean} - 键是否存在
+   */
+  delete(key) {
+    const deleted = this.current.delete(key);
+    return this.previous.delete(key) || deleted;
+  }
+
+  /**
+   * 清空所有键
+   */
+  clear() {
+    this.current = new Map();
+    this.previous = new Map();
+    this.sweeper = null;
+  }
+
+  /**
+   * 向新一代添加键，新一代已满时整体变为旧一代，丢弃原来的旧一代
+   * @private
+   * @param {string} key - 键
+   * @param {object} value - 值
+   */
+  _add(key, value) {
+    if (this.current.size >= this.generationSize) {
+      this.previous = this.current;
+      this.current = new Map();
+      this.sweeper = null;
+    }
+    this.current.set(key, value);
+  }
+
+  /**
+   * 从上次检查的位置继续，检查少量的键并清除其中已过期的
+   * @private
+   * @param {number} now - 当前时间戳（毫秒）
+   */
+  _sweep(now) {
+    if (!this.sweeper) {
+      this.sweeper = this._entries();
+    }
+    for (let i = 0; i < SWEEP_COUNT; i++) {
+      const { value: entry, done } = this.sweeper.next();
+      if (done) {
+        this.sweeper = null;
+        return;
+      }
+      if (entry[1].expiresAt <= now) {
+        this.delete(entry[0]);
+      }
+    }
+  }
+
+  /**
+   * 按从旧到新的顺序遍历所有键
+   * @private
+   * @returns {Iterator<[string, object]>} - 键值对迭代器
+   */
+  * _entries() {
+    yield* this.previous;
+    yield* this.current;
+  }
+}
+
+export default MemoryStore;
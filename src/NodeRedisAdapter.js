@@ -0,0 +1,78 @@
+/**
+ *  @description node-redis v4 客户端的存储适配器，通过 evalSha 执行 Lua 脚本，参数为 { keys, arguments }
+ */
+import { getScriptSha } from './redisScript';
+import { isRedisReady } from './redisClient';
+
+class NodeRedisAdapter {
+  /**
+   * 构造函数
+   *
+   * @param {object} client - node-redis v4 客户端，需要已调用 connect
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * 判断是否可以执行命令
+   *
+   * @returns {boolean} - 可以执行命令时返回 true
+   */
+  isReady() {
+    return isRedisReady(this.client);
+  }
+
+  /**
+   * 原子地执行一次存储操作：优先使用 evalSha，脚本缓存丢失（NOSCRIPT）时使用 eval 发送完整脚本
+   *
+   * @param {string} operation - 操作名，如 consume、peek、refund、block
+   * @param {string} script - 操作对应的 Lua 脚本
+   * @param {string[]} keys - 脚本的 KEYS
+   * @param {Array<string|number>} args - 脚本的 ARGV
+   * @returns {Promise<*>} - 脚本的返回值
+   */
+  async execute(operation, script, keys, args) {
+    // node-redis 只接受字符串参数
+    const options = { keys, arguments: args.map(String) };
+    try {
+      return await this.client.evalSha(getScriptSha(script), options);
+    } catch (error) {
+      if (!String(error && error.message).includes('NOSCRIPT')) {
+        throw error;
+      }
+      return await this.client.eval(script, options);
+    }
+  }
+
+  /**
+   * 订阅频道，使用单独的连接
+   *
+   * @param {string} channel - 频道
+   * @param {function(string): void} onMessage - 收到消息的回调
+   * @param {function(Error): void} onError - 连接或订阅出错的回调
+   * @returns {function(): void} - 取消订阅并断开连接
+   */
+  subscribe(channel, onMessage, onError) {
+    // 不能创建新连接的客户端无法订阅，只使用 redis 中的状态
+    if (typeof this.client.duplicate !== 'function') {
+      return () => {};
+    }
+    const subscriber = this.client.duplicate();
+    subscriber.on('error', onError);
+    const subscribing = Promise.resolve(subscriber.connect()).then(() => subscriber.subscribe(channel, onMessage));
+    subscribing.catch(onError);
+    return () => {
+      subscribing.then(() => subscriber.disconnect()).catch(() => {});
+    };
+  }
+
+  /**
+   * 断开连接
+   */
+  disconnect() {
+    Promise.resolve(this.client.disconnect()).catch(() => {});
+  }
+}
+
+export default NodeRedisAdapter;
@@ -0,0 +1,207 @@
+/**
+ *  @description 多规则组合令牌桶限流器（基于内存），如同时限制每秒、每分钟、每天的请求数
+ */
+import { getRefillDelay, resolveClock, resolveRefillOptions, toClientIpResolver } from './utils';
+import MemoryStore from './MemoryStore';
+
+/** @typedef {import('./RateLimiterTokenBucket').RateLimitDecision} RateLimitDecision */
+
+/**
+ * 规范化限流规则列表
+ *
+ * @param {Array<object>} limits - 限流规则，每条规则支持 name、capacity、tokenPerSecond、tokenPerInterval、refillInterval、continuousRefill
+ * @returns {Array<object>} - 补全了投放配置的规则列表
+ */
+export function normalizeLimits(limits) {
+  if (!Array.isArray(limits) || limits.length === 0) {
+    throw new Error('limits must be a non-empty array');
+  }
+  return limits.map((limit, index) => ({
+    name: limit.name || String(index),
+    capacity: limit.capacity,
+    ...resolveRefillOptions(limit),
+  }));
+}
+
+/**
+ * 根据每条规则的可用令牌数构造组合限流决策
+ * 拒绝时以需要等待最久的规则作为命中的规则，放行时以剩余令牌最少的规则作为当前的瓶颈
+ *
+ * @param {Array<object>} limits - normalizeLimits 的返回值
+ * @param {Array<{ available: number, nextRefillMs: number }>} states - 每条规则投放后、扣减前的可用令牌数及距下次投放的毫秒数
+ * @param {number} requestedTokens - 请求的令牌数
+ * @param {string} source - 决策来源
+ * @param {number} now - 可选，当前时间戳（毫秒）
+ * @returns {RateLimitDecision & { limitName: string, limits: Array<object> }} - 限流决策
+ */
+export function buildCompositeDecision(limits, states, requestedTokens, source, now = Date.now()) {
+  const allowed = states.every((state) => state.available >= requestedTokens);
+  const details = limits.map((limit, i) => {
+    const { available, nextRefillMs } = states[i];
+    const refill = {
+      tokenPerInterval: limit.tokenPerInterval,
+      refillInterval: limit.refillInterval,
+      nextRefillMs,
+      continuous: limit.continuousRefill,
+    };
+    // 只有全部规则都放行时才会扣减令牌
+    const remaining = allowed ? available - requestedTokens : available;
+    return {
+      name: limit.name,
+      allowed: available >= requestedTokens,
+      remaining: Math.max(remaining, 0),
+      limit: limit.capacity,
+      retryAfterMs: getRefillDelay(requestedTokens - available, refill),
+      resetAtMs: now + getRefillDelay(limit.capacity - remaining, refill),
+    };
+  });
+
+  let hit = details[0];
+  for (const detail of details) {
+    if (allowed ? detail.remaining < hit.remaining : detail.retryAfterMs > hit.retryAfterMs) {
+      hit = detail;
+    }
+  }
+  return {
+    allowed,
+    remaining: allowed ? hit.remaining : 0,
+    limit: hit.limit,
+    retryAfterMs: allowed ? 0 : hit.retryAfterMs,
+    resetAtMs: Math.max(...details.map((detail) => detail.resetAtMs)),
+    reason: allowed ? 'allowed' : 'exhausted',
+    source,
+    limitName: hit.name,
+    limits: details,
+  };
+}
+
+class RateLimiterCompositeTokenBucket {
+  /**
+   * 构造函数
+   *
+   * @param {object} opts - 选项对象
+   * @param {Array<object>} opts.limits - 限流规则，如 [{ name: 'second', tokenPerSecond: 10, capacity: 10 }, { name: 'minute', tokenPerInterval: 300, refillInterval: 60000, capacity: 300 }]
+   * @param {string} opts.keyPrefix - 键名前缀
+   * @param {function|object} opts.ipResolver - 可选，客户端ip解析函数，或可信代理配置 { trustedProxies, hops, ipv6Subnet }
+   * @param {number} opts.maxKeys - 可选，内存中最多保存的键数，超过时淘汰最久未使用的键，默认1000000
+   * @param {object} opts.clock - 可选，时钟，至少需要实现 now()，测试中可以传入 FakeClock，默认使用系统时钟
+   */
+  constructor(opts) {
+    this.limits = normalizeLimits(opts.limits);
+    this.keyPrefix = opts.keyPrefix || '';
+    this.ipResolver = toClientIpResolver(opts.ipResolver); // 客户端ip解析
+    this.clock = resolveClock(opts.clock); // 时钟
+
+    // 存储令牌桶状态，每个键对应一组与 limits 顺序一致的桶，所有桶回满后惰性清除
+    this.buckets = new MemoryStore({ maxKeys: opts.maxKeys });
+  }
+
+  /**
+   * 解析请求的客户端ip，配置了 ipResolver 时按可信代理规则解析
+   *
+   * @param {object} req - 请求对象
+   * @returns {string} - 客户端ip
+   */
+  resolveClientIp(req) {
+    return this.ipResolver(req);
+  }
+
+  /**
+   * @param {object} req - 请求对象
+   * @param {string} tokenKey - 限流键值，默认ip，如传入则组合在ip后 ip+key
+   * @param {string} blockKey - 保留参数，与 RateLimiterTokenBucket 保持一致，组合限流器不使用阻塞键
+   * @param {number} requestedTokens - 请求消耗的令牌数，默认值为1
+   * @returns {number} - 返回剩余令牌最少的规则的令牌数，被限流时返回0
+   */
+  getTokenUseIp(req, tokenKey = '', blockKey = '', requestedTokens = 1) {
+    return this.getToken(this.resolveClientIp(req) + tokenKey, blockKey, requestedTokens);
+  }
+
+  /**
+   * @param {object} req - 请求对象
+   * @param {string} tokenKey - 限流键值，默认ip，如传入则组合在ip后 ip+key
+   * @param {string} blockKey - 保留参数，与 RateLimiterTokenBucket 保持一致，组合限流器不使用阻塞键
+   * @param {number} requestedTokens - 请求消耗的令牌数，默认值为1
+   * @returns {RateLimitDecision} - 限流决策
+   */
+  consumeUseIp(req, tokenKey = '', blockKey = '', requestedTokens = 1) {
+    return this.consume(this.resolveClientIp(req) + tokenKey, blockKey, requestedTokens);
+  }
+
+  /**
+   * 获取令牌
+   *
+   * @param {string} tokenKey - 令牌标识
+   * @param {string} blockKey - 保留参数，与 RateLimiterTokenBucket 保持一致，组合限流器不使用阻塞键
+   * @param {number} requestedTokens - 请求消耗的令牌数，默认值为1
+   * @returns {number} - 返回剩余令牌最少的规则的令牌数，被限流时返回0
+   */
+  getToken(tokenKey = '', blockKey = '', requestedTokens = 1) {
+    const decision = this.consume(tokenKey, blockKey, requestedTokens);
+    return decision.allowed ? decision.remaining : 0;
+  }
+
+  /**
+   * 消耗令牌，所有规则都放行时才会从每个桶中扣减令牌
+   *
+   * @param {string} tokenKey - 令牌标识
+   * @param {string} blockKey - 保留参数，与 RateLimiterTokenBucket 保持一致，组合限流器不使用阻塞键
+   * @param {number} requestedTokens - 请求消耗的令牌数，默认值为1
+   * @returns {RateLimitDecision & { limitName: string, limits: Array<object> }} - 限流决策，limitName 为命中（或最紧张）的规则名
+   */
+  consume(tokenKey = '', blockKey = '', requestedTokens = 1) {
+    const fullTokenKey = this.keyPrefix + tokenKey;
+    const now = this.clock.now();
+    let buckets = this.buckets.get(fullTokenKey, now);
+
+    // 令牌桶不存在（或已回满被清除），按满桶计算，扣减后再保存
+    if (!buckets) {
+      buckets = this.limits.map((limit) => ({ tokens: limit.capacity, lastRefillTime: now }));
+    }
+
+    // 先计算每个桶投放后的令牌数，不做扣减
+    const states = this.limits.map((limit, i) => {
+      const bucket = buckets[i];
+      const pastTime = now - bucket.lastRefillTime;
+      let available = bucket.tokens;
+      let lastRefillTime = bucket.lastRefillTime;
+      if (limit.continuousRefill) {
+        available += pastTime * limit.tokenPerInterval / limit.refillInterval;
+        lastRefillTime = now;
+      } else if (pastTime >= limit.refillInterval) {
+        const pastIntervals = Math.floor(pastTime / limit.refillInterval);
+        available += pastIntervals * limit.tokenPerInterval;
+        lastRefillTime += pastIntervals * limit.refillInterval;
+      }
+      available = Math.min(available, limit.capacity);
+      return { available, lastRefillTime, nextRefillMs: lastRefillTime + limit.refillInterval - now };
+    });
+
+    // 所有规则都放行时，一次性扣减所有桶
+    if (states.every((state) => state.available >= requestedTokens)) {
+      states.forEach((state, i) => {
+        buckets[i].tokens = state.available - requestedTokens;
+        buckets[i].lastRefillTime = state.lastRefillTime;
+      });
+      // 所有桶都回满后过期
+      buckets.expiresAt = now + Math.max(...this.limits.map((limit, i) => getRefillDelay(limit.capacity - buckets[i].tokens, {
+        tokenPerInterval: limit.tokenPerInterval,
+        refillInterval: limit.refillInterval,
+        nextRefillMs: states[i].nextRefillMs,
+        continuous: limit.continuousRefill,
+      })));
+      this.buckets.set(fullTokenKey, buckets, now);
+    }
+
+    return buildCompositeDecision(this.limits, states, requestedTokens, 'memory', now);
+  }
+
+  /**
+   * 释放限流器占用的内存，清除所有令牌桶
+   */
+  destroy() {
+    this.buckets.clear();
+  }
+}
+
+export default RateLimiterCompositeTokenBucket;
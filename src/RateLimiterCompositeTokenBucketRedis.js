@@ -0,0 +1,333 @@
+/**
+ *  @description 多规则组合令牌桶限流器（基于redis），所有规则在一次 Lua 脚本调用中原子地判断和扣减
+ */
+import RateLimiterCompositeTokenBucket, { buildCompositeDecision, normalizeLimits } from './RateLimiterCompositeTokenBucket';
+import { resolveClock, resolveFailMode, toClientIpResolver } from './utils';
+import { withTimeout } from './redisScript';
+import CircuitBreaker from './CircuitBreaker';
+import { createRedisClient } from './redisClient';
+import { createStorageAdapter } from './storageAdapter';
+import IoredisAdapter from './IoredisAdapter';
+import { createLogger } from './logger';
+
+/** @typedef {import('./RateLimiterTokenBucket').RateLimitDecision} RateLimitDecision */
+
+class RateLimiterCompositeTokenBucketRedis {
+  /**
+   * 构造函数
+   *
+   * @param {object} opts - 选项对象
+   * @param {Array<object>} opts.limits - 限流规则，如 [{ name: 'second', tokenPerSecond: 10, capacity: 10 }, { name: 'day', tokenPerInterval: 10000, refillInterval: 86400000, capacity: 10000 }]
+   * @param {Redis|object} opts.redisClient - 可选，ioredis 或 node-redis v4 客户端
+   * @param {object} opts.adapter - 可选，存储适配器，如 MemoryAdapter 或自定义的适配器，传入后不再使用 redisClient
+   * @param {Redis.RedisOptions} opts.redisOptions - Redis 配置
+   * @param {Array<string|object>} opts.clusterNodes - 可选，未传入 redisClient 时连接 Redis Cluster 的启动节点，如 [{ host: '127.0.0.1', port: 7000 }]
+   * @param {Redis.ClusterOptions} opts.clusterOptions - 可选，Redis Cluster 配置，redisOptions 会作为每个节点的配置
+   * @param {Array<object>} opts.sentinels - 可选，未传入 redisClient 时通过 Sentinel 连接主节点，如 [{ host: '127.0.0.1', port: 26379 }]
+   * @param {string} opts.sentinelName - 可选，Sentinel 监控的主节点名称，默认 mymaster
+   * @param {string} opts.keyPrefix - Redis 键名前缀
+   * @param {boolean} opts.insuranceLimiter - 是否启用备用策略，redis 不可用时使用相同规则的内存限流器，等同于 failMode: 'insurance'
+   * @param {string} opts.failMode - 可选，redis 不可用时的策略：open 放行 | closed 拒绝 | insurance 使用内存限流器，默认 open（启用 insuranceLimiter 时为 insurance）
+   * @param {number} opts.redisTimeout - 可选，每次 redis 调用的超时时间（毫秒），超时按 redis 不可用处理，默认不设置
+   * @param {object|boolean} opts.circuitBreaker - 可选，熔断器配置 { failureThreshold, cooldownMs }，默认连续失败5次后熔断10秒，传入 false 关闭熔断
+   * @param {boolean} opts.useRedisTime - 可选，是否使用 redis 服务器时间（TIME）代替应用服务器的时钟，默认 false
+   * @param {function|object} opts.ipResolver - 可选，客户端ip解析函数，或可信代理配置 { trustedProxies, hops, ipv6Subnet }
+   * @param {number} opts.maxKeys - 可选，备用策略的内存限流器最多保存的键数，超过时淘汰最久未使用的键，默认1000000
+   * @param {object} opts.logger - 可选，日志对象，如 console、pino，默认不输出日志
+   * @param {'debug'|'info'|'warn'|'error'} opts.logLevel - 可选，输出日志的最低级别，默认 info
+   * @param {object} opts.clock - 可选，时钟，至少需要实现 now()，用于传给 Lua 脚本的当前时间，默认使用系统时钟
+   */
+  constructor(opts) {
+    this.limits = normalizeLimits(opts.limits);
+    this.redis = opts.redisClient;
+    this.adapter = opts.adapter || (this.redis ? createStorageAdapter(this.redis) : null); // 存储适配器
+    this.keyPrefix = opts.keyPrefix || '';
+    this.failMode = resolveFailMode(opts); // redis 不可用时的策略
+    this.insuranceLimiter = this.failMode === 'insurance';
+    this.redisTimeout = opts.redisTimeout || 0; // redis 调用超时时间ms
+    this.clock = resolveClock(opts.clock); // 时钟
+    this.circuitBreaker = opts.circuitBreaker === false ? null : new CircuitBreaker({ ...opts.circuitBreaker, clock: this.clock });
+    this.ipResolver = toClientIpResolver(opts.ipResolver); // 客户端ip解析
+    this.useRedisTime = Boolean(opts.useRedisTime); // 是否使用 redis 服务器时间
+    this.logger = createLogger(opts.logger, opts.logLevel); // 日志
+
+    // 初始化redis
+    this.ownsRedis = !this.adapter; // 是否使用内置的 redis 客户端，内置的客户端在 destroy 时断开
+    this.destroyed = false; // 是否已调用 destroy
+    if (!this.adapter) {
+      createRedisClient(opts).then((redis) => {
+        // 创建完成前已经调用了 destroy
+        if (this.destroyed) {
+          redis.disconnect();
+          return;
+        }
+        this.redis = redis;
+        this.adapter = new IoredisAdapter(redis);
+      }).catch(() => {
+        this.logger.error('ioredis module not found. Please provide a redisClient when creating an instance of RateLimiterCompositeTokenBucketRedis.');
+      });
+    }
+
+    // 启用内存限流器作为备用策略
+    if (this.insuranceLimiter) {
+      // 调用时传入的已是带前缀的完整键，因此不再设置前缀
+      this.rateLimiterCompositeTokenBucket = new RateLimiterCompositeTokenBucket({
+        limits: opts.limits,
+        maxKeys: opts.maxKeys,
+        clock: this.clock,
+      });
+    }
+    this._initScript();
+  }
+
+  /**
+   * 初始化 Lua 脚本
+   * 先计算每个桶投放后的令牌数，只有全部桶都足够时才统一扣减，保证多个规则之间的原子性
+   * @private
+   */
+  _initScript() {
+    this.script = `
+    -- KEYS 依次为每条规则的 [令牌数key, 上次投放时间key]，使用相同的 hash tag，保证落在同一个集群槽位
+    local amount = tonumber(ARGV[1])  -- 本次请求消耗的令牌数
+    local current_time = tonumber(ARGV[2])  -- 当前时间戳（毫秒）
+    -- 使用 redis 服务器时间作为唯一的时间来源，消除各应用服务器之间的时钟偏差
+    if ARGV[3] == '1' then
+        -- redis 5 以下需要开启按效果复制，才能在 TIME 这样的非确定性命令之后写入
+        if redis.replicate_commands then
+            redis.replicate_commands()
+        end
+        local server_time = redis.call('TIME')
+        current_time = tonumber(server_time[1]) * 1000 + math.floor(tonumber(server_time[2]) / 1000)
+    end
+    local count = #KEYS / 2
+    -- 返回值：是否触发限流（1限流 0通过），之后每条规则依次为 [投放后的令牌数, 距下次投放令牌的毫秒数]
+    local ret = {0}
+    local states = {}
+
+    for i = 1, count do
+        -- 每条规则占用5个参数：容量、每个时间单位流入的令牌数、时间单位（毫秒）、是否连续投放、过期时间（毫秒）
+        local base = 3 + (i - 1) * 5
+        local capacity = tonumber(ARGV[base + 1])
+        local inflow_quantity_per_unit = tonumber(ARGV[base + 2])
+        local inflow_unit = tonumber(ARGV[base + 3])
+        local continuous = tonumber(ARGV[base + 4])
+        local key_expire_time = tonumber(ARGV[base + 5])
+        local token_key = KEYS[i * 2 - 1]
+        local st_key = KEYS[i * 2]
+
+        -- 令牌桶不存在时视为满桶
+        local available = capacity
+        local last_time = current_time
+        local stored_time = redis.call('get', st_key)
+        if stored_time then
+            local current_value = tonumber(redis.call('get', token_key)) or capacity
+            last_time = tonumber(stored_time)
+            -- 调用方时钟落后于上次投放时间时按上次投放时间计算，[上次投放时间]不会倒退
+            local now = math.max(current_time, last_time)
+            local past_time = now - last_time
+            if continuous == 1 then
+                available = current_value + past_time * inflow_quantity_per_unit / inflow_unit
+                last_time = now
+            elseif past_time >= inflow_unit then
+                local past_inflow_unit_quantity = math.floor(past_time / inflow_unit)
+                available = current_value + past_inflow_unit_quantity * inflow_quantity_per_unit
+                last_time = last_time + past_inflow_unit_quantity * inflow_unit
+            else
+                available = current_value
+            end
+            available = math.min(available, capacity)
+        end
+
+        if available < amount then
+            ret[1] = 1
+        end
+        states[i] = { token_key, st_key, available, last_time, key_expire_time }
+        ret[i * 2] = tostring(available)
+        ret[i * 2 + 1] = last_time + inflow_unit - current_time
+    end
+
+    -- 全部规则都放行时才扣减令牌
+    if ret[1] == 0 then
+        for i = 1, count do
+            local state = states[i]
+            redis.call('set', state[1], state[3] - amount, 'PX', state[5])
+            redis.call('set', state[2], state[4], 'PX', state[5])
+        end
+    end
+
+    return ret
+    `;
+  }
+
+  /**
+   * 解析请求的客户端ip，配置了 ipResolver 时按可信代理规则解析
+   *
+   * @param {object} req - 请求对象
+   * @returns {string} - 客户端ip
+   */
+  resolveClientIp(req) {
+    return this.ipResolver(req);
+  }
+
+  /**
+   * @param {object} req - 请求对象
+   * @param {string} tokenKey - 限流键值，默认ip，如传入则组合在ip后 ip+key
+   * @param {string} blockKey - 保留参数，与 RateLimiterTokenBucket 保持一致，组合限流器不使用阻塞键
+   * @param {number} requestedTokens - 请求消耗的令牌数，默认值为1
+   * @returns {Promise<number>} - 返回剩余令牌最少的规则的令牌数，被限流时返回0
+   */
+  async getTokenUseIp(req, tokenKey = '', blockKey = '', requestedTokens = 1) {
+    return await this.getToken(this.resolveClientIp(req) + tokenKey, blockKey, requestedTokens);
+  }
+
+  /**
+   * @param {object} req - 请求对象
+   * @param {string} tokenKey - 限流键值，默认ip，如传入则组合在ip后 ip+key
+   * @param {string} blockKey - 保留参数，与 RateLimiterTokenBucket 保持一致，组合限流器不使用阻塞键
+   * @param {number} requestedTokens - 请求消耗的令牌数，默认值为1
+   * @returns {Promise<RateLimitDecision>} - 限流决策
+   */
+  async consumeUseIp(req, tokenKey = '', blockKey = '', requestedTokens = 1) {
+    return await this.consume(this.resolveClientIp(req) + tokenKey, blockKey, requestedTokens);
+  }
+
+  /**
+   * 获取令牌
+   *
+   * @param {string} tokenKey - 令牌标识
+   * @param {string} blockKey - 保留参数，与 RateLimiterTokenBucket 保持一致，组合限流器不使用阻塞键
+   * @param {number} requestedTokens - 请求消耗的令牌数，默认值为1
+   * @returns {Promise<number>} - 返回剩余令牌最少的规则的令牌数，被限流时返回0
+   */
+  async getToken(tokenKey = '', blockKey = '', requestedTokens = 1) {
+    const decision = await this.consume(tokenKey, blockKey, requestedTokens);
+    return decision.allowed ? decision.remaining : 0;
+  }
+
+  /**
+   * 消耗令牌，所有规则都放行时才会从每个桶中扣减令牌
+   *
+   * @param {string} tokenKey - 令牌标识
+   * @param {string} blockKey - 保留参数，与 RateLimiterTokenBucket 保持一致，组合限流器不使用阻塞键
+   * @param {number} requestedTokens - 请求消耗的令牌数，默认值为1
+   * @returns {Promise<RateLimitDecision & { limitName: string, limits: Array<object> }>} - 限流决策，limitName 为命中（或最紧张）的规则名
+   */
+  async consume(tokenKey = '', blockKey = '', requestedTokens = 1) {
+    const fullTokenKey = this.keyPrefix + tokenKey;
+    try {
+      const keys = [];
+      const now = this.clock.now();
+      const args = [requestedTokens, now, this.useRedisTime ? 1 : 0];
+      for (const limit of this.limits) {
+        // 同一个键的所有规则使用相同的 hash tag
+        keys.push(`{${fullTokenKey}}:${limit.name}`, `{${fullTokenKey}}:${limit.name}-st`);
+        args.push(limit.capacity, limit.tokenPerInterval, limit.refillInterval, limit.continuousRefill ? 1 : 0, limit.bucketTtl);
+      }
+      const ret = await this._runScript(this.script, keys, ...args);
+      const states = this.limits.map((limit, i) => ({
+        available: parseFloat(ret[i * 2 + 1]),
+        nextRefillMs: ret[i * 2 + 2],
+      }));
+      return buildCompositeDecision(this.limits, states, requestedTokens, 'redis', now);
+    } catch (error) {
+      return this._fallback(fullTokenKey, requestedTokens);
+    }
+  }
+
+  /**
+   * redis 不可用时按 failMode 构造限流决策：insurance 使用内存限流器，closed 拒绝，open 放行
+   * @private
+   * @param {string} fullTokenKey - 完整的令牌键
+   * @param {number} requestedTokens - 请求消耗的令牌数
+   * @returns {RateLimitDecision} - 限流决策
+   */
+  _fallback(fullTokenKey, requestedTokens) {
+    if (this.failMode === 'insurance') {
+      return { ...this.rateLimiterCompositeTokenBucket.consume(fullTokenKey, '', requestedTokens), source: 'insurance' };
+    }
+    const now = this.clock.now();
+    if (this.failMode === 'closed') {
+      // 熔断中时建议在熔断冷却结束后重试
+      const cooldownMs = this.circuitBreaker ? this.circuitBreaker.getRemainingCooldown() : 0;
+      const retryAfterMs = cooldownMs || this.limits[0].refillInterval;
+      return {
+        allowed: false,
+        remaining: 0,
+        limit: this.limits[0].capacity,
+        retryAfterMs,
+        resetAtMs: now + retryAfterMs,
+        reason: 'unavailable',
+        source: 'fail-closed',
+        limitName: this.limits[0].name,
+        limits: [],
+      };
+    }
+    return {
+      allowed: true,
+      remaining: 1,
+      limit: this.limits[0].capacity,
+      retryAfterMs: 0,
+      resetAtMs: now,
+      reason: 'allowed',
+      source: 'fail-open',
+      limitName: this.limits[0].name,
+      limits: [],
+    };
+  }
+
+  /**
+   * 释放限流器占用的资源：清除备用策略的令牌桶，
+   * 使用内置的 redis 客户端时同时断开连接，传入的 redisClient 由调用方负责关闭
+   */
+  destroy() {
+    this.destroyed = true;
+    if (this.rateLimiterCompositeTokenBucket) {
+      this.rateLimiterCompositeTokenBucket.destroy();
+    }
+    if (this.ownsRedis && this.adapter) {
+      this.adapter.disconnect();
+    }
+  }
+
+  /**
+   * 判断 Redis 连接状态是否正常
+   *
+   * @private
+   * @returns {boolean} - 如果连接状态正常，则返回 true，否则返回 false
+   */
+  _isRedisReady() {
+    return Boolean(this.adapter) && this.adapter.isReady();
+  }
+
+  /**
+   * 通过存储适配器执行 Lua 脚本（操作名为 compositeConsume），存储未就绪、熔断中或调用超时时抛出异常，调用结果会计入熔断器
+   *
+   * @private
+   * @param {string} script - Lua 脚本
+   * @param {string[]} keys - 脚本的 KEYS
+   * @param {...*} args - 脚本的 ARGV
+   * @returns {Promise<*>} - 脚本的返回值
+   */
+  async _runScript(script, keys, ...args) {
+    if (!this._isRedisReady()) {
+      throw new Error('redis is not ready');
+    }
+    if (this.circuitBreaker && !this.circuitBreaker.allowRequest()) {
+      throw new Error('redis circuit breaker is open');
+    }
+    try {
+      const result = await withTimeout(this.adapter.execute('compositeConsume', script, keys, args), this.redisTimeout);
+      if (this.circuitBreaker) {
+        this.circuitBreaker.onSuccess();
+      }
+      return result;
+    } catch (error) {
+      if (this.circuitBreaker) {
+        this.circuitBreaker.onFailure(error);
+      }
+      throw error;
+    }
+  }
+}
+
+export default RateLimiterCompositeTokenBucketRedis;
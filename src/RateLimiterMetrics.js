@@ -0,0 +1,235 @@
+/**
+ *  @description 限流器指标：按限流器名称统计放行和拒绝次数、redis 脚本耗时以及内存中的状态，
+ *  输出 Prometheus 文本格式，或写入 OpenTelemetry 的 meter，不依赖任何指标库
+ */
+/** @typedef {import('./RateLimiterTokenBucket').RateLimitDecision} RateLimitDecision */
+
+// redis 脚本耗时直方图的默认分桶（秒）
+const DEFAULT_LATENCY_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+// 限流器每次决策触发的事件
+const DECISION_EVENTS = ['allowed', 'denied', 'locked', 'blocked'];
+
+// 采集时读取的状态指标
+const GAUGES = [
+  {
+    name: 'buckets',
+    help: 'Number of in-memory token buckets (the insurance limiter for redis limiters).',
+    value: (limiter) => {
+      const memoryLimiter = limiter.buckets ? limiter : limiter.rateLimiterTokenBucket;
+      return memoryLimiter ? memoryLimiter.buckets.size : 0;
+    },
+  },
+  {
+    name: 'blocked_keys',
+    help: 'Number of in-memory blocked and locked keys.',
+    value: (limiter) => (limiter.blockedKeys ? limiter.blockedKeys.size : 0),
+  },
+  {
+    name: 'fallback_active',
+    help: 'Whether the limiter is deciding by failMode because redis is unavailable (1) or not (0).',
+    value: (limiter, state) => state.fallbackActive,
+  },
+];
+
+/**
+ * 转义 Prometheus 标签值中的反斜杠、双引号和换行
+ *
+ * @param {*} value - 标签值
+ * @returns {string} - 转义后的标签值
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * 格式化 Prometheus 标签
+ *
+ * @param {object} labels - 标签
+ * @returns {string} - 如 {limiter="api",reason="allowed"}
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+class RateLimiterMetrics {
+  /**
+   * 构造函数
+   *
+   * @param {object} opts - 选项对象
+   * @param {string} opts.prefix - 可选，指标名称前缀，默认 token_bucket_limiter_
+   * @param {number[]} opts.latencyBuckets - 可选，redis 脚本耗时直方图的分桶（秒），默认 1ms ~ 1s
+   * @param {object} opts.meter - 可选，OpenTelemetry 的 meter（metrics.getMeter(name)），传入后同时把指标写入 OpenTelemetry
+   */
+  constructor(opts = {}) {
+    this.prefix = opts.prefix === undefined ? 'token_bucket_limiter_' : opts.prefix;
+    this.latencyBuckets = [...(opts.latencyBuckets || DEFAULT_LATENCY_BUCKETS)].sort((a, b) => a - b);
+    this.limiters = new Map(); // 限流器名称 -> { limiter, listeners, fallbackActive }
+    this.decisions = new Map(); // 标签 -> { labels, value }
+    this.latencies = new Map(); // 标签 -> { labels, counts, sum, count }
+    this.instruments = opts.meter ? this._createInstruments(opts.meter) : null;
+  }
+
+  /**
+   * 开始统计限流器的指标，支持 RateLimiterTokenBucket 和 RateLimiterTokenBucketRedis
+   *
+   * @param {object} limiter - 限流器
+   * @param {string} name - 限流器名称，作为指标的 limiter 标签，默认使用限流器的 keyPrefix
+   * @returns {RateLimiterMetrics} - 当前实例，便于链式调用
+   */
+  register(limiter, name = limiter.keyPrefix || 'default') {
+    if (this.limiters.has(name)) {
+      throw new Error(`limiter ${name} is already registered`);
+    }
+    const state = { limiter, listeners: {}, fallbackActive: 0 };
+    for (const event of DECISION_EVENTS) {
+      state.listeners[event] = ({ decision }) => {
+        this._countDecision(name, decision);
+        // redis 重新做出决策，说明已经恢复
+        if (decision.source === 'redis') {
+          state.fallbackActive = 0;
+        }
+      };
+    }
+    state.listeners.fallback = () => {
+      state.fallbackActive = 1;
+    };
+    state.listeners.redisCall = ({ durationMs, error }) => {
+      this._observeLatency(name, durationMs / 1000, error ? 'error' : 'success');
+    };
+    for (const [event, listener] of Object.entries(state.listeners)) {
+      limiter.on(event, listener);
+    }
+    this.limiters.set(name, state);
+    return this;
+  }
+
+  /**
+   * 停止统计限流器的指标，已统计的次数和耗时会保留
+   *
+   * @param {string} name - 注册时的限流器名称
+   * @returns {boolean} - 限流器已注册时返回 true
+   */
+  unregister(name) {
+    const state = this.limiters.get(name);
+    if (!state) {
+      return false;
+    }
+    for (const [event, listener] of Object.entries(state.listeners)) {
+      state.limiter.off(event, listener);
+    }
+    return this.limiters.delete(name);
+  }
+
+  /**
+   * 输出 Prometheus 文本格式的指标，可直接作为 /metrics 接口的响应（Content-Type: text/plain; version=0.0.4）
+   *
+   * @returns {string} - 指标文本
+   */
+  metrics() {
+    const lines = [];
+    const decisionsName = `${this.prefix}decisions_total`;
+    lines.push(`# HELP ${decisionsName} Rate-limit decisions by limiter, result and reason.`);
+    lines.push(`# TYPE ${decisionsName} counter`);
+    for (const { labels, value } of this.decisions.values()) {
+      lines.push(`${decisionsName}${formatLabels(labels)} ${value}`);
+    }
+
+    const latencyName = `${this.prefix}redis_script_duration_seconds`;
+    lines.push(`# HELP ${latencyName} Latency of redis script calls in seconds.`);
+    lines.push(`# TYPE ${latencyName} histogram`);
+    for (const { labels, counts, sum, count } of this.latencies.values()) {
+      this.latencyBuckets.forEach((le, i) => {
+        lines.push(`${latencyName}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`);
+      });
+      lines.push(`${latencyName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${latencyName}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${latencyName}_count${formatLabels(labels)} ${count}`);
+    }
+
+    for (const gauge of GAUGES) {
+      const gaugeName = `${this.prefix}${gauge.name}`;
+      lines.push(`# HELP ${gaugeName} ${gauge.help}`);
+      lines.push(`# TYPE ${gaugeName} gauge`);
+      for (const [name, state] of this.limiters) {
+        lines.push(`${gaugeName}${formatLabels({ limiter: name })} ${gauge.value(state.limiter, state)}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * 统计一次限流决策
+   * @private
+   * @param {string} name - 限流器名称
+   * @param {RateLimitDecision} decision - 限流决策
+   */
+  _countDecision(name, decision) {
+    const labels = { limiter: name, result: decision.allowed ? 'allowed' : 'denied', reason: decision.reason };
+    const key = `${labels.limiter}\n${labels.result}\n${labels.reason}`;
+    const entry = this.decisions.get(key);
+    if (entry) {
+      entry.value++;
+    } else {
+      this.decisions.set(key, { labels, value: 1 });
+    }
+    if (this.instruments) {
+      this.instruments.decisions.add(1, labels);
+    }
+  }
+
+  /**
+   * 记录一次 redis 脚本调用的耗时
+   * @private
+   * @param {string} name - 限流器名称
+   * @param {number} seconds - 耗时（秒）
+   * @param {string} status - success 成功 | error 失败
+   */
+  _observeLatency(name, seconds, status) {
+    const labels = { limiter: name, status };
+    const key = `${name}\n${status}`;
+    let entry = this.latencies.get(key);
+    if (!entry) {
+      entry = { labels, counts: this.latencyBuckets.map(() => 0), sum: 0, count: 0 };
+      this.latencies.set(key, entry);
+    }
+    this.latencyBuckets.forEach((le, i) => {
+      if (seconds <= le) {
+        entry.counts[i]++;
+      }
+    });
+    entry.sum += seconds;
+    entry.count++;
+    if (this.instruments) {
+      this.instruments.latency.record(seconds, labels);
+    }
+  }
+
+  /**
+   * 创建 OpenTelemetry 的计数器、直方图和在采集时读取的状态指标
+   * @private
+   * @param {object} meter - OpenTelemetry 的 meter
+   * @returns {{ decisions: object, latency: object }} - 计数器和直方图
+   */
+  _createInstruments(meter) {
+    for (const gauge of GAUGES) {
+      meter.createObservableGauge(`${this.prefix}${gauge.name}`, { description: gauge.help }).addCallback((result) => {
+        for (const [name, state] of this.limiters) {
+          result.observe(gauge.value(state.limiter, state), { limiter: name });
+        }
+      });
+    }
+    return {
+      decisions: meter.createCounter(`${this.prefix}decisions`, {
+        description: 'Rate-limit decisions by limiter, result and reason.',
+      }),
+      latency: meter.createHistogram(`${this.prefix}redis_script_duration`, {
+        description: 'Latency of redis script calls in seconds.',
+        unit: 's',
+      }),
+    };
+  }
+}
+
+export default RateLimiterMetrics;
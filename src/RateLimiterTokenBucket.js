@@ -2,42 +2,144 @@
  *  @description 令牌桶限流器（基于内存）
  */
 
-import { getClientIp } from './utils';
+/**
+ * 限流决策
+ * @typedef {object} RateLimitDecision
+ * @property {boolean} allowed - 是否放行
+ * @property {number} remaining - 放行后桶中剩余的令牌数，拒绝时为0
+ * @property {number} limit - 桶的容量
+ * @property {number} retryAfterMs - 被拒绝时建议的重试等待时间（毫秒），放行时为0
+ * @property {number} resetAtMs - 桶回满（或阻塞解除）的时间戳（毫秒）
+ * @property {'allowed'|'exhausted'|'locked'|'blocked'|'unavailable'|'allowlisted'|'banned'} reason - 决策原因：放行、令牌不足、限流惩罚中、内存阻塞中、redis 不可用、在白名单中、在黑名单或封禁名单中
+ * @property {'memory'|'redis'|'insurance'|'fail-open'|'fail-closed'|'lease'} source - 决策来源
+ */
+
+/**
+ * 令牌桶状态
+ * @typedef {object} BucketState
+ * @property {number} tokens - 当前桶中的令牌数（已计入投放）
+ * @property {number} limit - 桶的容量
+ * @property {boolean} locked - 是否处于限流惩罚中
+ * @property {number} lockTtlMs - 限流惩罚剩余毫秒数
+ * @property {boolean} blocked - 是否处于内存阻塞中
+ * @property {number} blockTtlMs - 内存阻塞剩余毫秒数
+ */
+
+/**
+ * 限流事件（allowed、denied、locked、blocked）的参数
+ * @typedef {object} RateLimitEvent
+ * @property {string} key - 令牌标识
+ * @property {string} blockKey - 阻塞键标识
+ * @property {number} cost - 请求消耗的令牌数
+ * @property {number} balance - 本次请求后桶中的令牌数，限流时可能为负数
+ * @property {RateLimitDecision} decision - 限流决策
+ */
 
-class RateLimiterTokenBucket {
+/** @typedef {import('./AccessList').AccessListEntry} AccessListEntry */
+
+import { EventEmitter } from 'events';
+import { getAbortReason, getDecisionEvent, getRefillDelay, resolveAccessListName, resolveClock, resolveRefillOptions, sleep, toClientIpResolver } from './utils';
+import { createLogger } from './logger';
+import MemoryStore from './MemoryStore';
+import BlockWindow from './BlockWindow';
+import AccessList from './AccessList';
+import WaitTimeoutError from './WaitTimeoutError';
+import Reservation from './Reservation';
+import { buildAlgorithmDecision, cloneState, getAlgorithmParams, resolveAlgorithm, runAlgorithm } from './algorithms';
+
+/**
+ * 事件：allowed 放行 | denied 令牌不足 | locked 限流惩罚中 | blocked 内存阻塞中（或被封禁），参数为 RateLimitEvent
+ */
+class RateLimiterTokenBucket extends EventEmitter {
   /**
    * 构造函数
    *
    * @param {object} opts - 选项对象
    * @param {number} opts.tokenPerSecond - 每秒允许的令牌数
+   * @param {number} opts.tokenPerInterval - 可选，每个投放间隔投放的令牌数，默认按 tokenPerSecond 换算，如每分钟10个：{ tokenPerInterval: 10, refillInterval: 60000 }
+   * @param {number} opts.refillInterval - 可选，投放令牌的时间间隔（毫秒），默认1000
+   * @param {boolean} opts.continuousRefill - 可选，是否按经过的毫秒数连续投放（小数个）令牌，默认 false
    * @param {number} opts.capacity - 容量（最大突发流量）
+   * @param {string} opts.algorithm - 可选，限流算法：token-bucket 令牌桶 | gcra 均匀间隔 | sliding-window-log 滑动窗口日志（精确）|
+   *   sliding-window-counter 滑动窗口计数（近似）| leaky-bucket 漏桶队列，默认 token-bucket。各算法的长期速率相同，
+   *   滑动窗口的长度为 capacity 个令牌的投放时间，窗口内最多放行 capacity 个；waitForToken、reserve 和 refund 只支持令牌桶
    * @param {string} opts.keyPrefix - 键名前缀
    * @param {number} opts.lockDuration - 触发限流后的阻塞时间（秒）
-   * @param {number} opts.inMemoryBlockOnConsumed - 1分钟消耗令牌数触发阻塞的阈值
-   * @param {number} opts.inMemoryBlockDuration - 1分钟消耗令牌数触发阻塞的阻塞时间（秒）
+   * @param {number} opts.inMemoryBlockOnConsumed - 窗口内（默认1分钟）消耗数触发阻塞的阈值
+   * @param {number} opts.inMemoryBlockDuration - 窗口内消耗数触发阻塞的阻塞时间（秒）
+   * @param {number} opts.inMemoryBlockWindow - 可选，内存阻塞策略计数窗口的长度（毫秒），默认60000
+   * @param {'requests'|'tokens'} opts.inMemoryBlockCountBy - 可选，按请求次数（requests）还是消耗的令牌数（tokens）计数，默认 requests
+   * @param {boolean} opts.inMemoryBlockSlidingWindow - 可选，是否使用滑动窗口计数，默认 false（固定窗口）
+   * @param {object|boolean} opts.inMemoryBlockEscalation - 可选，屡次触发阻塞时加长阻塞时间 { factor, resetAfter, maxDuration }，默认不加长
+   * @param {function|object} opts.ipResolver - 可选，客户端ip解析函数，或可信代理配置 { trustedProxies, hops, ipv6Subnet }
+   * @param {Array<string|object>} opts.allowList - 可选，白名单，不限流，条目为完整的键、以 * 结尾的键前缀或 IP 网段（只与客户端ip比较），
+   *   可以传入 { key, ttl } 设置过期时间（秒）
+   * @param {Array<string|object>} opts.denyList - 可选，黑名单，直接拒绝，优先于白名单，格式同 allowList
+   * @param {number} opts.maxKeys - 可选，内存中最多保存的令牌桶数，超过时淘汰最久未使用的桶，默认1000000
+   * @param {object} opts.logger - 可选，日志对象，如 console、pino，默认不输出日志
+   * @param {'debug'|'info'|'warn'|'error'} opts.logLevel - 可选，输出日志的最低级别，默认 info，每次请求的决策为 debug 级别
+   * @param {object} opts.clock - 可选，时钟 { now, setTimeout, clearTimeout }，至少需要实现 now()，测试中可以传入 FakeClock，默认使用系统时钟
    */
   constructor(opts) {
-    this.tokenPerSecond = opts.tokenPerSecond; // 每s允许令牌数
+    super();
     this.capacity = opts.capacity; // 容量（最大突发流量）
+    const refill = resolveRefillOptions(opts);
+    this.tokenPerSecond = refill.tokenPerSecond; // 每s允许令牌数
+    this.tokenPerInterval = refill.tokenPerInterval; // 每个投放间隔投放的令牌数
+    this.refillInterval = refill.refillInterval; // 投放间隔ms
+    this.continuousRefill = refill.continuousRefill; // 是否连续投放
+    this.bucketTtl = refill.bucketTtl; // 桶在最后一次使用后至少保留的时间ms
+    this.algorithm = resolveAlgorithm(opts); // 限流算法
+    this.algorithmParams = getAlgorithmParams({ capacity: this.capacity, ...refill }); // 令牌桶之外的算法的参数
     this.keyPrefix = opts.keyPrefix;
     this.lockDuration = opts.lockDuration || 0; // 触发限流后的阻塞时间s
-    this.inMemoryBlockOnConsumed = opts.inMemoryBlockOnConsumed; // 1分钟消耗token数触发阻塞的阈值
+    this.inMemoryBlockOnConsumed = opts.inMemoryBlockOnConsumed; // 窗口内消耗数触发阻塞的阈值
     this.inMemoryBlockDuration = opts.inMemoryBlockDuration; // 阻塞时间s
+    this.blockWindow = opts.inMemoryBlockOnConsumed ? new BlockWindow(opts) : null; // 内存阻塞策略的窗口计数
+    this.collectThreshold = 1000; // 内存阻塞状态超过该数量时收集过期的状态
+    this.ipResolver = toClientIpResolver(opts.ipResolver); // 客户端ip解析
+    this.clock = resolveClock(opts.clock); // 时钟
+    this.logger = createLogger(opts.logger, opts.logLevel); // 日志
+    this.allowList = new AccessList(opts.allowList, this.clock.now()); // 白名单
+    this.denyList = new AccessList(opts.denyList, this.clock.now()); // 黑名单
+    this.bans = new AccessList(); // 通过 ban 添加的封禁名单
 
-    // 存储令牌桶状态的Map
-    this.buckets = new Map();
+    // 存储令牌桶状态，桶回满后惰性清除，超过 maxKeys 时淘汰最久未使用的桶
+    this.buckets = new MemoryStore({ maxKeys: opts.maxKeys });
     // 存储阻塞状态的Map
     this.blockedKeys = new Map();
   }
 
+  /**
+   * 解析请求的客户端ip，配置了 ipResolver 时按可信代理规则解析
+   *
+   * @param {object} req - 请求对象
+   * @returns {string} - 客户端ip
+   */
+  resolveClientIp(req) {
+    return this.ipResolver(req);
+  }
+
   /**
    * @param {string} tokenKey - 限流键值，默认ip，如传入则组合在ip后 ip+key
    * @param {string} blockKey - 可选，阻塞键标识，通常是ip或用户id，默认ip
    * @returns {number} - 返回当前可用的令牌数
    */
   getTokenUseIp(req, tokenKey = '', blockKey = '') {
-    const ip = getClientIp(req);
-    return this.getToken(ip + tokenKey, blockKey || ip);
+    const ip = this.resolveClientIp(req);
+    return this.getToken(ip + tokenKey, blockKey || ip, 1, ip);
+  }
+
+  /**
+   * 以 ip 作为键消耗令牌，返回完整的限流决策
+   *
+   * @param {string} tokenKey - 限流键值，默认ip，如传入则组合在ip后 ip+key
+   * @param {string} blockKey - 可选，阻塞键标识，通常是ip或用户id，默认ip
+   * @returns {RateLimitDecision} - 限流决策
+   */
+  consumeUseIp(req, tokenKey = '', blockKey = '') {
+    const ip = this.resolveClientIp(req);
+    return this.consume(ip + tokenKey, blockKey || ip, 1, ip);
   }
 
   /**
@@ -45,69 +147,78 @@ class RateLimiterTokenBucket {
    * @private
    * @param {string} fullTokenKey - 完整的令牌键
    * @param {number} requestedTokens - 请求的令牌数
-   * @returns {[number, number]} - [是否触发限流(1限流 0通过), 当前桶中的令牌数]
+   * @returns {[number, number, number, number]} - [是否触发限流(2限流惩罚中 1限流 0通过), 当前桶中的令牌数, 距下次投放令牌的毫秒数, 限流惩罚剩余毫秒数]
    */
   _calculateTokens(fullTokenKey, requestedTokens) {
     // 检查是否已经被限流惩罚
     const lockKey = `${fullTokenKey}-lock`;
     if (this._isKeyBlocked(lockKey)) {
-      return [1, 0];
+      return [2, 0, 0, this.blockedKeys.get(lockKey) - this.clock.now()];
     }
 
-    const now = Date.now();
-    let bucket = this.buckets.get(fullTokenKey);
-
-    // 令牌桶不存在，初始化为满桶
-    if (!bucket) {
-      const bucketAmount = this.capacity;
-      bucket = {
-        tokens: bucketAmount,
-        lastRefillTime: now,
-        // 添加定时器，一分钟后自动清除，避免内存泄漏
-        timer: setTimeout(() => {
-          const bucket = this.buckets.get(fullTokenKey);
-          if (bucket) {
-            clearTimeout(bucket.timer);  // 清理定时器
-            this.buckets.delete(fullTokenKey);
-          }
-        }, 60000),
-      };
-      this.buckets.set(fullTokenKey, bucket);
-      return [0, bucketAmount];
-    }
+    const now = this.clock.now();
+    // 令牌桶不存在（或已回满被清除）时视为刚刚回满的满桶，与 redis 中的 Lua 脚本一致，第一次请求同样扣减令牌
+    const bucket = this.buckets.get(fullTokenKey, now) || { tokens: this.capacity, lastRefillTime: now };
 
     // 判断是不是该放入新令牌到桶中了
     const pastTime = now - bucket.lastRefillTime;
-    let bucketAmount;
+    let lastRefillTime = bucket.lastRefillTime;
+    let refilledTokens;
 
-    // 如果上次投放时间到现在的时间小于一个时间单位(1s)，则直接从令牌桶中取走令牌
-    if (pastTime < 1000) {
-      bucketAmount = bucket.tokens - requestedTokens;
+    if (this.continuousRefill) {
+      // 连续投放，按经过的毫秒数放入小数个令牌
+      const pastInflowQuantity = pastTime * this.tokenPerInterval / this.refillInterval;
+      refilledTokens = bucket.tokens + pastInflowQuantity;
+      lastRefillTime = now;
+    } else if (pastTime < this.refillInterval) {
+      // 如果上次投放时间到现在的时间小于一个投放间隔，则直接从令牌桶中取走令牌
+      refilledTokens = bucket.tokens;
     } else {
-      // 如果已过去1s，需要放入一些令牌
-      const pastSeconds = Math.floor(pastTime / 1000); // 计算已过去多少s
-      const pastInflowQuantity = pastSeconds * this.tokenPerSecond; // 计算应该放入多少令牌
-      bucketAmount = bucket.tokens + pastInflowQuantity - requestedTokens; // 计算当前桶中的令牌数
-
-      // 更新最后填充时间
-      const lastTime = bucket.lastRefillTime + pastSeconds * 1000;
-      bucket.lastRefillTime = lastTime;
+      // 如果已过去至少一个投放间隔，需要放入一些令牌
+      const pastIntervals = Math.floor(pastTime / this.refillInterval); // 计算已过去多少个间隔
+      const pastInflowQuantity = pastIntervals * this.tokenPerInterval; // 计算应该放入多少令牌
+      refilledTokens = bucket.tokens + pastInflowQuantity; // 计算当前桶中的令牌数
+      lastRefillTime += pastIntervals * this.refillInterval; // 本次投放的时间
     }
 
-    // 确保桶中的令牌数不超过容量，最多填充满桶
-    bucketAmount = Math.min(bucketAmount, this.capacity);
-    bucket.tokens = bucketAmount;
+    // 先确保桶中的令牌数不超过容量，再扣减本次请求的令牌，超出容量的投放不能抵扣消耗
+    const bucketAmount = Math.min(refilledTokens, this.capacity) - requestedTokens;
+    const nextRefillMs = lastRefillTime + this.refillInterval - now;
 
-    // 如果桶中剩余数量小于0，则看看是否需要限流惩罚
-    if (bucketAmount <= 0) {
+    // 如果桶中剩余数量小于0，则看看是否需要限流惩罚；被拒绝的请求不扣减令牌，桶保持不变
+    if (bucketAmount < 0) {
       if (this.lockDuration > 0) {
         // 使用令牌桶限流的阻塞策略
         this._setLockDuration(fullTokenKey);
+        return [1, bucketAmount, nextRefillMs, this.lockDuration * 1000];
       }
-      return [1, 0]; // 触发限流，返回0
+      return [1, bucketAmount, nextRefillMs, 0]; // 触发限流
     }
 
-    return [0, bucketAmount];
+    // 可以成功扣减令牌，更新令牌桶
+    bucket.tokens = bucketAmount;
+    bucket.lastRefillTime = lastRefillTime;
+    bucket.expiresAt = this._getBucketExpiresAt(bucket, now);
+    this.buckets.set(fullTokenKey, bucket, now);
+    return [0, bucketAmount, nextRefillMs, 0];
+  }
+
+  /**
+   * 计算令牌桶的过期时间：桶回满后才可以清除，否则重建的满桶会多放行请求；
+   * 与 redis 中桶的过期时间一致，最后一次使用后至少保留 bucketTtl
+   * @private
+   * @param {object} bucket - 令牌桶
+   * @param {number} now - 当前时间戳（毫秒）
+   * @returns {number} - 过期时间戳（毫秒），不投放令牌时为 Infinity
+   */
+  _getBucketExpiresAt(bucket, now) {
+    const fullAfterMs = getRefillDelay(this.capacity - bucket.tokens, {
+      tokenPerInterval: this.tokenPerInterval,
+      refillInterval: this.refillInterval,
+      nextRefillMs: bucket.lastRefillTime + this.refillInterval - now,
+      continuous: this.continuousRefill,
+    });
+    return now + Math.max(fullAfterMs, this.bucketTtl);
   }
 
   /**
@@ -116,50 +227,570 @@ class RateLimiterTokenBucket {
    * @param {string} tokenKey - 令牌标识
    * @param {string} blockKey - 可选，阻塞键标识，用于1分钟窗口阻塞，通常是ip或用户id
    * @param {number} requestedTokens - 请求消耗的令牌数，默认值为1
+   * @param {string} clientIp - 可选，客户端ip，用于匹配白名单、黑名单和封禁名单中的网段
    * @returns {number} - 返回当前可用的令牌数
    */
+  getToken(tokenKey, blockKey = '', requestedTokens = 1, clientIp = '') {
+    const decision = this.consume(tokenKey, blockKey, requestedTokens, clientIp);
+    return decision.allowed ? decision.remaining : 0;
+  }
+
+  /**
+   * 批量获取令牌，按顺序逐个判断，与 RateLimiterTokenBucketRedis 的 getTokens 保持一致
+   *
+   * @param {Array<{ key: string, cost: number, blockKey: string }>} requests - 请求列表，cost 默认1，blockKey 可选
+   * @returns {number[]} - 与请求顺序一致的可用令牌数，被拒绝的请求为0
+   */
+  getTokens(requests) {
+    return requests.map(({ key, cost = 1, blockKey = '' }) => this.getToken(key, blockKey, cost));
+  }
+
+  /**
+   * 消耗令牌，返回完整的限流决策，而不是单纯的令牌数
+   *
+   * @param {string} tokenKey - 令牌标识
+   * @param {string} blockKey - 可选，阻塞键标识，用于1分钟窗口阻塞，通常是ip或用户id
+   * @param {number} requestedTokens - 请求消耗的令牌数，默认值为1
+   * @param {string} clientIp - 可选，客户端ip，用于匹配白名单、黑名单和封禁名单中的网段
+   * @returns {RateLimitDecision} - 限流决策
+   */
   // eslint-disable-next-line complexity
-  getToken(tokenKey, blockKey = '', requestedTokens = 1) {
+  consume(tokenKey, blockKey = '', requestedTokens = 1, clientIp = '') {
     const fullTokenKey = this.keyPrefix + tokenKey;
     const fullBlockedKey = blockKey ? this.keyPrefix + blockKey : fullTokenKey;
 
-    // 如果键被阻塞，则返回0（内存阻塞策略优先）
+    // 黑名单和封禁名单直接拒绝，白名单直接放行，都不计入令牌桶和内存阻塞策略
+    const listedDecision = this._accessListDecision(tokenKey, blockKey, clientIp);
+    if (listedDecision) {
+      return this._emitDecision(listedDecision, tokenKey, blockKey, requestedTokens, listedDecision.remaining);
+    }
+
+    // 如果键被阻塞，则拒绝（内存阻塞策略优先）
     if (this._isKeyBlocked(fullBlockedKey)) {
-      return 0;
-    }
-
-    // 如果设置了inMemoryBlockOnConsumed选项，该策略为固定窗口限流策略
-    if (this.inMemoryBlockOnConsumed) {
-      // 获取该键在一分钟内消耗的令牌数和最后一次请求的时间戳
-      const { consumedTokens, firstRequest } = this.blockedKeys.get(`${fullBlockedKey}:consumed`) || { consumedTokens: 0, firstRequest: 0 };
-
-      // 如果当前时间与最后一次请求的时间差超过一分钟
-      if (firstRequest && Date.now() - firstRequest >= 60000) {
-        // 清除该键的消耗记录，重置状态
-        this.blockedKeys.delete(`${fullBlockedKey}:consumed`);
-      } else if (consumedTokens >= this.inMemoryBlockOnConsumed) {
-        this.blockedKeys.delete(`${fullBlockedKey}:consumed`);
-        // 使用内存限流的阻塞策略
-        this._blockKey(fullBlockedKey);
-      }
-      const currentConsumedTokens = consumedTokens + 1;
-      // 增加该键在一分钟内消耗的令牌数
-      this.blockedKeys.set(`${fullBlockedKey}:consumed`, { consumedTokens: currentConsumedTokens, firstRequest });
-      // 更新首次请求的时间戳
-      if (!firstRequest) {
-        this.blockedKeys.set(`${fullBlockedKey}:consumed`, { consumedTokens: currentConsumedTokens, firstRequest: Date.now() });
+      return this._emitDecision(this._blockedDecision(fullBlockedKey), tokenKey, blockKey, requestedTokens, 0);
+    }
+
+    // 如果设置了inMemoryBlockOnConsumed选项，统计阻塞键在窗口内的消耗，达到阈值时在内存中阻塞该键
+    if (this.blockWindow) {
+      const blockMs = this.blockWindow.hit(fullBlockedKey, requestedTokens, this.clock.now());
+      if (blockMs > 0) {
+        this._blockKey(fullBlockedKey, blockMs);
       }
-      // 当阻塞键的数量超过999时，收集过期的阻塞键，防止内存泄漏
-      if (this.blockedKeys.size > 999) {
+      // 状态数量超过上次收集后的两倍时才收集过期的状态，避免数量较多时每次请求都遍历
+      if (this.blockedKeys.size + this.blockWindow.size > this.collectThreshold) {
         this._collectExpiredBlockedKeys();
       }
     }
 
+    // 令牌桶之外的算法
+    if (this.algorithm !== 'token-bucket') {
+      const decision = this._consumeAlgorithm(fullTokenKey, requestedTokens);
+      return this._emitDecision(decision, tokenKey, blockKey, requestedTokens, decision.remaining);
+    }
+
     // 计算令牌数
-    const [limitTriggered, tokenBalance] = this._calculateTokens(fullTokenKey, requestedTokens);
+    const [limitTriggered, tokenBalance, nextRefillMs, lockTtlMs] = this._calculateTokens(fullTokenKey, requestedTokens);
+
+    const decision = this._buildDecision(limitTriggered, tokenBalance, nextRefillMs, lockTtlMs);
+    return this._emitDecision(decision, tokenKey, blockKey, requestedTokens, tokenBalance);
+  }
+
+  /**
+   * 按令牌桶之外的算法消耗，触发限流时与令牌桶一样按 lockDuration 进入限流惩罚
+   * @private
+   * @param {string} fullTokenKey - 完整的令牌键
+   * @param {number} requestedTokens - 请求消耗的数量
+   * @returns {RateLimitDecision} - 限流决策
+   */
+  _consumeAlgorithm(fullTokenKey, requestedTokens) {
+    const now = this.clock.now();
+    const lockKey = `${fullTokenKey}-lock`;
+    const base = { algorithm: this.algorithm, capacity: this.capacity, now, source: 'memory' };
+    if (this._isKeyBlocked(lockKey)) {
+      const lockTtlMs = this.blockedKeys.get(lockKey) - now;
+      return buildAlgorithmDecision({ ...base, status: 2, remaining: 0, retryAfterMs: 0, lockTtlMs, resetAfterMs: 0, delayMs: 0 });
+    }
+    const state = this.buckets.get(fullTokenKey, now) || {};
+    const [allowed, remaining, retryAfterMs, resetAfterMs, delayMs] = runAlgorithm(this.algorithm, state, requestedTokens, now, this.algorithmParams);
+    // 状态恢复到初始值后即可清除
+    if (resetAfterMs > 0) {
+      state.expiresAt = now + resetAfterMs;
+      this.buckets.set(fullTokenKey, state, now);
+    }
+    let lockTtlMs = 0;
+    if (!allowed && this.lockDuration > 0) {
+      this._setLockDuration(fullTokenKey);
+      lockTtlMs = this.lockDuration * 1000;
+    }
+    return buildAlgorithmDecision({ ...base, status: allowed ? 0 : 1, remaining, retryAfterMs, lockTtlMs, resetAfterMs, delayMs });
+  }
+
+  /**
+   * 只支持令牌桶的方法在使用其他算法时抛出错误
+   * @private
+   * @param {string} method - 方法名
+   */
+  _assertTokenBucket(method) {
+    if (this.algorithm !== 'token-bucket') {
+      throw new Error(`${method} is only supported by the token-bucket algorithm, got ${this.algorithm}`);
+    }
+  }
+
+  /**
+   * 等待直到有足够的令牌，用于不希望直接拒绝的场景（如调用第三方接口）
+   * 调用时立即按顺序预留令牌（桶中的令牌数可以为负），再等待预留的令牌投放完成，因此同一个键的等待者按调用顺序（FIFO）依次放行；
+   * 处于限流惩罚中时先等待惩罚结束再预留。不经过名单和内存阻塞策略
+   *
+   * @param {string} tokenKey - 令牌标识
+   * @param {number} requestedTokens - 请求的令牌数，默认值为1，不能超过桶的容量
+   * @param {object} opts - 选项对象
+   * @param {number} opts.maxWaitMs - 可选，最长等待时间（毫秒），需要等待更久时不预留令牌，直接以 WaitTimeoutError reject，默认不限制
+   * @param {AbortSignal} opts.signal - 可选，中止信号，中止时退还预留的令牌并以 signal.reason reject
+   * @returns {Promise<RateLimitDecision>} - 放行的限流决策
+   */
+  async waitForToken(tokenKey = '', requestedTokens = 1, opts = {}) {
+    const { maxWaitMs = Infinity, signal } = opts;
+    this._assertTokenBucket('waitForToken');
+    if (requestedTokens > this.capacity) {
+      throw new RangeError(`requestedTokens ${requestedTokens} exceeds capacity ${this.capacity}`);
+    }
+    const fullTokenKey = this.keyPrefix + tokenKey;
+    const deadline = this.clock.now() + maxWaitMs;
+    for (;;) {
+      // 已中止时不再预留
+      if (signal?.aborted) {
+        throw getAbortReason(signal);
+      }
+      const reservedAt = this.clock.now();
+      const [status, tokenBalance, waitMs, nextRefillMs] = this._reserveTokens(fullTokenKey, requestedTokens, deadline - reservedAt);
+      if (status === 0) {
+        try {
+          await sleep(waitMs, signal, this.clock);
+        } catch (error) {
+          this.refund(tokenKey, requestedTokens);
+          throw error;
+        }
+        const decision = this._buildWaitDecision(tokenBalance, nextRefillMs, reservedAt, 'memory');
+        return this._emitDecision(decision, tokenKey, '', requestedTokens, tokenBalance);
+      }
+      if (status === 1 || reservedAt + waitMs > deadline) {
+        throw new WaitTimeoutError(tokenKey, requestedTokens, waitMs, maxWaitMs);
+      }
+      // 限流惩罚结束后重新预留
+      await sleep(waitMs, signal, this.clock);
+    }
+  }
+
+  /**
+   * 预留令牌，令牌不足时桶中的令牌数变为负数，返回补足所需的等待时间
+   * @private
+   * @param {string} fullTokenKey - 完整的令牌键
+   * @param {number} requestedTokens - 请求的令牌数
+   * @param {number} maxWaitMs - 最长等待时间（毫秒）
+   * @returns {[number, number, number, number]} - [状态(2限流惩罚中 1等待时间超过 maxWaitMs 0已预留), 预留后桶中的令牌数, 需要等待的毫秒数, 距下次投放令牌的毫秒数]
+   */
+  _reserveTokens(fullTokenKey, requestedTokens, maxWaitMs) {
+    const lockKey = `${fullTokenKey}-lock`;
+    if (this._isKeyBlocked(lockKey)) {
+      return [2, 0, this.blockedKeys.get(lockKey) - this.clock.now(), 0];
+    }
+    const now = this.clock.now();
+    const bucket = this.buckets.get(fullTokenKey, now) || { tokens: this.capacity, lastRefillTime: now };
+    this._refillBucket(bucket, now);
+    const nextRefillMs = bucket.lastRefillTime + this.refillInterval - now;
+    const tokenBalance = bucket.tokens - requestedTokens;
+    const waitMs = getRefillDelay(-tokenBalance, {
+      tokenPerInterval: this.tokenPerInterval,
+      refillInterval: this.refillInterval,
+      nextRefillMs,
+      continuous: this.continuousRefill,
+    });
+    if (waitMs > maxWaitMs) {
+      return [1, bucket.tokens, waitMs, nextRefillMs];
+    }
+    bucket.tokens = tokenBalance;
+    bucket.expiresAt = this._getBucketExpiresAt(bucket, now);
+    this.buckets.set(fullTokenKey, bucket, now);
+    return [0, tokenBalance, waitMs, nextRefillMs];
+  }
+
+  /**
+   * 按预估的消耗预留令牌，用于执行完成后才知道实际消耗的任务（如调用大模型接口），令牌不足时不预留并返回拒绝的预留
+   * 任务完成后调用 commit(actualCost) 按实际消耗结算（多退少补），或调用 cancel() 退还；超时未结算时自动退还预估的令牌。
+   * 不经过名单和内存阻塞策略
+   *
+   * @param {string} tokenKey - 令牌标识
+   * @param {number} estimatedCost - 预估的消耗，默认值为1，不能超过桶的容量
+   * @param {object} opts - 选项对象
+   * @param {number} opts.ttlMs - 可选，预留的超时时间（毫秒），默认60000
+   * @returns {Reservation} - 预留，allowed 为 false 时没有预留令牌
+   */
+  reserve(tokenKey = '', estimatedCost = 1, opts = {}) {
+    const { ttlMs = 60000 } = opts;
+    this._assertTokenBucket('reserve');
+    if (estimatedCost > this.capacity) {
+      throw new RangeError(`estimatedCost ${estimatedCost} exceeds capacity ${this.capacity}`);
+    }
+    const fullTokenKey = this.keyPrefix + tokenKey;
+    const [status, tokenBalance, waitMs, nextRefillMs] = this._reserveTokens(fullTokenKey, estimatedCost, 0);
+    let decision;
+    if (status === 2) {
+      decision = this._blockedDecision(fullTokenKey);
+    } else {
+      decision = this._buildDecision(status, tokenBalance, nextRefillMs, 0);
+      // 预留只要求令牌数不小于预估的消耗
+      decision.retryAfterMs = status === 1 ? waitMs : 0;
+    }
+    this._emitDecision(decision, tokenKey, '', estimatedCost, tokenBalance);
+    return new Reservation({
+      key: tokenKey,
+      cost: estimatedCost,
+      decision,
+      ttlMs,
+      settle: (delta) => this._settleTokens(fullTokenKey, delta),
+      clock: this.clock,
+    });
+  }
+
+  /**
+   * 结算预留的令牌，先按经过的时间投放令牌，再补扣（桶中的令牌数可以为负）或退还（最多退还到桶的容量）
+   * @private
+   * @param {string} fullTokenKey - 完整的令牌键
+   * @param {number} delta - 补扣的令牌数，负数为退还
+   * @returns {number} - 结算后桶中的令牌数
+   */
+  _settleTokens(fullTokenKey, delta) {
+    const now = this.clock.now();
+    let bucket = this.buckets.get(fullTokenKey, now);
+    if (!bucket) {
+      // 令牌桶不存在即为满桶，无需退还
+      if (delta <= 0) {
+        return this.capacity;
+      }
+      bucket = { tokens: this.capacity, lastRefillTime: now };
+    }
+    this._refillBucket(bucket, now);
+    bucket.tokens = Math.min(bucket.tokens - delta, this.capacity);
+    bucket.expiresAt = this._getBucketExpiresAt(bucket, now);
+    this.buckets.set(fullTokenKey, bucket, now);
+    return bucket.tokens;
+  }
 
-    console.log(`Request ${limitTriggered ? 'denied' : 'allowed'}. Token balance: ${tokenBalance}`);
-    return limitTriggered === 0 ? tokenBalance : 0;
+  /**
+   * 按经过的时间向桶中投放令牌，最多投放到桶的容量
+   * @private
+   * @param {object} bucket - 令牌桶
+   * @param {number} now - 当前时间戳（毫秒）
+   */
+  _refillBucket(bucket, now) {
+    const pastTime = now - bucket.lastRefillTime;
+    if (this.continuousRefill) {
+      bucket.tokens += pastTime * this.tokenPerInterval / this.refillInterval;
+      bucket.lastRefillTime = now;
+    } else if (pastTime >= this.refillInterval) {
+      const pastIntervals = Math.floor(pastTime / this.refillInterval);
+      bucket.tokens += pastIntervals * this.tokenPerInterval;
+      bucket.lastRefillTime += pastIntervals * this.refillInterval;
+    }
+    bucket.tokens = Math.min(bucket.tokens, this.capacity);
+  }
+
+  /**
+   * 构造等待令牌后放行的限流决策
+   * @private
+   * @param {number} tokenBalance - 预留后桶中的令牌数，等待时为负数
+   * @param {number} nextRefillMs - 预留时距下次投放令牌的毫秒数
+   * @param {number} reservedAt - 预留的时间戳（毫秒）
+   * @param {string} source - 决策来源
+   * @returns {RateLimitDecision} - 限流决策
+   */
+  _buildWaitDecision(tokenBalance, nextRefillMs, reservedAt, source) {
+    const refill = {
+      tokenPerInterval: this.tokenPerInterval,
+      refillInterval: this.refillInterval,
+      nextRefillMs,
+      continuous: this.continuousRefill,
+    };
+    return {
+      allowed: true,
+      remaining: Math.max(tokenBalance, 0),
+      limit: this.capacity,
+      retryAfterMs: 0,
+      // 预留的令牌也需要投放完成
+      resetAtMs: reservedAt + getRefillDelay(this.capacity - tokenBalance, refill),
+      reason: 'allowed',
+      source,
+    };
+  }
+
+  /**
+   * 按限流决策触发 allowed、denied、locked 或 blocked 事件，并输出 debug 日志
+   * @private
+   * @param {RateLimitDecision} decision - 限流决策
+   * @param {string} tokenKey - 令牌标识
+   * @param {string} blockKey - 阻塞键标识
+   * @param {number} requestedTokens - 请求消耗的令牌数
+   * @param {number} tokenBalance - 桶中的令牌数
+   * @returns {RateLimitDecision} - 传入的限流决策
+   */
+  _emitDecision(decision, tokenKey, blockKey, requestedTokens, tokenBalance) {
+    const event = getDecisionEvent(decision);
+    this.logger.debug(`Request ${event}. Key: ${tokenKey}, token balance: ${tokenBalance}`);
+    this.emit(event, { key: tokenKey, blockKey, cost: requestedTokens, balance: tokenBalance, decision });
+    return decision;
+  }
+
+  /**
+   * 根据令牌计算结果构造限流决策
+   * @private
+   * @param {number} limitTriggered - 是否触发限流(2限流惩罚中 1限流 0通过)
+   * @param {number} tokenBalance - 当前桶中的令牌数，限流时为扣减后的负数
+   * @param {number} nextRefillMs - 距下次投放令牌的毫秒数
+   * @param {number} lockTtlMs - 限流惩罚剩余毫秒数
+   * @returns {RateLimitDecision} - 限流决策
+   */
+  _buildDecision(limitTriggered, tokenBalance, nextRefillMs, lockTtlMs) {
+    const now = this.clock.now();
+    const allowed = limitTriggered === 0;
+    const refill = {
+      tokenPerInterval: this.tokenPerInterval,
+      refillInterval: this.refillInterval,
+      nextRefillMs,
+      continuous: this.continuousRefill,
+    };
+    // 桶被消耗的部分回满所需的时间
+    const resetAfterMs = getRefillDelay(this.capacity - Math.max(tokenBalance, 0), refill);
+    let retryAfterMs = 0;
+    if (!allowed) {
+      // 令牌不足时 tokenBalance 为负数，补足到0即可放行
+      const refillDelay = limitTriggered === 2 ? 0 : getRefillDelay(-tokenBalance, refill);
+      retryAfterMs = Math.max(refillDelay, lockTtlMs);
+    }
+    return {
+      allowed,
+      remaining: allowed ? tokenBalance : 0,
+      limit: this.capacity,
+      retryAfterMs,
+      resetAtMs: now + Math.max(resetAfterMs, lockTtlMs),
+      reason: ['allowed', 'exhausted', 'locked'][limitTriggered],
+      source: 'memory',
+    };
+  }
+
+  /**
+   * 构造被内存阻塞（或限流惩罚）时的限流决策
+   * @private
+   * @param {string} fullBlockedKey - 完整的阻塞键
+   * @returns {RateLimitDecision} - 限流决策
+   */
+  _blockedDecision(fullBlockedKey) {
+    const now = this.clock.now();
+    const blocked = this.blockedKeys.has(fullBlockedKey);
+    const blockUntil = blocked ? this.blockedKeys.get(fullBlockedKey) : this.blockedKeys.get(`${fullBlockedKey}-lock`);
+    return {
+      allowed: false,
+      remaining: 0,
+      limit: this.capacity,
+      retryAfterMs: blockUntil - now,
+      resetAtMs: blockUntil,
+      reason: blocked ? 'blocked' : 'locked',
+      source: 'memory',
+    };
+  }
+
+  /**
+   * 按白名单、黑名单和封禁名单构造限流决策，黑名单和封禁名单优先
+   * @private
+   * @param {string} tokenKey - 令牌标识
+   * @param {string} blockKey - 阻塞键标识
+   * @param {string} clientIp - 客户端ip
+   * @returns {RateLimitDecision|null} - 限流决策，不在任何名单中时返回 null
+   */
+  _accessListDecision(tokenKey, blockKey, clientIp) {
+    const now = this.clock.now();
+    const keys = [tokenKey, blockKey];
+    const banned = this.denyList.match(keys, clientIp, now) || this.bans.match(keys, clientIp, now);
+    if (banned) {
+      // 永久封禁时没有可以重试的时间
+      const bannedUntil = banned.expiresAt === null ? Infinity : banned.expiresAt;
+      return {
+        allowed: false,
+        remaining: 0,
+        limit: this.capacity,
+        retryAfterMs: bannedUntil - now,
+        resetAtMs: bannedUntil,
+        reason: 'banned',
+        source: 'memory',
+      };
+    }
+    if (this.allowList.match(keys, clientIp, now)) {
+      return {
+        allowed: true,
+        remaining: this.capacity,
+        limit: this.capacity,
+        retryAfterMs: 0,
+        resetAtMs: now,
+        reason: 'allowlisted',
+        source: 'memory',
+      };
+    }
+    return null;
+  }
+
+  /**
+   * 查看令牌桶状态，不消耗令牌
+   *
+   * @param {string} tokenKey - 令牌标识
+   * @param {string} blockKey - 可选，阻塞键标识，默认与令牌标识相同
+   * @returns {BucketState} - 令牌桶状态
+   */
+  peek(tokenKey = '', blockKey = '') {
+    const fullTokenKey = this.keyPrefix + tokenKey;
+    const fullBlockedKey = blockKey ? this.keyPrefix + blockKey : fullTokenKey;
+    const now = this.clock.now();
+    const bucket = this.buckets.peek(fullTokenKey, now);
+    let tokens = this.capacity;
+    if (this.algorithm !== 'token-bucket') {
+      // 在状态的副本上执行一次不消耗的请求，得到剩余数量
+      [, tokens] = runAlgorithm(this.algorithm, cloneState(bucket || {}), 0, now, this.algorithmParams);
+    } else if (bucket) {
+      // 按投放规则推算当前的令牌数，但不写回桶中
+      const pastTime = now - bucket.lastRefillTime;
+      const pastIntervals = this.continuousRefill ? pastTime / this.refillInterval : Math.floor(pastTime / this.refillInterval);
+      tokens = Math.min(bucket.tokens + pastIntervals * this.tokenPerInterval, this.capacity);
+    }
+    const lockUntil = this.blockedKeys.get(`${fullTokenKey}-lock`) || 0;
+    const blockUntil = this.blockedKeys.get(fullBlockedKey);
+    const blockTtlMs = typeof blockUntil === 'number' ? Math.max(blockUntil - now, 0) : 0;
+    return {
+      tokens,
+      limit: this.capacity,
+      locked: lockUntil > now,
+      lockTtlMs: Math.max(lockUntil - now, 0),
+      blocked: blockTtlMs > 0,
+      blockTtlMs,
+    };
+  }
+
+  /**
+   * 退还令牌，用于请求在真正执行前就失败的场景，最多退还到桶的容量
+   *
+   * @param {string} tokenKey - 令牌标识
+   * @param {number} tokens - 退还的令牌数，默认值为1
+   * @returns {number} - 退还后桶中的令牌数
+   */
+  refund(tokenKey = '', tokens = 1) {
+    this._assertTokenBucket('refund');
+    const now = this.clock.now();
+    const bucket = this.buckets.get(this.keyPrefix + tokenKey, now);
+    // 令牌桶不存在时即为满桶
+    if (!bucket) {
+      return this.capacity;
+    }
+    bucket.tokens = Math.min(bucket.tokens + tokens, this.capacity);
+    bucket.expiresAt = this._getBucketExpiresAt(bucket, now);
+    return bucket.tokens;
+  }
+
+  /**
+   * 重置令牌桶，清除桶状态和限流惩罚，下次请求时重新从满桶开始
+   *
+   * @param {string} tokenKey - 令牌标识
+   * @returns {boolean} - 是否存在被清除的状态
+   */
+  reset(tokenKey = '') {
+    const fullTokenKey = this.keyPrefix + tokenKey;
+    const lockDeleted = this.blockedKeys.delete(`${fullTokenKey}-lock`);
+    return this.buckets.delete(fullTokenKey) || lockDeleted;
+  }
+
+  /**
+   * 解除阻塞，清除内存阻塞、窗口计数和限流惩罚
+   *
+   * @param {string} blockKey - 阻塞键标识（或令牌标识）
+   * @returns {boolean} - 是否存在被清除的阻塞
+   */
+  unblock(blockKey = '') {
+    const fullBlockedKey = this.keyPrefix + blockKey;
+    const blockDeleted = this.blockedKeys.delete(fullBlockedKey);
+    const lockDeleted = this.blockedKeys.delete(`${fullBlockedKey}-lock`);
+    if (this.blockWindow) {
+      this.blockWindow.reset(fullBlockedKey);
+    }
+    return blockDeleted || lockDeleted;
+  }
+
+  /**
+   * 添加名单条目，立即生效
+   *
+   * @param {'allowList'|'denyList'|'bans'} list - 名单：allowList 白名单 | denyList 黑名单 | bans 封禁名单
+   * @param {string} key - 完整的键、以 * 结尾的键前缀，或 IP 网段（只与客户端ip比较）
+   * @param {number} seconds - 可选，过期时间（秒），默认永不过期
+   */
+  addListEntry(list, key, seconds = 0) {
+    this[resolveAccessListName(list)].add(key, seconds > 0 ? this.clock.now() + seconds * 1000 : Infinity);
+  }
+
+  /**
+   * 删除名单条目
+   *
+   * @param {'allowList'|'denyList'|'bans'} list - 名单
+   * @param {string} key - 添加时传入的条目
+   * @returns {boolean} - 是否存在被删除的条目
+   */
+  removeListEntry(list, key) {
+    return this[resolveAccessListName(list)].delete(key);
+  }
+
+  /**
+   * 列出名单中未过期的条目
+   *
+   * @param {'allowList'|'denyList'|'bans'} list - 名单
+   * @returns {AccessListEntry[]} - 条目，expiresAt 为 null 时表示永不过期
+   */
+  listEntries(list) {
+    return this[resolveAccessListName(list)].list(this.clock.now());
+  }
+
+  /**
+   * 封禁键，封禁期间直接拒绝，不计入令牌桶，等同于 addListEntry('bans', key, seconds)
+   *
+   * @param {string} key - 令牌标识或阻塞键标识、以 * 结尾的键前缀，或 IP 网段（只与客户端ip比较）
+   * @param {number} seconds - 可选，封禁时间（秒），默认永久封禁
+   */
+  ban(key, seconds = 0) {
+    this.addListEntry('bans', key, seconds);
+  }
+
+  /**
+   * 解除通过 ban 添加的封禁，不影响 denyList 中的条目
+   *
+   * @param {string} key - 封禁时传入的键
+   * @returns {boolean} - 是否存在被解除的封禁
+   */
+  unban(key) {
+    return this.removeListEntry('bans', key);
+  }
+
+  /**
+   * 列出未过期的封禁
+   *
+   * @returns {AccessListEntry[]} - 封禁，expiresAt 为 null 时表示永久封禁
+   */
+  listBans() {
+    return this.listEntries('bans');
+  }
+
+  /**
+   * 释放限流器占用的内存，清除所有令牌桶、阻塞、限流惩罚和封禁状态
+   */
+  destroy() {
+    this.buckets.clear();
+    this.bans.clear();
+    this.blockedKeys.clear();
+    if (this.blockWindow) {
+      this.blockWindow.clear();
+    }
   }
 
   /**
@@ -169,39 +800,32 @@ class RateLimiterTokenBucket {
    */
   _setLockDuration(tokenKey) {
     const lockKey = `${tokenKey}-lock`;
-    this.blockedKeys.set(lockKey, Date.now() + this.lockDuration * 1000);
+    this.blockedKeys.set(lockKey, this.clock.now() + this.lockDuration * 1000);
   }
 
   /**
-   * 设置内存限流的阻塞（固定窗口策略）
+   * 设置内存限流的阻塞（窗口计数策略）
    * @private
    * @param {string} blockedKey - 阻塞的key
+   * @param {number} blockMs - 阻塞的毫秒数
    */
-  _blockKey(blockedKey) {
-    this.blockedKeys.set(blockedKey, Date.now() + this.inMemoryBlockDuration * 1000);
+  _blockKey(blockedKey, blockMs) {
+    this.blockedKeys.set(blockedKey, this.clock.now() + blockMs);
   }
 
   /**
-   * 清除过期的阻塞键
+   * 清除过期的阻塞键、计数和再犯记录，并把下次收集的阈值设为剩余数量的两倍
+   * @private
    */
   _collectExpiredBlockedKeys() {
-    const now = Date.now();
-    for (const [key, val] of this.blockedKeys.entries()) {
-      // 阻塞键过期
-      if (typeof val === 'number' && val <= now) {
+    const now = this.clock.now();
+    for (const [key, blockUntil] of this.blockedKeys) {
+      if (blockUntil <= now) {
         this.blockedKeys.delete(key);
-        // 如果是锁键，只删除自己
-        if (!key.endsWith('-lock')) {
-          this.blockedKeys.delete(`${key}:consumed`);
-        }
-      }
-      // 计数键过期
-      if (key.includes('consumed')) {
-        if (now - val.firstRequest >= 60000) {
-          this.blockedKeys.delete(key);
-        }
       }
     }
+    this.blockWindow.collect(now);
+    this.collectThreshold = Math.max((this.blockedKeys.size + this.blockWindow.size) * 2, 1000);
   }
 
   /**
@@ -215,18 +839,17 @@ class RateLimiterTokenBucket {
     // 检查普通阻塞键
     if (this.blockedKeys.has(key)) {
       const blockUntil = this.blockedKeys.get(key);
-      if (Date.now() < blockUntil) {
+      if (this.clock.now() < blockUntil) {
         return true;
       }
       this.blockedKeys.delete(key);
-      this.blockedKeys.delete(`${key}:consumed`);
     }
 
     // 检查令牌桶限流的锁键
     const lockKey = `${key}-lock`;
     if (this.blockedKeys.has(lockKey)) {
       const lockUntil = this.blockedKeys.get(lockKey);
-      if (Date.now() < lockUntil) {
+      if (this.clock.now() < lockUntil) {
         return true;
       }
       this.blockedKeys.delete(lockKey);
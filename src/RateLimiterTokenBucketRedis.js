@@ -1,54 +1,225 @@
 /**
  *  @description 令牌桶限流器（基于redis）
  */
+/** @typedef {import('./RateLimiterTokenBucket').RateLimitDecision} RateLimitDecision */
+/** @typedef {import('./RateLimiterTokenBucket').BucketState} BucketState */
+/** @typedef {import('./AccessList').AccessListEntry} AccessListEntry */
+import { EventEmitter } from 'events';
 import RateLimiterTokenBucket from './RateLimiterTokenBucket';
-import { getClientIp } from './utils';
+import { getAbortReason, getDecisionEvent, getRefillDelay, resolveAccessListName, resolveClock, resolveFailMode, resolveRefillOptions, sleep, toClientIpResolver } from './utils';
+import { toResultTuple, withTimeout } from './redisScript';
+import CircuitBreaker from './CircuitBreaker';
+import BlockWindow from './BlockWindow';
+import AccessList from './AccessList';
+import WaitTimeoutError from './WaitTimeoutError';
+import Reservation from './Reservation';
+import ScriptBatcher from './ScriptBatcher';
+import { createRedisClient } from './redisClient';
+import { createStorageAdapter } from './storageAdapter';
+import IoredisAdapter from './IoredisAdapter';
+import { createLogger } from './logger';
+import { ALGORITHM_KEYS, ALGORITHM_OPERATIONS, buildAlgorithmDecision, getAlgorithmParams, resolveAlgorithm } from './algorithms';
 
-class RateLimiterTokenBucketRedis {
+// redis 未就绪或熔断中时抛出的错误码，这类错误不会触发 redisError 事件
+const REDIS_UNAVAILABLE = 'ERR_REDIS_UNAVAILABLE';
+
+// 存储操作对应的 Lua 脚本，基于 redis 的存储适配器执行脚本，其他适配器按操作名实现相同的逻辑
+const OPERATION_SCRIPTS = {
+  consume: 'script',
+  peek: 'peekScript',
+  refund: 'refundScript',
+  reserve: 'reserveScript',
+  lease: 'leaseScript',
+  settle: 'settleScript',
+  debit: 'debitScript',
+  reset: 'resetScript',
+  block: 'blockScript',
+  unblock: 'unblockScript',
+  unlock: 'unlockScript',
+  ban: 'banScript',
+  unban: 'unbanScript',
+  listBans: 'listBansScript',
+  gcra: 'gcraScript',
+  slidingWindowLog: 'slidingWindowLogScript',
+  slidingWindowCounter: 'slidingWindowCounterScript',
+  leakyBucket: 'leakyBucketScript',
+};
+
+/**
+ * 事件：allowed 放行 | denied 令牌不足 | locked 限流惩罚中 | blocked 内存阻塞中（或被封禁），参数同 RateLimiterTokenBucket；
+ * fallback redis 不可用时按 failMode 做出决策，参数额外包含 error；redisError 调用 redis 出错，参数为 { key, cost, error }；
+ * redisCall 每次执行 Lua 脚本后触发，参数为 { durationMs, error }，成功时没有 error
+ */
+class RateLimiterTokenBucketRedis extends EventEmitter {
   /**
    * 构造函数
    *
    * @param {object} opts - 选项对象
    * @param {number} opts.tokenPerSecond - 每秒允许的令牌数
+   * @param {number} opts.tokenPerInterval - 可选，每个投放间隔投放的令牌数，默认按 tokenPerSecond 换算，如每分钟10个：{ tokenPerInterval: 10, refillInterval: 60000 }
+   * @param {number} opts.refillInterval - 可选，投放令牌的时间间隔（毫秒），默认1000
+   * @param {boolean} opts.continuousRefill - 可选，是否按经过的毫秒数连续投放（小数个）令牌，默认 false
    * @param {number} opts.capacity - 容量（最大突发流量）
+   * @param {string} opts.algorithm - 可选，限流算法：token-bucket | gcra | sliding-window-log | sliding-window-counter | leaky-bucket，
+   *   默认 token-bucket，含义同 RateLimiterTokenBucket；waitForToken、reserve、refund、leasing 和 reconcileInsurance 只支持令牌桶
+   * @param {Redis|object} opts.redisClient - 可选，ioredis 或 node-redis v4 客户端
+   * @param {object} opts.adapter - 可选，存储适配器，如 MemoryAdapter 或自定义的适配器，传入后不再使用 redisClient
    * @param {Redis.RedisOptions} opts.redisOptions - Redis 配置
+   * @param {Array<string|object>} opts.clusterNodes - 可选，未传入 redisClient 时连接 Redis Cluster 的启动节点，如 [{ host: '127.0.0.1', port: 7000 }]
+   * @param {Redis.ClusterOptions} opts.clusterOptions - 可选，Redis Cluster 配置，redisOptions 会作为每个节点的配置
+   * @param {Array<object>} opts.sentinels - 可选，未传入 redisClient 时通过 Sentinel 连接主节点，如 [{ host: '127.0.0.1', port: 26379 }]
+   * @param {string} opts.sentinelName - 可选，Sentinel 监控的主节点名称，默认 mymaster
    * @param {string} opts.keyPrefix - Redis 键名前缀
    * @param {number} opts.lockDuration - 触发限流后的阻塞时间（秒）
-   * @param {boolean} opts.insuranceLimiter - 是否启用备用策略
+   * @param {boolean} opts.insuranceLimiter - 是否启用备用策略，等同于 failMode: 'insurance'
+   * @param {string} opts.failMode - 可选，redis 不可用时的策略：open 放行 | closed 拒绝 | insurance 使用内存限流器，默认 open（启用 insuranceLimiter 时为 insurance）
+   * @param {number} opts.redisTimeout - 可选，每次 redis 调用的超时时间（毫秒），超时按 redis 不可用处理，默认不设置
+   * @param {object|boolean} opts.circuitBreaker - 可选，熔断器配置 { failureThreshold, cooldownMs }，默认连续失败5次后熔断10秒，传入 false 关闭熔断
    * @param {number} opts.insuranceLimiterTokenPerSecond - 备用策略每秒允许的令牌数
    * @param {number} opts.insuranceLimiterCapacity - 备用策略容量（最大突发流量）
-   * @param {number} opts.inMemoryBlockOnConsumed - 1分钟消耗令牌数触发阻塞的阈值
-   * @param {number} opts.inMemoryBlockDuration - 1分钟消耗令牌数触发阻塞的阻塞时间（秒）
+   * @param {number} opts.instanceCount - 可选，部署的实例数，备用策略的速率和容量会按实例数平分，默认1
+   * @param {boolean} opts.reconcileInsurance - 可选，是否记录备用策略期间每个键消耗的令牌，redis 恢复后分批从 redis 的令牌桶中扣除，默认 false
+   * @param {number} opts.reconcileBatchSize - 可选，redis 恢复后每批扣除的键数，默认100
+   * @param {object|boolean} opts.autoBatch - 可选，合并并发的 redis 调用 { maxDelayMs, maxBatchSize }：收集同一轮事件循环（或 maxDelayMs 毫秒）内的调用，
+   *   最多 maxBatchSize（默认100）个一起通过 pipeline 发送，默认 false（每次调用单独发送）
+   * @param {object|boolean} opts.leasing - 可选，在本地租用令牌 { keys, leaseMs, minLeaseSize, maxLeaseSize }：热点键一次从 redis 取出一批令牌，
+   *   由本地计数器放行，直到租到的令牌用完或租约过期（leaseMs，默认1000），过期或调用 releaseLeases 时退还未用完的令牌；
+   *   每次租用的数量按本地的请求速率调整，在 minLeaseSize（默认1）和 maxLeaseSize（默认容量的1/10）之间；
+   *   keys 为需要租用的令牌标识列表或判断函数，默认所有键，默认 false（每次请求都访问 redis）
+   * @param {number} opts.inMemoryBlockOnConsumed - 窗口内（默认1分钟）消耗数触发阻塞的阈值
+   * @param {number} opts.inMemoryBlockDuration - 窗口内消耗数触发阻塞的阻塞时间（秒）
+   * @param {number} opts.inMemoryBlockWindow - 可选，内存阻塞策略计数窗口的长度（毫秒），默认60000
+   * @param {'requests'|'tokens'} opts.inMemoryBlockCountBy - 可选，按请求次数（requests）还是消耗的令牌数（tokens）计数，默认 requests
+   * @param {boolean} opts.inMemoryBlockSlidingWindow - 可选，是否使用滑动窗口计数，默认 false（固定窗口）
+   * @param {object|boolean} opts.inMemoryBlockEscalation - 可选，屡次触发阻塞时加长阻塞时间 { factor, resetAfter, maxDuration }，默认不加长
+   * @param {object|boolean} opts.distributedBlock - 可选，内存阻塞策略的计数和阻塞状态保存在 redis 中，并通过 pub/sub 同步到所有实例 { channel }，
+   *   内存中的阻塞状态作为本地缓存，redis 不可用时退回到按进程计数，默认 false
+   * @param {boolean} opts.migrateLegacyKeys - 可选，令牌桶不存在时是否从旧版本的存储方式（令牌数、上次投放时间、限流惩罚各一个键）中读取状态，用于升级时的滚动发布，默认 true
+   * @param {boolean} opts.useRedisTime - 可选，是否使用 redis 服务器时间（TIME）代替应用服务器的时钟，消除多台服务器之间的时钟偏差，默认 false
+   * @param {function|object} opts.ipResolver - 可选，客户端ip解析函数，或可信代理配置 { trustedProxies, hops, ipv6Subnet }
+   * @param {Array<string|object>} opts.allowList - 可选，白名单，不限流，条目为完整的键、以 * 结尾的键前缀或 IP 网段（只与客户端ip比较），
+   *   可以传入 { key, ttl } 设置过期时间（秒），启动时写入 redis，所有实例共享
+   * @param {Array<string|object>} opts.denyList - 可选，黑名单，直接拒绝，优先于白名单，格式同 allowList
+   * @param {number} opts.accessListRefreshInterval - 可选，白名单、黑名单和封禁名单保存在 redis 中，各实例在内存中缓存名单，
+   *   每隔多少毫秒从 redis 刷新一次，刷新失败时同样等待一个间隔后重试，默认5000
+   * @param {number} opts.maxKeys - 可选，备用策略的内存限流器最多保存的键数，超过时淘汰最久未使用的键，默认1000000
+   * @param {object} opts.logger - 可选，日志对象，如 console、pino，默认不输出日志
+   * @param {'debug'|'info'|'warn'|'error'} opts.logLevel - 可选，输出日志的最低级别，默认 info，每次请求的决策为 debug 级别
+   * @param {object} opts.clock - 可选，时钟 { now, setTimeout, clearTimeout }，至少需要实现 now()，用于内存中的状态和传给 Lua 脚本的当前时间，
+   *   开启 useRedisTime 时令牌桶仍使用 redis 服务器时间，默认使用系统时钟
    */
   constructor(opts) {
-    this.tokenPerSecond = opts.tokenPerSecond; // 每s允许令牌数
+    super();
     this.capacity = opts.capacity; // 容量（最大突发流量）
+    const refill = resolveRefillOptions(opts);
+    this.tokenPerSecond = refill.tokenPerSecond; // 每s允许令牌数
+    this.tokenPerInterval = refill.tokenPerInterval; // 每个投放间隔投放的令牌数
+    this.refillInterval = refill.refillInterval; // 投放间隔ms
+    this.continuousRefill = refill.continuousRefill; // 是否连续投放
+    this.bucketTtl = refill.bucketTtl; // 桶的过期清理时间ms
+    this.algorithm = resolveAlgorithm(opts); // 限流算法
+    this.algorithmParams = getAlgorithmParams({ capacity: this.capacity, ...refill }); // 令牌桶之外的算法的参数
     this.redis = opts.redisClient;
+    this.adapter = opts.adapter || (this.redis ? createStorageAdapter(this.redis) : null); // 存储适配器
     this.keyPrefix = opts.keyPrefix;
-    this.insuranceLimiter = opts.insuranceLimiter;
+    this.failMode = resolveFailMode(opts); // redis 不可用时的策略
+    this.insuranceLimiter = this.failMode === 'insurance';
+    this.redisTimeout = opts.redisTimeout || 0; // redis 调用超时时间ms
+    this.clock = resolveClock(opts.clock); // 时钟
+    this.circuitBreaker = opts.circuitBreaker === false ? null : new CircuitBreaker({ ...opts.circuitBreaker, clock: this.clock });
     this.lockDuration = opts.lockDuration || 0; // 触发限流后的阻塞时间s
-    this.inMemoryBlockOnConsumed = opts.inMemoryBlockOnConsumed; // 1分钟消耗token数触发阻塞的阈值
+    this.inMemoryBlockOnConsumed = opts.inMemoryBlockOnConsumed; // 窗口内消耗数触发阻塞的阈值
     this.inMemoryBlockDuration = opts.inMemoryBlockDuration; // 阻塞时间s
+    this.blockWindow = opts.inMemoryBlockOnConsumed ? new BlockWindow(opts) : null; // 内存阻塞策略的窗口计数
+    this.collectThreshold = 1000; // 内存阻塞状态超过该数量时收集过期的状态
+    const distributedBlock = opts.distributedBlock === true ? {} : opts.distributedBlock;
+    this.distributedBlock = Boolean(distributedBlock && this.blockWindow); // 是否在 redis 中计数和阻塞
+    this.blockChannel = (distributedBlock && distributedBlock.channel) || `token-bucket-limiter:block:${this.keyPrefix || ''}`; // 同步阻塞状态的频道
+    this.unsubscribeBlocks = null; // 取消订阅阻塞状态
+    this.ipResolver = toClientIpResolver(opts.ipResolver); // 客户端ip解析
+    this.useRedisTime = Boolean(opts.useRedisTime); // 是否使用 redis 服务器时间
+    this.migrateLegacyKeys = opts.migrateLegacyKeys !== false; // 是否兼容旧版本的存储方式
+    this.logger = createLogger(opts.logger, opts.logLevel); // 日志
+    this.allowList = new AccessList(opts.allowList, this.clock.now()); // 白名单，redis 中名单的缓存
+    this.denyList = new AccessList(opts.denyList, this.clock.now()); // 黑名单，redis 中名单的缓存
+    this.bans = new AccessList(); // 通过 ban 添加的封禁名单，redis 中名单的缓存
+    // 名单在 redis 中的 hash，字段为条目，值为过期时间戳（0为永久）
+    this.accessListKeys = {
+      allowList: `{${this.keyPrefix || ''}}:allow-list`,
+      denyList: `{${this.keyPrefix || ''}}:deny-list`,
+      bans: `{${this.keyPrefix || ''}}:bans`,
+    };
+    // 构造时传入或写入失败、尚未写入 redis 的条目 [名单, 条目, 过期时间戳]，在下次刷新时重试写入
+    this.pendingListEntries = ['allowList', 'denyList'].flatMap((list) =>
+      this[list].list(this.clock.now()).map(({ key, expiresAt }) => [list, key, expiresAt || 0]));
+    this.accessListRefreshInterval = opts.accessListRefreshInterval || 5000; // 从 redis 刷新名单的间隔ms
+    this.accessListsRefreshedAt = 0; // 上次开始刷新名单的时间，刷新失败时也会更新，避免每次请求都重试
+    this.refreshingAccessLists = null; // 正在进行的刷新任务
+    this.listChanges = null; // 刷新期间在本地做的修改 [add|delete, 名单, 条目, 过期时间戳]，刷新完成后重新应用到读取的名单上
     this.blockedKeys = new Map();
+    this.reconcileInsurance = Boolean(opts.reconcileInsurance) && this.insuranceLimiter; // 是否在 redis 恢复后扣除备用策略期间的消耗
+    if (opts.reconcileInsurance) {
+      this._assertTokenBucket('reconcileInsurance');
+    }
+    this.reconcileBatchSize = opts.reconcileBatchSize || 100; // 每批扣除的键数
+    this.pendingDebits = new Map(); // 备用策略期间每个键消耗的令牌数，等待 redis 恢复后扣除
+    this.reconciling = null; // 正在进行的扣除任务
+    this.autoBatch = Boolean(opts.autoBatch); // 是否合并并发的 redis 调用
+    this.bulkRequests = 0; // 正在执行的 getTokens 数，期间的调用总是合并发送
+    this.batcher = new ScriptBatcher({ ...(opts.autoBatch === true ? {} : opts.autoBatch), execute: (calls) => this._runBatch(calls) });
+    const leasing = opts.leasing === true ? {} : opts.leasing;
+    this.leasing = Boolean(leasing); // 是否在本地租用令牌
+    if (this.leasing) {
+      this._assertTokenBucket('leasing');
+    }
+    this.leaseKeys = leasing && Array.isArray(leasing.keys) ? new Set(leasing.keys) : (leasing && leasing.keys) || null; // 需要租用的令牌标识，null 为所有键
+    this.leaseMs = (leasing && leasing.leaseMs) || 1000; // 租约的有效期ms
+    this.minLeaseSize = (leasing && leasing.minLeaseSize) || 1; // 每次最少租用的令牌数
+    this.maxLeaseSize = (leasing && leasing.maxLeaseSize) || Math.max(Math.floor(this.capacity / 10), 1); // 每次最多租用的令牌数
+    this.leases = new Map(); // 完整的令牌键 -> 本地租约
 
     // 初始化redis
-    if (!this.redis) {
-      import('ioredis').then((Redis) => {
-        this.redis = new Redis(opts.redisOptions);
+    this.ownsRedis = !this.adapter; // 是否使用内置的 redis 客户端，内置的客户端在 destroy 时断开
+    this.destroyed = false; // 是否已调用 destroy
+    if (!this.adapter) {
+      createRedisClient(opts).then((redis) => {
+        // 创建完成前已经调用了 destroy
+        if (this.destroyed) {
+          redis.disconnect();
+          return;
+        }
+        this.redis = redis;
+        this.adapter = new IoredisAdapter(redis);
+        this._startSync();
       }).catch(() => {
-        console.warn('ioredis module not found. Please provide a redisClient when creating an instance of RateLimiterTokenBucketRedis.');
+        this.logger.error('ioredis module not found. Please provide a redisClient when creating an instance of RateLimiterTokenBucketRedis.');
       });
     }
 
     // 启用内存限流器作为备用策略
     if (this.insuranceLimiter) {
+      // 每个实例都有自己的内存限流器，按实例数平分，使所有实例加起来不超过共享的限额
+      const instanceCount = opts.instanceCount || 1;
       this.rateLimiterTokenBucket = new RateLimiterTokenBucket({
-        tokenPerSecond: opts.insuranceLimiterTokenPerSecond || this.tokenPerSecond,
-        capacity: opts.insuranceLimiterCapacity || this.capacity,
+        tokenPerSecond: (opts.insuranceLimiterTokenPerSecond || this.tokenPerSecond) / instanceCount,
+        refillInterval: this.refillInterval,
+        continuousRefill: this.continuousRefill,
+        capacity: Math.max(Math.floor((opts.insuranceLimiterCapacity || this.capacity) / instanceCount), 1),
         keyPrefix: this.keyPrefix,
+        algorithm: this.algorithm,
+        maxKeys: opts.maxKeys,
+        clock: this.clock,
+      });
+    }
+    if (this.circuitBreaker) {
+      this.circuitBreaker.on('stateChange', ({ from, to }) => {
+        this.logger.warn(`Redis circuit breaker ${from} -> ${to}`);
       });
     }
     this._initScript();
+    if (this.adapter) {
+      this._startSync();
+    }
   }
 
   /**
@@ -58,25 +229,45 @@ class RateLimiterTokenBucketRedis {
    * @private
    */
   _initScript() {
+    // 读取令牌桶状态的公共函数，每个脚本只访问 KEYS 中声明的键，保证在 Redis Cluster 中的行为确定
+    const loadBucket = `
+    -- 令牌桶以一个 hash 存储在 KEYS[1] 中，字段为 tokens 令牌数、ts 上次投放时间、lock 限流惩罚截止时间（毫秒时间戳）
+    -- 开启兼容模式时 KEYS[2..4] 依次为旧版本的 [令牌数key, 上次投放时间key, 限流惩罚key]，hash 不存在时从旧的键中读取
+    -- 返回 令牌数, 上次投放时间, 限流惩罚截止时间，令牌桶不存在时前两项为 nil
+    local function load_bucket(current_time)
+        local bucket = redis.call('hmget', KEYS[1], 'tokens', 'ts', 'lock')
+        local lock_until = tonumber(bucket[3]) or 0
+        if bucket[2] or #KEYS < 4 then
+            return tonumber(bucket[1]), tonumber(bucket[2]), lock_until
+        end
+        local legacy_lock_ttl = redis.call('pttl', KEYS[4])
+        if legacy_lock_ttl > 0 then
+            lock_until = math.max(lock_until, current_time + legacy_lock_ttl)
+        end
+        return tonumber(redis.call('get', KEYS[2])), tonumber(redis.call('get', KEYS[3])), lock_until
+    end
+    `;
+
+    // 获取当前时间的公共代码，time_index 为调用方是否要求使用 redis 服务器时间的参数位置
+    const currentTime = (timeIndex) => `
+    -- 使用 redis 服务器时间作为唯一的时间来源，消除各应用服务器之间的时钟偏差
+    if ARGV[${timeIndex}] == '1' then
+        -- redis 5 以下需要开启按效果复制，才能在 TIME 这样的非确定性命令之后写入
+        if redis.replicate_commands then
+            redis.replicate_commands()
+        end
+        local server_time = redis.call('TIME')
+        current_time = tonumber(server_time[1]) * 1000 + math.floor(tonumber(server_time[2]) / 1000)
+    end
+    `;
+
     this.script = `
-    -- 定义返回值，是个数组，包含：是否触发限流（1限流 0通过）、当前桶中的令牌数
+    ${loadBucket}
+    -- 定义返回值，是个数组，包含：是否触发限流（2限流惩罚中 1限流 0通过）、当前桶中的令牌数、距下次投放令牌的毫秒数、限流惩罚剩余毫秒数
     local ret = {}      -- 创建一个空表，类似 JavaScript 中的 let ret = []
     ret[1] = 0         -- 设置表的第一个元素为0，类似 JavaScript 中的 ret[0] = 0
-    -- Redis集群分片Key，KEYS[1]是限流目标
-    -- ..是 Lua 的字符串连接运算符
-    -- KEYS[1] 是从 Redis 传入的第一个键名
-    -- 例如：如果 KEYS[1] = "user:123"，那么 cl_key = "{user:123}"
-    local cl_key = '{' .. KEYS[1] .. '}'
-    -- 获取限流惩罚的当前设置，触发限流惩罚时会写一个有过期时间的KV
-    -- 如果存在限流惩罚，则返回结果[1,-1]
-    local lock_key = cl_key .. '-lock'
-    local lock_val = redis.call('get', lock_key)
-    -- 如果 lock_key 存在且值为 '1'，则表示被限流
-    if lock_val == '1' then
-        ret[1] = 1    -- 设置限流标志为 1（表示被限流）
-        ret[2] = -1   -- 设置令牌数为 -1（表示无可用令牌）
-        return ret    -- 立即返回结果，不再继续执行后续逻辑
-    end
+    ret[3] = 0
+    ret[4] = 0
 
     -- 获取参数
     local capacity = tonumber(ARGV[1])  -- 桶的容量
@@ -86,71 +277,638 @@ class RateLimiterTokenBucketRedis {
     local lock_seconds = tonumber(ARGV[5])  -- 触发限流时的惩罚时间（秒）
     local key_expire_time = tonumber(ARGV[6])  -- 令牌桶的过期时间（毫秒）
     local current_time = tonumber(ARGV[7])  -- 当前时间戳（毫秒）
+    local continuous = tonumber(ARGV[8])  -- 是否按经过的毫秒数连续投放令牌（1是 0否）
+    ${currentTime(9)}
+    local current_value, last_time, lock_until = load_bucket(current_time)
 
-    -- 存储上次令牌放入时间的key
-    local st_key = cl_key .. '-st'
-
-    -- 获取[上次向桶中投放令牌的时间]
-    local last_time = redis.call('get', st_key)
-    if last_time == false then
-        -- 令牌桶不存在，初始化为满桶
-        local bucket_amount = capacity - amount
-        -- 将这个令牌数量更新到令牌桶中
-        redis.call('set', KEYS[1], bucket_amount, 'PX', key_expire_time)
-        -- 设置[上次向桶中放入令牌的时间]
-        redis.call('set', st_key, current_time, 'PX', key_expire_time)
-        -- 返回值[当前桶中的令牌数]
-        ret[2] = bucket_amount
-        return ret
+    -- 触发限流惩罚时会在桶中记录惩罚截止时间
+    -- 如果处于限流惩罚中，则返回结果[2,-1,0,惩罚剩余毫秒数]
+    if lock_until > current_time then
+        ret[1] = 2    -- 设置限流标志为 2（表示处于限流惩罚中）
+        ret[2] = -1   -- 设置令牌数为 -1（表示无可用令牌）
+        ret[4] = lock_until - current_time  -- 限流惩罚剩余毫秒数
+        return ret    -- 立即返回结果，不再继续执行后续逻辑
+    end
+
+    if last_time == nil then
+        -- 令牌桶不存在，视为刚刚回满的满桶，与其他请求一样扣减，请求的令牌数超过容量时同样拒绝
+        current_value = capacity
+        last_time = current_time
     end
 
-    -- 令牌桶存在，获取令牌桶中的当前令牌数
-    local current_value = redis.call('get', KEYS[1])
-    current_value = tonumber(current_value)
+    -- 旧版本的令牌数key可能已先过期，此时视为满桶
+    current_value = current_value or capacity
 
+    -- 调用方时钟落后于上次投放时间时，按上次投放时间计算，避免出现负的经过时间，[上次投放时间]也不会倒退
+    if current_time < last_time then
+        current_time = last_time
+    end
     -- 判断是不是该放入新令牌到桶中了
-    last_time = tonumber(last_time)
-    local last_time_changed = 0
+    local stored_time = last_time
     local past_time = current_time - last_time
     local bucket_amount
 
-    -- 如果上次投放时间到现在的时间小于一个时间单位(1s)，则直接从令牌桶中取走令牌
-    if past_time < inflow_unit then
+    if continuous == 1 then
+        -- 连续投放，按经过的毫秒数放入小数个令牌
+        last_time = current_time
+        bucket_amount = current_value + past_time * inflow_quantity_per_unit / inflow_unit
+    -- 如果上次投放时间到现在的时间小于一个时间单位，则直接从令牌桶中取走令牌
+    elseif past_time < inflow_unit then
         -- 不到投放的时候，直接从令牌桶中取走令牌
-        bucket_amount = current_value - amount
+        bucket_amount = current_value
     else
-        -- 需要放入一些令牌
+        -- 需要放入一些令牌，[上次投放时间]更新为本次投放时间
         local past_inflow_unit_quantity = math.floor(past_time / inflow_unit)
         last_time = last_time + past_inflow_unit_quantity * inflow_unit
-        last_time_changed = 1
         local past_inflow_quantity = past_inflow_unit_quantity * inflow_quantity_per_unit
-        bucket_amount = current_value + past_inflow_quantity - amount
+        bucket_amount = current_value + past_inflow_quantity
     end
 
-    -- 确保桶中的令牌数不超过容量
-    bucket_amount = math.min(bucket_amount, capacity)
+    -- 先确保桶中的令牌数不超过容量，再扣减本次请求的令牌，超出容量的投放不能抵扣消耗
+    bucket_amount = math.min(bucket_amount, capacity) - amount
 
-    ret[2] = bucket_amount
+    -- 返回值[当前桶中的令牌数]，转为字符串避免小数被 redis 截断为整数
+    ret[2] = tostring(bucket_amount)
+    -- 距下次投放令牌的毫秒数
+    ret[3] = last_time + inflow_unit - current_time
     -- 如果桶中剩余数量小于0，则看看是否需要限流惩罚
     if bucket_amount < 0 then
         if lock_seconds > 0 then
-            redis.call('set', lock_key, '1', 'EX', lock_seconds, 'NX')
+            -- 令牌数和投放时间保持不变，只记录惩罚截止时间，桶的过期时间不短于惩罚时间
+            ret[4] = lock_seconds * 1000
+            redis.call('hset', KEYS[1], 'tokens', current_value, 'ts', stored_time, 'lock', current_time + ret[4])
+            redis.call('pexpire', KEYS[1], math.max(key_expire_time, ret[4]))
         end
         ret[1] = 1
         return ret
     end
 
-    -- 可以成功扣减令牌，则需要更新令牌桶KV
-    if last_time_changed == 1 then
-        redis.call('set', KEYS[1], bucket_amount, 'PX', key_expire_time)
-        -- 有新投放，更新[上次投放时间]为本次投放时间
-        redis.call('set', st_key, last_time, 'PX', key_expire_time)
+    -- 可以成功扣减令牌，更新令牌桶
+    redis.call('hset', KEYS[1], 'tokens', bucket_amount, 'ts', last_time)
+    redis.call('pexpire', KEYS[1], key_expire_time)
+
+    return ret
+    `;
+
+    // 查看令牌桶状态，只读不写，返回 [推算的当前令牌数, 限流惩罚剩余毫秒数]
+    this.peekScript = `
+    ${loadBucket}
+    local capacity = tonumber(ARGV[1])  -- 桶的容量
+    local inflow_quantity_per_unit = tonumber(ARGV[2])  -- 每个时间单位内流入的令牌数
+    local inflow_unit = tonumber(ARGV[3])  -- 时间单位（毫秒）
+    local continuous = tonumber(ARGV[4])  -- 是否连续投放令牌
+    local current_time = tonumber(ARGV[5])  -- 当前时间戳（毫秒）
+    ${currentTime(6)}
+    local current_value, last_time, lock_until = load_bucket(current_time)
+    local lock_ttl = math.max(lock_until - current_time, 0)
+
+    -- 令牌桶不存在即为满桶
+    local tokens = capacity
+    if last_time then
+        local past_inflow_unit_quantity = math.max(current_time - last_time, 0) / inflow_unit
+        if continuous ~= 1 then
+            past_inflow_unit_quantity = math.floor(past_inflow_unit_quantity)
+        end
+        tokens = math.min((current_value or capacity) + past_inflow_unit_quantity * inflow_quantity_per_unit, capacity)
+    end
+    return { tostring(tokens), lock_ttl }
+    `;
+
+    // 退还令牌，最多退还到桶的容量，保留原有的过期时间
+    this.refundScript = `
+    ${loadBucket}
+    local capacity = tonumber(ARGV[2])
+    local current_time = tonumber(ARGV[4])  -- 当前时间戳（毫秒）
+    ${currentTime(5)}
+    local current_value, last_time, lock_until = load_bucket(current_time)
+    -- 令牌桶不存在即为满桶，无需退还
+    if last_time == nil then
+        return tostring(capacity)
+    end
+    local bucket_amount = math.min((current_value or capacity) + tonumber(ARGV[1]), capacity)
+    local ttl = redis.call('pttl', KEYS[1])
+    redis.call('hset', KEYS[1], 'tokens', bucket_amount, 'ts', last_time, 'lock', lock_until)
+    -- 从旧版本的键中迁移过来的桶，沿用桶的过期时间
+    if ttl < 0 then
+        redis.call('pexpire', KEYS[1], tonumber(ARGV[3]))
+    end
+    return tostring(bucket_amount)
+    `;
+
+    // 预留令牌，令牌不足时桶中的令牌数变为负数，由脚本计算补足所需的等待时间，各进程不需要轮询
+    // 返回 [状态（2限流惩罚中 1等待时间超过上限 0已预留）, 预留后桶中的令牌数, 需要等待的毫秒数（-1为永远无法补足）, 距下次投放令牌的毫秒数]
+    this.reserveScript = `
+    ${loadBucket}
+    local capacity = tonumber(ARGV[1])  -- 桶的容量
+    local amount = tonumber(ARGV[2])  -- 预留的令牌数
+    local inflow_quantity_per_unit = tonumber(ARGV[3])  -- 每个时间单位内流入的令牌数
+    local inflow_unit = tonumber(ARGV[4])  -- 时间单位（毫秒）
+    local key_expire_time = tonumber(ARGV[5])  -- 令牌桶的过期时间（毫秒）
+    local max_wait = tonumber(ARGV[6])  -- 最长等待时间（毫秒），-1 为不限制
+    local current_time = tonumber(ARGV[7])  -- 当前时间戳（毫秒）
+    local continuous = tonumber(ARGV[8])  -- 是否连续投放令牌
+    ${currentTime(9)}
+    local current_value, last_time, lock_until = load_bucket(current_time)
+    if lock_until > current_time then
+        return { 2, '0', lock_until - current_time, 0 }
+    end
+
+    local available = capacity
+    if last_time == nil then
+        last_time = current_time
     else
-        redis.call('set', KEYS[1], bucket_amount, 'PX', key_expire_time)
+        available = current_value or capacity
+        current_time = math.max(current_time, last_time)
+        local past_time = current_time - last_time
+        if continuous == 1 then
+            available = available + past_time * inflow_quantity_per_unit / inflow_unit
+            last_time = current_time
+        elseif past_time >= inflow_unit then
+            local past_inflow_unit_quantity = math.floor(past_time / inflow_unit)
+            available = available + past_inflow_unit_quantity * inflow_quantity_per_unit
+            last_time = last_time + past_inflow_unit_quantity * inflow_unit
+        end
+        available = math.min(available, capacity)
     end
+    local next_refill = last_time + inflow_unit - current_time
 
-    return ret
+    local bucket_amount = available - amount
+    local wait = 0
+    if bucket_amount < 0 then
+        if inflow_quantity_per_unit <= 0 then
+            return { 1, tostring(available), -1, next_refill }
+        end
+        local intervals = -bucket_amount / inflow_quantity_per_unit
+        if continuous == 1 then
+            wait = math.ceil(intervals * inflow_unit)
+        else
+            -- 第 n 次投放后补足
+            wait = next_refill + (math.ceil(intervals) - 1) * inflow_unit
+        end
+        if max_wait >= 0 and wait > max_wait then
+            return { 1, tostring(available), wait, next_refill }
+        end
+    end
+    redis.call('hset', KEYS[1], 'tokens', bucket_amount, 'ts', last_time)
+    -- 预留的令牌投放完成后桶才开始回满
+    redis.call('pexpire', KEYS[1], key_expire_time + wait)
+    return { 0, tostring(bucket_amount), wait, next_refill }
+    `;
+
+    // 租用令牌，供本地计数器使用：一次取出 min(希望租用的数量, 可用的整数个令牌) 个，至少取出 min_amount 个，
+    // 可用的令牌不足 min_amount 时不取出，并与 consume 一样按 lock_seconds 进入限流惩罚
+    // 返回 [状态（2限流惩罚中 1令牌不足 0已租出）, 租用后桶中的令牌数（不足时为负数）, 距下次投放令牌的毫秒数, 限流惩罚剩余毫秒数, 租出的令牌数]
+    this.leaseScript = `
+    ${loadBucket}
+    local capacity = tonumber(ARGV[1])  -- 桶的容量
+    local amount = tonumber(ARGV[2])  -- 希望租用的令牌数
+    local min_amount = tonumber(ARGV[3])  -- 至少需要租用的令牌数
+    local inflow_quantity_per_unit = tonumber(ARGV[4])  -- 每个时间单位内流入的令牌数
+    local inflow_unit = tonumber(ARGV[5])  -- 时间单位（毫秒）
+    local lock_seconds = tonumber(ARGV[6])  -- 触发限流时的惩罚时间（秒）
+    local key_expire_time = tonumber(ARGV[7])  -- 令牌桶的过期时间（毫秒）
+    local current_time = tonumber(ARGV[8])  -- 当前时间戳（毫秒）
+    local continuous = tonumber(ARGV[9])  -- 是否连续投放令牌
+    ${currentTime(10)}
+    local current_value, last_time, lock_until = load_bucket(current_time)
+    if lock_until > current_time then
+        return { 2, '-1', 0, lock_until - current_time, '0' }
+    end
+
+    local available = capacity
+    local stored_time = last_time
+    if last_time == nil then
+        last_time = current_time
+    else
+        available = current_value or capacity
+        current_time = math.max(current_time, last_time)
+        local past_time = current_time - last_time
+        if continuous == 1 then
+            available = available + past_time * inflow_quantity_per_unit / inflow_unit
+            last_time = current_time
+        elseif past_time >= inflow_unit then
+            local past_inflow_unit_quantity = math.floor(past_time / inflow_unit)
+            available = available + past_inflow_unit_quantity * inflow_quantity_per_unit
+            last_time = last_time + past_inflow_unit_quantity * inflow_unit
+        end
+        available = math.min(available, capacity)
+    end
+    local next_refill = last_time + inflow_unit - current_time
+
+    if available < min_amount then
+        local lock_ttl = 0
+        if lock_seconds > 0 and stored_time then
+            -- 与 consume 相同，令牌数和投放时间保持不变，只记录惩罚截止时间
+            lock_ttl = lock_seconds * 1000
+            redis.call('hset', KEYS[1], 'tokens', current_value or capacity, 'ts', stored_time, 'lock', current_time + lock_ttl)
+            redis.call('pexpire', KEYS[1], math.max(key_expire_time, lock_ttl))
+        end
+        return { 1, tostring(available - min_amount), next_refill, lock_ttl, '0' }
+    end
+
+    local granted = math.max(min_amount, math.min(amount, math.floor(available)))
+    local bucket_amount = available - granted
+    redis.call('hset', KEYS[1], 'tokens', bucket_amount, 'ts', last_time)
+    redis.call('pexpire', KEYS[1], key_expire_time)
+    return { 0, tostring(bucket_amount), next_refill, 0, tostring(granted) }
+    `;
+
+    // 结算预留的令牌，先按经过的时间投放令牌，再补扣（桶中的令牌数可以为负）或退还（最多退还到桶的容量），返回结算后桶中的令牌数
+    this.settleScript = `
+    ${loadBucket}
+    local delta = tonumber(ARGV[1])  -- 补扣的令牌数，负数为退还
+    local capacity = tonumber(ARGV[2])  -- 桶的容量
+    local inflow_quantity_per_unit = tonumber(ARGV[3])  -- 每个时间单位内流入的令牌数
+    local inflow_unit = tonumber(ARGV[4])  -- 时间单位（毫秒）
+    local continuous = tonumber(ARGV[5])  -- 是否连续投放令牌
+    local key_expire_time = tonumber(ARGV[6])  -- 令牌桶的过期时间（毫秒）
+    local current_time = tonumber(ARGV[7])  -- 当前时间戳（毫秒）
+    ${currentTime(8)}
+    local current_value, last_time, lock_until = load_bucket(current_time)
+
+    local available = capacity
+    if last_time == nil then
+        -- 令牌桶不存在即为满桶，无需退还
+        if delta <= 0 then
+            return tostring(capacity)
+        end
+        last_time = current_time
+    else
+        available = current_value or capacity
+        local past_time = math.max(current_time - last_time, 0)
+        if continuous == 1 then
+            available = available + past_time * inflow_quantity_per_unit / inflow_unit
+            last_time = math.max(current_time, last_time)
+        elseif past_time >= inflow_unit then
+            local past_inflow_unit_quantity = math.floor(past_time / inflow_unit)
+            available = available + past_inflow_unit_quantity * inflow_quantity_per_unit
+            last_time = last_time + past_inflow_unit_quantity * inflow_unit
+        end
+        available = math.min(available, capacity)
+    end
+
+    local bucket_amount = math.min(available - delta, capacity)
+    -- 补扣后为负数时，桶需要保留到欠下的令牌投放完成
+    local debt_time = 0
+    if bucket_amount < 0 and inflow_quantity_per_unit > 0 then
+        debt_time = math.ceil(-bucket_amount / inflow_quantity_per_unit) * inflow_unit
+    end
+    redis.call('hset', KEYS[1], 'tokens', bucket_amount, 'ts', last_time, 'lock', lock_until)
+    redis.call('pexpire', KEYS[1], math.max(key_expire_time + debt_time, lock_until - current_time))
+    return tostring(bucket_amount)
+    `;
+
+    // 扣除备用策略期间消耗的令牌，先按经过的时间投放令牌再扣除，最多扣到0，不会因为故障期间的消耗而长时间拒绝请求
+    this.debitScript = `
+    ${loadBucket}
+    local amount = tonumber(ARGV[1])  -- 扣除的令牌数
+    local capacity = tonumber(ARGV[2])  -- 桶的容量
+    local inflow_quantity_per_unit = tonumber(ARGV[3])  -- 每个时间单位内流入的令牌数
+    local inflow_unit = tonumber(ARGV[4])  -- 时间单位（毫秒）
+    local continuous = tonumber(ARGV[5])  -- 是否连续投放令牌
+    local key_expire_time = tonumber(ARGV[6])  -- 令牌桶的过期时间（毫秒）
+    local current_time = tonumber(ARGV[7])  -- 当前时间戳（毫秒）
+    ${currentTime(8)}
+    local current_value, last_time, lock_until = load_bucket(current_time)
+
+    local available = capacity
+    if last_time == nil then
+        last_time = current_time
+    else
+        available = current_value or capacity
+        local past_time = math.max(current_time - last_time, 0)
+        if continuous == 1 then
+            available = available + past_time * inflow_quantity_per_unit / inflow_unit
+            last_time = math.max(current_time, last_time)
+        elseif past_time >= inflow_unit then
+            local past_inflow_unit_quantity = math.floor(past_time / inflow_unit)
+            available = available + past_inflow_unit_quantity * inflow_quantity_per_unit
+            last_time = last_time + past_inflow_unit_quantity * inflow_unit
+        end
+        available = math.min(available, capacity)
+    end
+
+    local bucket_amount = math.max(available - amount, math.min(available, 0))
+    redis.call('hset', KEYS[1], 'tokens', bucket_amount, 'ts', last_time, 'lock', lock_until)
+    redis.call('pexpire', KEYS[1], math.max(key_expire_time, lock_until - current_time))
+    return tostring(bucket_amount)
+    `;
+
+    // 重置令牌桶，删除令牌桶（兼容模式下包括旧版本的键）
+    this.resetScript = `
+    return redis.call('del', unpack(KEYS))
+    `;
+
+    // 内存阻塞策略的分布式计数，与 BlockWindow 的逻辑相同，KEYS[1] 为阻塞键的 hash，
+    // 字段为 until 阻塞截止时间、ws 窗口开始时间、count 当前窗口的消耗、prev 上一个窗口的消耗、times 连续再犯次数、ountil 上次阻塞的截止时间
+    // 返回 [状态（2本次触发阻塞 1阻塞中 0未阻塞）, 阻塞剩余毫秒数]，触发阻塞时向频道发布 { key, blockMs }
+    this.blockScript = `
+    local threshold = tonumber(ARGV[1])  -- 触发阻塞的阈值
+    local cost = tonumber(ARGV[2])  -- 本次请求的计数
+    local window = tonumber(ARGV[3])  -- 窗口长度（毫秒）
+    local sliding = tonumber(ARGV[4])  -- 是否使用滑动窗口
+    local duration = tonumber(ARGV[5])  -- 阻塞时间（毫秒）
+    local factor = tonumber(ARGV[6])  -- 每次再犯阻塞时间的倍数
+    local reset_after = tonumber(ARGV[7])  -- 上次阻塞结束后多久不再算作再犯（毫秒）
+    local max_duration = tonumber(ARGV[8])  -- 最长阻塞时间（毫秒），0为不限制
+    local current_time = tonumber(ARGV[9])  -- 当前时间戳（毫秒）
+    ${currentTime(10)}
+    local state = redis.call('hmget', KEYS[1], 'until', 'ws', 'count', 'prev', 'times', 'ountil')
+    local block_until = tonumber(state[1]) or 0
+    if block_until > current_time then
+        return { 1, block_until - current_time }
+    end
+
+    local window_start = tonumber(state[2]) or current_time
+    local count = tonumber(state[3]) or 0
+    local previous = tonumber(state[4]) or 0
+    local elapsed = current_time - window_start
+    if elapsed >= window then
+        if sliding == 1 and elapsed < window * 2 then
+            -- 紧接着的下一个窗口，保留上一个窗口的计数用于加权
+            window_start = window_start + window
+            previous = count
+        else
+            window_start = current_time
+            previous = 0
+        end
+        count = 0
+    end
+    local estimate = count
+    if sliding == 1 then
+        estimate = count + previous * (1 - (current_time - window_start) / window)
+    end
+
+    local offence_until = tonumber(state[6])
+    if estimate >= threshold then
+        -- 上次阻塞结束后 reset_after 内再次触发时逐次加长阻塞时间
+        local times = 0
+        if factor ~= 1 and offence_until and current_time - offence_until < reset_after then
+            times = (tonumber(state[5]) or 0) + 1
+        end
+        local block_ms = math.floor(duration * factor ^ times)
+        if max_duration > 0 then
+            block_ms = math.min(block_ms, max_duration)
+        end
+        block_until = current_time + block_ms
+        redis.call('del', KEYS[1])
+        redis.call('hset', KEYS[1], 'until', block_until, 'times', times, 'ountil', block_until)
+        redis.call('pexpire', KEYS[1], block_ms + reset_after)
+        redis.call('publish', ARGV[11], cjson.encode({ key = ARGV[12], blockMs = block_ms }))
+        return { 2, block_ms }
+    end
+
+    redis.call('hset', KEYS[1], 'ws', window_start, 'count', count + cost, 'prev', previous)
+    -- 滑动窗口会用到上一个窗口的计数，因此保留两个窗口，再犯记录保留到不再算作再犯为止
+    local ttl = window * (sliding == 1 and 2 or 1)
+    if offence_until then
+        ttl = math.max(ttl, offence_until + reset_after - current_time)
+    end
+    redis.call('pexpire', KEYS[1], ttl)
+    return { 0, 0 }
+    `;
+
+    // 解除分布式的阻塞，并通知其他实例
+    this.unblockScript = `
+    local deleted = redis.call('del', KEYS[1])
+    redis.call('publish', ARGV[1], cjson.encode({ key = ARGV[2], blockMs = 0 }))
+    return deleted
+    `;
+
+    // 添加名单条目，同时清除已过期的条目，白名单、黑名单和封禁名单共用
+    this.banScript = `
+    local fields = redis.call('hgetall', KEYS[1])
+    for i = 1, #fields, 2 do
+        local expires_at = tonumber(fields[i + 1])
+        if expires_at > 0 and expires_at <= tonumber(ARGV[3]) then
+            redis.call('hdel', KEYS[1], fields[i])
+        end
+    end
+    return redis.call('hset', KEYS[1], ARGV[1], ARGV[2])
+    `;
+
+    // 删除名单条目
+    this.unbanScript = `
+    return redis.call('hdel', KEYS[1], ARGV[1])
+    `;
+
+    // 读取名单，返回 [条目, 过期时间戳, ...]
+    this.listBansScript = `
+    return redis.call('hgetall', KEYS[1])
+    `;
+
+    // 解除限流惩罚
+    this.unlockScript = `
+    local deleted = redis.call('hdel', KEYS[1], 'lock')
+    if #KEYS == 4 then
+        deleted = deleted + redis.call('del', KEYS[4])
+    end
+    return deleted
+    `;
+
+    // 令牌桶之外的算法的公共部分，与 algorithms.js 中的实现一一对应，KEYS[1] 为保存算法状态和限流惩罚截止时间 lock 的 hash
+    // 参数为 [容量, 消耗的数量, 每个令牌的间隔（毫秒）, 滑动窗口长度（毫秒）, 惩罚时间（秒）, 当前时间戳, 是否只读取（1是 0否）, 是否使用 redis 服务器时间]
+    // 返回 [状态（2限流惩罚中 1拒绝 0放行）, 剩余数量, 重试等待毫秒数（-1为永远无法放行）, 限流惩罚剩余毫秒数, 恢复到初始状态的毫秒数, 漏桶中排队的毫秒数]
+    const algorithmHeader = `
+    local capacity = tonumber(ARGV[1])
+    local amount = tonumber(ARGV[2])
+    local emission_interval = tonumber(ARGV[3])
+    local window = tonumber(ARGV[4])
+    local lock_seconds = tonumber(ARGV[5])
+    local current_time = tonumber(ARGV[6])
+    local dry_run = tonumber(ARGV[7])
+    ${currentTime(8)}
+    local epsilon = 1e-9
+    local lock_until = tonumber(redis.call('hget', KEYS[1], 'lock')) or 0
+    if lock_until > current_time then
+        return { 2, '0', 0, lock_until - current_time, lock_until - current_time, 0 }
+    end
+
+    local function ceil_ms(ms)
+        return math.max(math.ceil(ms - epsilon), 0)
+    end
+
+    -- 取整后返回，拒绝时按 lock_seconds 进入限流惩罚，并按恢复时间设置所有键的过期时间
+    local function finish(allowed, remaining, retry_after, reset_after, delay)
+        local lock_ttl = 0
+        reset_after = ceil_ms(reset_after)
+        if dry_run == 0 then
+            if not allowed and lock_seconds > 0 then
+                lock_ttl = lock_seconds * 1000
+                redis.call('hset', KEYS[1], 'lock', current_time + lock_ttl)
+            end
+            for _, key in ipairs(KEYS) do
+                redis.call('pexpire', key, math.max(reset_after, lock_ttl, 1))
+            end
+        end
+        if retry_after >= 0 then
+            retry_after = ceil_ms(retry_after)
+        end
+        local status = 1
+        if allowed then
+            status = 0
+        end
+        return { status, tostring(math.max(math.floor(remaining + epsilon), 0)), retry_after, lock_ttl, math.max(reset_after, lock_ttl), ceil_ms(delay) }
+    end
+    `;
+
+    // GCRA：tat 为理论到达时间，每次请求推后 amount 个间隔，超前当前时间不超过 capacity 个间隔时放行
+    this.gcraScript = `
+    ${algorithmHeader}
+    local tolerance = capacity * emission_interval
+    local tat = math.max(tonumber(redis.call('hget', KEYS[1], 'tat')) or 0, current_time)
+    local new_tat = tat + amount * emission_interval
+    if new_tat - current_time > tolerance + epsilon then
+        local retry_after = -1
+        if amount <= capacity then
+            retry_after = new_tat - tolerance - current_time
+        end
+        return finish(false, (tolerance - (tat - current_time)) / emission_interval, retry_after, tat - current_time, 0)
+    end
+    if dry_run == 0 then
+        redis.call('hset', KEYS[1], 'tat', new_tat)
+    end
+    return finish(true, (tolerance - (new_tat - current_time)) / emission_interval, 0, new_tat - current_time, 0)
+    `;
+
+    // 滑动窗口日志：KEYS[2] 为有序集合，成员为 序号:数量，分数为放行的时间，KEYS[1] 的 used 为窗口内放行的总数
+    this.slidingWindowLogScript = `
+    ${algorithmHeader}
+    local function entry_cost(member)
+        return tonumber(string.match(member, ':(.+)$'))
+    end
+    local used = tonumber(redis.call('hget', KEYS[1], 'used')) or 0
+    local expired = redis.call('zrangebyscore', KEYS[2], '-inf', current_time - window)
+    for _, member in ipairs(expired) do
+        used = used - entry_cost(member)
+    end
+    if #expired > 0 and dry_run == 0 then
+        redis.call('zremrangebyscore', KEYS[2], '-inf', current_time - window)
+        redis.call('hset', KEYS[1], 'used', used)
+    end
+    -- 窗口内按时间排列的记录 [成员, 分数, ...]
+    local entries = redis.call('zrangebyscore', KEYS[2], '(' .. (current_time - window), '+inf', 'WITHSCORES')
+    local reset_after = 0
+    if #entries > 0 then
+        reset_after = tonumber(entries[#entries]) + window - current_time
+    end
+    if used + amount > capacity + epsilon then
+        -- 等到足够多的旧记录移出窗口
+        local retry_after = -1
+        local remaining = used
+        if amount <= capacity then
+            for i = 1, #entries, 2 do
+                remaining = remaining - entry_cost(entries[i])
+                if remaining + amount <= capacity + epsilon then
+                    retry_after = tonumber(entries[i + 1]) + window - current_time
+                    break
+                end
+            end
+        end
+        return finish(false, capacity - used, retry_after, reset_after, 0)
+    end
+    if amount > 0 then
+        if dry_run == 0 then
+            local seq = redis.call('hincrby', KEYS[1], 'seq', 1)
+            redis.call('zadd', KEYS[2], current_time, seq .. ':' .. amount)
+            redis.call('hset', KEYS[1], 'used', used + amount)
+        end
+        return finish(true, capacity - used - amount, 0, window, 0)
+    end
+    return finish(true, capacity - used, 0, reset_after, 0)
     `;
+
+    // 滑动窗口计数：window 为当前固定窗口的序号，current 和 previous 为当前和上一个窗口放行的数量
+    this.slidingWindowCounterScript = `
+    ${algorithmHeader}
+    local index = math.floor(current_time / window)
+    local start = index * window
+    local state = redis.call('hmget', KEYS[1], 'window', 'current', 'previous')
+    local stored = tonumber(state[1])
+    local current = 0
+    local previous = 0
+    if stored == index then
+        current = tonumber(state[2]) or 0
+        previous = tonumber(state[3]) or 0
+    elseif stored == index - 1 then
+        previous = tonumber(state[2]) or 0
+    end
+    local function reset_after()
+        if current > 0 then
+            return start + 2 * window - current_time
+        elseif previous > 0 then
+            return start + window - current_time
+        end
+        return 0
+    end
+    local estimated = previous * (start + window - current_time) / window + current
+    if estimated + amount > capacity + epsilon then
+        local retry_after = -1
+        if amount <= capacity then
+            if current + amount <= capacity then
+                -- 当前窗口内等上一个窗口的比例降低到足够小
+                retry_after = start + window - window * (capacity - current - amount) / previous - current_time
+            else
+                -- 下一个窗口中当前窗口的数量成为上一个窗口
+                retry_after = start + 2 * window - window * (capacity - amount) / current - current_time
+            end
+        end
+        return finish(false, capacity - estimated, retry_after, reset_after(), 0)
+    end
+    current = current + amount
+    if dry_run == 0 then
+        redis.call('hset', KEYS[1], 'window', index, 'current', current, 'previous', previous)
+    end
+    return finish(true, capacity - estimated - amount, 0, reset_after(), 0)
+    `;
+
+    // 漏桶队列：level 为队列中的数量，ts 为上次计算流出的时间，以每 emission_interval 毫秒一个的速率流出
+    this.leakyBucketScript = `
+    ${algorithmHeader}
+    local state = redis.call('hmget', KEYS[1], 'level', 'ts')
+    local last_time = tonumber(state[2]) or current_time
+    local level = math.max((tonumber(state[1]) or 0) - math.max(current_time - last_time, 0) / emission_interval, 0)
+    if level + amount > capacity + epsilon then
+        local retry_after = -1
+        if amount <= capacity then
+            retry_after = (level + amount - capacity) * emission_interval
+        end
+        return finish(false, capacity - level, retry_after, level * emission_interval, 0)
+    end
+    if dry_run == 0 then
+        redis.call('hset', KEYS[1], 'level', level + amount, 'ts', current_time)
+    end
+    return finish(true, capacity - level - amount, 0, (level + amount) * emission_interval, level * emission_interval)
+    `;
+  }
+
+  /**
+   * 获取令牌桶在 redis 中的键，所有键使用相同的 hash tag，保证落在同一个集群槽位
+   * 开启兼容模式时追加旧版本的 [令牌数key, 上次投放时间key, 限流惩罚key]，用于滚动发布期间沿用旧的桶状态
+   * @private
+   * @param {string} fullTokenKey - 完整的令牌键
+   * @returns {string[]} - 脚本的 KEYS
+   */
+  _bucketKeys(fullTokenKey) {
+    // 其他算法没有旧版本的存储方式
+    if (this.algorithm !== 'token-bucket') {
+      return ALGORITHM_KEYS[this.algorithm].map((suffix) => `{${fullTokenKey}}${suffix}`);
+    }
+    const keys = [`{${fullTokenKey}}:bucket`];
+    if (this.migrateLegacyKeys) {
+      keys.push(fullTokenKey, `{${fullTokenKey}}-st`, `{${fullTokenKey}}-lock`);
+    }
+    return keys;
+  }
+
+  /**
+   * 解析请求的客户端ip，配置了 ipResolver 时按可信代理规则解析
+   *
+   * @param {object} req - 请求对象
+   * @returns {string} - 客户端ip
+   */
+  resolveClientIp(req) {
+    return this.ipResolver(req);
   }
 
   /**
@@ -159,8 +917,20 @@ class RateLimiterTokenBucketRedis {
    * @returns {Promise<number>} - 返回当前可用的令牌数
    */
   async getTokenUseIp(req, tokenKey = '', blockKey = '') {
-    const ip = getClientIp(req);
-    return await this.getToken(ip + tokenKey, blockKey || ip);
+    const ip = this.resolveClientIp(req);
+    return await this.getToken(ip + tokenKey, blockKey || ip, 1, ip);
+  }
+
+  /**
+   * 以 ip 作为键消耗令牌，返回完整的限流决策
+   *
+   * @param {string} tokenKey - 限流键值，默认ip，如传入则组合在ip后 ip+key
+   * @param {string} blockKey - 可选，阻塞键标识，通常是ip或用户id，默认ip
+   * @returns {Promise<RateLimitDecision>} - 限流决策
+   */
+  async consumeUseIp(req, tokenKey = '', blockKey = '') {
+    const ip = this.resolveClientIp(req);
+    return await this.consume(ip + tokenKey, blockKey || ip, 1, ip);
   }
 
   /**
@@ -169,122 +939,1382 @@ class RateLimiterTokenBucketRedis {
    * @param {string} tokenKey - 令牌标识
    * @param {string} blockKey - 可选，阻塞键标识，用于1分钟窗口阻塞，通常是ip或用户id
    * @param {number} requestedTokens - 请求的令牌数，默认值为1
+   * @param {string} clientIp - 可选，客户端ip，用于匹配白名单、黑名单和封禁名单中的网段
    * @returns {Promise<number>} - 返回当前可用的令牌数
    */
+  async getToken(tokenKey, blockKey, requestedTokens = 1, clientIp = '') {
+    const decision = await this.consume(tokenKey, blockKey, requestedTokens, clientIp);
+    return decision.allowed ? decision.remaining : 0;
+  }
+
+  /**
+   * 批量获取令牌，如 GraphQL 中一次检查多个字段：各请求的 redis 调用合并为一次往返（每批最多 maxBatchSize 个），
+   * 在 redis 中按请求的顺序依次执行，结果与逐个调用 getToken 相同
+   *
+   * @param {Array<{ key: string, cost: number, blockKey: string }>} requests - 请求列表，cost 默认1，blockKey 可选
+   * @returns {Promise<number[]>} - 与请求顺序一致的可用令牌数，被拒绝的请求为0
+   */
+  async getTokens(requests) {
+    this.bulkRequests++;
+    try {
+      return await Promise.all(requests.map(({ key, cost = 1, blockKey = '' }) => this.getToken(key, blockKey, cost)));
+    } finally {
+      this.bulkRequests--;
+    }
+  }
+
+  /**
+   * 消耗令牌，返回完整的限流决策，而不是单纯的令牌数
+   *
+   * @param {string} tokenKey - 令牌标识
+   * @param {string} blockKey - 可选，阻塞键标识，用于1分钟窗口阻塞，通常是ip或用户id
+   * @param {number} requestedTokens - 请求的令牌数，默认值为1
+   * @param {string} clientIp - 可选，客户端ip，用于匹配白名单、黑名单和封禁名单中的网段
+   * @returns {Promise<RateLimitDecision>} - 限流决策
+   */
   // eslint-disable-next-line complexity
-  async getToken(tokenKey, blockKey, requestedTokens = 1) {
+  async consume(tokenKey, blockKey, requestedTokens = 1, clientIp = '') {
     const fullTokenKey = this.keyPrefix + tokenKey;
     const fullBlockedKey = blockKey ? this.keyPrefix + blockKey : fullTokenKey;
 
-    // 如果键被阻塞，则返回0（内存阻塞策略优先），一旦发现未被阻塞则重置状态
+    // 名单的缓存过期后在后台刷新，不等待刷新完成
+    if (!this.refreshingAccessLists && this.clock.now() - this.accessListsRefreshedAt >= this.accessListRefreshInterval) {
+      this._refreshAccessListsInBackground();
+    }
+    // 黑名单和封禁名单直接拒绝，白名单直接放行，都不访问 redis
+    const listedDecision = this._accessListDecision(tokenKey, blockKey, clientIp);
+    if (listedDecision) {
+      return this._emitDecision(listedDecision, tokenKey, blockKey, requestedTokens, listedDecision.remaining);
+    }
+
+    // 如果键被阻塞，则拒绝（内存阻塞策略优先），一旦发现未被阻塞则重置状态
     if (this._isKeyBlocked(fullBlockedKey)) {
-      return 0;
-    }
-
-    // 如果设置了inMemoryBlockOnConsumed选项（redis崩掉时该功能也生效），该策略为固定窗口限流策略
-    if (this.inMemoryBlockOnConsumed) {
-      // 获取该键在一分钟内消耗的令牌数和最后一次请求的时间戳
-      const { consumedTokens, firstRequest } = this.blockedKeys.get(`${fullBlockedKey}:consumed`) || { consumedTokens: 0, firstRequest: 0 };
-
-      // 如果当前时间与最后一次请求的时间差超过一分钟，超过1分钟则重置状态，假设1分钟内请求没有超，但是已过了该窗口则重新计算
-      if (firstRequest && Date.now() - firstRequest >= 60000) {
-        // 清除该键的消耗记录，重置状态
-        this.blockedKeys.delete(`${fullBlockedKey}:consumed`);
-        // 如果该键在一分钟内消耗的令牌数超过了inMemoryBlockOnConsumed选项指定的阈值，在内存中阻塞该键
-      } else if (consumedTokens >= this.inMemoryBlockOnConsumed) {
-        // 清除该键的消耗记录，阻塞一段时间后重新开始计算一分钟
-        this.blockedKeys.delete(`${fullBlockedKey}:consumed`);
-        this._blockKey(fullBlockedKey);
-      }
-      const currentConsumedTokens = consumedTokens + 1;
-      // 增加该键在一分钟内消耗的令牌数
-      this.blockedKeys.set(`${fullBlockedKey}:consumed`, { consumedTokens: currentConsumedTokens, firstRequest });
-      // 更新首次请求的时间戳
-      if (!firstRequest) {
-        this.blockedKeys.set(`${fullBlockedKey}:consumed`, { consumedTokens: currentConsumedTokens, firstRequest: Date.now() });
+      return this._emitDecision(this._blockedDecision(fullBlockedKey), tokenKey, blockKey, requestedTokens, 0);
+    }
+
+    // 如果设置了inMemoryBlockOnConsumed选项（redis崩掉时该功能也生效），统计阻塞键在窗口内的消耗，达到阈值时在内存中阻塞该键
+    if (this.blockWindow) {
+      // 其他实例已经阻塞了该键
+      if (await this._hitBlockWindow(fullBlockedKey, requestedTokens)) {
+        return this._emitDecision(this._blockedDecision(fullBlockedKey), tokenKey, blockKey, requestedTokens, 0);
       }
-      // 当阻塞键的数量超过999时，一次性收集过期的阻塞键而不是每次请求都收集，防止内存泄漏
-      if (this.blockedKeys.size > 999) {
+      // 状态数量超过上次收集后的两倍时才收集过期的状态，避免数量较多时每次请求都遍历
+      if (this.blockedKeys.size + this.blockWindow.size > this.collectThreshold) {
         this._collectExpiredBlockedKeys();
       }
     }
 
     try {
-      // 如果Redis连接正常
-      if (this._isRedisReady()) {
-        // 执行Lua脚本获取当前令牌数
-        const [limitTriggered, tokenBalance] = await this.redis.eval(
-          this.script,
-          1, // 键的数量
-          fullTokenKey, // 键
-          this.capacity, // 桶的容量
-          requestedTokens, // 每次请求消耗的令牌数
-          this.tokenPerSecond, // 每个时间单位内流入的令牌数（默认1s）
-          1000, // 时间单位（毫秒，默认1s）
-          this.lockDuration, // 触发限流时的惩罚时间（秒，默认0）
-          60000, // 令牌桶的过期清理时间（毫秒，默认1m）
-          Date.now(),
-        );
-        console.log(`Request ${limitTriggered ? 'denied' : 'allowed'}. Token balance: ${tokenBalance}`);
-        return limitTriggered === 0 ? parseFloat(tokenBalance) : 0;
+      // 租用令牌的键由本地租约放行，租到的令牌用完或租约过期时才访问 redis
+      if (this._isLeasedKey(tokenKey, requestedTokens)) {
+        const [tokenBalance, decision] = await this._consumeLeased(tokenKey, fullTokenKey, requestedTokens);
+        return this._emitDecision(decision, tokenKey, blockKey, requestedTokens, tokenBalance);
       }
-      // 如果Redis连接不正常且启用了备用策略，则使用RateLimiterTokenBucket实例作为备用方案并调用其getToken方法获取当前令牌数
-      if (this.insuranceLimiter) {
-        return await this.rateLimiterTokenBucket.getToken(fullTokenKey);
+      // 令牌桶之外的算法
+      if (this.algorithm !== 'token-bucket') {
+        const decision = await this._consumeAlgorithm(fullTokenKey, requestedTokens);
+        return this._emitDecision(decision, tokenKey, blockKey, requestedTokens, decision.remaining);
       }
-      // 如果Redis连接不正常且未启用备用策略，则返回1表示有一个可用的令牌
-      return 1;
+      // 执行Lua脚本获取当前令牌数，redis 不可用、熔断中或超时时抛出异常
+      const [limitTriggered, tokenBalance, nextRefillMs, lockTtlMs] = await this._runScript(
+        'consume',
+        this._bucketKeys(fullTokenKey), // 键
+        this.capacity, // 桶的容量
+        requestedTokens, // 每次请求消耗的令牌数
+        this.tokenPerInterval, // 每个时间单位内流入的令牌数
+        this.refillInterval, // 时间单位（毫秒，默认1s）
+        this.lockDuration, // 触发限流时的惩罚时间（秒，默认0）
+        this.bucketTtl, // 令牌桶的过期清理时间（毫秒，至少1m）
+        this.clock.now(),
+        this.continuousRefill ? 1 : 0, // 是否连续投放令牌
+        this.useRedisTime ? 1 : 0, // 是否使用 redis 服务器时间
+      );
+      const decision = this._buildDecision(limitTriggered, parseFloat(tokenBalance), nextRefillMs, lockTtlMs);
+      return this._emitDecision(decision, tokenKey, blockKey, requestedTokens, parseFloat(tokenBalance));
     } catch (error) {
-      // 如果发生错误且启用了备用策略，则使用RateLimiterTokenBucket实例作为备用方案并调用其getToken方法获取当前令牌数
-      if (this.insuranceLimiter) {
-        return await this.rateLimiterTokenBucket.getToken(fullTokenKey);
+      this._onRedisError(error, tokenKey, requestedTokens);
+      const decision = this._fallbackDecision(fullTokenKey, requestedTokens);
+      this.emit('fallback', { key: tokenKey, blockKey, cost: requestedTokens, balance: decision.remaining, decision, error });
+      return this._emitDecision(decision, tokenKey, blockKey, requestedTokens, decision.remaining);
+    }
+  }
+
+  /**
+   * 按令牌桶之外的算法执行一次 Lua 脚本，requestedTokens 为0且 dryRun 时只读取状态
+   * @private
+   * @param {string} fullTokenKey - 完整的令牌键
+   * @param {number} requestedTokens - 请求消耗的数量
+   * @param {boolean} dryRun - 是否只读取状态，不写入
+   * @returns {Promise<RateLimitDecision>} - 限流决策
+   */
+  async _consumeAlgorithm(fullTokenKey, requestedTokens, dryRun = false) {
+    const { capacity, emissionInterval, windowMs } = this.algorithmParams;
+    const [status, remaining, retryAfterMs, lockTtlMs, resetAfterMs, delayMs] = await this._runScript(
+      ALGORITHM_OPERATIONS[this.algorithm],
+      this._bucketKeys(fullTokenKey),
+      capacity,
+      requestedTokens,
+      emissionInterval, // 每个令牌的间隔（毫秒）
+      windowMs, // 滑动窗口长度（毫秒）
+      this.lockDuration,
+      this.clock.now(),
+      dryRun ? 1 : 0,
+      this.useRedisTime ? 1 : 0,
+    );
+    return buildAlgorithmDecision({
+      algorithm: this.algorithm,
+      status,
+      remaining: parseFloat(remaining),
+      retryAfterMs: retryAfterMs < 0 ? Infinity : retryAfterMs,
+      lockTtlMs,
+      resetAfterMs,
+      delayMs,
+      capacity: this.capacity,
+      now: this.clock.now(),
+      source: 'redis',
+    });
+  }
+
+  /**
+   * 只支持令牌桶的方法和选项在使用其他算法时抛出错误
+   * @private
+   * @param {string} method - 方法名或选项名
+   */
+  _assertTokenBucket(method) {
+    if (this.algorithm !== 'token-bucket') {
+      throw new Error(`${method} is only supported by the token-bucket algorithm, got ${this.algorithm}`);
+    }
+  }
+
+  /**
+   * 判断令牌标识是否在本地租用令牌，请求的令牌数超过 maxLeaseSize 时直接访问 redis
+   * @private
+   * @param {string} tokenKey - 令牌标识
+   * @param {number} requestedTokens - 请求消耗的令牌数
+   * @returns {boolean} - 是否由本地租约放行
+   */
+  _isLeasedKey(tokenKey, requestedTokens) {
+    if (!this.leasing || requestedTokens > this.maxLeaseSize) {
+      return false;
+    }
+    if (!this.leaseKeys) {
+      return true;
+    }
+    return typeof this.leaseKeys === 'function' ? Boolean(this.leaseKeys(tokenKey)) : this.leaseKeys.has(tokenKey);
+  }
+
+  /**
+   * 从本地租约中消耗令牌，租到的令牌不足或租约过期时续租，同一个键同时只有一次续租，其他请求等待续租完成后再从租约中消耗
+   * redis 不可用时抛出异常，由调用方按 failMode 处理
+   * @private
+   * @param {string} tokenKey - 令牌标识
+   * @param {string} fullTokenKey - 完整的令牌键
+   * @param {number} requestedTokens - 请求消耗的令牌数
+   * @returns {Promise<[number, RateLimitDecision]>} - [租约中剩余的令牌数（续租被拒绝时为桶中的令牌数）, 限流决策]
+   */
+  async _consumeLeased(tokenKey, fullTokenKey, requestedTokens) {
+    let lease = this.leases.get(fullTokenKey);
+    if (!lease) {
+      lease = {
+        tokenKey,
+        tokens: 0, // 租约中剩余的令牌数
+        expiresAt: 0, // 租约过期时间
+        timer: null, // 过期定时器
+        rate: 0, // 平滑后的本地消耗速率（令牌/毫秒）
+        used: 0, // 本次采样期间消耗的令牌数
+        sampledAt: this.clock.now(), // 本次采样的开始时间
+        bucketBalance: 0, // 上次续租后桶中的令牌数
+        refillAt: 0, // 上次续租时推算的下次投放时间
+        renewing: null, // 正在进行的续租
+      };
+      this.leases.set(fullTokenKey, lease);
+    }
+    for (;;) {
+      if (lease.renewing) {
+        const denied = await lease.renewing;
+        if (denied) {
+          return denied;
+        }
+      } else if (lease.tokens >= requestedTokens && this.clock.now() < lease.expiresAt) {
+        lease.tokens -= requestedTokens;
+        lease.used += requestedTokens;
+        return [lease.tokens, this._leaseDecision(lease)];
+      } else {
+        lease.renewing = this._renewLease(fullTokenKey, lease, requestedTokens).finally(() => {
+          lease.renewing = null;
+        });
       }
-      // 如果发生错误且未启用备用策略，则返回1表示有一个可用的令牌
-      return 1;
     }
   }
 
   /**
-   * 在内存中阻塞键
-   *
-   * @param {string} blockedKey
+   * 续租：退还已过期的租约中剩余的令牌，再按本地的消耗速率从 redis 租用一批令牌，租约中剩余的令牌不足 requestedTokens 时补足
+   * @private
+   * @param {string} fullTokenKey - 完整的令牌键
+   * @param {object} lease - 本地租约
+   * @param {number} requestedTokens - 请求消耗的令牌数
+   * @returns {Promise<[number, RateLimitDecision]|null>} - 续租成功时为 null，令牌不足或限流惩罚中时为 [桶中的令牌数, 限流决策]
+   */
+  async _renewLease(fullTokenKey, lease, requestedTokens) {
+    const now = this.clock.now();
+    if (now >= lease.expiresAt) {
+      this._returnLease(fullTokenKey, lease);
+    }
+    this._sampleLeaseRate(lease, now);
+    // 按速率租用一个租约有效期内预计消耗的令牌数
+    const leaseSize = Math.min(Math.max(Math.ceil(lease.rate * this.leaseMs), this.minLeaseSize, requestedTokens), this.maxLeaseSize);
+    const [limitTriggered, tokenBalance, nextRefillMs, lockTtlMs, granted] = await this._runScript(
+      'lease',
+      this._bucketKeys(fullTokenKey),
+      this.capacity,
+      leaseSize - lease.tokens, // 希望租用的令牌数
+      requestedTokens - lease.tokens, // 至少需要租用的令牌数
+      this.tokenPerInterval,
+      this.refillInterval,
+      this.lockDuration,
+      this.bucketTtl,
+      this.clock.now(),
+      this.continuousRefill ? 1 : 0,
+      this.useRedisTime ? 1 : 0,
+    );
+    const balance = parseFloat(tokenBalance);
+    if (limitTriggered !== 0) {
+      return [balance, this._buildDecision(limitTriggered, balance, nextRefillMs, lockTtlMs)];
+    }
+    const renewedAt = this.clock.now();
+    lease.tokens += parseFloat(granted);
+    lease.expiresAt = renewedAt + this.leaseMs;
+    lease.bucketBalance = balance;
+    lease.refillAt = renewedAt + nextRefillMs;
+    this._scheduleLeaseExpiry(fullTokenKey, lease);
+    return null;
+  }
+
+  /**
+   * 用上次采样以来的消耗更新平滑后的消耗速率，并开始新的采样
+   * @private
+   * @param {object} lease - 本地租约
+   * @param {number} now - 当前时间戳（毫秒）
    */
-  _blockKey(blockedKey) {
-    this.blockedKeys.set(blockedKey, Date.now() + this.inMemoryBlockDuration * 1000);
+  _sampleLeaseRate(lease, now) {
+    const rate = lease.used / Math.max(now - lease.sampledAt, 1);
+    lease.rate = lease.rate ? (lease.rate + rate) / 2 : rate;
+    lease.used = 0;
+    lease.sampledAt = now;
   }
 
   /**
-   * 清除过期的阻塞键
+   * 设置租约的过期定时器：过期时退还剩余的令牌，一个有效期内都没有消耗的键会被移除，否则保留消耗速率供下次续租使用
+   * @private
+   * @param {string} fullTokenKey - 完整的令牌键
+   * @param {object} lease - 本地租约
    */
-  _collectExpiredBlockedKeys() {
-    const now = Date.now();
-    for (const [key, val] of this.blockedKeys.entries()) {
-      // 阻塞截止时间小于当前时间，阻塞键过期
-      if (typeof val === 'number' && val <= now) {
-        this.blockedKeys.delete(key);
+  _scheduleLeaseExpiry(fullTokenKey, lease) {
+    this.clock.clearTimeout(lease.timer);
+    lease.timer = this.clock.setTimeout(() => {
+      lease.timer = null;
+      this._returnLease(fullTokenKey, lease);
+      if (lease.renewing) {
+        return;
       }
-      // 计数键对象类型，1分钟过期
-      if (key.includes('consumed')) {
-        if (now - val.firstRequest >= 60000) {
-          this.blockedKeys.delete(key);
-        }
+      if (lease.used === 0) {
+        this.leases.delete(fullTokenKey);
+        return;
       }
+      this._sampleLeaseRate(lease, this.clock.now());
+      this._scheduleLeaseExpiry(fullTokenKey, lease);
+    }, this.leaseMs);
+    if (lease.timer.unref) {
+      lease.timer.unref();
     }
   }
 
   /**
-   * 判断 Redis 连接状态是否正常
-   *
+   * 结束租约，把剩余的令牌退还到 redis 的令牌桶中，redis 出错时触发 redisError 事件，退还的令牌会丢失
    * @private
-   * @returns {boolean} - 如果连接状态正常，则返回 true，否则返回 false
+   * @param {string} fullTokenKey - 完整的令牌键
+   * @param {object} lease - 本地租约
+   * @returns {Promise<void>} - 退还完成
    */
-  _isRedisReady() {
-    // ioredis client
-    if (this.redis.status && this.redis.status !== 'ready') {
-      console.error('redis 连接状态异常', this.redis.status);
-      return false;
+  async _returnLease(fullTokenKey, lease) {
+    this.clock.clearTimeout(lease.timer);
+    lease.timer = null;
+    const { tokens } = lease;
+    lease.tokens = 0;
+    lease.expiresAt = 0;
+    if (tokens <= 0) {
+      return;
+    }
+    try {
+      await this._runScript(
+        'refund',
+        this._bucketKeys(fullTokenKey),
+        tokens,
+        this.capacity,
+        this.bucketTtl,
+        this.clock.now(),
+        this.useRedisTime ? 1 : 0,
+      );
+    } catch (error) {
+      this._onRedisError(error, lease.tokenKey, tokens);
+    }
+  }
+
+  /**
+   * 构造由本地租约放行的限流决策，剩余令牌数为租约中的令牌数加上次续租后桶中的令牌数，是估计值
+   * @private
+   * @param {object} lease - 本地租约
+   * @returns {RateLimitDecision} - 限流决策
+   */
+  _leaseDecision(lease) {
+    const tokenBalance = Math.min(lease.tokens + Math.max(lease.bucketBalance, 0), this.capacity);
+    const decision = this._buildDecision(0, tokenBalance, Math.max(lease.refillAt - this.clock.now(), 0), 0);
+    return { ...decision, source: 'lease' };
+  }
+
+  /**
+   * redis 不可用时按 failMode 构造限流决策：insurance 使用内存限流器，closed 拒绝，open 放行
+   * @private
+   * @param {string} fullTokenKey - 完整的令牌键
+   * @param {number} requestedTokens - 请求消耗的令牌数
+   * @returns {RateLimitDecision} - 限流决策
+   */
+  _fallbackDecision(fullTokenKey, requestedTokens) {
+    if (this.failMode === 'insurance') {
+      const decision = this.rateLimiterTokenBucket.consume(fullTokenKey, '', requestedTokens);
+      if (this.reconcileInsurance && decision.allowed) {
+        this._addPendingDebit(fullTokenKey, requestedTokens);
+      }
+      return { ...decision, source: 'insurance' };
+    }
+    if (this.failMode === 'closed') {
+      return this._failClosedDecision();
+    }
+    return this._failOpenDecision();
+  }
+
+  /**
+   * 按限流决策触发 allowed、denied、locked 或 blocked 事件，并输出 debug 日志
+   * @private
+   * @param {RateLimitDecision} decision - 限流决策
+   * @param {string} tokenKey - 令牌标识
+   * @param {string} blockKey - 阻塞键标识
+   * @param {number} requestedTokens - 请求消耗的令牌数
+   * @param {number} tokenBalance - 桶中的令牌数
+   * @returns {RateLimitDecision} - 传入的限流决策
+   */
+  _emitDecision(decision, tokenKey, blockKey, requestedTokens, tokenBalance) {
+    const event = getDecisionEvent(decision);
+    this.logger.debug(`Request ${event} by ${decision.source}. Key: ${tokenKey}, token balance: ${tokenBalance}`);
+    this.emit(event, { key: tokenKey, blockKey, cost: requestedTokens, balance: tokenBalance, decision });
+    return decision;
+  }
+
+  /**
+   * 记录调用 redis 出错，redis 未就绪或熔断中时不触发 redisError 事件
+   * @private
+   * @param {Error} error - 错误
+   * @param {string} tokenKey - 令牌标识
+   * @param {number} cost - 请求消耗（或退还）的令牌数
+   */
+  _onRedisError(error, tokenKey, cost) {
+    if (error.code === REDIS_UNAVAILABLE) {
+      return;
+    }
+    this.logger.warn(`Redis error, key: ${tokenKey}`, error);
+    this.emit('redisError', { key: tokenKey, cost, error });
+  }
+
+  /**
+   * 等待直到有足够的令牌，用于不希望直接拒绝的场景（如调用第三方接口）
+   * 由 Lua 脚本按调用顺序预留令牌（桶中的令牌数可以为负）并计算需要等待的时间，各进程只需要调用一次 redis，
+   * 同一个键的等待者按到达 redis 的顺序（FIFO）依次放行；处于限流惩罚中时先等待惩罚结束再预留。不经过名单和内存阻塞策略。
+   * redis 不可用时按 failMode 处理：insurance 在备用策略中等待，closed 以 redis 的错误 reject，open 直接放行
+   *
+   * @param {string} tokenKey - 令牌标识
+   * @param {number} requestedTokens - 请求的令牌数，默认值为1，不能超过桶的容量
+   * @param {object} opts - 选项对象
+   * @param {number} opts.maxWaitMs - 可选，最长等待时间（毫秒），需要等待更久时不预留令牌，直接以 WaitTimeoutError reject，默认不限制
+   * @param {AbortSignal} opts.signal - 可选，中止信号，中止时退还预留的令牌并以 signal.reason reject
+   * @returns {Promise<RateLimitDecision>} - 放行的限流决策
+   */
+  async waitForToken(tokenKey = '', requestedTokens = 1, opts = {}) {
+    const { maxWaitMs = Infinity, signal } = opts;
+    this._assertTokenBucket('waitForToken');
+    if (requestedTokens > this.capacity) {
+      throw new RangeError(`requestedTokens ${requestedTokens} exceeds capacity ${this.capacity}`);
+    }
+    const fullTokenKey = this.keyPrefix + tokenKey;
+    const deadline = this.clock.now() + maxWaitMs;
+    for (;;) {
+      // 已中止时不再预留
+      if (signal?.aborted) {
+        throw getAbortReason(signal);
+      }
+      const reservedAt = this.clock.now();
+      let reply;
+      try {
+        reply = await this._runScript(
+          'reserve',
+          this._bucketKeys(fullTokenKey),
+          this.capacity,
+          requestedTokens,
+          this.tokenPerInterval,
+          this.refillInterval,
+          this.bucketTtl,
+          Number.isFinite(maxWaitMs) ? Math.max(deadline - reservedAt, 0) : -1, // 最长等待时间，-1 为不限制
+          reservedAt,
+          this.continuousRefill ? 1 : 0,
+          this.useRedisTime ? 1 : 0,
+        );
+      } catch (error) {
+        this._onRedisError(error, tokenKey, requestedTokens);
+        return await this._fallbackWait(tokenKey, requestedTokens, deadline, opts, error);
+      }
+      const [status, tokenBalance, waitMs, nextRefillMs] = [reply[0], parseFloat(reply[1]), reply[2] < 0 ? Infinity : reply[2], reply[3]];
+      if (status === 0) {
+        try {
+          await sleep(waitMs, signal, this.clock);
+        } catch (error) {
+          await this.refund(tokenKey, requestedTokens);
+          throw error;
+        }
+        const decision = this._buildWaitDecision(tokenBalance, nextRefillMs, reservedAt);
+        return this._emitDecision(decision, tokenKey, '', requestedTokens, tokenBalance);
+      }
+      if (status === 1 || reservedAt + waitMs > deadline) {
+        throw new WaitTimeoutError(tokenKey, requestedTokens, waitMs, maxWaitMs);
+      }
+      // 限流惩罚结束后重新预留
+      await sleep(waitMs, signal, this.clock);
+    }
+  }
+
+  /**
+   * redis 不可用时按 failMode 等待令牌
+   * @private
+   * @param {string} tokenKey - 令牌标识
+   * @param {number} requestedTokens - 请求的令牌数
+   * @param {number} deadline - 最晚放行的时间戳（毫秒）
+   * @param {object} opts - waitForToken 的选项
+   * @param {Error} error - redis 的错误
+   * @returns {Promise<RateLimitDecision>} - 放行的限流决策
+   */
+  async _fallbackWait(tokenKey, requestedTokens, deadline, opts, error) {
+    let decision;
+    if (this.failMode === 'insurance') {
+      const fullTokenKey = this.keyPrefix + tokenKey;
+      const insuranceDecision = await this.rateLimiterTokenBucket.waitForToken(fullTokenKey, requestedTokens, {
+        ...opts,
+        maxWaitMs: deadline - this.clock.now(),
+      });
+      if (this.reconcileInsurance) {
+        this._addPendingDebit(fullTokenKey, requestedTokens);
+      }
+      decision = { ...insuranceDecision, source: 'insurance' };
+    } else if (this.failMode === 'closed') {
+      throw error;
+    } else {
+      decision = this._failOpenDecision();
+    }
+    this.emit('fallback', { key: tokenKey, blockKey: '', cost: requestedTokens, balance: decision.remaining, decision, error });
+    return this._emitDecision(decision, tokenKey, '', requestedTokens, decision.remaining);
+  }
+
+  /**
+   * 构造等待令牌后放行的限流决策
+   * @private
+   * @param {number} tokenBalance - 预留后桶中的令牌数，等待时为负数
+   * @param {number} nextRefillMs - 预留时距下次投放令牌的毫秒数
+   * @param {number} reservedAt - 预留的时间戳（毫秒）
+   * @returns {RateLimitDecision} - 限流决策
+   */
+  _buildWaitDecision(tokenBalance, nextRefillMs, reservedAt) {
+    const refill = {
+      tokenPerInterval: this.tokenPerInterval,
+      refillInterval: this.refillInterval,
+      nextRefillMs,
+      continuous: this.continuousRefill,
+    };
+    return {
+      allowed: true,
+      remaining: Math.max(tokenBalance, 0),
+      limit: this.capacity,
+      retryAfterMs: 0,
+      // 预留的令牌也需要投放完成
+      resetAtMs: reservedAt + getRefillDelay(this.capacity - tokenBalance, refill),
+      reason: 'allowed',
+      source: 'redis',
+    };
+  }
+
+  /**
+   * 按预估的消耗预留令牌，用于执行完成后才知道实际消耗的任务（如调用大模型接口），令牌不足时不预留并返回拒绝的预留
+   * 预留和结算都由 Lua 脚本原子地完成：commit(actualCost) 按实际消耗结算（多退少补），cancel() 退还；超时未结算时自动退还预估的令牌。
+   * 不经过名单和内存阻塞策略。redis 不可用时按 failMode 处理，结算时 redis 不可用则在备用策略中结算
+   *
+   * @param {string} tokenKey - 令牌标识
+   * @param {number} estimatedCost - 预估的消耗，默认值为1，不能超过桶的容量
+   * @param {object} opts - 选项对象
+   * @param {number} opts.ttlMs - 可选，预留的超时时间（毫秒），默认60000
+   * @returns {Promise<Reservation>} - 预留，allowed 为 false 时没有预留令牌，commit 和 cancel 返回 Promise
+   */
+  async reserve(tokenKey = '', estimatedCost = 1, opts = {}) {
+    const { ttlMs = 60000 } = opts;
+    this._assertTokenBucket('reserve');
+    if (estimatedCost > this.capacity) {
+      throw new RangeError(`estimatedCost ${estimatedCost} exceeds capacity ${this.capacity}`);
+    }
+    const fullTokenKey = this.keyPrefix + tokenKey;
+    let reply;
+    try {
+      reply = await this._runScript(
+        'reserve',
+        this._bucketKeys(fullTokenKey),
+        this.capacity,
+        estimatedCost,
+        this.tokenPerInterval,
+        this.refillInterval,
+        this.bucketTtl,
+        0, // 不等待，令牌不足时不预留
+        this.clock.now(),
+        this.continuousRefill ? 1 : 0,
+        this.useRedisTime ? 1 : 0,
+      );
+    } catch (error) {
+      this._onRedisError(error, tokenKey, estimatedCost);
+      return this._fallbackReservation(tokenKey, estimatedCost, ttlMs, error);
+    }
+    const [status, tokenBalance, waitMs, nextRefillMs] = [reply[0], parseFloat(reply[1]), reply[2] < 0 ? Infinity : reply[2], reply[3]];
+    const decision = status === 2
+      ? this._buildDecision(2, 0, 0, waitMs)
+      : this._buildDecision(status, tokenBalance, nextRefillMs, 0);
+    if (status === 1) {
+      // 拒绝时 tokenBalance 为桶中现有的令牌数，由脚本计算补足所需的时间
+      decision.retryAfterMs = waitMs;
+    }
+    this._emitDecision(decision, tokenKey, '', estimatedCost, tokenBalance);
+    return new Reservation({
+      key: tokenKey,
+      cost: estimatedCost,
+      decision,
+      ttlMs,
+      settle: (delta) => this._settleTokens(tokenKey, delta),
+      clock: this.clock,
+    });
+  }
+
+  /**
+   * 结算预留的令牌，redis 不可用时在备用策略中结算，补扣的令牌在 redis 恢复后扣除
+   * @private
+   * @param {string} tokenKey - 令牌标识
+   * @param {number} delta - 补扣的令牌数，负数为退还
+   * @returns {Promise<number>} - 结算后桶中的令牌数
+   */
+  async _settleTokens(tokenKey, delta) {
+    const fullTokenKey = this.keyPrefix + tokenKey;
+    try {
+      const balance = await this._runScript(
+        'settle',
+        this._bucketKeys(fullTokenKey),
+        delta,
+        this.capacity,
+        this.tokenPerInterval,
+        this.refillInterval,
+        this.continuousRefill ? 1 : 0,
+        this.bucketTtl,
+        this.clock.now(),
+        this.useRedisTime ? 1 : 0,
+      );
+      return parseFloat(balance);
+    } catch (error) {
+      this._onRedisError(error, tokenKey, delta);
+    }
+    if (this.insuranceLimiter) {
+      if (this.reconcileInsurance) {
+        this._addPendingDebit(fullTokenKey, delta);
+      }
+      return this.rateLimiterTokenBucket._settleTokens(fullTokenKey, delta);
+    }
+    return this.capacity;
+  }
+
+  /**
+   * redis 不可用时按 failMode 预留令牌：insurance 在备用策略中预留，closed 拒绝，open 放行且结算时不做任何操作
+   * @private
+   * @param {string} tokenKey - 令牌标识
+   * @param {number} estimatedCost - 预估的消耗
+   * @param {number} ttlMs - 预留的超时时间（毫秒）
+   * @param {Error} error - redis 的错误
+   * @returns {Reservation} - 预留
+   */
+  _fallbackReservation(tokenKey, estimatedCost, ttlMs, error) {
+    const fullTokenKey = this.keyPrefix + tokenKey;
+    let decision;
+    let settle = async () => this.capacity;
+    if (this.failMode === 'insurance') {
+      // 超时由外层的预留负责
+      const reservation = this.rateLimiterTokenBucket.reserve(fullTokenKey, estimatedCost, { ttlMs: Infinity });
+      decision = { ...reservation.decision, source: 'insurance' };
+      if (this.reconcileInsurance && decision.allowed) {
+        this._addPendingDebit(fullTokenKey, estimatedCost);
+      }
+      settle = async (delta) => {
+        if (this.reconcileInsurance) {
+          this._addPendingDebit(fullTokenKey, delta);
+        }
+        return reservation.settle(delta);
+      };
+    } else if (this.failMode === 'closed') {
+      decision = this._failClosedDecision();
+    } else {
+      decision = this._failOpenDecision();
+    }
+    this.emit('fallback', { key: tokenKey, blockKey: '', cost: estimatedCost, balance: decision.remaining, decision, error });
+    this._emitDecision(decision, tokenKey, '', estimatedCost, decision.remaining);
+    return new Reservation({ key: tokenKey, cost: estimatedCost, decision, ttlMs, settle, clock: this.clock });
+  }
+
+  /**
+   * 根据 Lua 脚本的返回值构造限流决策
+   * @private
+   * @param {number} limitTriggered - 是否触发限流(2限流惩罚中 1限流 0通过)
+   * @param {number} tokenBalance - 当前桶中的令牌数，限流时为扣减后的负数
+   * @param {number} nextRefillMs - 距下次投放令牌的毫秒数
+   * @param {number} lockTtlMs - 限流惩罚剩余毫秒数
+   * @returns {RateLimitDecision} - 限流决策
+   */
+  _buildDecision(limitTriggered, tokenBalance, nextRefillMs, lockTtlMs) {
+    const now = this.clock.now();
+    const allowed = limitTriggered === 0;
+    const refill = {
+      tokenPerInterval: this.tokenPerInterval,
+      refillInterval: this.refillInterval,
+      nextRefillMs,
+      continuous: this.continuousRefill,
+    };
+    // 桶被消耗的部分回满所需的时间
+    const resetAfterMs = getRefillDelay(this.capacity - Math.max(tokenBalance, 0), refill);
+    let retryAfterMs = 0;
+    if (!allowed) {
+      // 令牌不足时 tokenBalance 为负数，补足到0即可放行
+      const refillDelay = limitTriggered === 2 ? 0 : getRefillDelay(-tokenBalance, refill);
+      retryAfterMs = Math.max(refillDelay, lockTtlMs);
+    }
+    return {
+      allowed,
+      remaining: allowed ? tokenBalance : 0,
+      limit: this.capacity,
+      retryAfterMs,
+      resetAtMs: now + Math.max(resetAfterMs, lockTtlMs),
+      reason: ['allowed', 'exhausted', 'locked'][limitTriggered],
+      source: 'redis',
+    };
+  }
+
+  /**
+   * 构造 redis 不可用且未启用备用策略时放行的限流决策
+   * @private
+   * @returns {RateLimitDecision} - 限流决策
+   */
+  _failOpenDecision() {
+    return {
+      allowed: true,
+      remaining: 1,
+      limit: this.capacity,
+      retryAfterMs: 0,
+      resetAtMs: this.clock.now(),
+      reason: 'allowed',
+      source: 'fail-open',
+    };
+  }
+
+  /**
+   * 构造 redis 不可用且 failMode 为 closed 时拒绝的限流决策，熔断中时建议在熔断冷却结束后重试
+   * @private
+   * @returns {RateLimitDecision} - 限流决策
+   */
+  _failClosedDecision() {
+    const cooldownMs = this.circuitBreaker ? this.circuitBreaker.getRemainingCooldown() : 0;
+    const retryAfterMs = cooldownMs || this.refillInterval;
+    return {
+      allowed: false,
+      remaining: 0,
+      limit: this.capacity,
+      retryAfterMs,
+      resetAtMs: this.clock.now() + retryAfterMs,
+      reason: 'unavailable',
+      source: 'fail-closed',
+    };
+  }
+
+  /**
+   * 按白名单、黑名单和封禁名单构造限流决策，黑名单和封禁名单优先
+   * @private
+   * @param {string} tokenKey - 令牌标识
+   * @param {string} blockKey - 阻塞键标识
+   * @param {string} clientIp - 客户端ip
+   * @returns {RateLimitDecision|null} - 限流决策，不在任何名单中时返回 null
+   */
+  _accessListDecision(tokenKey, blockKey, clientIp) {
+    const now = this.clock.now();
+    const keys = [tokenKey, blockKey];
+    const banned = this.denyList.match(keys, clientIp, now) || this.bans.match(keys, clientIp, now);
+    if (banned) {
+      // 永久封禁时没有可以重试的时间
+      const bannedUntil = banned.expiresAt === null ? Infinity : banned.expiresAt;
+      return {
+        allowed: false,
+        remaining: 0,
+        limit: this.capacity,
+        retryAfterMs: bannedUntil - now,
+        resetAtMs: bannedUntil,
+        reason: 'banned',
+        source: 'memory',
+      };
+    }
+    if (this.allowList.match(keys, clientIp, now)) {
+      return {
+        allowed: true,
+        remaining: this.capacity,
+        limit: this.capacity,
+        retryAfterMs: 0,
+        resetAtMs: now,
+        reason: 'allowlisted',
+        source: 'memory',
+      };
+    }
+    return null;
+  }
+
+  /**
+   * 构造被内存阻塞时的限流决策
+   * @private
+   * @param {string} fullBlockedKey - 完整的阻塞键
+   * @returns {RateLimitDecision} - 限流决策
+   */
+  _blockedDecision(fullBlockedKey) {
+    const blockUntil = this.blockedKeys.get(fullBlockedKey);
+    return {
+      allowed: false,
+      remaining: 0,
+      limit: this.capacity,
+      retryAfterMs: blockUntil - this.clock.now(),
+      resetAtMs: blockUntil,
+      reason: 'blocked',
+      source: 'memory',
+    };
+  }
+
+  /**
+   * 查看令牌桶状态，不消耗令牌，redis 不可用时返回备用策略（或满桶）的状态
+   *
+   * @param {string} tokenKey - 令牌标识
+   * @param {string} blockKey - 可选，阻塞键标识，默认与令牌标识相同
+   * @returns {Promise<BucketState>} - 令牌桶状态
+   */
+  async peek(tokenKey = '', blockKey = '') {
+    const fullTokenKey = this.keyPrefix + tokenKey;
+    const fullBlockedKey = blockKey ? this.keyPrefix + blockKey : fullTokenKey;
+    const blockUntil = this.blockedKeys.get(fullBlockedKey);
+    const blockTtlMs = typeof blockUntil === 'number' ? Math.max(blockUntil - this.clock.now(), 0) : 0;
+    const blockState = { blocked: blockTtlMs > 0, blockTtlMs };
+
+    try {
+      if (this.algorithm !== 'token-bucket') {
+        // 只读取状态，拒绝时不进入限流惩罚
+        const { remaining, reason, retryAfterMs } = await this._consumeAlgorithm(fullTokenKey, 0, true);
+        const lockTtlMs = reason === 'locked' ? retryAfterMs : 0;
+        return { tokens: remaining, limit: this.capacity, locked: lockTtlMs > 0, lockTtlMs, ...blockState };
+      }
+      const [tokens, lockTtlMs] = await this._runScript(
+        'peek',
+        this._bucketKeys(fullTokenKey),
+        this.capacity,
+        this.tokenPerInterval,
+        this.refillInterval,
+        this.continuousRefill ? 1 : 0,
+        this.clock.now(),
+        this.useRedisTime ? 1 : 0,
+      );
+      return { tokens: parseFloat(tokens), limit: this.capacity, locked: lockTtlMs > 0, lockTtlMs, ...blockState };
+    } catch (error) {
+      // 使用备用策略的状态
+      this._onRedisError(error, tokenKey, 0);
+    }
+    if (this.insuranceLimiter) {
+      return { ...this.rateLimiterTokenBucket.peek(fullTokenKey), ...blockState };
+    }
+    return { tokens: this.capacity, limit: this.capacity, locked: false, lockTtlMs: 0, ...blockState };
+  }
+
+  /**
+   * 退还令牌，用于请求在真正执行前就失败的场景，最多退还到桶的容量
+   *
+   * @param {string} tokenKey - 令牌标识
+   * @param {number} tokens - 退还的令牌数，默认值为1
+   * @returns {Promise<number>} - 退还后桶中的令牌数
+   */
+  async refund(tokenKey = '', tokens = 1) {
+    this._assertTokenBucket('refund');
+    const fullTokenKey = this.keyPrefix + tokenKey;
+    try {
+      const balance = await this._runScript(
+        'refund',
+        this._bucketKeys(fullTokenKey),
+        tokens,
+        this.capacity,
+        this.bucketTtl,
+        this.clock.now(),
+        this.useRedisTime ? 1 : 0,
+      );
+      return parseFloat(balance);
+    } catch (error) {
+      // 退还到备用策略中
+      this._onRedisError(error, tokenKey, tokens);
+    }
+    if (this.insuranceLimiter) {
+      // 退还的令牌不再需要在 redis 恢复后扣除
+      this._addPendingDebit(fullTokenKey, -tokens);
+      return this.rateLimiterTokenBucket.refund(fullTokenKey, tokens);
+    }
+    return this.capacity;
+  }
+
+  /**
+   * 重置令牌桶，清除 redis 中的桶状态和限流惩罚，下次请求时重新从满桶开始
+   * redis 出错时会抛出异常
+   *
+   * @param {string} tokenKey - 令牌标识
+   * @returns {Promise<boolean>} - 是否存在被清除的状态
+   */
+  async reset(tokenKey = '') {
+    const fullTokenKey = this.keyPrefix + tokenKey;
+    const localDeleted = this.insuranceLimiter ? this.rateLimiterTokenBucket.reset(fullTokenKey) : false;
+    // 本地租约中的令牌随桶一起作废，不再退还
+    const lease = this.leases.get(fullTokenKey);
+    if (lease) {
+      this.clock.clearTimeout(lease.timer);
+      this.leases.delete(fullTokenKey);
+    }
+    const deleted = await this._runScript('reset', this._bucketKeys(fullTokenKey));
+    return deleted > 0 || localDeleted;
+  }
+
+  /**
+   * 解除阻塞，清除内存阻塞、窗口计数以及 redis 中的限流惩罚，开启 distributedBlock 时同时解除所有实例的阻塞
+   * redis 出错时会抛出异常
+   *
+   * @param {string} blockKey - 阻塞键标识（或令牌标识）
+   * @returns {Promise<boolean>} - 是否存在被清除的阻塞
+   */
+  async unblock(blockKey = '') {
+    const fullBlockedKey = this.keyPrefix + blockKey;
+    const blockDeleted = this.blockedKeys.delete(fullBlockedKey);
+    if (this.blockWindow) {
+      this.blockWindow.reset(fullBlockedKey);
+    }
+    if (this.insuranceLimiter) {
+      this.rateLimiterTokenBucket.unblock(fullBlockedKey);
+    }
+    let deleted = await this._runScript('unlock', this._bucketKeys(fullBlockedKey));
+    if (this.distributedBlock) {
+      deleted += await this._runScript('unblock', [`{${fullBlockedKey}}:block`], this.blockChannel, fullBlockedKey);
+    }
+    return deleted > 0 || blockDeleted;
+  }
+
+  /**
+   * 添加名单条目，在当前实例立即生效，同时写入 redis，其他实例在下次刷新名单后生效，redis 出错时会抛出异常
+   *
+   * @param {'allowList'|'denyList'|'bans'} list - 名单：allowList 白名单 | denyList 黑名单 | bans 封禁名单
+   * @param {string} key - 完整的键、以 * 结尾的键前缀，或 IP 网段（只与客户端ip比较）
+   * @param {number} seconds - 可选，过期时间（秒），默认永不过期
+   * @returns {Promise<void>}
+   */
+  async addListEntry(list, key, seconds = 0) {
+    resolveAccessListName(list);
+    const now = this.clock.now();
+    const expiresAt = seconds > 0 ? now + seconds * 1000 : Infinity;
+    // 先在本地生效，同时校验条目的格式
+    this[list].add(key, expiresAt);
+    this._recordListChange('add', list, key, expiresAt);
+    const storedExpiresAt = Number.isFinite(expiresAt) ? expiresAt : 0;
+    try {
+      await this._runScript('ban', [this.accessListKeys[list]], key, storedExpiresAt, now);
+    } catch (error) {
+      // 写入失败时条目仍在本地生效，下次刷新时重试写入，不会被刷新读到的名单覆盖
+      this._removePendingListEntry(list, key);
+      this.pendingListEntries.push([list, key, storedExpiresAt]);
+      throw error;
+    }
+  }
+
+  /**
+   * 删除名单条目，同时从 redis 中删除，其他实例在下次刷新名单后生效，redis 出错时会抛出异常
+   * 构造时传入的 allowList、denyList 条目写入 redis 后，从配置中去掉并不会删除，需要调用此方法
+   *
+   * @param {'allowList'|'denyList'|'bans'} list - 名单
+   * @param {string} key - 添加时传入的条目
+   * @returns {Promise<boolean>} - 是否存在被删除的条目
+   */
+  async removeListEntry(list, key) {
+    resolveAccessListName(list);
+    const localDeleted = this[list].delete(key);
+    this._recordListChange('delete', list, key);
+    this._removePendingListEntry(list, key);
+    const deleted = await this._runScript('unban', [this.accessListKeys[list]], key);
+    return deleted > 0 || localDeleted;
+  }
+
+  /**
+   * 列出名单中未过期的条目，先从 redis 刷新名单，redis 出错时会抛出异常
+   *
+   * @param {'allowList'|'denyList'|'bans'} list - 名单
+   * @returns {Promise<AccessListEntry[]>} - 条目，expiresAt 为 null 时表示永不过期
+   */
+  async listEntries(list) {
+    resolveAccessListName(list);
+    await this._refreshAccessLists();
+    return this[list].list(this.clock.now());
+  }
+
+  /**
+   * 封禁键，封禁期间直接拒绝，不访问 redis，等同于 addListEntry('bans', key, seconds)
+   *
+   * @param {string} key - 令牌标识或阻塞键标识、以 * 结尾的键前缀，或 IP 网段（只与客户端ip比较）
+   * @param {number} seconds - 可选，封禁时间（秒），默认永久封禁
+   * @returns {Promise<void>}
+   */
+  ban(key, seconds = 0) {
+    return this.addListEntry('bans', key, seconds);
+  }
+
+  /**
+   * 解除通过 ban 添加的封禁，不影响 denyList 中的条目
+   *
+   * @param {string} key - 封禁时传入的键
+   * @returns {Promise<boolean>} - 是否存在被解除的封禁
+   */
+  unban(key) {
+    return this.removeListEntry('bans', key);
+  }
+
+  /**
+   * 列出未过期的封禁，先从 redis 刷新名单，redis 出错时会抛出异常
+   *
+   * @returns {Promise<AccessListEntry[]>} - 封禁，expiresAt 为 null 时表示永久封禁
+   */
+  listBans() {
+    return this.listEntries('bans');
+  }
+
+  /**
+   * 从 redis 刷新名单的缓存，同一时间只有一个刷新任务；每个名单单独刷新，刷新失败的名单以 redisError 事件上报并继续使用缓存
+   * @private
+   * @returns {Promise<void>} - 有名单刷新失败时以第一个错误 reject
+   */
+  _refreshAccessLists() {
+    if (!this.refreshingAccessLists) {
+      // 开始刷新时就记录时间，刷新失败时等待一个刷新间隔后再重试
+      this.accessListsRefreshedAt = this.clock.now();
+      this.listChanges = [];
+      const lists = Object.keys(this.accessListKeys);
+      this.refreshingAccessLists = Promise.allSettled(lists.map((list) => this._loadAccessList(list))).then((results) => {
+        const failures = results.filter(({ status }) => status === 'rejected');
+        results.forEach(({ status, reason }, i) => {
+          if (status === 'rejected') {
+            this._onRedisError(reason, this.accessListKeys[lists[i]], 0);
+          }
+        });
+        if (failures.length > 0) {
+          throw failures[0].reason;
+        }
+      }).finally(() => {
+        this.refreshingAccessLists = null;
+        this.listChanges = null;
+      });
+    }
+    return this.refreshingAccessLists;
+  }
+
+  /**
+   * 在后台刷新名单的缓存，不等待刷新完成
+   * @private
+   */
+  _refreshAccessListsInBackground() {
+    // 刷新失败的名单已经上报 redisError 事件
+    this._refreshAccessLists().catch(() => {});
+  }
+
+  /**
+   * 写入构造时传入或写入失败的条目，再读取 redis 中的名单替换本地缓存
+   * @private
+   * @param {'allowList'|'denyList'|'bans'} list - 名单
+   * @returns {Promise<void>}
+   */
+  async _loadAccessList(list) {
+    const key = this.accessListKeys[list];
+    const pending = this.pendingListEntries.filter(([pendingList]) => pendingList === list);
+    if (pending.length > 0) {
+      const now = this.clock.now();
+      await Promise.all(pending.map(([, entry, expiresAt]) => this._runScript('ban', [key], entry, expiresAt, now)));
+      this.pendingListEntries = this.pendingListEntries.filter((item) => !pending.includes(item));
+    }
+    const fields = await this._runScript('listBans', [key]);
+    const accessList = new AccessList();
+    for (let i = 0; i < fields.length; i += 2) {
+      const expiresAt = Number(fields[i + 1]);
+      accessList.add(fields[i], expiresAt > 0 ? expiresAt : Infinity);
+    }
+    // 读取的名单可能早于刷新期间在本地做的修改，重新应用这些修改
+    for (const [operation, changedList, entry, expiresAt] of this.listChanges) {
+      if (changedList !== list) {
+        continue;
+      }
+      if (operation === 'add') {
+        accessList.add(entry, expiresAt);
+      } else {
+        accessList.delete(entry);
+      }
+    }
+    this[list] = accessList;
+  }
+
+  /**
+   * 刷新期间记录在本地对名单做的修改
+   * @private
+   * @param {'add'|'delete'} operation - 修改
+   * @param {'allowList'|'denyList'|'bans'} list - 名单
+   * @param {string} key - 条目
+   * @param {number} expiresAt - 可选，添加的条目的过期时间戳，永不过期时为 Infinity
+   */
+  _recordListChange(operation, list, key, expiresAt) {
+    if (this.listChanges) {
+      this.listChanges.push([operation, list, key, expiresAt]);
+    }
+  }
+
+  /**
+   * 移除尚未写入 redis 的条目
+   * @private
+   * @param {'allowList'|'denyList'|'bans'} list - 名单
+   * @param {string} key - 条目
+   */
+  _removePendingListEntry(list, key) {
+    this.pendingListEntries = this.pendingListEntries.filter(([pendingList, pendingKey]) => pendingList !== list || pendingKey !== key);
+  }
+
+  /**
+   * 拿到 redis 客户端后开始同步阻塞状态和名单
+   * @private
+   */
+  _startSync() {
+    this._subscribeBlocks();
+    this._refreshAccessListsInBackground();
+  }
+
+  /**
+   * 将备用策略期间每个键消耗的令牌分批从 redis 的令牌桶中扣除，扣除失败的键会保留到下次 redis 可用时再扣除
+   * 开启 reconcileInsurance 后，redis 恢复时会自动调用
+   *
+   * @returns {Promise<number>} - 本次成功扣除的键数
+   */
+  reconcile() {
+    if (!this.reconciling) {
+      this.reconciling = this._reconcile().finally(() => {
+        this.reconciling = null;
+      });
+    }
+    return this.reconciling;
+  }
+
+  /**
+   * 分批扣除备用策略期间的消耗
+   * @private
+   * @returns {Promise<number>} - 成功扣除的键数
+   */
+  async _reconcile() {
+    const entries = [...this.pendingDebits];
+    this.pendingDebits.clear();
+    let debited = 0;
+    for (let i = 0; i < entries.length; i += this.reconcileBatchSize) {
+      const batch = entries.slice(i, i + this.reconcileBatchSize);
+      const results = await Promise.allSettled(batch.map(([fullTokenKey, amount]) => this._runScript(
+        'debit',
+        this._bucketKeys(fullTokenKey),
+        amount,
+        this.capacity,
+        this.tokenPerInterval,
+        this.refillInterval,
+        this.continuousRefill ? 1 : 0,
+        this.bucketTtl,
+        this.clock.now(),
+        this.useRedisTime ? 1 : 0,
+      )));
+      const failed = batch.filter((entry, j) => results[j].status === 'rejected');
+      debited += batch.length - failed.length;
+      // redis 再次不可用，把未扣除的消耗放回去，与之后新增的消耗合并
+      if (failed.length > 0) {
+        this.logger.warn(`Failed to reconcile insurance usage of ${failed.length} keys, will retry when redis is available`);
+        for (const [fullTokenKey, amount] of [...failed, ...entries.slice(i + this.reconcileBatchSize)]) {
+          this._addPendingDebit(fullTokenKey, amount);
+        }
+        break;
+      }
+    }
+    return debited;
+  }
+
+  /**
+   * 累计备用策略期间的消耗，退还（tokens 为负数）到0时不再需要扣除
+   * @private
+   * @param {string} fullTokenKey - 完整的令牌键
+   * @param {number} tokens - 消耗的令牌数，负数为退还
+   */
+  _addPendingDebit(fullTokenKey, tokens) {
+    const pending = (this.pendingDebits.get(fullTokenKey) || 0) + tokens;
+    if (pending > 0) {
+      this.pendingDebits.set(fullTokenKey, pending);
+    } else {
+      this.pendingDebits.delete(fullTokenKey);
+    }
+  }
+
+  /**
+   * 统计阻塞键在窗口内的消耗，达到阈值时阻塞该键，触发阻塞的请求本身仍会正常处理
+   * 开启 distributedBlock 时在 redis 中计数，redis 不可用时退回到进程内的计数
+   * @private
+   * @param {string} fullBlockedKey - 完整的阻塞键
+   * @param {number} requestedTokens - 本次请求消耗的令牌数
+   * @returns {Promise<boolean>} - 该键已经被其他实例阻塞时返回 true
+   */
+  async _hitBlockWindow(fullBlockedKey, requestedTokens) {
+    if (this.distributedBlock) {
+      const { blockWindow } = this;
+      try {
+        const [status, blockMs] = await this._runScript(
+          'block',
+          [`{${fullBlockedKey}}:block`],
+          blockWindow.threshold,
+          blockWindow.countTokens ? requestedTokens : 1,
+          blockWindow.window,
+          blockWindow.sliding ? 1 : 0,
+          blockWindow.duration,
+          blockWindow.escalationFactor,
+          blockWindow.escalationResetAfter,
+          Number.isFinite(blockWindow.maxDuration) ? blockWindow.maxDuration : 0,
+          this.clock.now(),
+          this.useRedisTime ? 1 : 0,
+          this.blockChannel,
+          fullBlockedKey,
+        );
+        if (status > 0) {
+          this._blockKey(fullBlockedKey, blockMs);
+        }
+        return status === 1;
+      } catch (error) {
+        // 错误由随后执行的令牌桶脚本处理，这里只退回到进程内的计数
+        this.logger.debug(`Failed to count block window in redis, key: ${fullBlockedKey}`, error);
+      }
+    }
+    const blockMs = this.blockWindow.hit(fullBlockedKey, requestedTokens, this.clock.now());
+    if (blockMs > 0) {
+      this._blockKey(fullBlockedKey, blockMs);
+    }
+    return false;
+  }
+
+  /**
+   * 通过存储适配器订阅其他实例发布的阻塞状态，适配器不支持订阅时只使用 redis 中的计数
+   * @private
+   */
+  _subscribeBlocks() {
+    if (!this.distributedBlock || typeof this.adapter.subscribe !== 'function') {
+      return;
+    }
+    this.unsubscribeBlocks = this.adapter.subscribe(
+      this.blockChannel,
+      (message) => this._onBlockMessage(message),
+      (error) => this.logger.warn(`Block subscriber error, channel: ${this.blockChannel}`, error),
+    );
+  }
+
+  /**
+   * 处理其他实例发布的阻塞状态，blockMs 为0时表示解除阻塞
+   * 使用剩余毫秒数而不是截止时间戳，不受各实例之间的时钟偏差影响
+   * @private
+   * @param {string} message - JSON 格式的 { key, blockMs }
+   */
+  _onBlockMessage(message) {
+    let event;
+    try {
+      event = JSON.parse(message);
+    } catch (error) {
+      this.logger.warn(`Invalid block message: ${message}`);
+      return;
+    }
+    if (!event || typeof event.key !== 'string') {
+      return;
+    }
+    if (event.blockMs > 0) {
+      this._blockKey(event.key, event.blockMs);
+    } else {
+      this.blockedKeys.delete(event.key);
+      this.blockWindow.reset(event.key);
+    }
+  }
+
+  /**
+   * 设置内存限流的阻塞（窗口计数策略）
+   * @private
+   * @param {string} blockedKey - 阻塞的key
+   * @param {number} blockMs - 阻塞的毫秒数
+   */
+  _blockKey(blockedKey, blockMs) {
+    this.blockedKeys.set(blockedKey, this.clock.now() + blockMs);
+  }
+
+  /**
+   * 清除过期的阻塞键、计数和再犯记录，并把下次收集的阈值设为剩余数量的两倍
+   * @private
+   */
+  _collectExpiredBlockedKeys() {
+    const now = this.clock.now();
+    for (const [key, blockUntil] of this.blockedKeys) {
+      if (blockUntil <= now) {
+        this.blockedKeys.delete(key);
+      }
+    }
+    this.blockWindow.collect(now);
+    this.collectThreshold = Math.max((this.blockedKeys.size + this.blockWindow.size) * 2, 1000);
+  }
+
+  /**
+   * 退还所有本地租约中未用完的令牌，如在进程退出前调用，之后的请求会重新租用
+   * redis 出错时触发 redisError 事件，不会 reject
+   *
+   * @returns {Promise<void>} - 退还完成
+   */
+  async releaseLeases() {
+    const leases = [...this.leases];
+    this.leases.clear();
+    await Promise.all(leases.map(([fullTokenKey, lease]) => this._returnLease(fullTokenKey, lease)));
+  }
+
+  /**
+   * 释放限流器占用的资源：清除内存中的阻塞状态、名单的缓存、备用策略的令牌桶和待扣除的消耗，退还本地租约，断开订阅阻塞状态的连接，
+   * 使用内置的 redis 客户端时同时断开连接，传入的 redisClient 由调用方负责关闭
+   */
+  destroy() {
+    this.destroyed = true;
+    this.blockedKeys.clear();
+    this.allowList.clear();
+    this.denyList.clear();
+    this.bans.clear();
+    if (this.blockWindow) {
+      this.blockWindow.clear();
+    }
+    this.pendingDebits.clear();
+    if (this.rateLimiterTokenBucket) {
+      this.rateLimiterTokenBucket.destroy();
+    }
+    if (this.unsubscribeBlocks) {
+      this.unsubscribeBlocks();
+      this.unsubscribeBlocks = null;
+    }
+    // 退还本地租约中的令牌，需要确保退还完成时先 await releaseLeases()
+    this.releaseLeases();
+    // 发送尚在合并中的调用，断开连接后它们按 redis 不可用处理
+    this.batcher.flush();
+    if (this.ownsRedis && this.adapter) {
+      this.adapter.disconnect();
+    }
+  }
+
+  /**
+   * 判断 Redis 连接状态是否正常
+   *
+   * @private
+   * @returns {boolean} - 如果连接状态正常，则返回 true，否则返回 false
+   */
+  _isRedisReady() {
+    return Boolean(this.adapter) && this.adapter.isReady();
+  }
+
+  /**
+   * 通过存储适配器执行一次原子操作，存储未就绪、熔断中或调用超时时抛出异常，调用结果会计入熔断器
+   * 开启 autoBatch（或在 getTokens 中）时与同一轮事件循环内的其他调用合并发送
+   *
+   * @private
+   * @param {string} operation - 操作名，见 OPERATION_SCRIPTS
+   * @param {string[]} keys - 脚本的 KEYS
+   * @param {...*} args - 脚本的 ARGV
+   * @returns {Promise<*>} - 脚本的返回值
+   */
+  async _runScript(operation, keys, ...args) {
+    if (!this._isRedisReady()) {
+      throw Object.assign(new Error('redis is not ready'), { code: REDIS_UNAVAILABLE });
+    }
+    const script = this[OPERATION_SCRIPTS[operation]];
+    if (this.autoBatch || this.bulkRequests > 0) {
+      return this.batcher.add({ operation, script, keys, args });
+    }
+    return this._callRedis(() => this.adapter.execute(operation, script, keys, args), {});
+  }
+
+  /**
+   * 一次发送一批调用，适配器未实现 executeBatch 时并发地逐个执行
+   *
+   * @private
+   * @param {Array<object>} calls - 调用 { operation, script, keys, args }
+   * @returns {Promise<Array<Array>>} - 每个调用的 [错误, 结果]
+   */
+  _runBatch(calls) {
+    return this._callRedis(async () => {
+      const results = typeof this.adapter.executeBatch === 'function'
+        ? await this.adapter.executeBatch(calls)
+        : await Promise.all(calls.map(({ operation, script, keys, args }) => toResultTuple(this.adapter.execute(operation, script, keys, args))));
+      // 全部失败时按整批失败处理，计入熔断器
+      if (results.every(([error]) => error)) {
+        throw results[0][0];
+      }
+      return results;
+    }, { batchSize: calls.length });
+  }
+
+  /**
+   * 执行一次 redis 往返：检查熔断器、设置超时，并触发 redisCall 事件
+   *
+   * @private
+   * @param {function(): Promise<*>} send - 发送调用
+   * @param {object} event - redisCall 事件的附加字段
+   * @returns {Promise<*>} - 调用的结果
+   */
+  async _callRedis(send, event) {
+    if (this.circuitBreaker && !this.circuitBreaker.allowRequest()) {
+      throw Object.assign(new Error('redis circuit breaker is open'), { code: REDIS_UNAVAILABLE });
+    }
+    // redis 调用的耗时是真实的网络延迟，不使用 clock
+    const start = Date.now();
+    try {
+      const result = await withTimeout(send(), this.redisTimeout);
+      this.emit('redisCall', { durationMs: Date.now() - start, ...event });
+      if (this.circuitBreaker) {
+        this.circuitBreaker.onSuccess();
+      }
+      // redis 恢复后，在后台扣除备用策略期间的消耗
+      if (this.pendingDebits.size > 0 && !this.reconciling) {
+        this.reconcile();
+      }
+      return result;
+    } catch (error) {
+      this.emit('redisCall', { durationMs: Date.now() - start, ...event, error });
+      if (this.circuitBreaker) {
+        this.circuitBreaker.onFailure(error);
+      }
+      throw error;
     }
-    return true;
   }
 
   /**
@@ -299,12 +2329,11 @@ class RateLimiterTokenBucketRedis {
       return false;
     }
     const blockUntil = this.blockedKeys.get(key);
-    if (Date.now() < blockUntil) {
+    if (this.clock.now() < blockUntil) {
       return true;
     }
     // 阻塞键过期，重置状态
     this.blockedKeys.delete(key);
-    this.blockedKeys.delete(`${key}:consumed`);
     return false;
   }
 }
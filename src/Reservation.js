@@ -0,0 +1,102 @@
+/**
+ *  @description 令牌预留的句柄：预留时按预估的消耗扣除令牌，任务完成后按实际消耗结算，多退少补；
+ *  超时未结算的预留会自动退还预估的令牌
+ */
+/** @typedef {import('./RateLimiterTokenBucket').RateLimitDecision} RateLimitDecision */
+/** @typedef {import('./utils').Clock} Clock */
+import { systemClock } from './utils';
+
+class Reservation {
+  /**
+   * 构造函数
+   *
+   * @param {object} opts - 选项对象
+   * @param {string} opts.key - 令牌标识
+   * @param {number} opts.cost - 预估的消耗
+   * @param {RateLimitDecision} opts.decision - 预留时的限流决策，未放行时不扣除令牌
+   * @param {number} opts.ttlMs - 超时时间（毫秒），超时未结算时退还预估的令牌
+   * @param {function(number): (number|Promise<number>)} opts.settle - 结算函数，参数为需要补扣的令牌数（负数为退还），返回结算后桶中的令牌数
+   * @param {function(Reservation): void} opts.onSettled - 可选，结算或超时后的回调
+   * @param {Clock} opts.clock - 可选，时钟，默认使用系统时钟
+   */
+  constructor(opts) {
+    this.key = opts.key;
+    this.cost = opts.cost;
+    this.decision = opts.decision;
+    this.allowed = opts.decision.allowed;
+    this.state = this.allowed ? 'pending' : 'denied'; // pending 待结算 | committed 已提交 | cancelled 已取消 | expired 已超时 | denied 未放行
+    this.clock = opts.clock || systemClock;
+    this.expiresAt = this.allowed ? this.clock.now() + opts.ttlMs : 0;
+    this.settle = opts.settle;
+    this.onSettled = opts.onSettled;
+    this.timer = null;
+    if (this.allowed && Number.isFinite(opts.ttlMs)) {
+      this.timer = this.clock.setTimeout(() => this._expire(), opts.ttlMs);
+      // 不阻止进程退出
+      if (this.timer.unref) {
+        this.timer.unref();
+      }
+    }
+  }
+
+  /**
+   * 按实际消耗结算：实际消耗少于预估时退还差额，多于预估时补扣（桶中的令牌数可以为负）
+   * 预留已超时时预估的令牌已经退还，按实际消耗全额扣除
+   *
+   * @param {number} actualCost - 可选，实际消耗，默认等于预估的消耗
+   * @returns {number|Promise<number>} - 结算后桶中的令牌数，基于 redis 的限流器返回 Promise
+   */
+  commit(actualCost = this.cost) {
+    this._assertSettleable();
+    const delta = this.state === 'expired' ? actualCost : actualCost - this.cost;
+    this._finish('committed');
+    return this.settle(delta);
+  }
+
+  /**
+   * 取消预留，退还预估的令牌，预留已超时时不再重复退还
+   *
+   * @returns {number|Promise<number>} - 结算后桶中的令牌数，基于 redis 的限流器返回 Promise
+   */
+  cancel() {
+    this._assertSettleable();
+    const delta = this.state === 'expired' ? 0 : -this.cost;
+    this._finish('cancelled');
+    return this.settle(delta);
+  }
+
+  /**
+   * 未放行、已提交或已取消的预留不能再结算
+   * @private
+   */
+  _assertSettleable() {
+    if (this.state !== 'pending' && this.state !== 'expired') {
+      throw new Error(`reservation of key ${this.key} is ${this.state}`);
+    }
+  }
+
+  /**
+   * 超时未结算，退还预估的令牌
+   * @private
+   */
+  _expire() {
+    this._finish('expired');
+    this.settle(-this.cost);
+  }
+
+  /**
+   * 更新状态并清除超时定时器
+   * @private
+   * @param {string} state - 新的状态
+   */
+  _finish(state) {
+    this.state = state;
+    this.clock.clearTimeout(this.timer);
+    this.timer = null;
+    if (this.onSettled) {
+      this.onSettled(this);
+    }
+  }
+}
+
+export default Reservation;
@@ -0,0 +1,85 @@
+/**
+ *  @description 合并并发的 redis 调用：收集同一轮事件循环（或 maxDelayMs 毫秒）内的调用，一次发送给 redis，
+ *  再按顺序把各自的结果交给每个调用方
+ */
+
+class ScriptBatcher {
+  /**
+   * 构造函数
+   *
+   * @param {object} opts - 选项对象
+   * @param {number} opts.maxDelayMs - 可选，第一个调用最多等待多久（毫秒）发送，默认0，即在本轮事件循环结束时发送
+   * @param {number} opts.maxBatchSize - 可选，每批最多合并的调用数，达到时立即发送，默认100
+   * @param {function(Array<object>): Promise<Array<Array>>} opts.execute - 发送一批调用，按顺序返回每个调用的 [错误, 结果]
+   */
+  constructor(opts) {
+    this.maxDelayMs = opts.maxDelayMs || 0;
+    this.maxBatchSize = opts.maxBatchSize || 100;
+    this.execute = opts.execute;
+    this.queue = []; // 等待发送的调用 { call, resolve, reject }
+    this.timer = null; // 发送定时器，合并窗口是网络层的延迟，使用真实的定时器
+  }
+
+  /**
+   * 加入一个调用，在所在的批次发送后得到它的结果
+   *
+   * @param {object} call - 调用 { operation, script, keys, args }
+   * @returns {Promise<*>} - 调用的结果，调用出错或整批发送失败时 reject
+   */
+  add(call) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ call, resolve, reject });
+      if (this.queue.length >= this.maxBatchSize) {
+        this.flush();
+      } else if (!this.timer) {
+        this.timer = this.maxDelayMs > 0
+          ? { timeout: setTimeout(() => this.flush(), this.maxDelayMs) }
+          : { immediate: setImmediate(() => this.flush()) };
+      }
+    });
+  }
+
+  /**
+   * 立即发送等待中的调用
+   */
+  flush() {
+    this._clearTimer();
+    const batch = this.queue;
+    this.queue = [];
+    if (batch.length === 0) {
+      return;
+    }
+    this.execute(batch.map(({ call }) => call)).then((results) => {
+      batch.forEach(({ resolve, reject }, i) => {
+        const [error, result] = results[i];
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      });
+    }, (error) => {
+      for (const { reject } of batch) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * 清除发送定时器
+   * @private
+   */
+  _clearTimer() {
+    if (!this.timer) {
+      return;
+    }
+    if (this.timer.timeout) {
+      clearTimeout(this.timer.timeout);
+    } else {
+      clearImmediate(this.timer.immediate);
+    }
+    this.timer = null;
+  }
+}
+
+export default ScriptBatcher;
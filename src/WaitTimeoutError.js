@@ -0,0 +1,25 @@
+/**
+ *  @description waitForToken 需要等待的时间超过 maxWaitMs 时抛出的错误
+ */
+
+class WaitTimeoutError extends Error {
+  /**
+   * 构造函数
+   *
+   * @param {string} key - 令牌标识
+   * @param {number} cost - 请求的令牌数
+   * @param {number} waitMs - 需要等待的时间（毫秒），永远无法补足时为 Infinity
+   * @param {number} maxWaitMs - 允许等待的最长时间（毫秒）
+   */
+  constructor(key, cost, waitMs, maxWaitMs) {
+    super(`Waiting ${waitMs}ms for ${cost} tokens of key ${key} exceeds maxWaitMs ${maxWaitMs}`);
+    this.name = 'WaitTimeoutError';
+    this.code = 'ERR_WAIT_TIMEOUT';
+    this.key = key;
+    this.cost = cost;
+    this.waitMs = waitMs;
+    this.maxWaitMs = maxWaitMs;
+  }
+}
+
+export default WaitTimeoutError;
@@ -0,0 +1,136 @@
+import test from 'ava';
+import {
+  CircuitBreaker,
+  FakeClock,
+  MemoryAdapter,
+  RateLimiterCompositeTokenBucket,
+  RateLimiterTokenBucket,
+  RateLimiterTokenBucketRedis,
+} from '../../dist/bundle.js';
+
+test('advance应按到期时间顺序执行定时器，并执行期间新设置的定时器', async (t) => {
+  const clock = new FakeClock(1000);
+  const calls = [];
+  clock.setTimeout(() => calls.push(['b', clock.now()]), 20);
+  clock.setTimeout(() => {
+    calls.push(['a', clock.now()]);
+    clock.setTimeout(() => calls.push(['c', clock.now()]), 15);
+  }, 10);
+  const cleared = clock.setTimeout(() => calls.push(['cleared', clock.now()]), 5);
+  clock.clearTimeout(cleared);
+  t.is(clock.pendingTimers, 2);
+
+  await clock.advance(24);
+  t.deepEqual(calls, [['a', 1010], ['b', 1020]]);
+  t.is(clock.now(), 1024);
+  await clock.advance(1);
+  t.deepEqual(calls[2], ['c', 1025]);
+  t.is(clock.pendingTimers, 0);
+});
+
+test('内存限流器应按传入的时钟投放令牌和解除内存阻塞', async (t) => {
+  const clock = new FakeClock();
+  const limiter = new RateLimiterTokenBucket({
+    tokenPerInterval: 1,
+    refillInterval: 60000,
+    capacity: 2,
+    keyPrefix: 'test',
+    inMemoryBlockOnConsumed: 2,
+    inMemoryBlockDuration: 600,
+    clock,
+  });
+  limiter.consume('user1', 'ip1');
+  limiter.consume('user1', 'ip1');
+  t.false(limiter.consume('user1', 'ip1').allowed);
+  const blocked = limiter.consume('user1', 'ip1');
+  t.is(blocked.reason, 'blocked');
+  t.is(blocked.resetAtMs, clock.now() + 600000);
+
+  await clock.advance(599999);
+  t.is(limiter.consume('user1', 'ip1').reason, 'blocked');
+  await clock.advance(1);
+  t.true(limiter.consume('user1', 'ip1').allowed);
+});
+
+test('reserve的超时应按传入的时钟触发', async (t) => {
+  const clock = new FakeClock();
+  const limiter = new RateLimiterTokenBucket({ tokenPerInterval: 1, refillInterval: 60000, capacity: 3, keyPrefix: 'test', clock });
+  limiter.consume('user1');
+  const reservation = limiter.reserve('user1', 2, { ttlMs: 5000 });
+  t.is(reservation.expiresAt, clock.now() + 5000);
+  await clock.advance(4999);
+  t.is(reservation.state, 'pending');
+  await clock.advance(1);
+  t.is(reservation.state, 'expired');
+  t.is(limiter.peek('user1').tokens, 2);
+});
+
+test('redis限流器应把时钟的时间传给存储操作', async (t) => {
+  const clock = new FakeClock();
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerInterval: 1,
+    refillInterval: 60000,
+    capacity: 1,
+    keyPrefix: 'test',
+    adapter: new MemoryAdapter({ clock }),
+    lockDuration: 30,
+  });
+  // 未传入时钟的限流器使用系统时钟
+  t.true(Math.abs(limiter.clock.now() - Date.now()) < 1000);
+
+  const clocked = new RateLimiterTokenBucketRedis({
+    tokenPerInterval: 1,
+    refillInterval: 30000,
+    capacity: 1,
+    keyPrefix: 'test',
+    adapter: new MemoryAdapter({ clock }),
+    lockDuration: 30,
+    clock,
+  });
+  t.teardown(() => {
+    limiter.destroy();
+    clocked.destroy();
+  });
+  t.true((await clocked.consume('user1')).allowed);
+  t.is((await clocked.consume('user1')).reason, 'exhausted');
+  await clock.advance(29999);
+  t.is((await clocked.consume('user1')).reason, 'locked');
+  await clock.advance(1);
+  const decision = await clocked.consume('user1');
+  t.true(decision.allowed);
+  t.is(decision.resetAtMs, clock.now() + 30000);
+});
+
+test('熔断器和组合限流器应使用传入的时钟', async (t) => {
+  const clock = new FakeClock();
+  const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 10000, clock });
+  breaker.onFailure(new Error('down'));
+  t.false(breaker.allowRequest());
+  t.is(breaker.getRemainingCooldown(), 10000);
+  await clock.advance(10000);
+  t.true(breaker.allowRequest());
+
+  const composite = new RateLimiterCompositeTokenBucket({
+    limits: [{ name: 'day', tokenPerInterval: 1, refillInterval: 86400000, capacity: 1 }],
+    clock,
+  });
+  t.true(composite.consume('user1').allowed);
+  t.false(composite.consume('user1').allowed);
+  await clock.advance(86400000);
+  t.true(composite.consume('user1').allowed);
+});
+
+test('只实现了now的时钟应使用系统定时器，未实现now时应抛出错误', (t) => {
+  let now = 0;
+  const limiter = new RateLimiterTokenBucket({ tokenPerSecond: 1, capacity: 5, keyPrefix: 'test', clock: { now: () => now } });
+  limiter.consume('user1');
+  limiter.consume('user1', '', 3);
+  const { tokens } = limiter.peek('user1');
+  now = 1000;
+  t.is(limiter.peek('user1').tokens, tokens + 1);
+  t.is(typeof limiter.clock.setTimeout, 'function');
+
+  t.throws(() => new RateLimiterTokenBucket({ tokenPerSecond: 1, capacity: 1, keyPrefix: 'test', clock: {} }), {
+    message: 'clock must implement now()',
+  });
+});
@@ -0,0 +1,83 @@
+import test from 'ava';
+import { FakeClock, RateLimiterCompositeTokenBucket } from '../../dist/bundle.js';
+
+test.beforeEach((t) => {
+  t.context.clock = new FakeClock();
+  t.context.limiter = new RateLimiterCompositeTokenBucket({
+    keyPrefix: 'test',
+    clock: t.context.clock,
+    limits: [
+      { name: 'second', tokenPerSecond: 3, capacity: 3 },
+      { name: 'minute', tokenPerInterval: 5, refillInterval: 60000, capacity: 5 },
+    ],
+  });
+});
+
+test('所有规则都放行时才扣减，并返回最紧张的规则', (t) => {
+  const decision = t.context.limiter.consume('user1');
+  t.true(decision.allowed);
+  t.is(decision.remaining, 2);
+  t.is(decision.limitName, 'second');
+  t.deepEqual(decision.limits.map((limit) => limit.remaining), [2, 4]);
+});
+
+test('应报告被命中的规则', (t) => {
+  const { limiter } = t.context;
+  t.is(limiter.getToken('user1', '', 3), 0); // 两个桶都剩余0/2个，second 桶此时最紧张
+  const denied = limiter.consume('user1');
+  t.false(denied.allowed);
+  t.is(denied.reason, 'exhausted');
+  t.is(denied.limitName, 'second');
+  t.is(denied.retryAfterMs, 1000);
+});
+
+test('某条规则拒绝时不应扣减其他规则的令牌', (t) => {
+  const { limiter } = t.context;
+  limiter.consume('user1', '', 2); // second 剩1，minute 剩3
+  const denied = limiter.consume('user1', '', 2);
+  t.false(denied.allowed);
+  t.is(denied.limitName, 'second');
+  t.deepEqual(denied.limits.map((limit) => limit.allowed), [false, true]);
+
+  // minute 桶未被扣减
+  const allowed = limiter.consume('user1');
+  t.true(allowed.allowed);
+  t.deepEqual(allowed.limits.map((limit) => limit.remaining), [0, 2]);
+});
+
+test('秒级桶回满后应由分钟级规则限流', async (t) => {
+  const { limiter, clock } = t.context;
+  limiter.consume('user1', '', 3);
+  await clock.advance(1000);
+  limiter.consume('user1', '', 2); // minute 桶耗尽
+
+  await clock.advance(1000);
+  const denied = limiter.consume('user1');
+  t.false(denied.allowed);
+  t.is(denied.limitName, 'minute');
+  t.is(denied.retryAfterMs, 58000); // 分钟级的桶在第一次请求60秒后投放
+});
+
+test('所有桶回满后应惰性清除，超过maxKeys时淘汰最久未使用的键', (t) => {
+  const { clock } = t.context;
+  const limiter = new RateLimiterCompositeTokenBucket({
+    keyPrefix: 'test',
+    maxKeys: 2,
+    clock,
+    limits: [
+      { name: 'second', tokenPerSecond: 3, capacity: 3 },
+      { name: 'minute', tokenPerInterval: 5, refillInterval: 60000, capacity: 5 },
+    ],
+  });
+  limiter.consume('user1');
+  // 分钟级的桶回满最晚，需要一个投放间隔
+  t.is(limiter.buckets.peek('testuser1').expiresAt, clock.now() + 60000);
+
+  limiter.consume('user2');
+  limiter.consume('user3');
+  t.is(limiter.buckets.size, 2);
+  t.is(limiter.buckets.peek('testuser1'), undefined);
+
+  limiter.destroy();
+  t.is(limiter.buckets.size, 0);
+});
@@ -0,0 +1,151 @@
+import test from 'ava';
+import { RateLimiterTokenBucket, RateLimiterTokenBucketRedis, RateLimiterMetrics } from '../../dist/bundle.js';
+
+// 每次调用都返回 reply 结果的 redis 客户端，读取名单时返回空的名单
+function createClient(reply) {
+  return {
+    status: 'ready',
+    async evalsha(sha, numKeys, key, ...args) {
+      if (/:(allow-list|deny-list|bans)$/.test(key)) {
+        return [];
+      }
+      return reply(sha, numKeys, key, ...args);
+    },
+  };
+}
+
+// 记录调用的 OpenTelemetry meter
+function createMeter() {
+  const meter = { records: [], callbacks: [] };
+  const instrument = (name) => ({
+    add: (value, attributes) => meter.records.push([name, value, attributes]),
+    record: (value, attributes) => meter.records.push([name, value, attributes]),
+    addCallback: (callback) => meter.callbacks.push([name, callback]),
+  });
+  meter.createCounter = instrument;
+  meter.createHistogram = instrument;
+  meter.createObservableGauge = instrument;
+  return meter;
+}
+
+test('应按限流器名称、结果和原因统计决策次数，并输出Prometheus文本格式', (t) => {
+  const limiter = new RateLimiterTokenBucket({
+    tokenPerSecond: 1,
+    capacity: 2,
+    keyPrefix: 'test',
+    lockDuration: 10,
+  });
+  const metrics = new RateLimiterMetrics().register(limiter, 'api');
+  for (let i = 0; i < 4; i++) {
+    limiter.consume('user1');
+  }
+
+  const text = metrics.metrics();
+  t.true(text.includes('# TYPE token_bucket_limiter_decisions_total counter'));
+  t.true(text.includes('token_bucket_limiter_decisions_total{limiter="api",result="allowed",reason="allowed"} 2'));
+  t.true(text.includes('token_bucket_limiter_decisions_total{limiter="api",result="denied",reason="exhausted"} 1'));
+  t.true(text.includes('token_bucket_limiter_decisions_total{limiter="api",result="denied",reason="locked"} 1'));
+  t.true(text.includes('token_bucket_limiter_buckets{limiter="api"} 1'));
+  t.true(text.includes('token_bucket_limiter_blocked_keys{limiter="api"} 1'));
+  t.true(text.includes('token_bucket_limiter_fallback_active{limiter="api"} 0'));
+  t.true(text.endsWith('\n'));
+});
+
+test('应记录redis脚本耗时的直方图，并在回退到备用策略时标记fallback_active', async (t) => {
+  let fail = false;
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    insuranceLimiter: true,
+    circuitBreaker: false,
+    redisClient: createClient(() => {
+      if (fail) {
+        throw new Error('connection lost');
+      }
+      return [0, '4', 1000, 0];
+    }),
+  });
+  // 启动时的名单刷新不计入指标
+  await limiter.refreshingAccessLists;
+  const metrics = new RateLimiterMetrics({ prefix: 'rl_' }).register(limiter, 'redis');
+
+  // 真实调用的耗时取决于机器负载，只检查计数
+  await limiter.consume('user1');
+  t.true(metrics.metrics().includes('rl_redis_script_duration_seconds_bucket{limiter="redis",status="success",le="+Inf"} 1'));
+  t.true(metrics.metrics().includes('rl_redis_script_duration_seconds_count{limiter="redis",status="success"} 1'));
+
+  fail = true;
+  await limiter.consume('user1');
+  let text = metrics.metrics();
+  t.true(text.includes('rl_redis_script_duration_seconds_count{limiter="redis",status="error"} 1'));
+  t.true(text.includes('rl_fallback_active{limiter="redis"} 1'));
+  t.true(text.includes('rl_buckets{limiter="redis"} 1'));
+
+  fail = false;
+  await limiter.consume('user1');
+  text = metrics.metrics();
+  t.true(text.includes('rl_fallback_active{limiter="redis"} 0'));
+  t.true(text.includes('rl_decisions_total{limiter="redis",result="allowed",reason="allowed"} 3'));
+});
+
+test('redis脚本耗时应按排序后的上界累计分桶', (t) => {
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: createClient(() => [0, '4', 1000, 0]),
+  });
+  const metrics = new RateLimiterMetrics({ prefix: 'rl_', latencyBuckets: [10, 0.5] }).register(limiter, 'redis');
+  // 直接触发固定耗时的 redisCall 事件，结果不受机器负载影响
+  limiter.emit('redisCall', { durationMs: 200 });
+  limiter.emit('redisCall', { durationMs: 2000 });
+  limiter.emit('redisCall', { durationMs: 20000 });
+
+  const text = metrics.metrics();
+  t.true(text.includes('rl_redis_script_duration_seconds_bucket{limiter="redis",status="success",le="0.5"} 1'));
+  t.true(text.includes('rl_redis_script_duration_seconds_bucket{limiter="redis",status="success",le="10"} 2'));
+  t.true(text.includes('rl_redis_script_duration_seconds_bucket{limiter="redis",status="success",le="+Inf"} 3'));
+  t.true(text.includes('rl_redis_script_duration_seconds_sum{limiter="redis",status="success"} 22.2'));
+});
+
+test('应把指标写入OpenTelemetry的meter', async (t) => {
+  const meter = createMeter();
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: createClient(() => [1, '-1', 1000, 0]),
+  });
+  await limiter.refreshingAccessLists;
+  new RateLimiterMetrics({ meter }).register(limiter, 'otel');
+  await limiter.consume('user1');
+
+  t.deepEqual(meter.records[1], ['token_bucket_limiter_decisions', 1, { limiter: 'otel', result: 'denied', reason: 'exhausted' }]);
+  t.is(meter.records[0][0], 'token_bucket_limiter_redis_script_duration');
+  t.deepEqual(meter.records[0][2], { limiter: 'otel', status: 'success' });
+
+  const observed = [];
+  for (const [name, callback] of meter.callbacks) {
+    callback({ observe: (value, attributes) => observed.push([name, value, attributes.limiter]) });
+  }
+  t.deepEqual(observed, [
+    ['token_bucket_limiter_buckets', 0, 'otel'],
+    ['token_bucket_limiter_blocked_keys', 0, 'otel'],
+    ['token_bucket_limiter_fallback_active', 0, 'otel'],
+  ]);
+});
+
+test('取消注册后应停止统计，重复注册同名限流器应抛出错误', (t) => {
+  const limiter = new RateLimiterTokenBucket({ tokenPerSecond: 1, capacity: 2, keyPrefix: 'test' });
+  const metrics = new RateLimiterMetrics().register(limiter);
+  t.throws(() => metrics.register(limiter), { message: 'limiter test is already registered' });
+
+  limiter.consume('user1');
+  t.true(metrics.unregister('test'));
+  t.false(metrics.unregister('test'));
+  limiter.consume('user1');
+  t.is(limiter.listenerCount('allowed'), 0);
+  t.true(metrics.metrics().includes('token_bucket_limiter_decisions_total{limiter="test",result="allowed",reason="allowed"} 1'));
+  t.false(metrics.metrics().includes('token_bucket_limiter_buckets{limiter="test"}'));
+});
@@ -1,7 +1,8 @@
 import test from 'ava';
-import { RateLimiterTokenBucket } from '../../dist/bundle.js';
+import { FakeClock, RateLimiterTokenBucket, WaitTimeoutError } from '../../dist/bundle.js';
 
 test.beforeEach((t) => {
+  t.context.clock = new FakeClock();
   t.context.limiter = new RateLimiterTokenBucket({
     tokenPerSecond: 2,  // 每秒2个令牌
     capacity: 5,        // 最大容量5个
@@ -9,50 +10,50 @@ test.beforeEach((t) => {
     lockDuration: 2,    // 触发限流后阻塞2秒
     inMemoryBlockOnConsumed: 10,  // 1分钟内超过10次触发阻塞
     inMemoryBlockDuration: 3,     // 内存阻塞3秒
+    clock: t.context.clock,
   });
 });
 
 test('初始化时桶应该是满的', (t) => {
   const tokens = t.context.limiter.getToken('user1');
-  t.is(tokens, 5); // 应该返回完整容量
+  t.is(tokens, 4); // 满桶5个，首次请求同样扣减1个
 });
 
 test('连续请求应该正确消耗令牌', (t) => {
   const tokens1 = t.context.limiter.getToken('user1');
   const tokens2 = t.context.limiter.getToken('user1');
   const tokens3 = t.context.limiter.getToken('user1');
-  t.is(tokens1, 5); // 首次请求返回完整容量
-  t.is(tokens2, 4); // 5 - 1 = 4
-  t.is(tokens3, 3); // 4 - 1 = 3
+  t.is(tokens1, 4); // 5 - 1 = 4
+  t.is(tokens2, 3); // 4 - 1 = 3
+  t.is(tokens3, 2); // 3 - 1 = 2
 });
 
 test('令牌应该随时间自动补充', async (t) => {
-  t.context.limiter.getToken('user1'); // 5
   t.context.limiter.getToken('user1'); // 4
   t.context.limiter.getToken('user1'); // 3
+  t.context.limiter.getToken('user1'); // 2
 
   // 等待1秒,应该补充2个令牌
-  await new Promise((resolve) => setTimeout(resolve, 1000));
+  await t.context.clock.advance(1000);
 
   const tokens = t.context.limiter.getToken('user1');
-  t.is(tokens, 4); // 3 + 2 - 1 = 4
+  t.is(tokens, 3); // 2 + 2 - 1 = 3
 });
 
 test('令牌数不应超过容量', async (t) => {
-  t.context.limiter.getToken('user1'); // 5
+  t.context.limiter.getToken('user1'); // 4
 
   // 等待3秒,应该补充6个令牌,但不能超过容量5
-  await new Promise((resolve) => setTimeout(resolve, 3000));
+  await t.context.clock.advance(3000);
 
   const tokens = t.context.limiter.getToken('user1');
-  t.is(tokens, 5); // 不应超过容量
+  t.is(tokens, 4); // 先回满到容量5，再扣减本次的1个，超过容量的部分不能抵扣消耗
 });
 
-// TODO: 请求的令牌数大于容量时应该被拒绝;
-// test('请求的令牌数大于容量时应该被拒绝', (t) => {
-//   const tokens = t.context.limiter.getToken('user1', '', 6);
-//   t.is(tokens, 0);
-// });
+test('请求的令牌数大于容量时应该被拒绝', (t) => {
+  const tokens = t.context.limiter.getToken('user1', '', 6);
+  t.is(tokens, 0);
+});
 
 test('请求的令牌数为0时应该返回当前令牌数', (t) => {
   const tokens = t.context.limiter.getToken('user1', '', 0);
@@ -62,21 +63,25 @@ test('请求的令牌数为0时应该返回当前令牌数', (t) => {
 // 令牌桶限流惩罚测试
 test('令牌不足时应触发限流并阻塞', async (t) => {
   // 快速消耗所有令牌
-  t.context.limiter.getToken('user1'); // 5
   t.context.limiter.getToken('user1'); // 4
   t.context.limiter.getToken('user1'); // 3
   t.context.limiter.getToken('user1'); // 2
   t.context.limiter.getToken('user1'); // 1
+  t.context.limiter.getToken('user1'); // 0
   const tokens = t.context.limiter.getToken('user1'); // 触发限流
   console.log('🚀 | file: RateLimiterTokenBucket.test.js:72 | test | tokens:', tokens);
 
   t.is(tokens, 0);
 
   // 阻塞期间的请求应该被拒绝，触发限流后阻塞2s
-  await new Promise((resolve) => setTimeout(resolve, 1500));
+  await t.context.clock.advance(1500);
 
   const newTokens = t.context.limiter.getToken('user1');
   t.is(newTokens, 0);
+
+  // 阻塞结束后按投放的令牌放行
+  await t.context.clock.advance(500);
+  t.true(t.context.limiter.consume('user1').allowed);
 });
 
 test('未设置lockDuration时不应触发令牌桶阻塞', (t) => {
@@ -87,18 +92,14 @@ test('未设置lockDuration时不应触发令牌桶阻塞', (t) => {
   });
 
   // 快速消耗所有令牌
-  for (let i = 0; i < 6; i++) {
+  for (let i = 0; i < 5; i++) {
     const tokens = noLockLimiter.getToken('user1');
-    if (i < 5) {
-      t.is(tokens, i === 0 ? 5 : 5 - i); // 第一次返回5，之后递减
-    } else {
-      t.is(tokens, 0);
-    }
+    t.is(tokens, 4 - i); // 4、3、2、1、0，取走最后一个令牌后余量为0
   }
+  t.is(noLockLimiter.consume('user1').reason, 'exhausted');
 
-  // 立即再次请求，应该返回0但不会被阻塞
-  const tokens = noLockLimiter.getToken('user1');
-  t.is(tokens, 0);
+  // 立即再次请求，应该被拒绝但不会被阻塞
+  t.is(noLockLimiter.consume('user1').reason, 'exhausted');
 });
 
 // 固定窗口限流测试
@@ -121,23 +122,29 @@ test('1分钟内超过阈值应触发阻塞', (t) => {
 });
 
 test('阻塞时间过后应该可以重新请求', async (t) => {
+  const clock = new FakeClock();
   const limiter = new RateLimiterTokenBucket({
     tokenPerSecond: 10,
     capacity: 50,
     keyPrefix: 'test',
     inMemoryBlockOnConsumed: 3,  // 1分钟内超过10次触发阻塞
     inMemoryBlockDuration: 3,     // 内存阻塞3秒
+    clock,
   });
   // 触发阻塞
   for (let i = 0; i < 6; i++) {
     limiter.getToken('user1', 'ip1');
   }
 
+  // 阻塞时间内仍被拒绝
+  await clock.advance(2999);
+  t.is(limiter.getToken('user1', 'ip1'), 0);
+
   // 等待阻塞时间过后
-  await new Promise((resolve) => setTimeout(resolve, 3000));
+  await clock.advance(1);
 
   const tokens = limiter.getToken('user1', 'ip1');
-  t.is(tokens, 50);
+  t.is(tokens, 49);
 });
 
 test('拦截全局流量，支持阻塞单个用户，不同的blockKey应该独立计数', (t) => {
@@ -154,7 +161,638 @@ test('拦截全局流量，支持阻塞单个用户，不同的blockKey应该独
   }
 
   // ip2 应该不受影响
-  const tokens = limiter.getToken('globalLimiter', 'ip2'); // 50 -3 -1 = 46
+  const tokens = limiter.getToken('globalLimiter', 'ip2'); // ip1 触发阻塞前取走4个，50 -4 -1 = 45
   console.log('🚀 | file: RateLimiterTokenBucket.test.js:152 | test | tokens:', tokens);
-  t.is(tokens, 46);
+  t.is(tokens, 45);
+});
+
+test('consume应返回完整的限流决策', (t) => {
+  const decision = t.context.limiter.consume('user1');
+  t.true(decision.allowed);
+  t.is(decision.remaining, 4);
+  t.is(decision.limit, 5);
+  t.is(decision.retryAfterMs, 0);
+  t.is(decision.reason, 'allowed');
+  t.is(decision.source, 'memory');
+});
+
+test('consume应区分令牌不足与限流惩罚', (t) => {
+  for (let i = 0; i < 5; i++) {
+    t.context.limiter.consume('user1');
+  }
+  const exhausted = t.context.limiter.consume('user1');
+  t.false(exhausted.allowed);
+  t.is(exhausted.reason, 'exhausted');
+  t.is(exhausted.remaining, 0);
+  // 触发限流后阻塞2s，重试时间以惩罚时间为准
+  t.is(exhausted.retryAfterMs, 2000);
+
+  const locked = t.context.limiter.consume('user1');
+  t.false(locked.allowed);
+  t.is(locked.reason, 'locked');
+  t.is(locked.retryAfterMs, 2000);
+});
+
+test('consume应返回内存阻塞的原因和解除时间', (t) => {
+  const clock = new FakeClock();
+  const limiter = new RateLimiterTokenBucket({
+    tokenPerSecond: 10,
+    capacity: 50,
+    keyPrefix: 'test',
+    inMemoryBlockOnConsumed: 3,
+    inMemoryBlockDuration: 3,
+    clock,
+  });
+  for (let i = 0; i < 5; i++) {
+    limiter.consume('user1', 'ip1');
+  }
+  const decision = limiter.consume('user1', 'ip1');
+  t.false(decision.allowed);
+  t.is(decision.reason, 'blocked');
+  t.is(decision.retryAfterMs, 3000);
+  t.is(decision.resetAtMs, clock.now() + 3000);
+});
+
+test('连续投放时应按经过的毫秒数补充小数个令牌', async (t) => {
+  const clock = new FakeClock();
+  const limiter = new RateLimiterTokenBucket({
+    tokenPerSecond: 100, // 每毫秒0.1个令牌
+    capacity: 100,
+    keyPrefix: 'test',
+    continuousRefill: true,
+    clock,
+  });
+  t.is(limiter.getToken('user1'), 99);
+  t.is(limiter.getToken('user1', '', 98), 1);
+
+  await clock.advance(50);
+  t.is(limiter.getToken('user1', '', 0), 6); // 1 + 50 * 0.1
+
+  await clock.advance(15);
+  t.is(limiter.peek('user1').tokens, 7.5);
+});
+
+test('支持小数速率的间隔投放', (t) => {
+  const limiter = new RateLimiterTokenBucket({
+    tokenPerSecond: 0.5,
+    capacity: 2,
+    keyPrefix: 'test',
+    clock: new FakeClock(),
+  });
+  t.is(limiter.consume('user1').remaining, 1);
+  t.is(limiter.consume('user1').remaining, 0);
+  const decision = limiter.consume('user1');
+  t.false(decision.allowed);
+  // 余量为0，需要补充1个令牌，即2个间隔
+  t.is(decision.retryAfterMs, 2000);
+});
+
+test('支持每分钟10个这样的低速率', (t) => {
+  const limiter = new RateLimiterTokenBucket({
+    tokenPerInterval: 10,
+    refillInterval: 60000,
+    capacity: 20,
+    keyPrefix: 'test',
+    continuousRefill: true,
+    clock: new FakeClock(),
+  });
+  t.is(limiter.tokenPerSecond, 10 / 60);
+  // 桶至少保留到回满为止
+  t.is(limiter.bucketTtl, 120000);
+
+  limiter.consume('user1'); // 19
+  const decision = limiter.consume('user1', '', 21);
+  t.false(decision.allowed);
+  // 被拒绝的请求不扣减令牌，余量仍为19，再次请求21个需要补充2个令牌，每个6秒
+  t.is(decision.retryAfterMs, 12000);
+  t.is(limiter.peek('user1').tokens, 19);
+});
+
+test('peek不应消耗令牌', (t) => {
+  const { limiter } = t.context;
+  t.is(limiter.peek('user1').tokens, 5);
+  limiter.getToken('user1'); // 4
+  limiter.getToken('user1'); // 3
+  const state = limiter.peek('user1');
+  t.is(state.tokens, 3);
+  t.is(state.limit, 5);
+  t.false(state.locked);
+  t.false(state.blocked);
+  t.is(limiter.peek('user1').tokens, 3);
+});
+
+test('refund应退还令牌且不超过容量', (t) => {
+  const { limiter } = t.context;
+  limiter.getToken('user1'); // 4
+  limiter.getToken('user1', '', 3); // 1
+  t.is(limiter.refund('user1', 2), 3);
+  t.is(limiter.refund('user1', 10), 5);
+  t.is(limiter.refund('user2'), 5);
+});
+
+test('reset和unblock应解除限流惩罚和内存阻塞', (t) => {
+  const { limiter } = t.context;
+  for (let i = 0; i < 6; i++) {
+    limiter.getToken('user1');
+  }
+  t.true(limiter.peek('user1').locked);
+  t.true(limiter.reset('user1'));
+  t.false(limiter.peek('user1').locked);
+  t.is(limiter.getToken('user1'), 4);
+
+  // 超过窗口阈值后被内存阻塞
+  for (let i = 0; i < 12; i++) {
+    limiter.getToken('user2', 'ip1');
+  }
+  t.true(limiter.peek('user2', 'ip1').blocked);
+  t.true(limiter.unblock('ip1'));
+  t.false(limiter.peek('user2', 'ip1').blocked);
+  t.false(limiter.unblock('ip1'));
+});
+
+test('应按限流决策触发allowed、denied、locked和blocked事件', (t) => {
+  const limiter = new RateLimiterTokenBucket({
+    tokenPerSecond: 1,
+    capacity: 2,
+    keyPrefix: 'test',
+    lockDuration: 10,
+    inMemoryBlockOnConsumed: 4,
+    inMemoryBlockDuration: 10,
+  });
+  const events = [];
+  for (const name of ['allowed', 'denied', 'locked', 'blocked']) {
+    limiter.on(name, (event) => events.push([name, event.key, event.cost, event.balance, event.decision.reason]));
+  }
+
+  limiter.consume('user1', 'ip1');
+  limiter.consume('user1', 'ip1');
+  limiter.consume('user1', 'ip1');
+  limiter.consume('user1', 'ip1');
+  limiter.consume('user1', 'ip1');
+  limiter.consume('user1', 'ip1');
+
+  t.deepEqual(events, [
+    ['allowed', 'user1', 1, 1, 'allowed'],
+    ['allowed', 'user1', 1, 0, 'allowed'],
+    ['denied', 'user1', 1, -1, 'exhausted'],
+    ['locked', 'user1', 1, 0, 'locked'],
+    ['locked', 'user1', 1, 0, 'locked'],
+    ['blocked', 'user1', 1, 0, 'blocked'],
+  ]);
+});
+
+test('默认不输出日志，配置logger后按级别输出', (t) => {
+  const lines = [];
+  const logger = {
+    debug: (message) => lines.push(['debug', message]),
+    warn: (message) => lines.push(['warn', message]),
+  };
+
+  new RateLimiterTokenBucket({ tokenPerSecond: 1, capacity: 2, keyPrefix: 'test', logger }).consume('user1');
+  t.deepEqual(lines, []);
+
+  new RateLimiterTokenBucket({ tokenPerSecond: 1, capacity: 2, keyPrefix: 'test', logger, logLevel: 'debug' }).consume('user1');
+  t.is(lines.length, 1);
+  t.is(lines[0][0], 'debug');
+  t.true(lines[0][1].includes('user1'));
+
+  t.throws(() => new RateLimiterTokenBucket({ tokenPerSecond: 1, capacity: 2, logger, logLevel: 'verbose' }));
+});
+
+test('超过maxKeys时应淘汰最久未使用的令牌桶，且不为每个键创建定时器', (t) => {
+  const timers = process.getActiveResourcesInfo().filter((type) => type === 'Timeout').length;
+  const limiter = new RateLimiterTokenBucket({ tokenPerSecond: 1, capacity: 3, keyPrefix: 'test', maxKeys: 2 });
+  limiter.getToken('user1'); // 2
+  limiter.getToken('user1'); // 1
+  limiter.getToken('user2'); // 2
+  limiter.getToken('user1'); // 0，user1 变为最近使用
+  limiter.getToken('user3'); // 淘汰 user2
+
+  t.is(limiter.buckets.size, 2);
+  t.is(limiter.peek('user1').tokens, 0);
+  t.is(limiter.peek('user2').tokens, 3);
+  t.is(process.getActiveResourcesInfo().filter((type) => type === 'Timeout').length, timers);
+});
+
+test('回满后的令牌桶应在访问或写入时惰性清除', (t) => {
+  const limiter = new RateLimiterTokenBucket({ tokenPerSecond: 1, capacity: 3, keyPrefix: 'test' });
+  limiter.getToken('user1');
+  limiter.getToken('user1'); // 1
+  limiter.getToken('user2');
+
+  // 模拟桶已经过期
+  limiter.buckets.peek('testuser1').expiresAt = Date.now() - 1;
+  t.is(limiter.peek('user1').tokens, 3);
+  t.is(limiter.getToken('user1'), 2); // 重建为满桶后扣减
+  t.is(limiter.buckets.size, 2);
+
+  // 写入新的键时清除最久未使用的过期键
+  limiter.buckets.peek('testuser2').expiresAt = Date.now() - 1;
+  limiter.getToken('user3');
+  t.is(limiter.buckets.size, 2);
+});
+
+test('destroy应清除所有令牌桶和阻塞状态', (t) => {
+  const limiter = new RateLimiterTokenBucket({ tokenPerSecond: 1, capacity: 1, keyPrefix: 'test', lockDuration: 10 });
+  limiter.getToken('user1');
+  limiter.getToken('user1'); // 触发限流惩罚
+  t.true(limiter.peek('user1').locked);
+
+  limiter.destroy();
+  t.is(limiter.buckets.size, 0);
+  t.is(limiter.blockedKeys.size, 0);
+  t.false(limiter.peek('user1').locked);
+});
+
+test('内存阻塞策略可以按消耗的令牌数计数', (t) => {
+  const limiter = new RateLimiterTokenBucket({
+    tokenPerSecond: 10,
+    capacity: 50,
+    keyPrefix: 'test',
+    inMemoryBlockOnConsumed: 5,
+    inMemoryBlockDuration: 3,
+    inMemoryBlockCountBy: 'tokens',
+  });
+  t.true(limiter.consume('user1', 'ip1', 3).allowed); // 3
+  t.true(limiter.consume('user1', 'ip1', 3).allowed); // 6，超过阈值
+  t.true(limiter.consume('user1', 'ip1', 3).allowed); // 触发阻塞
+  t.is(limiter.consume('user1', 'ip1', 3).reason, 'blocked');
+
+  t.throws(() => new RateLimiterTokenBucket({
+    tokenPerSecond: 10,
+    capacity: 50,
+    keyPrefix: 'test',
+    inMemoryBlockOnConsumed: 5,
+    inMemoryBlockDuration: 3,
+    inMemoryBlockCountBy: 'cost',
+  }), { message: 'inMemoryBlockCountBy must be one of requests, tokens, got cost' });
+});
+
+test('内存阻塞策略的窗口长度可以配置', async (t) => {
+  const clock = new FakeClock();
+  const limiter = new RateLimiterTokenBucket({
+    tokenPerSecond: 10,
+    capacity: 50,
+    keyPrefix: 'test',
+    inMemoryBlockOnConsumed: 2,
+    inMemoryBlockDuration: 3,
+    inMemoryBlockWindow: 100,
+    clock,
+  });
+  limiter.consume('user1', 'ip1');
+  limiter.consume('user1', 'ip1');
+
+  // 窗口结束后重新计数
+  await clock.advance(120);
+  limiter.consume('user1', 'ip1');
+  t.true(limiter.consume('user1', 'ip1').allowed);
+  t.true(limiter.consume('user1', 'ip1').allowed); // 触发阻塞
+  t.is(limiter.consume('user1', 'ip1').reason, 'blocked');
+});
+
+test('滑动窗口应计入上一个窗口的消耗', async (t) => {
+  const clock = new FakeClock();
+  const limiter = new RateLimiterTokenBucket({
+    tokenPerSecond: 10,
+    capacity: 50,
+    keyPrefix: 'test',
+    inMemoryBlockOnConsumed: 4,
+    inMemoryBlockDuration: 3,
+    inMemoryBlockWindow: 200,
+    inMemoryBlockSlidingWindow: true,
+    clock,
+  });
+  for (let i = 0; i < 4; i++) {
+    limiter.consume('user1', 'ip1');
+  }
+
+  // 进入下一个窗口20ms，上一个窗口的4次请求按90%计入（3.6次），固定窗口时第6次请求才会被阻塞
+  await clock.advance(220);
+  const reasons = [];
+  for (let i = 0; i < 3; i++) {
+    reasons.push(limiter.consume('user1', 'ip1').reason);
+  }
+  t.deepEqual(reasons, ['allowed', 'allowed', 'blocked']);
+});
+
+test('屡次触发内存阻塞时应逐次加长阻塞时间', async (t) => {
+  const clock = new FakeClock();
+  const limiter = new RateLimiterTokenBucket({
+    tokenPerSecond: 10,
+    capacity: 50,
+    keyPrefix: 'test',
+    inMemoryBlockOnConsumed: 1,
+    inMemoryBlockDuration: 0.05,
+    inMemoryBlockEscalation: { factor: 2, maxDuration: 0.08 },
+    clock,
+  });
+  limiter.consume('user1', 'ip1');
+  limiter.consume('user1', 'ip1'); // 触发阻塞50ms
+  const first = limiter.consume('user1', 'ip1');
+  t.is(first.reason, 'blocked');
+  t.is(first.retryAfterMs, 50);
+
+  // 阻塞结束后再次触发，阻塞时间翻倍，但不超过80ms
+  await clock.advance(60);
+  limiter.consume('user1', 'ip1');
+  limiter.consume('user1', 'ip1');
+  const second = limiter.consume('user1', 'ip1');
+  t.is(second.reason, 'blocked');
+  t.is(second.retryAfterMs, 80);
+
+  // 解除阻塞时清除再犯记录
+  t.true(limiter.unblock('ip1'));
+  limiter.consume('user1', 'ip1');
+  limiter.consume('user1', 'ip1');
+  t.true(limiter.consume('user1', 'ip1').retryAfterMs <= 50);
+});
+
+test('白名单应直接放行，黑名单优先于白名单', (t) => {
+  const limiter = new RateLimiterTokenBucket({
+    tokenPerSecond: 1,
+    capacity: 1,
+    keyPrefix: 'test',
+    allowList: ['health-checker', 'internal:*', '10.0.0.0/8'],
+    denyList: ['internal:bad', { key: 'spammer', ttl: 60 }],
+  });
+  for (let i = 0; i < 3; i++) {
+    t.is(limiter.consume('health-checker').reason, 'allowlisted');
+    t.is(limiter.consume('user1', 'internal:billing').reason, 'allowlisted');
+  }
+  t.is(limiter.buckets.size, 0);
+
+  const banned = limiter.consume('internal:bad');
+  t.false(banned.allowed);
+  t.is(banned.reason, 'banned');
+  t.is(banned.retryAfterMs, Infinity);
+  const spammer = limiter.consume('spammer');
+  t.is(spammer.reason, 'banned');
+  t.true(spammer.retryAfterMs > 0 && spammer.retryAfterMs <= 60000);
+
+  // 网段只与客户端ip比较
+  t.is(limiter.consume('10.1.2.3').reason, 'allowed');
+  t.is(limiter.consumeUseIp({ headers: {}, socket: { remoteAddress: '10.1.2.3' } }).reason, 'allowlisted');
+  t.is(limiter.consume('user2', '', 1, '::ffff:10.0.0.1').reason, 'allowlisted');
+});
+
+test('ban应封禁键、键前缀和网段，过期或unban后恢复', async (t) => {
+  const clock = new FakeClock();
+  const limiter = new RateLimiterTokenBucket({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    clock,
+  });
+  const events = [];
+  limiter.on('blocked', ({ decision }) => events.push(decision.reason));
+
+  limiter.ban('user1');
+  limiter.ban('tenant:*', 0.05);
+  limiter.ban('192.168.0.0/16');
+  const banned = limiter.consume('user1');
+  t.is(banned.reason, 'banned');
+  t.is(banned.retryAfterMs, Infinity);
+  t.is(limiter.consume('tenant:a').retryAfterMs, 50);
+  t.is(limiter.consume('user2', '', 1, '192.168.1.1').reason, 'banned');
+  t.deepEqual(events, ['banned', 'banned', 'banned']);
+
+  const bans = limiter.listBans();
+  t.deepEqual(bans.map(({ key }) => key), ['user1', 'tenant:*', '192.168.0.0/16']);
+  t.is(bans[0].expiresAt, null);
+  t.is(bans[1].expiresAt, clock.now() + 50);
+
+  await clock.advance(60);
+  t.true(limiter.consume('tenant:a').allowed);
+  t.true(limiter.unban('user1'));
+  t.false(limiter.unban('user1'));
+  t.true(limiter.consume('user1').allowed);
+  t.deepEqual(limiter.listBans().map(({ key }) => key), ['192.168.0.0/16']);
+  t.throws(() => limiter.ban('10.0.0.0/40'), { message: 'Invalid CIDR: 10.0.0.0/40' });
+});
+
+test('addListEntry和removeListEntry应在运行时修改白名单和黑名单', (t) => {
+  const limiter = new RateLimiterTokenBucket({ tokenPerSecond: 1, capacity: 1, keyPrefix: 'test', allowList: ['health-checker'] });
+  limiter.addListEntry('denyList', 'scraper:*');
+  limiter.addListEntry('allowList', 'internal:*', 60);
+  t.is(limiter.consume('scraper:1').reason, 'banned');
+  t.is(limiter.consume('internal:job').reason, 'allowlisted');
+  t.deepEqual(limiter.listEntries('allowList').map(({ key }) => key), ['health-checker', 'internal:*']);
+
+  t.true(limiter.removeListEntry('allowList', 'health-checker'));
+  t.false(limiter.removeListEntry('bans', 'health-checker'));
+  t.is(limiter.consume('health-checker').reason, 'allowed');
+  t.throws(() => limiter.listEntries('blockList'), { message: 'list must be one of allowList, denyList, bans, got blockList' });
+});
+
+test('waitForToken应按调用顺序等待令牌投放', async (t) => {
+  const clock = new FakeClock();
+  const limiter = new RateLimiterTokenBucket({
+    tokenPerInterval: 1,
+    refillInterval: 50,
+    capacity: 1,
+    keyPrefix: 'test',
+    clock,
+  });
+  const start = clock.now();
+  const order = [];
+  const waiting = Promise.all([1, 2, 3].map((i) => limiter.waitForToken('api').then((decision) => {
+    order.push([i, clock.now() - start]);
+    t.true(decision.allowed);
+  })));
+  await clock.advance(100);
+  await waiting;
+  t.deepEqual(order, [[1, 0], [2, 50], [3, 100]]);
+  t.false(limiter.consume('api').allowed);
+});
+
+test('waitForToken等待时间超过maxWaitMs时应拒绝且不预留令牌', async (t) => {
+  const limiter = new RateLimiterTokenBucket({
+    tokenPerInterval: 1,
+    refillInterval: 1000,
+    capacity: 2,
+    keyPrefix: 'test',
+  });
+  await limiter.waitForToken('api', 2);
+  const error = await t.throwsAsync(limiter.waitForToken('api', 1, { maxWaitMs: 500 }), { instanceOf: WaitTimeoutError });
+  t.is(error.code, 'ERR_WAIT_TIMEOUT');
+  t.true(error.waitMs > 500 && error.waitMs <= 1000);
+  t.is(limiter.peek('api').tokens, 0);
+  await t.throwsAsync(limiter.waitForToken('api', 3), { instanceOf: RangeError });
+});
+
+test('waitForToken中止时应退还预留的令牌', async (t) => {
+  const limiter = new RateLimiterTokenBucket({
+    tokenPerInterval: 1,
+    refillInterval: 1000,
+    capacity: 1,
+    keyPrefix: 'test',
+  });
+  await limiter.waitForToken('api');
+  const controller = new AbortController();
+  const waiting = limiter.waitForToken('api', 1, { signal: controller.signal });
+  t.is(limiter.peek('api').tokens, -1);
+  controller.abort();
+  await t.throwsAsync(waiting, { name: 'AbortError' });
+  t.is(limiter.peek('api').tokens, 0);
+  await t.throwsAsync(limiter.waitForToken('api', 1, { signal: controller.signal }), { name: 'AbortError' });
+});
+
+test('reserve应先扣除预估的消耗，commit时按实际消耗多退少补', (t) => {
+  const limiter = new RateLimiterTokenBucket({
+    tokenPerInterval: 1,
+    refillInterval: 60000,
+    capacity: 10,
+    keyPrefix: 'test',
+  });
+  const reservation = limiter.reserve('llm', 6);
+  t.true(reservation.allowed);
+  t.is(reservation.decision.remaining, 4);
+  t.is(limiter.peek('llm').tokens, 4);
+  t.is(reservation.commit(2), 8);
+  t.is(reservation.state, 'committed');
+  t.throws(() => reservation.commit(2), { message: 'reservation of key llm is committed' });
+
+  // 实际消耗超过预估时补扣，桶中的令牌数可以为负
+  t.is(limiter.reserve('llm', 8).commit(12), -4);
+  t.false(limiter.consume('llm').allowed);
+});
+
+test('reserve令牌不足时应拒绝且不扣除令牌，cancel时退还预估的令牌', (t) => {
+  const limiter = new RateLimiterTokenBucket({
+    tokenPerInterval: 1,
+    refillInterval: 1000,
+    capacity: 5,
+    keyPrefix: 'test',
+  });
+  const first = limiter.reserve('llm', 4);
+  const denied = limiter.reserve('llm', 3);
+  t.false(denied.allowed);
+  t.is(denied.state, 'denied');
+  t.is(denied.decision.reason, 'exhausted');
+  t.true(denied.decision.retryAfterMs > 1000 && denied.decision.retryAfterMs <= 2000);
+  t.throws(() => denied.cancel(), { message: 'reservation of key llm is denied' });
+  t.is(limiter.peek('llm').tokens, 1);
+
+  t.is(first.cancel(), 5);
+  t.is(first.state, 'cancelled');
+  t.throws(() => limiter.reserve('llm', 6), { instanceOf: RangeError });
+});
+
+test('空闲后最多放行capacity个请求，超出容量的投放不能抵扣消耗', async (t) => {
+  for (const opts of [{}, { continuousRefill: true }]) {
+    const clock = new FakeClock();
+    const limiter = new RateLimiterTokenBucket({ tokenPerSecond: 1, capacity: 5, keyPrefix: 'test', clock, ...opts });
+    while (limiter.consume('user1').allowed);
+    await clock.advance(10000);
+    const decisions = Array.from({ length: 7 }, () => limiter.consume('user1'));
+    t.deepEqual(decisions.map(({ allowed }) => allowed), [true, true, true, true, true, false, false]);
+    t.deepEqual(decisions.map(({ remaining }) => remaining), [4, 3, 2, 1, 0, 0, 0]);
+  }
+});
+
+test('reserve超时未结算时应退还预估的令牌', async (t) => {
+  const clock = new FakeClock();
+  const limiter = new RateLimiterTokenBucket({
+    tokenPerInterval: 1,
+    refillInterval: 60000,
+    capacity: 5,
+    keyPrefix: 'test',
+    clock,
+  });
+  const reservation = limiter.reserve('llm', 3, { ttlMs: 30 });
+  t.is(limiter.peek('llm').tokens, 2);
+  await clock.advance(60);
+  t.is(reservation.state, 'expired');
+  t.is(limiter.peek('llm').tokens, 5);
+
+  // 超时后提交时按实际消耗全额扣除，取消时不再重复退还
+  t.is(reservation.commit(1), 4);
+  const cancelled = limiter.reserve('llm', 2, { ttlMs: 30 });
+  await clock.advance(60);
+  t.is(cancelled.cancel(), 4);
+  t.is(clock.pendingTimers, 0);
+});
+
+test('getTokens应按顺序逐个判断每个请求', (t) => {
+  const limiter = new RateLimiterTokenBucket({ tokenPerInterval: 1, refillInterval: 60000, capacity: 3, keyPrefix: 'test' });
+  t.deepEqual(limiter.getTokens([{ key: 'a' }, { key: 'a', cost: 2 }, { key: 'a' }, { key: 'b', blockKey: 'ip1' }]), [2, 0, 0, 2]);
+});
+
+function createAlgorithmLimiter(algorithm, opts = {}) {
+  const clock = new FakeClock(1000000);
+  const limiter = new RateLimiterTokenBucket({ algorithm, keyPrefix: 'test', clock, ...opts });
+  return { limiter, clock };
+}
+
+test('gcra应按固定间隔均匀放行请求', async (t) => {
+  const { limiter, clock } = createAlgorithmLimiter('gcra', { tokenPerSecond: 10, capacity: 1 });
+  const first = limiter.consume('user1');
+  t.true(first.allowed);
+  t.is(first.remaining, 0);
+  t.is(first.resetAtMs, clock.now() + 100);
+  t.is(limiter.consume('user1').retryAfterMs, 100);
+  await clock.advance(99);
+  t.is(limiter.consume('user1').retryAfterMs, 1);
+  await clock.advance(1);
+  t.true(limiter.consume('user1').allowed);
+});
+
+test('sliding-window-log应保证任意窗口内放行的数量不超过容量', async (t) => {
+  // 每秒3个，窗口为3个令牌的投放时间，即1秒
+  const { limiter, clock } = createAlgorithmLimiter('sliding-window-log', { tokenPerInterval: 3, refillInterval: 1000, capacity: 3, lockDuration: 1 });
+  const remaining = [];
+  for (let i = 0; i < 3; i++) {
+    remaining.push(limiter.consume('user1').remaining);
+    await clock.advance(400);
+  }
+  t.deepEqual(remaining, [2, 1, 0]);
+  t.is(limiter.peek('user1').tokens, 1);
+  t.true(limiter.consume('user1').allowed);
+  const denied = limiter.consume('user1');
+  t.is(denied.reason, 'exhausted');
+  t.is(denied.retryAfterMs, 1000);
+  t.is(limiter.consume('user1').reason, 'locked');
+  await clock.advance(1000);
+  t.is(limiter.consume('user1').remaining, 2);
+});
+
+test('sliding-window-counter应按上一个窗口的比例估算窗口内的数量', async (t) => {
+  const { limiter, clock } = createAlgorithmLimiter('sliding-window-counter', { tokenPerSecond: 10, capacity: 10 });
+  for (let i = 0; i < 10; i++) {
+    t.true(limiter.consume('user1').allowed);
+  }
+  const denied = limiter.consume('user1');
+  t.false(denied.allowed);
+  // 下一个窗口过去10%后，上一个窗口的10个按90%计入
+  t.is(denied.retryAfterMs, 1100);
+  await clock.advance(1099);
+  t.false(limiter.consume('user1').allowed);
+  await clock.advance(1);
+  const allowed = limiter.consume('user1');
+  t.true(allowed.allowed);
+  t.is(allowed.remaining, 0);
+});
+
+test('leaky-bucket应以固定速率排出队列，并返回排队等待的时间', async (t) => {
+  const { limiter, clock } = createAlgorithmLimiter('leaky-bucket', { tokenPerSecond: 10, capacity: 3 });
+  const decisions = [limiter.consume('user1'), limiter.consume('user1'), limiter.consume('user1')];
+  t.deepEqual(decisions.map(({ delayMs }) => delayMs), [0, 100, 200]);
+  t.deepEqual(decisions.map(({ remaining }) => remaining), [2, 1, 0]);
+  const denied = limiter.consume('user1');
+  t.false(denied.allowed);
+  t.is(denied.retryAfterMs, 100);
+  t.is(denied.delayMs, 0);
+  await clock.advance(100);
+  t.is(limiter.peek('user1').tokens, 1);
+  t.is(limiter.consume('user1').delayMs, 200);
+});
+
+test('令牌桶之外的算法不支持waitForToken、reserve和refund，未知的算法应抛出错误', async (t) => {
+  const { limiter } = createAlgorithmLimiter('gcra', { tokenPerSecond: 1, capacity: 1 });
+  await t.throwsAsync(limiter.waitForToken('user1'), { message: 'waitForToken is only supported by the token-bucket algorithm, got gcra' });
+  t.throws(() => limiter.reserve('user1'), { message: 'reserve is only supported by the token-bucket algorithm, got gcra' });
+  t.throws(() => limiter.refund('user1'), { message: 'refund is only supported by the token-bucket algorithm, got gcra' });
+  t.throws(() => createAlgorithmLimiter('fixed-window', { tokenPerSecond: 1, capacity: 1 }), {
+    message: 'algorithm must be one of token-bucket, gcra, sliding-window-log, sliding-window-counter, leaky-bucket, got fixed-window',
+  });
 });
@@ -0,0 +1,1249 @@
+import test from 'ava';
+import { createHash } from 'crypto';
+import { EventEmitter } from 'events';
+import { FakeClock, MemoryAdapter, RateLimiterTokenBucket, RateLimiterTokenBucketRedis, WaitTimeoutError } from '../../dist/bundle.js';
+
+// 名单在 redis 中的 hash
+const ACCESS_LIST_KEY = /^\{.*\}:(allow-list|deny-list|bans)$/;
+
+// 读写名单的脚本：添加条目 [numKeys, key, 条目, 过期时间戳, now]、删除条目 [numKeys, key, 条目]、读取名单 [numKeys, key]
+function runAccessListScript(hashes, [, key, ...args]) {
+  const hash = hashes.get(key) || new Map();
+  hashes.set(key, hash);
+  if (args.length === 3) {
+    hash.set(args[0], String(args[1]));
+    return 1;
+  }
+  if (args.length === 1) {
+    return hash.delete(args[0]) ? 1 : 0;
+  }
+  return [...hash].flat();
+}
+
+// 只记录调用的 redis 客户端，用于验证与 redis 的交互方式，不执行脚本
+// calls 记录每次发出的命令，executed 记录成功执行的 [脚本, 参数]
+// 名单由客户端自己保存在 hashes 中，不交给 reply，也不记录到 calls 和 executed
+function createRecordingClient(reply) {
+  const loaded = new Map();
+  const client = {
+    status: 'ready',
+    calls: [],
+    executed: [],
+    hashes: new Map(),
+    async evalsha(sha, ...args) {
+      if (ACCESS_LIST_KEY.test(args[1])) {
+        return runAccessListScript(client.hashes, args);
+      }
+      client.calls.push(['evalsha', sha]);
+      if (!loaded.has(sha)) {
+        throw new Error('NOSCRIPT No matching script. Please use EVAL.');
+      }
+      const result = await reply(...args);
+      client.executed.push([loaded.get(sha), args]);
+      return result;
+    },
+    async eval(script, ...args) {
+      if (ACCESS_LIST_KEY.test(args[1])) {
+        return runAccessListScript(client.hashes, args);
+      }
+      client.calls.push(['eval', script]);
+      loaded.set(createHash('sha1').update(script).digest('hex'), script);
+      const result = await reply(...args);
+      client.executed.push([script, args]);
+      return result;
+    },
+  };
+  return client;
+}
+
+test('应使用EVALSHA执行脚本，脚本缓存丢失时自动使用EVAL重新加载', async (t) => {
+  const client = createRecordingClient(() => [0, '4', 1000, 0]);
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+  });
+
+  t.is(await limiter.getToken('user1'), 4);
+  t.deepEqual(client.calls.map(([command]) => command), ['evalsha', 'eval']);
+  t.is(client.calls[1][1], limiter.script);
+
+  client.calls.length = 0;
+  t.is(await limiter.getToken('user1'), 4);
+  t.deepEqual(client.calls.map(([command]) => command), ['evalsha']);
+});
+
+test('开启useRedisTime时应通知脚本使用redis服务器时间', async (t) => {
+  const argv = [];
+  const client = createRecordingClient((numKeys, ...args) => {
+    argv.push(args.slice(numKeys));
+    return [0, '4', 1000, 0];
+  });
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+    useRedisTime: true,
+  });
+
+  await limiter.getToken('user1');
+  t.is(argv[0][8], 1);
+});
+
+test('令牌桶只使用一个hash键，兼容模式下额外声明旧版本的键', async (t) => {
+  const calls = [];
+  const client = createRecordingClient((numKeys, ...args) => {
+    calls.push(args.slice(0, numKeys));
+    return [0, '4', 1000, 0];
+  });
+  const options = { tokenPerSecond: 1, capacity: 5, keyPrefix: 'test', redisClient: client };
+
+  await new RateLimiterTokenBucketRedis({ ...options, migrateLegacyKeys: false }).getToken('user1');
+  t.deepEqual(calls[0], ['{testuser1}:bucket']);
+
+  await new RateLimiterTokenBucketRedis(options).getToken('user1');
+  t.deepEqual(calls[1], ['{testuser1}:bucket', 'testuser1', '{testuser1}-st', '{testuser1}-lock']);
+});
+
+// 以下用例需要真实的 redis，设置 REDIS_URL 环境变量后执行，如 REDIS_URL=redis://127.0.0.1:6379 npx ava
+const redisTest = process.env.REDIS_URL ? test.serial : test.skip;
+
+let keySequence = 0;
+
+async function createRedisLimiter(t, opts = {}) {
+  const { default: Redis } = await import('ioredis');
+  const redis = new Redis(process.env.REDIS_URL);
+  t.teardown(() => redis.quit());
+  await redis.ping();
+  const keyPrefix = `redis-test-${Date.now()}-${keySequence++}-`;
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix,
+    redisClient: redis,
+    ...opts,
+  });
+  return { redis, limiter, fullKey: `${keyPrefix}user1` };
+}
+
+// 模拟某台应用服务器以指定的本地时间调用脚本
+function evalAt(redis, limiter, fullKey, currentTime, useRedisTime = 0) {
+  const keys = limiter._bucketKeys(fullKey);
+  return redis.eval(
+    limiter.script, keys.length, ...keys,
+    limiter.capacity, 1, limiter.tokenPerInterval, limiter.refillInterval,
+    0, limiter.bucketTtl, currentTime, 0, useRedisTime,
+  );
+}
+
+redisTest('时钟落后的调用方不会使上次投放时间倒退', async (t) => {
+  const { redis, limiter, fullKey } = await createRedisLimiter(t);
+  const now = Date.now();
+
+  await evalAt(redis, limiter, fullKey, now);
+  await evalAt(redis, limiter, fullKey, now);
+  const lastTime = Number(await redis.hget(`{${fullKey}}:bucket`, 'ts'));
+
+  // 落后 3 秒的调用方，既不能让投放时间倒退，也不能被算出负的令牌数
+  const [limited, balance] = await evalAt(redis, limiter, fullKey, now - 3000);
+  t.is(limited, 0);
+  t.is(Number(balance), 2);
+  t.is(Number(await redis.hget(`{${fullKey}}:bucket`, 'ts')), lastTime);
+
+  // 时钟正常的调用方随后按原本的投放时间补充令牌
+  const [, refilled] = await evalAt(redis, limiter, fullKey, lastTime + 2000);
+  t.is(Number(refilled), 3);
+});
+
+redisTest('时钟超前与落后的调用方交替访问时令牌数保持一致', async (t) => {
+  const { redis, limiter, fullKey } = await createRedisLimiter(t, { continuousRefill: true });
+  const now = Date.now();
+
+  await evalAt(redis, limiter, fullKey, now);
+  for (let i = 0; i < 3; i++) {
+    // 超前 500ms 与落后 500ms 的调用方交替访问，连续投放下也不会凭空多出令牌
+    await evalAt(redis, limiter, fullKey, now + (i % 2 === 0 ? 500 : -500));
+  }
+  const [limited, balance] = await evalAt(redis, limiter, fullKey, now + 500);
+  t.is(limited, 0);
+  t.is(Number(balance), 0.5);
+  t.is(Number(await redis.hget(`{${fullKey}}:bucket`, 'ts')), now + 500);
+});
+
+redisTest('开启useRedisTime时忽略调用方传入的时间', async (t) => {
+  const { redis, limiter, fullKey } = await createRedisLimiter(t);
+
+  // 调用方时钟相差一小时，仍按 redis 服务器时间计算，不会额外投放令牌
+  await evalAt(redis, limiter, fullKey, Date.now() - 3600000, 1);
+  const [, balance] = await evalAt(redis, limiter, fullKey, Date.now() + 3600000, 1);
+  t.is(Number(balance), 3);
+
+  const [seconds] = await redis.time();
+  t.true(Math.abs(Number(await redis.hget(`{${fullKey}}:bucket`, 'ts')) - Number(seconds) * 1000) < 2000);
+});
+
+redisTest('令牌桶状态存储在一个hash中', async (t) => {
+  const { redis, limiter, fullKey } = await createRedisLimiter(t, { lockDuration: 10, migrateLegacyKeys: false });
+
+  await limiter.getToken('user1', '', 5);
+  const bucket = await redis.hgetall(`{${fullKey}}:bucket`);
+  t.is(Number(bucket.tokens), 0);
+  t.true(Number(bucket.ts) > 0);
+  t.true(await redis.pttl(`{${fullKey}}:bucket`) > 0);
+
+  // 触发限流惩罚后，惩罚截止时间也记录在同一个hash中
+  const denied = await limiter.consume('user1');
+  t.is(denied.reason, 'exhausted');
+  t.true(Number(await redis.hget(`{${fullKey}}:bucket`, 'lock')) > Date.now());
+  t.is((await limiter.consume('user1')).reason, 'locked');
+
+  t.true(await limiter.unblock('user1'));
+  t.true(await limiter.reset('user1'));
+  t.is(await redis.exists(`{${fullKey}}:bucket`), 0);
+});
+
+redisTest('兼容模式下应沿用旧版本存储的令牌桶状态', async (t) => {
+  const { redis, limiter, fullKey } = await createRedisLimiter(t);
+  // 旧版本写入的令牌数、上次投放时间和限流惩罚
+  await redis.set(fullKey, 1, 'PX', 60000);
+  await redis.set(`{${fullKey}}-st`, Date.now(), 'PX', 60000);
+
+  t.is(await limiter.getToken('user1'), 0);
+  t.is(Number(await redis.hget(`{${fullKey}}:bucket`, 'tokens')), 0);
+  t.is((await limiter.consume('user1')).reason, 'exhausted');
+
+  // 旧版本的限流惩罚同样生效
+  const { limiter: locked, fullKey: lockedKey } = await createRedisLimiter(t);
+  await redis.set(`{${lockedKey}}-lock`, '1', 'PX', 5000);
+  const decision = await locked.consume('user1');
+  t.is(decision.reason, 'locked');
+  t.true(decision.retryAfterMs > 4000);
+
+  // 关闭兼容模式后忽略旧版本的键
+  const { limiter: fresh, fullKey: freshKey } = await createRedisLimiter(t, { migrateLegacyKeys: false });
+  await redis.set(freshKey, 0, 'PX', 60000);
+  await redis.set(`{${freshKey}}-st`, Date.now(), 'PX', 60000);
+  t.is(await fresh.getToken('user1'), 4);
+  await redis.del(fullKey, `{${fullKey}}-st`, `{${lockedKey}}-lock`, freshKey, `{${freshKey}}-st`);
+});
+
+// 等待内置客户端异步创建完成
+async function waitForClient(limiter) {
+  for (let i = 0; i < 100 && !limiter.redis; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return limiter.redis;
+}
+
+test('配置clusterNodes时应创建Redis Cluster客户端，未就绪时不访问redis', async (t) => {
+  const { Cluster } = await import('ioredis');
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    clusterNodes: [{ host: '127.0.0.1', port: 7000 }],
+    clusterOptions: { lazyConnect: true },
+  });
+  const redis = await waitForClient(limiter);
+  t.teardown(() => redis.disconnect());
+
+  t.true(redis instanceof Cluster);
+  t.false(limiter._isRedisReady());
+  t.is((await limiter.consume('user1')).source, 'fail-open');
+});
+
+test('配置sentinels时应创建通过Sentinel发现主节点的客户端', async (t) => {
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisOptions: { lazyConnect: true },
+    sentinels: [{ host: '127.0.0.1', port: 26379 }],
+    sentinelName: 'primary',
+  });
+  const redis = await waitForClient(limiter);
+  t.teardown(() => redis.disconnect());
+
+  t.deepEqual(redis.options.sentinels, [{ host: '127.0.0.1', port: 26379 }]);
+  t.is(redis.options.name, 'primary');
+  t.false(limiter._isRedisReady());
+});
+
+test('应兼容使用isReady表示连接状态的客户端', async (t) => {
+  const client = createRecordingClient(() => [0, '4', 1000, 0]);
+  delete client.status;
+  client.isReady = false;
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+  });
+
+  t.is((await limiter.consume('user1')).source, 'fail-open');
+  client.isReady = true;
+  t.is((await limiter.consume('user1')).source, 'redis');
+});
+
+test('failMode为closed时redis不可用应拒绝请求', async (t) => {
+  const client = createRecordingClient(() => [0, '4', 1000, 0]);
+  client.status = 'reconnecting';
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+    failMode: 'closed',
+  });
+
+  const decision = await limiter.consume('user1');
+  t.false(decision.allowed);
+  t.is(decision.reason, 'unavailable');
+  t.is(decision.source, 'fail-closed');
+  t.true(decision.retryAfterMs > 0);
+  t.is(await limiter.getToken('user1'), 0);
+
+  t.throws(() => new RateLimiterTokenBucketRedis({ tokenPerSecond: 1, capacity: 5, redisClient: client, failMode: 'maybe' }));
+});
+
+test('连续失败达到阈值后应熔断，冷却后放行一个探测请求，探测成功后恢复', async (t) => {
+  let healthy = false;
+  const client = createRecordingClient(() => {
+    if (!healthy) {
+      throw new Error('READONLY You can\'t write against a read only replica.');
+    }
+    return [0, '4', 1000, 0];
+  });
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+    insuranceLimiter: true,
+    circuitBreaker: { failureThreshold: 2, cooldownMs: 50 },
+  });
+  const transitions = [];
+  limiter.circuitBreaker.on('stateChange', ({ from, to }) => transitions.push(`${from}->${to}`));
+
+  t.is((await limiter.consume('user1')).source, 'insurance');
+  t.is((await limiter.consume('user1')).source, 'insurance');
+  t.is(limiter.circuitBreaker.state, 'open');
+
+  // 熔断中不再访问 redis
+  const calls = client.calls.length;
+  t.is((await limiter.consume('user1')).source, 'insurance');
+  t.is(client.calls.length, calls);
+
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  healthy = true;
+  t.is((await limiter.consume('user1')).source, 'redis');
+  t.is(limiter.circuitBreaker.state, 'closed');
+  t.deepEqual(transitions, ['closed->open', 'open->half-open', 'half-open->closed']);
+});
+
+test('探测失败时应重新熔断', async (t) => {
+  const client = createRecordingClient(() => {
+    throw new Error('LOADING Redis is loading the dataset in memory');
+  });
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+    circuitBreaker: { failureThreshold: 1, cooldownMs: 20 },
+  });
+
+  await limiter.consume('user1');
+  t.is(limiter.circuitBreaker.state, 'open');
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  t.is((await limiter.consume('user1')).source, 'fail-open');
+  t.is(limiter.circuitBreaker.state, 'open');
+  t.true(limiter.circuitBreaker.getRemainingCooldown() > 0);
+});
+
+test('redis调用超时时应按redis不可用处理', async (t) => {
+  const client = createRecordingClient(() => new Promise(() => {}));
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+    redisTimeout: 20,
+    failMode: 'closed',
+  });
+
+  // redis 永远不返回，只有超时后才能得到决策
+  const decision = await limiter.consume('user1');
+  t.is(decision.source, 'fail-closed');
+  t.is(limiter.circuitBreaker.failures, 1);
+});
+
+test('开启reconcileInsurance时，redis恢复后应分批扣除备用策略期间的消耗', async (t) => {
+  const client = createRecordingClient(() => [0, '4', 1000, 0]);
+  client.status = 'reconnecting';
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+    insuranceLimiter: true,
+    reconcileInsurance: true,
+    reconcileBatchSize: 2,
+  });
+
+  // redis 不可用期间由内存限流器放行，记录每个键的消耗
+  t.is((await limiter.consume('user1', '', 2)).source, 'insurance');
+  await limiter.consume('user1');
+  await limiter.consume('user2');
+  await limiter.consume('user3');
+  await limiter.refund('user3');
+  t.deepEqual([...limiter.pendingDebits], [['testuser1', 3], ['testuser2', 1]]);
+
+  client.status = 'ready';
+  t.is((await limiter.consume('user4')).source, 'redis');
+  t.is(await limiter.reconcile(), 2);
+  t.is(limiter.pendingDebits.size, 0);
+
+  // 参数依次为 键的数量、4个键（兼容模式）、扣除的令牌数...
+  const debits = client.executed
+    .filter(([script]) => script === limiter.debitScript)
+    .map(([, args]) => [args[1], args[5]]);
+  t.deepEqual(debits, [['{testuser1}:bucket', 3], ['{testuser2}:bucket', 1]]);
+});
+
+test('扣除失败时应保留未扣除的消耗，未开启时不记录消耗', async (t) => {
+  const client = createRecordingClient(() => {
+    throw new Error('connection lost');
+  });
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+    insuranceLimiter: true,
+    reconcileInsurance: true,
+    circuitBreaker: false,
+  });
+  await limiter.consume('user1');
+  t.is(await limiter.reconcile(), 0);
+  t.deepEqual([...limiter.pendingDebits], [['testuser1', 1]]);
+
+  const plain = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+    insuranceLimiter: true,
+  });
+  await plain.consume('user1');
+  t.is(plain.pendingDebits.size, 0);
+});
+
+test('备用策略的速率和容量应按实例数平分', (t) => {
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 10,
+    capacity: 20,
+    keyPrefix: 'test',
+    redisClient: createRecordingClient(() => [0, '4', 1000, 0]),
+    insuranceLimiter: true,
+    instanceCount: 4,
+  });
+  t.is(limiter.rateLimiterTokenBucket.tokenPerSecond, 2.5);
+  t.is(limiter.rateLimiterTokenBucket.capacity, 5);
+});
+
+redisTest('redis恢复后扣除的消耗最多扣到0', async (t) => {
+  const { redis, limiter, fullKey } = await createRedisLimiter(t, { insuranceLimiter: true, reconcileInsurance: true });
+
+  t.is(await limiter.getToken('user1'), 4);
+  // 模拟故障期间内存限流器放行的消耗
+  limiter.pendingDebits.set(fullKey, 3);
+  t.is(await limiter.reconcile(), 1);
+  t.is(Number(await redis.hget(`{${fullKey}}:bucket`, 'tokens')), 1);
+
+  limiter.pendingDebits.set(fullKey, 10);
+  await limiter.reconcile();
+  t.is(Number(await redis.hget(`{${fullKey}}:bucket`, 'tokens')), 0);
+  t.is((await limiter.consume('user1')).reason, 'exhausted');
+});
+
+test('redis出错时应触发redisError和fallback事件，未就绪时只触发fallback', async (t) => {
+  const client = createRecordingClient(() => {
+    throw new Error('connection lost');
+  });
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+    insuranceLimiter: true,
+  });
+  const events = [];
+  for (const name of ['allowed', 'denied', 'fallback', 'redisError']) {
+    limiter.on(name, (event) => events.push([name, event.key, event.cost]));
+  }
+
+  await limiter.consume('user1', '', 2);
+  client.status = 'reconnecting';
+  await limiter.consume('user1');
+
+  t.deepEqual(events, [
+    ['redisError', 'user1', 2],
+    ['fallback', 'user1', 2],
+    ['allowed', 'user1', 2],
+    ['fallback', 'user1', 1],
+    ['allowed', 'user1', 1],
+  ]);
+});
+
+test('redis放行和拒绝时应触发对应的事件', async (t) => {
+  const replies = [[0, '4', 1000, 0], [1, '-1', 1000, 0], [2, '-1', 0, 5000]];
+  const client = createRecordingClient(() => replies.shift());
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+  });
+  const events = [];
+  for (const name of ['allowed', 'denied', 'locked']) {
+    limiter.on(name, (event) => events.push([name, event.balance, event.decision.source]));
+  }
+
+  await limiter.consume('user1');
+  await limiter.consume('user1');
+  await limiter.consume('user1');
+  t.deepEqual(events, [['allowed', 4, 'redis'], ['denied', -1, 'redis'], ['locked', -1, 'redis']]);
+});
+
+test('destroy应清除备用策略的状态，但不断开传入的redis客户端', async (t) => {
+  const client = createRecordingClient(() => {
+    throw new Error('connection lost');
+  });
+  client.disconnect = () => t.fail('should not disconnect the provided client');
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+    insuranceLimiter: true,
+    reconcileInsurance: true,
+  });
+  await limiter.consume('user1');
+  await limiter.consume('user1');
+  t.is(limiter.rateLimiterTokenBucket.buckets.size, 1);
+  t.is(limiter.pendingDebits.size, 1);
+
+  limiter.destroy();
+  t.is(limiter.rateLimiterTokenBucket.buckets.size, 0);
+  t.is(limiter.pendingDebits.size, 0);
+});
+
+test('内存阻塞策略应按配置的窗口和计数方式阻塞，不再访问redis', async (t) => {
+  const client = createRecordingClient(() => [0, '40', 1000, 0]);
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 10,
+    capacity: 50,
+    keyPrefix: 'test',
+    redisClient: client,
+    inMemoryBlockOnConsumed: 5,
+    inMemoryBlockDuration: 3,
+    inMemoryBlockWindow: 10000,
+    inMemoryBlockCountBy: 'tokens',
+  });
+  await limiter.consume('user1', 'ip1', 3);
+  await limiter.consume('user1', 'ip1', 3);
+  await limiter.consume('user1', 'ip1', 3); // 触发阻塞
+  const executed = client.executed.length;
+
+  const decision = await limiter.consume('user1', 'ip1', 3);
+  t.is(decision.reason, 'blocked');
+  t.true(decision.retryAfterMs <= 3000);
+  t.is(client.executed.length, executed);
+  t.true(await limiter.peek('user1', 'ip1').then((state) => state.blocked));
+});
+
+// 记录订阅并可以模拟收到消息的 redis 连接
+function createSubscriber() {
+  const subscriber = new EventEmitter();
+  subscriber.channels = [];
+  subscriber.subscribe = async (channel) => {
+    subscriber.channels.push(channel);
+  };
+  subscriber.disconnect = () => {
+    subscriber.disconnected = true;
+  };
+  return subscriber;
+}
+
+test('开启distributedBlock时应在redis中计数，并缓存redis中的阻塞状态', async (t) => {
+  const blockReplies = [[0, 0], [2, 3000]];
+  const client = createRecordingClient((numKeys, key) => {
+    if (key.endsWith(':block')) {
+      return blockReplies.shift() || [1, 2500];
+    }
+    return [0, '40', 1000, 0];
+  });
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 10,
+    capacity: 50,
+    keyPrefix: 'test',
+    redisClient: client,
+    inMemoryBlockOnConsumed: 5,
+    inMemoryBlockDuration: 3,
+    distributedBlock: true,
+  });
+
+  t.true((await limiter.consume('user1', 'ip1')).allowed);
+  // 触发阻塞的请求本身仍会正常处理
+  t.true((await limiter.consume('user1', 'ip1')).allowed);
+  const [, args] = client.executed.find(([script]) => script === limiter.blockScript);
+  t.deepEqual(args.slice(0, 2), [1, '{testip1}:block']);
+  t.deepEqual(args.slice(-2), ['token-bucket-limiter:block:test', 'testip1']);
+
+  const executed = client.executed.length;
+  t.is((await limiter.consume('user1', 'ip1')).reason, 'blocked');
+  t.is(client.executed.length, executed);
+
+  // 被其他实例阻塞的键直接拒绝
+  t.is((await limiter.consume('user2', 'ip2')).reason, 'blocked');
+  t.true(limiter.blockedKeys.get('testip2') > Date.now());
+});
+
+test('开启distributedBlock时redis不可用应退回到进程内的计数', async (t) => {
+  const client = createRecordingClient(() => {
+    throw new Error('connection lost');
+  });
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 10,
+    capacity: 50,
+    keyPrefix: 'test',
+    redisClient: client,
+    circuitBreaker: false,
+    inMemoryBlockOnConsumed: 2,
+    inMemoryBlockDuration: 3,
+    distributedBlock: true,
+  });
+  const redisErrors = [];
+  limiter.on('redisError', (event) => redisErrors.push(event));
+
+  await limiter.consume('user1', 'ip1');
+  await limiter.consume('user1', 'ip1');
+  await limiter.consume('user1', 'ip1'); // 触发阻塞
+  t.is((await limiter.consume('user1', 'ip1')).reason, 'blocked');
+  // 每次请求只由令牌桶脚本触发一次 redisError
+  t.is(redisErrors.length, 3);
+});
+
+test('开启distributedBlock时应订阅其他实例发布的阻塞和解除阻塞', async (t) => {
+  const subscriber = createSubscriber();
+  const client = createRecordingClient(() => 1);
+  client.duplicate = () => subscriber;
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 10,
+    capacity: 50,
+    keyPrefix: 'test',
+    redisClient: client,
+    inMemoryBlockOnConsumed: 5,
+    inMemoryBlockDuration: 3,
+    distributedBlock: { channel: 'blocks' },
+  });
+  t.deepEqual(subscriber.channels, ['blocks']);
+
+  subscriber.emit('message', 'blocks', JSON.stringify({ key: 'testip1', blockMs: 3000 }));
+  subscriber.emit('message', 'other', JSON.stringify({ key: 'testip2', blockMs: 3000 }));
+  subscriber.emit('message', 'blocks', 'not json');
+  t.is((await limiter.consume('user1', 'ip1')).reason, 'blocked');
+  t.false(limiter.blockedKeys.has('testip2'));
+
+  subscriber.emit('message', 'blocks', JSON.stringify({ key: 'testip1', blockMs: 0 }));
+  t.false(limiter.blockedKeys.has('testip1'));
+
+  t.true(await limiter.unblock('ip1'));
+  const [, args] = client.executed.find(([script]) => script === limiter.unblockScript);
+  t.deepEqual(args, [1, '{testip1}:block', 'blocks', 'testip1']);
+
+  limiter.destroy();
+  t.true(subscriber.disconnected);
+});
+
+redisTest('开启distributedBlock时一个实例触发的阻塞应同步到其他实例', async (t) => {
+  const options = { inMemoryBlockOnConsumed: 2, inMemoryBlockDuration: 3, distributedBlock: true };
+  const { redis, limiter, fullKey } = await createRedisLimiter(t, options);
+  const other = new RateLimiterTokenBucketRedis({ ...options, tokenPerSecond: 1, capacity: 5, keyPrefix: limiter.keyPrefix, redisClient: redis });
+  t.teardown(() => {
+    limiter.destroy();
+    other.destroy();
+  });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  // 两个实例的请求合并计数
+  await limiter.consume('user1');
+  await other.consume('user1');
+  await limiter.consume('user1'); // 触发阻塞
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  t.true(other.blockedKeys.get(fullKey) > Date.now());
+  t.is((await other.consume('user1')).reason, 'blocked');
+
+  await other.unblock('user1');
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  t.false(limiter.blockedKeys.has(fullKey));
+  t.true((await limiter.consume('user1')).allowed);
+});
+
+test('封禁名单和白名单应在访问redis之前生效', async (t) => {
+  const client = createRecordingClient(() => [0, '4', 1000, 0]);
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+    allowList: ['health-checker'],
+  });
+  await limiter.ban('user1', 60);
+  t.is((await limiter.consume('user1')).reason, 'banned');
+  t.is((await limiter.consume('health-checker')).reason, 'allowlisted');
+  t.is((await limiter.consumeUseIp({ headers: {}, socket: { remoteAddress: '1.2.3.4' } })).reason, 'allowed');
+  // 名单在本地匹配，只有不在名单中的请求访问 redis
+  t.is(client.executed.length, 1);
+  t.deepEqual((await limiter.listBans()).map(({ key }) => key), ['user1']);
+  t.true(await limiter.unban('user1'));
+});
+
+test('白名单、黑名单和封禁名单应保存在redis中并定期刷新', async (t) => {
+  const clock = new FakeClock();
+  const client = createRecordingClient(() => [0, '4', 1000, 0]);
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+    clock,
+    allowList: ['health-checker'],
+    denyList: [{ key: 'scraper', ttl: 60 }],
+    accessListRefreshInterval: 50,
+  });
+  await limiter.refreshingAccessLists;
+  // 构造时传入的条目写入 redis
+  t.deepEqual([...client.hashes.get('{test}:allow-list')], [['health-checker', '0']]);
+  t.deepEqual([...client.hashes.get('{test}:deny-list')], [['scraper', String(clock.now() + 60000)]]);
+
+  // 其他实例写入的条目在刷新后生效
+  client.hashes.get('{test}:bans').set('user1', '0');
+  client.hashes.get('{test}:bans').set('10.0.0.0/8', String(clock.now() + 60000));
+  client.hashes.get('{test}:allow-list').set('internal:*', '0');
+  t.true((await limiter.consume('user1')).allowed);
+  await clock.advance(50);
+  await limiter.consume('user2');
+  await limiter.refreshingAccessLists;
+  t.is((await limiter.consume('user1')).reason, 'banned');
+  t.is((await limiter.consume('user2', '', 1, '10.1.1.1')).reason, 'banned');
+  t.is((await limiter.consume('internal:job')).reason, 'allowlisted');
+
+  await limiter.addListEntry('denyList', 'user3', 60);
+  t.is(client.hashes.get('{test}:deny-list').get('user3'), String(clock.now() + 60000));
+  t.is((await limiter.consume('user3')).reason, 'banned');
+
+  t.true(await limiter.unban('user1'));
+  t.true(await limiter.removeListEntry('allowList', 'health-checker'));
+  t.deepEqual((await limiter.listBans()).map(({ key }) => key), ['10.0.0.0/8']);
+  t.deepEqual((await limiter.listEntries('allowList')).map(({ key }) => key), ['internal:*']);
+  await t.throwsAsync(limiter.listEntries('unknown'), { message: 'list must be one of allowList, denyList, bans, got unknown' });
+});
+
+test('从redis刷新名单失败时应等待一个刷新间隔后再重试，并在恢复后写入构造时传入的条目', async (t) => {
+  const clock = new FakeClock();
+  let failing = true;
+  const client = createRecordingClient(() => [0, '4', 1000, 0]);
+  const { evalsha } = client;
+  client.evalsha = (sha, ...args) => (failing && args[1] === '{test}:deny-list' ? Promise.reject(new Error('connection lost')) : evalsha(sha, ...args));
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+    clock,
+    circuitBreaker: false,
+    denyList: ['scraper'],
+    accessListRefreshInterval: 50,
+  });
+  const errors = [];
+  limiter.on('redisError', ({ key, error }) => errors.push([key, error.message]));
+  await t.throwsAsync(limiter.refreshingAccessLists, { message: 'connection lost' });
+  // 只上报刷新失败的名单，其他名单照常刷新
+  t.deepEqual(errors, [['{test}:deny-list', 'connection lost']]);
+  t.deepEqual([...client.hashes.keys()].sort(), ['{test}:allow-list', '{test}:bans']);
+
+  // 刷新间隔内的请求不再重试
+  for (let i = 0; i < 5; i++) {
+    t.true((await limiter.consume('user1')).allowed);
+  }
+  t.is((await limiter.consume('scraper')).reason, 'banned');
+  t.is(errors.length, 1);
+
+  await clock.advance(50);
+  await limiter.consume('user1');
+  await new Promise(setImmediate);
+  t.is(errors.length, 2);
+
+  failing = false;
+  await clock.advance(50);
+  await limiter.consume('user1');
+  await limiter.refreshingAccessLists;
+  t.deepEqual([...client.hashes.get('{test}:deny-list').keys()], ['scraper']);
+  t.is((await limiter.consume('scraper')).reason, 'banned');
+  t.is(errors.length, 2);
+});
+
+test('刷新期间在本地修改的名单不应被刷新前读到的名单覆盖', async (t) => {
+  const clock = new FakeClock();
+  const client = createRecordingClient(() => [0, '4', 1000, 0]);
+  const { evalsha } = client;
+  let release = null;
+  // 读取封禁名单的结果在 release 之前不返回，模拟读取早于之后的写入
+  client.evalsha = async (sha, ...args) => {
+    const result = await evalsha(sha, ...args);
+    if (release && args[1] === '{test}:bans' && args.length === 2) {
+      await new Promise((resolve) => {
+        release = resolve;
+      });
+    }
+    return result;
+  };
+  const limiter = new RateLimiterTokenBucketRedis({ tokenPerSecond: 1, capacity: 5, keyPrefix: 'test', redisClient: client, clock });
+  await limiter.ban('user1');
+  await limiter.refreshingAccessLists;
+
+  release = () => {};
+  const refreshing = limiter.listBans();
+  await new Promise(setImmediate);
+  await limiter.ban('user2');
+  t.true(await limiter.unban('user1'));
+  release();
+  t.deepEqual((await refreshing).map(({ key }) => key), ['user2']);
+  t.is((await limiter.consume('user2')).reason, 'banned');
+  t.true((await limiter.consume('user1')).allowed);
+});
+
+test('写入redis失败的条目应继续在本地生效，并在下次刷新时重试写入', async (t) => {
+  const clock = new FakeClock();
+  let failing = true;
+  const client = createRecordingClient(() => [0, '4', 1000, 0]);
+  const { evalsha } = client;
+  // 只有添加条目的调用失败，读取名单照常返回
+  client.evalsha = (sha, ...args) => (failing && args.length === 5 && ACCESS_LIST_KEY.test(args[1]) ? Promise.reject(new Error('connection lost')) : evalsha(sha, ...args));
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+    clock,
+    circuitBreaker: false,
+    accessListRefreshInterval: 50,
+  });
+  await limiter.refreshingAccessLists;
+  const bannedAt = clock.now();
+  await t.throwsAsync(limiter.ban('user1', 60), { message: 'connection lost' });
+  t.is((await limiter.consume('user1')).reason, 'banned');
+
+  failing = false;
+  await clock.advance(50);
+  await limiter.consume('user2');
+  await limiter.refreshingAccessLists;
+  t.is(client.hashes.get('{test}:bans').get('user1'), String(bannedAt + 60000));
+  t.is((await limiter.consume('user1')).reason, 'banned');
+});
+
+test('waitForToken应按脚本返回的时间等待，超过maxWaitMs时拒绝', async (t) => {
+  const replies = [[0, '-1', 60, 60], [1, '0', 900, 100]];
+  const argv = [];
+  const client = createRecordingClient((numKeys, ...args) => {
+    argv.push(args.slice(numKeys));
+    return replies.shift();
+  });
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+  });
+
+  const start = Date.now();
+  const decision = await limiter.waitForToken('api', 2);
+  t.true(Date.now() - start >= 55);
+  t.true(decision.allowed);
+  t.is(decision.source, 'redis');
+  t.is(argv[0][1], 2);
+  t.is(argv[0][5], -1);
+
+  const error = await t.throwsAsync(limiter.waitForToken('api', 1, { maxWaitMs: 500 }), { instanceOf: WaitTimeoutError });
+  t.is(error.waitMs, 900);
+  t.true(argv[1][5] <= 500);
+});
+
+test('waitForToken在redis不可用时应按failMode处理', async (t) => {
+  const client = createRecordingClient(() => {
+    throw new Error('connection lost');
+  });
+  const options = { tokenPerSecond: 1, capacity: 1, keyPrefix: 'test', redisClient: client, circuitBreaker: false };
+
+  t.is((await new RateLimiterTokenBucketRedis(options).waitForToken('api')).source, 'fail-open');
+  await t.throwsAsync(new RateLimiterTokenBucketRedis({ ...options, failMode: 'closed' }).waitForToken('api'), { message: 'connection lost' });
+
+  const limiter = new RateLimiterTokenBucketRedis({ ...options, insuranceLimiter: true });
+  t.is((await limiter.waitForToken('api')).source, 'insurance');
+  await t.throwsAsync(limiter.waitForToken('api', 1, { maxWaitMs: 100 }), { instanceOf: WaitTimeoutError });
+});
+
+redisTest('waitForToken应由脚本计算等待时间，多个等待者依次放行', async (t) => {
+  const { limiter } = await createRedisLimiter(t, { tokenPerInterval: 1, refillInterval: 50, capacity: 1 });
+  const start = Date.now();
+  const elapsed = await Promise.all([0, 1, 2].map(() => limiter.waitForToken('user1').then(() => Date.now() - start)));
+  t.true(elapsed[0] < 40);
+  t.true(elapsed[1] >= 45);
+  t.true(elapsed[2] >= 95);
+  t.true((await limiter.peek('user1')).tokens <= 0);
+});
+
+test('reserve应通过脚本预留令牌，commit时按差额原子地结算', async (t) => {
+  const replies = [[0, '4', 0, 1000], '7', [1, '2', 1800, 800]];
+  const executed = [];
+  const client = createRecordingClient((numKeys, ...args) => {
+    executed.push(args.slice(numKeys));
+    return replies.shift();
+  });
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 10,
+    keyPrefix: 'test',
+    redisClient: client,
+  });
+
+  const reservation = await limiter.reserve('llm', 6);
+  t.true(reservation.allowed);
+  t.is(reservation.decision.remaining, 4);
+  t.is(executed[0][1], 6);
+  t.is(executed[0][5], 0);
+  t.is(await reservation.commit(3), 7);
+  t.is(client.executed[1][0], limiter.settleScript);
+  t.is(executed[1][0], -3);
+
+  const denied = await limiter.reserve('llm', 4);
+  t.false(denied.allowed);
+  t.is(denied.decision.retryAfterMs, 1800);
+  await t.throwsAsync(async () => denied.commit(), { message: 'reservation of key llm is denied' });
+});
+
+test('reserve在redis不可用时应在备用策略中预留和结算', async (t) => {
+  const client = createRecordingClient(() => {
+    throw new Error('connection lost');
+  });
+  const options = { tokenPerSecond: 1, capacity: 5, keyPrefix: 'test', redisClient: client, circuitBreaker: false };
+
+  t.false((await new RateLimiterTokenBucketRedis({ ...options, failMode: 'closed' }).reserve('llm')).allowed);
+
+  const limiter = new RateLimiterTokenBucketRedis({ ...options, insuranceLimiter: true, reconcileInsurance: true });
+  const reservation = await limiter.reserve('llm', 4);
+  t.is(reservation.decision.source, 'insurance');
+  t.is(limiter.pendingDebits.get('testllm'), 4);
+  t.is(await reservation.commit(1), 4);
+  t.is(limiter.pendingDebits.get('testllm'), 1);
+});
+
+redisTest('reserve应在脚本中扣除和结算令牌，超时未结算时退还', async (t) => {
+  const { limiter } = await createRedisLimiter(t, { tokenPerInterval: 1, refillInterval: 60000, capacity: 5 });
+  const reservation = await limiter.reserve('user1', 4);
+  t.is((await limiter.peek('user1')).tokens, 1);
+  t.false((await limiter.reserve('user1', 2)).allowed);
+  t.is(await reservation.commit(7), -2);
+
+  await limiter.reset('user1');
+  await limiter.reserve('user1', 3, { ttlMs: 30 });
+  t.is((await limiter.peek('user1')).tokens, 2);
+  await new Promise((resolve) => setTimeout(resolve, 80));
+  t.is((await limiter.peek('user1')).tokens, 5);
+});
+
+// 在 createRecordingClient 的基础上支持 pipeline，pipelines 记录每个 pipeline 中的 evalsha 参数（不包括名单的调用）
+function createPipelineClient(reply) {
+  const client = createRecordingClient(reply);
+  client.pipelines = [];
+  client.pipeline = () => {
+    const commands = [];
+    return {
+      evalsha(sha, ...args) {
+        commands.push([sha, ...args]);
+      },
+      exec: () => {
+        const recorded = commands.filter(([, , key]) => !ACCESS_LIST_KEY.test(key));
+        if (recorded.length > 0) {
+          client.pipelines.push(recorded);
+        }
+        return Promise.all(commands.map(([sha, ...args]) => client.evalsha(sha, ...args).then(
+          (result) => [null, result],
+          (error) => [error, null],
+        )));
+      },
+    };
+  };
+  return client;
+}
+
+test('开启autoBatch时应把同一轮事件循环内的调用合并为一个pipeline', async (t) => {
+  const client = createPipelineClient((numKeys, ...args) => [0, String(args[numKeys] - args[numKeys + 1]), 1000, 0]);
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+    migrateLegacyKeys: false,
+    autoBatch: true,
+  });
+  // 等待启动时的名单刷新完成，不与之后的调用合并
+  await limiter.refreshingAccessLists;
+  const batchSizes = [];
+  limiter.on('redisCall', ({ batchSize }) => batchSizes.push(batchSize));
+
+  const tokens = await Promise.all([1, 2, 3].map((cost) => limiter.getToken(`user${cost}`, '', cost)));
+  t.deepEqual(tokens, [4, 3, 2]);
+  t.is(client.pipelines.length, 1);
+  t.deepEqual(client.pipelines[0].map(([, , key]) => key), ['{testuser1}:bucket', '{testuser2}:bucket', '{testuser3}:bucket']);
+  // 脚本缓存丢失的调用改用 EVAL 重新执行
+  t.deepEqual(client.calls.map(([command]) => command), ['evalsha', 'evalsha', 'evalsha', 'eval', 'eval', 'eval']);
+  t.deepEqual(batchSizes, [3]);
+
+  client.calls.length = 0;
+  t.is(await limiter.getToken('user1'), 4);
+  t.is(client.pipelines.length, 2);
+  t.deepEqual(client.calls.map(([command]) => command), ['evalsha']);
+});
+
+test('getTokens应在一次往返中按顺序判断每个请求，超过maxBatchSize时分批发送', async (t) => {
+  const client = createPipelineClient((numKeys, ...args) => [0, String(args[numKeys] - args[numKeys + 1]), 1000, 0]);
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+    migrateLegacyKeys: false,
+    autoBatch: { maxBatchSize: 2 },
+  });
+  await limiter.refreshingAccessLists;
+  t.deepEqual(await limiter.getTokens([{ key: 'a' }, { key: 'b', cost: 2 }, { key: 'c', cost: 5, blockKey: 'ip1' }]), [4, 3, 0]);
+  t.deepEqual(client.pipelines.map((commands) => commands.length), [2, 1]);
+
+  // 未开启 autoBatch 时 getTokens 同样合并发送，单独的调用不合并
+  const plain = new RateLimiterTokenBucketRedis({ tokenPerSecond: 1, capacity: 5, keyPrefix: 'test', redisClient: client, migrateLegacyKeys: false });
+  await plain.refreshingAccessLists;
+  client.pipelines.length = 0;
+  await plain.getTokens([{ key: 'a' }, { key: 'b' }]);
+  await plain.getToken('a');
+  t.deepEqual(client.pipelines.map((commands) => commands.length), [2]);
+});
+
+test('合并发送失败时每个调用都应按failMode处理，并计入熔断器', async (t) => {
+  const client = createPipelineClient(() => [0, '4', 1000, 0]);
+  client.pipeline = () => ({
+    evalsha() {},
+    exec: () => Promise.reject(new Error('connection lost')),
+  });
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+    failMode: 'closed',
+    circuitBreaker: { failureThreshold: 1 },
+    autoBatch: true,
+  });
+  const errors = [];
+  limiter.on('redisError', ({ key }) => errors.push(key));
+  const decisions = await Promise.all([limiter.consume('user1'), limiter.consume('user2')]);
+  t.deepEqual(decisions.map(({ source }) => source), ['fail-closed', 'fail-closed']);
+  // 启动时读取名单的调用同样失败，按名单分别上报
+  t.deepEqual(errors, ['user1', 'user2', '{test}:allow-list', '{test}:deny-list', '{test}:bans']);
+  t.is(limiter.circuitBreaker.state, 'open');
+});
+
+// 使用内存存储和 FakeClock 的租用令牌限流器，operations 记录除 peek 和读取名单外每次存储操作的 [操作名, 参数]
+function createLeasingLimiter(t, opts) {
+  const clock = new FakeClock();
+  const adapter = new MemoryAdapter({ clock });
+  const operations = [];
+  const execute = adapter.execute.bind(adapter);
+  adapter.execute = (operation, script, keys, args) => {
+    if (operation !== 'peek' && operation !== 'listBans') {
+      operations.push([operation, args]);
+    }
+    return execute(operation, script, keys, args);
+  };
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerInterval: 1,
+    refillInterval: 60000,
+    keyPrefix: 'test',
+    adapter,
+    clock,
+    ...opts,
+  });
+  t.teardown(() => limiter.destroy());
+  return { limiter, clock, operations };
+}
+
+test('开启leasing时应一次租用一批令牌由本地放行，过期时退还剩余的令牌', async (t) => {
+  const { limiter, clock, operations } = createLeasingLimiter(t, { capacity: 100, leasing: { leaseMs: 1000, maxLeaseSize: 10 } });
+  const first = await limiter.consume('user1');
+  t.true(first.allowed);
+  t.is(first.source, 'lease');
+  // 第一份租约按最小数量租用，之后按消耗速率租用，最多 maxLeaseSize 个
+  for (let i = 0; i < 10; i++) {
+    t.is((await limiter.consume('user1')).source, 'lease');
+  }
+  t.deepEqual(operations.map(([operation]) => operation), ['lease', 'lease']);
+  t.is((await limiter.peek('user1')).tokens, 89);
+
+  await limiter.consume('user1', '', 3);
+  // 剩余令牌数为租约中的4个加桶中的79个
+  t.is((await limiter.consume('user1', '', 3)).remaining, 83);
+  await clock.advance(1000);
+  t.deepEqual(operations[3], ['refund', [4, 100, limiter.bucketTtl, clock.now(), 0]]);
+  t.is((await limiter.peek('user1')).tokens, 83);
+  // 一个有效期内都没有消耗时移除本地租约
+  await clock.advance(1000);
+  t.is(limiter.leases.size, 0);
+  t.is(clock.pendingTimers, 0);
+});
+
+test('leasing的租用数量应按本地消耗速率调整，只租用指定的键', async (t) => {
+  const { limiter, clock, operations } = createLeasingLimiter(t, {
+    capacity: 100,
+    leasing: { keys: ['hot'], leaseMs: 1000, minLeaseSize: 2, maxLeaseSize: 50 },
+  });
+  await limiter.consume('hot');
+  await clock.advance(100);
+  await limiter.consume('hot');
+  await clock.advance(100);
+  await limiter.consume('hot');
+  // 200毫秒消耗2个令牌，一个有效期内预计消耗10个
+  t.deepEqual(operations.map(([, [, want, min]]) => [want, min]), [[2, 1], [10, 1]]);
+
+  operations.length = 0;
+  t.is((await limiter.consume('cold')).source, 'redis');
+  t.is((await limiter.consume('hot', '', 60)).source, 'redis');
+  t.deepEqual(operations.map(([operation]) => operation), ['consume', 'consume']);
+});
+
+test('leasing续租被拒绝时应与consume一样进入限流惩罚，并发请求共用一次续租', async (t) => {
+  const { limiter, operations } = createLeasingLimiter(t, { capacity: 3, lockDuration: 1, leasing: true });
+  const decisions = await Promise.all([limiter.consume('user1'), limiter.consume('user1'), limiter.consume('user1')]);
+  t.deepEqual(decisions.map(({ allowed }) => allowed), [true, true, true]);
+  t.is(operations.length, 3);
+  const denied = await limiter.consume('user1');
+  t.is(denied.reason, 'exhausted');
+  t.is(denied.source, 'redis');
+  t.true((await limiter.peek('user1')).locked);
+  t.is((await limiter.consume('user1')).reason, 'locked');
+
+  const { limiter: shared, operations: renewals } = createLeasingLimiter(t, { capacity: 10, leasing: { maxLeaseSize: 5 } });
+  await shared.consume('user1');
+  renewals.length = 0;
+  const concurrent = await Promise.all(Array.from({ length: 4 }, () => shared.consume('user1')));
+  t.true(concurrent.every(({ allowed }) => allowed));
+  t.is(renewals.length, 1);
+});
+
+test('releaseLeases应退还所有租约，reset应丢弃本地租约', async (t) => {
+  const { limiter, clock, operations } = createLeasingLimiter(t, { capacity: 20, leasing: { maxLeaseSize: 5 } });
+  await limiter.consume('user1');
+  await limiter.consume('user1');
+  await limiter.consume('user2');
+  await limiter.consume('user2');
+  t.is((await limiter.peek('user1')).tokens, 14);
+
+  await limiter.releaseLeases();
+  t.is(limiter.leases.size, 0);
+  t.is(clock.pendingTimers, 0);
+  t.is((await limiter.peek('user1')).tokens, 18);
+  t.is((await limiter.peek('user2')).tokens, 18);
+
+  await limiter.consume('user1');
+  await limiter.consume('user1');
+  t.true(await limiter.reset('user1'));
+  t.is(limiter.leases.size, 0);
+  operations.length = 0;
+  await clock.advance(1000);
+  t.deepEqual(operations, []);
+  t.is((await limiter.peek('user1')).tokens, 20);
+});
+
+test('令牌桶之外的算法在redis中的结果应与内存限流器一致，不支持leasing和reconcileInsurance', async (t) => {
+  const clock = new FakeClock(1000000);
+  const limiter = new RateLimiterTokenBucketRedis({
+    algorithm: 'leaky-bucket',
+    tokenPerSecond: 10,
+    capacity: 3,
+    keyPrefix: 'test',
+    adapter: new MemoryAdapter({ clock }),
+    clock,
+  });
+  t.teardown(() => limiter.destroy());
+  const decisions = [];
+  for (let i = 0; i < 4; i++) {
+    decisions.push(await limiter.consume('user1'));
+  }
+  t.deepEqual(decisions.map(({ delayMs }) => delayMs), [0, 100, 200, 0]);
+  t.deepEqual(decisions.map(({ reason }) => reason), ['allowed', 'allowed', 'allowed', 'exhausted']);
+  t.is(decisions[3].retryAfterMs, 100);
+  await clock.advance(100);
+  t.is((await limiter.peek('user1')).tokens, 1);
+  await t.throwsAsync(limiter.reserve('user1'), { message: 'reserve is only supported by the token-bucket algorithm, got leaky-bucket' });
+
+  for (const opts of [{ leasing: true }, { reconcileInsurance: true }]) {
+    t.throws(() => new RateLimiterTokenBucketRedis({ algorithm: 'gcra', tokenPerSecond: 1, capacity: 1, adapter: new MemoryAdapter({ clock }), clock, ...opts }), {
+      message: `${Object.keys(opts)[0]} is only supported by the token-bucket algorithm, got gcra`,
+    });
+  }
+});
+
+test('redis中的令牌桶空闲后最多放行capacity个请求，超出容量的投放不能抵扣消耗', async (t) => {
+  for (const opts of [{}, { continuousRefill: true }]) {
+    const clock = new FakeClock(1000000);
+    const limiter = new RateLimiterTokenBucketRedis({
+      tokenPerSecond: 1,
+      capacity: 5,
+      keyPrefix: 'test',
+      adapter: new MemoryAdapter({ clock }),
+      clock,
+      ...opts,
+    });
+    t.teardown(() => limiter.destroy());
+    while ((await limiter.consume('user1')).allowed);
+    await clock.advance(10000);
+    const allowed = [];
+    for (let i = 0; i < 7; i++) {
+      allowed.push((await limiter.consume('user1')).allowed);
+    }
+    t.deepEqual(allowed, [true, true, true, true, true, false, false]);
+    t.is((await limiter.peek('user1')).tokens, 0);
+  }
+});
+
+test('相同的时间戳序列下内存限流器与redis的令牌数和决策应完全一致', async (t) => {
+  // [距上一步的毫秒数, 消耗的令牌数]，包括首次请求、恰好用完、令牌不足、超过容量和回满后的请求
+  const steps = [[0, 1], [0, 3], [0, 1], [0, 1], [200, 1], [300, 2], [500, 0], [1200, 6], [0, 5], [100, 1], [3000, 2]];
+  const pick = ({ allowed, remaining, retryAfterMs, reason }) => ({ allowed, remaining, retryAfterMs, reason });
+  for (const opts of [{ tokenPerSecond: 2 }, { tokenPerSecond: 2, continuousRefill: true }, { tokenPerSecond: 2, lockDuration: 1 }]) {
+    const memoryClock = new FakeClock(1000000);
+    const redisClock = new FakeClock(1000000);
+    const memory = new RateLimiterTokenBucket({ capacity: 5, keyPrefix: 'test', clock: memoryClock, ...opts });
+    const redis = new RateLimiterTokenBucketRedis({ capacity: 5, keyPrefix: 'test', adapter: new MemoryAdapter({ clock: redisClock }), clock: redisClock, ...opts });
+    t.teardown(() => redis.destroy());
+    for (const [elapsed, cost] of steps) {
+      await memoryClock.advance(elapsed);
+      await redisClock.advance(elapsed);
+      t.deepEqual(pick(await redis.consume('user1', '', cost)), pick(memory.consume('user1', '', cost)), `${JSON.stringify(opts)} ${redisClock.now()} ${cost}`);
+      t.is(memory.peek('user1').tokens, (await redis.peek('user1')).tokens);
+    }
+  }
+});
@@ -0,0 +1,188 @@
+import test from 'ava';
+import http from 'http';
+import {
+  RateLimiterTokenBucket,
+  expressRateLimiter,
+  koaRateLimiter,
+  fastifyRateLimiter,
+} from '../../dist/bundle.js';
+
+// 启动一个原生 http 服务，handle(req, res) 负责处理请求，返回服务地址
+async function listen(t, handle) {
+  const server = http.createServer(handle);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.teardown(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+async function request(url, headers = {}) {
+  return await new Promise((resolve, reject) => {
+    http.get(url, { headers }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+// 用原生 http 模拟 express 的调用方式
+function expressServer(middleware) {
+  return (req, res) => {
+    middleware(req, res, (error) => {
+      res.statusCode = error ? 500 : 200;
+      res.end('ok');
+    });
+  };
+}
+
+function createLimiter() {
+  return new RateLimiterTokenBucket({
+    tokenPerSecond: 1,
+    capacity: 2,
+    keyPrefix: 'middleware',
+  });
+}
+
+test('express中间件应输出标准限流头并在令牌不足时返回429', async (t) => {
+  const url = await listen(t, expressServer(expressRateLimiter(createLimiter())));
+
+  const first = await request(url);
+  t.is(first.status, 200);
+  t.is(first.headers['ratelimit-limit'], '2');
+  t.is(first.headers['ratelimit-remaining'], '1');
+  t.is(first.headers['x-ratelimit-limit'], undefined);
+
+  await request(url);
+  const denied = await request(url);
+  t.is(denied.status, 429);
+  t.is(denied.headers['ratelimit-remaining'], '0');
+  t.true(Number(denied.headers['retry-after']) >= 1);
+  t.deepEqual(JSON.parse(denied.body), { message: 'Too Many Requests' });
+});
+
+test('express中间件支持旧版头、自定义键、消耗数和被限流处理', async (t) => {
+  const middleware = expressRateLimiter(createLimiter(), {
+    standardHeaders: false,
+    legacyHeaders: true,
+    keyGenerator: (req) => req.headers['x-api-key'],
+    cost: () => 2,
+    handler: (req, res, next, decision) => {
+      res.statusCode = 503;
+      res.end(decision.reason);
+    },
+  });
+  const url = await listen(t, expressServer(middleware));
+
+  const first = await request(url, { 'x-api-key': 'a' });
+  t.is(first.status, 200);
+  t.is(first.headers['x-ratelimit-limit'], '2');
+  t.is(first.headers['ratelimit-limit'], undefined);
+
+  const denied = await request(url, { 'x-api-key': 'a' });
+  t.is(denied.status, 503);
+  t.is(denied.body, 'exhausted');
+
+  // 不同的键独立计数
+  const other = await request(url, { 'x-api-key': 'b' });
+  t.is(other.status, 200);
+});
+
+test('express中间件的skip和allowList应跳过限流', async (t) => {
+  const middleware = expressRateLimiter(createLimiter(), {
+    keyGenerator: (req) => req.headers['x-api-key'],
+    skip: (req) => req.url === '/health',
+    allowList: ['internal'],
+  });
+  const url = await listen(t, expressServer(middleware));
+
+  for (let i = 0; i < 4; i++) {
+    const health = await request(`${url}/health`, { 'x-api-key': 'a' });
+    t.is(health.status, 200);
+    t.is(health.headers['ratelimit-limit'], undefined);
+    const internal = await request(url, { 'x-api-key': 'internal' });
+    t.is(internal.status, 200);
+  }
+});
+
+test('koa中间件应设置限流头和状态码', async (t) => {
+  const middleware = koaRateLimiter(createLimiter());
+  const url = await listen(t, async (req, res) => {
+    // 模拟 koa 的 ctx
+    const ctx = {
+      req,
+      res,
+      status: 404,
+      body: undefined,
+      set(headers) {
+        for (const name of Object.keys(headers)) {
+          res.setHeader(name, headers[name]);
+        }
+      },
+    };
+    await middleware(ctx, async () => {
+      ctx.status = 200;
+      ctx.body = 'ok';
+    });
+    res.statusCode = ctx.status;
+    res.end(typeof ctx.body === 'string' ? ctx.body : JSON.stringify(ctx.body));
+  });
+
+  t.is((await request(url)).status, 200);
+  t.is((await request(url)).status, 200);
+  const denied = await request(url);
+  t.is(denied.status, 429);
+  t.is(denied.headers['ratelimit-limit'], '2');
+  t.truthy(denied.headers['retry-after']);
+});
+
+test('fastify钩子应设置限流头并发送429', async (t) => {
+  const hook = fastifyRateLimiter(createLimiter());
+  const url = await listen(t, async (req, res) => {
+    // 模拟 fastify 的 reply
+    const reply = {
+      sent: false,
+      headers(headers) {
+        for (const name of Object.keys(headers)) {
+          res.setHeader(name, headers[name]);
+        }
+        return reply;
+      },
+      code(statusCode) {
+        res.statusCode = statusCode;
+        return reply;
+      },
+      send(payload) {
+        reply.sent = true;
+        res.end(JSON.stringify(payload));
+        return reply;
+      },
+    };
+    await hook(req, reply);
+    if (!reply.sent) {
+      res.end('ok');
+    }
+  });
+
+  t.is((await request(url)).status, 200);
+  t.is((await request(url)).status, 200);
+  const denied = await request(url);
+  t.is(denied.status, 429);
+  t.is(denied.headers['ratelimit-remaining'], '0');
+});
+
+test('中间件应按客户端ip匹配限流器名单中的网段，永久封禁时不输出Reset头', async (t) => {
+  const limiter = createLimiter();
+  limiter.ban('127.0.0.0/8');
+  const middleware = expressRateLimiter(limiter, { keyGenerator: (req) => req.headers['x-api-key'] });
+  const url = await listen(t, expressServer(middleware));
+
+  const denied = await request(url, { 'x-api-key': 'a' });
+  t.is(denied.status, 429);
+  t.is(denied.headers['ratelimit-reset'], undefined);
+  t.is(denied.headers['retry-after'], undefined);
+
+  limiter.unban('127.0.0.0/8');
+  t.is((await request(url, { 'x-api-key': 'a' })).status, 200);
+});
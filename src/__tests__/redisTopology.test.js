@@ -0,0 +1,150 @@
+import test from 'ava';
+import { spawn, execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RateLimiterTokenBucketRedis, RateLimiterCompositeTokenBucketRedis } from '../../dist/bundle.js';
+
+// 需要本机安装 redis-server 和 redis-cli，设置 REDIS_TOPOLOGY_TEST=1 后执行：
+// REDIS_TOPOLOGY_TEST=1 npx ava src/__tests__/redisTopology.test.js
+const topologyTest = process.env.REDIS_TOPOLOGY_TEST ? test.serial : test.skip;
+
+const CLUSTER_PORTS = [7100, 7101, 7102];
+const MASTER_PORT = 7200;
+const SENTINEL_PORT = 26400;
+
+const processes = [];
+let dir;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function redisCli(...args) {
+  return new Promise((resolve, reject) => {
+    execFile('redis-cli', args, { timeout: 10000 }, (error, stdout) => (error ? reject(error) : resolve(stdout)));
+  });
+}
+
+function startServer(...args) {
+  const child = spawn('redis-server', args, { cwd: dir, stdio: 'ignore' });
+  processes.push(child);
+  return child;
+}
+
+// 轮询直到 check 返回 true，最多等待 timeout 毫秒
+async function waitUntil(check, timeout = 10000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    try {
+      if (await check()) {
+        return;
+      }
+    } catch (error) {
+      // 服务还未启动，继续等待
+    }
+    await sleep(100);
+  }
+  throw new Error('timed out waiting for redis');
+}
+
+async function waitForReady(limiter) {
+  await waitUntil(() => limiter.redis && limiter.redis.status === 'ready');
+}
+
+test.before(async () => {
+  if (!process.env.REDIS_TOPOLOGY_TEST) {
+    return;
+  }
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-bucket-limiter-'));
+
+  // 三个主节点组成的集群
+  for (const port of CLUSTER_PORTS) {
+    startServer('--port', String(port), '--cluster-enabled', 'yes', '--cluster-config-file', `nodes-${port}.conf`, '--save', '', '--appendonly', 'no');
+  }
+  for (const port of CLUSTER_PORTS) {
+    await waitUntil(async () => (await redisCli('-p', String(port), 'ping')).includes('PONG'));
+  }
+  await redisCli('--cluster', 'create', ...CLUSTER_PORTS.map((port) => `127.0.0.1:${port}`), '--cluster-replicas', '0', '--cluster-yes');
+  await waitUntil(async () => (await redisCli('-p', String(CLUSTER_PORTS[0]), 'cluster', 'info')).includes('cluster_state:ok'));
+
+  // 一个主节点和一个 Sentinel
+  startServer('--port', String(MASTER_PORT), '--save', '', '--appendonly', 'no');
+  const sentinelConfig = path.join(dir, 'sentinel.conf');
+  fs.writeFileSync(sentinelConfig, `port ${SENTINEL_PORT}\nsentinel monitor mymaster 127.0.0.1 ${MASTER_PORT} 1\n`);
+  startServer(sentinelConfig, '--sentinel');
+  await waitUntil(async () => (await redisCli('-p', String(SENTINEL_PORT), 'sentinel', 'get-master-addr-by-name', 'mymaster')).includes(String(MASTER_PORT)));
+});
+
+test.after.always(() => {
+  for (const child of processes) {
+    child.kill();
+  }
+  if (dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+topologyTest('内置客户端应支持Redis Cluster', async (t) => {
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 3,
+    keyPrefix: `cluster-${Date.now()}-`,
+    clusterNodes: [{ host: '127.0.0.1', port: CLUSTER_PORTS[0] }],
+  });
+  await waitForReady(limiter);
+  t.teardown(() => limiter.redis.disconnect());
+
+  // 不同的键分布在不同的槽位，每次调用都只访问声明的键，不会出现 CROSSSLOT 错误
+  for (const key of ['user1', 'user2', 'user3']) {
+    for (let i = 0; i < 3; i++) {
+      t.true((await limiter.consume(key)).allowed);
+    }
+    const denied = await limiter.consume(key);
+    t.is(denied.source, 'redis');
+    t.is(denied.reason, 'exhausted');
+  }
+  t.true(await limiter.reset('user1'));
+});
+
+topologyTest('组合限流器的内置客户端应支持Redis Cluster', async (t) => {
+  const limiter = new RateLimiterCompositeTokenBucketRedis({
+    limits: [
+      { name: 'second', tokenPerSecond: 2, capacity: 2 },
+      { name: 'minute', tokenPerInterval: 3, refillInterval: 60000, capacity: 3 },
+    ],
+    keyPrefix: `cluster-composite-${Date.now()}-`,
+    clusterNodes: [{ host: '127.0.0.1', port: CLUSTER_PORTS[0] }],
+  });
+  await waitForReady(limiter);
+  t.teardown(() => limiter.redis.disconnect());
+
+  t.true((await limiter.consume('user1')).allowed);
+  t.true((await limiter.consume('user1')).allowed);
+  const denied = await limiter.consume('user1');
+  t.is(denied.source, 'redis');
+  t.is(denied.limitName, 'second');
+});
+
+topologyTest('内置客户端应支持通过Sentinel连接主节点', async (t) => {
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 2,
+    keyPrefix: `sentinel-${Date.now()}-`,
+    sentinels: [{ host: '127.0.0.1', port: SENTINEL_PORT }],
+  });
+  await waitForReady(limiter);
+  t.teardown(() => limiter.redis.disconnect());
+
+  t.true((await limiter.consume('user1')).allowed);
+  t.true((await limiter.consume('user1')).allowed);
+  const denied = await limiter.consume('user1');
+  t.is(denied.source, 'redis');
+  t.false(denied.allowed);
+
+  // 主节点不可用时回退为放行，而不是等待命令超时
+  limiter.redis.disconnect();
+  await waitUntil(() => limiter.redis.status !== 'ready');
+  t.false(limiter._isRedisReady());
+  t.is((await limiter.consume('user1')).source, 'fail-open');
+});
@@ -0,0 +1,102 @@
+import test from 'ava';
+import { IoredisAdapter, MemoryAdapter, NodeRedisAdapter, RateLimiterTokenBucketRedis } from '../../dist/bundle.js';
+import { runStorageAdapterConformance } from '../testing/storageAdapterConformance.js';
+
+const redisTest = process.env.REDIS_URL ? test.serial : test.skip;
+// node-redis 不是本项目的依赖，未安装时跳过
+const nodeRedis = await import('redis').catch(() => null);
+const nodeRedisTest = process.env.REDIS_URL && nodeRedis ? test.serial : test.skip;
+
+runStorageAdapterConformance(test, 'MemoryAdapter', () => new MemoryAdapter());
+
+runStorageAdapterConformance(redisTest, 'IoredisAdapter', async (t) => {
+  const { default: Redis } = await import('ioredis');
+  const redis = new Redis(process.env.REDIS_URL);
+  t.teardown(() => redis.quit());
+  await redis.ping();
+  return new IoredisAdapter(redis);
+});
+
+runStorageAdapterConformance(nodeRedisTest, 'NodeRedisAdapter', async (t) => {
+  const client = nodeRedis.createClient({ url: process.env.REDIS_URL });
+  await client.connect();
+  t.teardown(() => client.quit());
+  return new NodeRedisAdapter(client);
+});
+
+// 模拟 node-redis v4 的客户端，记录 evalSha 和 eval 的参数
+function createNodeRedisClient(reply) {
+  const loaded = new Set();
+  const client = {
+    isReady: true,
+    calls: [],
+    async evalSha(sha, options) {
+      client.calls.push(['evalSha', options]);
+      if (!loaded.has(sha)) {
+        throw new Error('NOSCRIPT No matching script. Please use EVAL.');
+      }
+      return reply(options);
+    },
+    async eval(script, options) {
+      client.calls.push(['eval', options]);
+      const { createHash } = await import('crypto');
+      loaded.add(createHash('sha1').update(script).digest('hex'));
+      return reply(options);
+    },
+  };
+  return client;
+}
+
+test('传入node-redis客户端时应使用evalSha并以字符串传递参数', async (t) => {
+  const client = createNodeRedisClient(({ keys }) => (/:(allow-list|deny-list|bans)$/.test(keys[0]) ? [] : [0, '4', 1000, 0]));
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerSecond: 1,
+    capacity: 5,
+    keyPrefix: 'test',
+    redisClient: client,
+    migrateLegacyKeys: false,
+  });
+  t.true(limiter.adapter instanceof NodeRedisAdapter);
+  // 不记录启动时读取名单的调用
+  await limiter.refreshingAccessLists;
+  client.calls.length = 0;
+
+  t.is((await limiter.consume('user1')).source, 'redis');
+  t.is((await limiter.consume('user1')).source, 'redis');
+  t.deepEqual(client.calls.map(([command]) => command), ['evalSha', 'eval', 'evalSha']);
+  const [, { keys, arguments: args }] = client.calls[2];
+  t.deepEqual(keys, ['{testuser1}:bucket']);
+  t.true(args.every((arg) => typeof arg === 'string'));
+  t.is(args[1], '1');
+
+  client.isReady = false;
+  t.is((await limiter.consume('user1')).source, 'fail-open');
+  t.is(client.calls.length, 3);
+});
+
+test('应可以传入自定义的存储适配器', async (t) => {
+  const operations = [];
+  const adapter = {
+    isReady: () => true,
+    async execute(operation, script, keys, args) {
+      operations.push(operation);
+      if (operation === 'listBans') {
+        return [];
+      }
+      return operation === 'peek' ? ['2', 0] : [0, '2', 1000, 0];
+    },
+  };
+  const limiter = new RateLimiterTokenBucketRedis({ tokenPerSecond: 1, capacity: 5, keyPrefix: 'test', adapter });
+  t.is(limiter.adapter, adapter);
+  // 启动时读取白名单、黑名单和封禁名单
+  await limiter.refreshingAccessLists;
+  t.deepEqual(operations, ['listBans', 'listBans', 'listBans']);
+  operations.length = 0;
+  t.is((await limiter.consume('user1')).remaining, 2);
+  t.is((await limiter.peek('user1')).tokens, 2);
+  t.deepEqual(operations, ['consume', 'peek']);
+});
+
+test('MemoryAdapter执行不支持的操作时应reject', async (t) => {
+  await t.throwsAsync(new MemoryAdapter().execute('unknown', '', [], []), { message: 'MemoryAdapter does not support operation unknown' });
+});
@@ -0,0 +1,83 @@
+import test from 'ava';
+import { getClientIp, createClientIpResolver, RateLimiterTokenBucket } from '../../dist/bundle.js';
+
+function createReq(headers, remoteAddress) {
+  return { headers, socket: { remoteAddress } };
+}
+
+test('getClientIp保持原有行为，优先使用X-Real-IP', (t) => {
+  t.is(getClientIp(createReq({ 'x-real-ip': '1.1.1.1', 'x-forwarded-for': '2.2.2.2' }, '10.0.0.1')), '1.1.1.1');
+  t.is(getClientIp(createReq({ 'x-forwarded-for': '2.2.2.2, 3.3.3.3' }, '10.0.0.1')), '2.2.2.2');
+});
+
+test('未配置可信代理时只使用连接的远程地址', (t) => {
+  const resolve = createClientIpResolver();
+  t.is(resolve(createReq({ 'x-real-ip': '1.1.1.1', 'x-forwarded-for': '2.2.2.2' }, '203.0.113.9')), '203.0.113.9');
+});
+
+test('应从右向左跳过可信代理，忽略伪造的最左侧地址', (t) => {
+  const resolve = createClientIpResolver({ trustedProxies: ['10.0.0.0/8', '192.168.1.1'] });
+  const req = createReq({ 'x-forwarded-for': '6.6.6.6, 203.0.113.9, 192.168.1.1' }, '10.1.2.3');
+  t.is(resolve(req), '203.0.113.9');
+
+  // 远程地址不可信时，转发头一律不可信
+  t.is(resolve(createReq({ 'x-forwarded-for': '6.6.6.6' }, '203.0.113.10')), '203.0.113.10');
+});
+
+test('应支持按代理层数解析', (t) => {
+  const resolve = createClientIpResolver({ hops: 1 });
+  t.is(resolve(createReq({ 'x-forwarded-for': '6.6.6.6, 203.0.113.9' }, '10.0.0.1')), '203.0.113.9');
+  t.is(resolve(createReq({}, '10.0.0.1')), '10.0.0.1');
+});
+
+test('应解析RFC 7239 Forwarded头', (t) => {
+  const resolve = createClientIpResolver({ trustedProxies: ['10.0.0.0/8'], header: 'forwarded' });
+  const req = createReq({ forwarded: 'for=6.6.6.6, for="[2001:DB8:cafe::17]:4711";proto=https, for=10.0.0.2' }, '10.0.0.1');
+  t.is(resolve(req), '2001:db8:cafe::17');
+});
+
+test('应只读取header指定的转发头，忽略代理不负责改写的其他转发头', (t) => {
+  // 代理只改写 X-Forwarded-For，客户端自带的 Forwarded 和 X-Real-IP 被原样转发
+  const resolve = createClientIpResolver({ trustedProxies: ['10.0.0.0/8'] });
+  t.is(resolve(createReq({ forwarded: 'for=1.2.3.4', 'x-forwarded-for': '203.0.113.9' }, '10.0.0.1')), '203.0.113.9');
+  t.is(resolve(createReq({ 'x-real-ip': '1.2.3.4' }, '10.0.0.1')), '10.0.0.1');
+
+  const realIp = createClientIpResolver({ hops: 1, header: 'x-real-ip' });
+  t.is(realIp(createReq({ 'x-real-ip': '203.0.113.9', 'x-forwarded-for': '6.6.6.6' }, '10.0.0.1')), '203.0.113.9');
+  t.is(realIp(createReq({ 'x-forwarded-for': '6.6.6.6' }, '10.0.0.1')), '10.0.0.1');
+
+  const forwarded = createClientIpResolver({ trustedProxies: ['10.0.0.0/8'], header: 'Forwarded' });
+  t.is(forwarded(createReq({ forwarded: 'for=203.0.113.9', 'x-forwarded-for': '6.6.6.6', 'x-real-ip': '6.6.6.7' }, '10.0.0.1')), '203.0.113.9');
+
+  t.throws(() => createClientIpResolver({ header: 'x-client-ip' }), {
+    message: 'header must be one of x-forwarded-for, forwarded, x-real-ip, got x-client-ip',
+  });
+});
+
+test('应规范化IPv4映射的IPv6地址，并可按/64聚合IPv6客户端', (t) => {
+  t.is(createClientIpResolver()(createReq({}, '::ffff:203.0.113.9')), '203.0.113.9');
+
+  const resolve = createClientIpResolver({ ipv6Subnet: 64 });
+  t.is(resolve(createReq({}, '2001:db8:1:2:aaaa::1')), '2001:db8:1:2::/64');
+  t.is(resolve(createReq({}, '2001:db8:1:2:bbbb::2')), '2001:db8:1:2::/64');
+  t.is(resolve(createReq({}, '203.0.113.9')), '203.0.113.9');
+});
+
+test('可信代理网段支持IPv6和IPv4映射写法', (t) => {
+  const resolve = createClientIpResolver({ trustedProxies: ['fd00::/8', '::ffff:172.16.0.0/108'] });
+  t.is(resolve(createReq({ 'x-forwarded-for': '203.0.113.9' }, 'fd12::1')), '203.0.113.9');
+  t.is(resolve(createReq({ 'x-forwarded-for': '203.0.113.9' }, '172.16.5.5')), '203.0.113.9');
+});
+
+test('限流器的getTokenUseIp应使用配置的ipResolver', (t) => {
+  const limiter = new RateLimiterTokenBucket({
+    tokenPerSecond: 1,
+    capacity: 2,
+    keyPrefix: 'ip',
+    ipResolver: { trustedProxies: ['10.0.0.0/8'] },
+  });
+  // 伪造不同的最左侧地址不能获得新的令牌桶
+  t.is(limiter.getTokenUseIp(createReq({ 'x-forwarded-for': '1.1.1.1, 203.0.113.9' }, '10.0.0.1')), 1);
+  t.is(limiter.consumeUseIp(createReq({ 'x-forwarded-for': '2.2.2.2, 203.0.113.9' }, '10.0.0.1')).remaining, 0);
+  t.false(limiter.consumeUseIp(createReq({ 'x-forwarded-for': '3.3.3.3, 203.0.113.9' }, '10.0.0.1')).allowed);
+});
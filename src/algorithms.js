@@ -0,0 +1,235 @@
+/**
+ *  @description 令牌桶之外的限流算法：GCRA、滑动窗口日志、滑动窗口计数和漏桶队列。
+ *  基于内存的限流器和 MemoryAdapter 共用这里的实现，RateLimiterTokenBucketRedis 中对应的 Lua 脚本与之一一对应。
+ *  各算法与令牌桶保持相同的长期速率（每 refillInterval 毫秒 tokenPerInterval 个），capacity 为允许的突发量
+ */
+
+// 可选的限流算法
+export const ALGORITHMS = ['token-bucket', 'gcra', 'sliding-window-log', 'sliding-window-counter', 'leaky-bucket'];
+
+// 各算法对应的存储操作名，令牌桶使用 consume
+export const ALGORITHM_OPERATIONS = {
+  gcra: 'gcra',
+  'sliding-window-log': 'slidingWindowLog',
+  'sliding-window-counter': 'slidingWindowCounter',
+  'leaky-bucket': 'leakyBucket',
+};
+
+// 各算法在 redis 中的键后缀，KEYS[1] 为保存状态和限流惩罚的 hash，滑动窗口日志额外使用一个有序集合记录每次请求
+export const ALGORITHM_KEYS = {
+  gcra: [':gcra'],
+  'sliding-window-log': [':window-log', ':window-log:entries'],
+  'sliding-window-counter': [':window-counter'],
+  'leaky-bucket': [':leaky'],
+};
+
+// 浮点运算的容差，避免恰好用完时因舍入误差被拒绝
+const EPSILON = 1e-9;
+
+/**
+ * 解析限流算法
+ * @param {object} opts - 限流器选项
+ * @returns {string} - 限流算法，默认 token-bucket
+ */
+export function resolveAlgorithm(opts) {
+  const algorithm = opts.algorithm || 'token-bucket';
+  if (!ALGORITHMS.includes(algorithm)) {
+    throw new Error(`algorithm must be one of ${ALGORITHMS.join(', ')}, got ${algorithm}`);
+  }
+  return algorithm;
+}
+
+/**
+ * 计算算法的参数
+ * @param {object} opts - 选项对象
+ * @param {number} opts.capacity - 容量：GCRA 的突发量、滑动窗口内允许的数量、漏桶队列的长度
+ * @param {number} opts.tokenPerInterval - 每个投放间隔的令牌数
+ * @param {number} opts.refillInterval - 投放间隔（毫秒）
+ * @returns {{ capacity: number, emissionInterval: number, windowMs: number }} - 每个令牌的间隔（毫秒）和滑动窗口的长度（毫秒，取整）
+ */
+export function getAlgorithmParams({ capacity, tokenPerInterval, refillInterval }) {
+  const emissionInterval = refillInterval / tokenPerInterval;
+  return { capacity, emissionInterval, windowMs: Math.max(Math.round(capacity * emissionInterval), 1) };
+}
+
+/**
+ * 执行一次限流算法，放行时更新 state，拒绝时只清理过期的状态
+ * @param {string} algorithm - 限流算法
+ * @param {object} state - 键的状态，首次请求时为空对象
+ * @param {number} cost - 请求消耗的数量，为0时只读取状态
+ * @param {number} now - 当前时间戳（毫秒）
+ * @param {object} params - getAlgorithmParams 返回的参数
+ * @returns {[boolean, number, number, number, number]} - [是否放行, 剩余数量, 建议的重试等待毫秒数（永远无法放行时为 Infinity）,
+ *   状态恢复到初始值的毫秒数, 漏桶中排队等待的毫秒数]
+ */
+export function runAlgorithm(algorithm, state, cost, now, params) {
+  const [allowed, remaining, retryAfterMs, resetAfterMs, delayMs] = ALGORITHM_IMPLEMENTATIONS[algorithm](state, cost, now, params);
+  return [
+    allowed,
+    Math.max(Math.floor(remaining + EPSILON), 0),
+    retryAfterMs === Infinity ? Infinity : ceilMs(retryAfterMs),
+    ceilMs(resetAfterMs),
+    ceilMs(delayMs),
+  ];
+}
+
+/**
+ * 复制状态，用于只读取不修改的场景（如 peek）
+ * @param {object} state - 键的状态
+ * @returns {object} - 状态的副本
+ */
+export function cloneState(state) {
+  return { ...state, log: state.log ? state.log.slice() : undefined };
+}
+
+/**
+ * 根据算法的执行结果构造限流决策
+ * @param {object} opts - 选项对象
+ * @param {string} opts.algorithm - 限流算法
+ * @param {number} opts.status - 状态（2限流惩罚中 1拒绝 0放行）
+ * @param {number} opts.remaining - 剩余数量
+ * @param {number} opts.retryAfterMs - 建议的重试等待毫秒数
+ * @param {number} opts.lockTtlMs - 限流惩罚剩余毫秒数
+ * @param {number} opts.resetAfterMs - 状态恢复到初始值的毫秒数
+ * @param {number} opts.delayMs - 漏桶中排队等待的毫秒数
+ * @param {number} opts.capacity - 容量
+ * @param {number} opts.now - 当前时间戳（毫秒）
+ * @param {string} opts.source - 决策来源
+ * @returns {import('./RateLimiterTokenBucket').RateLimitDecision} - 限流决策，漏桶额外包含 delayMs
+ */
+export function buildAlgorithmDecision({ algorithm, status, remaining, retryAfterMs, lockTtlMs, resetAfterMs, delayMs, capacity, now, source }) {
+  const allowed = status === 0;
+  const decision = {
+    allowed,
+    remaining: allowed ? remaining : 0,
+    limit: capacity,
+    retryAfterMs: allowed ? 0 : Math.max(retryAfterMs, lockTtlMs),
+    resetAtMs: now + Math.max(resetAfterMs, lockTtlMs),
+    reason: ['allowed', 'exhausted', 'locked'][status],
+    source,
+  };
+  if (algorithm === 'leaky-bucket') {
+    decision.delayMs = allowed ? delayMs : 0;
+  }
+  return decision;
+}
+
+/**
+ * 向上取整的毫秒数，忽略浮点误差
+ * @param {number} ms - 毫秒数
+ * @returns {number} - 取整后的毫秒数
+ */
+function ceilMs(ms) {
+  return Math.max(Math.ceil(ms - EPSILON), 0);
+}
+
+// 各算法的实现，返回未取整的 [是否放行, 剩余数量, 重试等待毫秒数, 恢复毫秒数, 排队毫秒数]
+const ALGORITHM_IMPLEMENTATIONS = {
+  // GCRA：记录理论到达时间 tat，每次请求把 tat 推后 cost 个间隔，tat 超前当前时间不超过 capacity 个间隔时放行，
+  // 请求在时间上均匀分布，capacity 为1时相邻两次请求至少间隔 emissionInterval
+  gcra(state, cost, now, { capacity, emissionInterval }) {
+    const tolerance = capacity * emissionInterval;
+    const tat = Math.max(state.tat || 0, now);
+    const newTat = tat + cost * emissionInterval;
+    if (newTat - now > tolerance + EPSILON) {
+      const retryAfterMs = cost > capacity ? Infinity : newTat - tolerance - now;
+      return [false, (tolerance - (tat - now)) / emissionInterval, retryAfterMs, tat - now, 0];
+    }
+    state.tat = newTat;
+    return [true, (tolerance - (newTat - now)) / emissionInterval, 0, newTat - now, 0];
+  },
+
+  // 滑动窗口日志：记录窗口内每次放行的 [时间, 数量]，任意 windowMs 毫秒内放行的数量都不超过 capacity
+  'sliding-window-log'(state, cost, now, { capacity, windowMs }) {
+    const log = state.log || [];
+    let used = state.used || 0;
+    let expired = 0;
+    while (expired < log.length && log[expired][0] <= now - windowMs) {
+      used -= log[expired][1];
+      expired++;
+    }
+    log.splice(0, expired);
+    state.log = log;
+    state.used = used;
+    const resetAfterMs = log.length > 0 ? log[log.length - 1][0] + windowMs - now : 0;
+    if (used + cost > capacity + EPSILON) {
+      // 等到足够多的旧记录移出窗口
+      let retryAfterMs = Infinity;
+      let remaining = used;
+      for (let i = 0; i < log.length && cost <= capacity; i++) {
+        remaining -= log[i][1];
+        if (remaining + cost <= capacity + EPSILON) {
+          retryAfterMs = log[i][0] + windowMs - now;
+          break;
+        }
+      }
+      return [false, capacity - used, retryAfterMs, resetAfterMs, 0];
+    }
+    if (cost > 0) {
+      log.push([now, cost]);
+      state.used = used + cost;
+      return [true, capacity - state.used, 0, windowMs, 0];
+    }
+    return [true, capacity - used, 0, resetAfterMs, 0];
+  },
+
+  // 滑动窗口计数：只记录当前和上一个固定窗口的数量，按上一个窗口在滑动窗口中所占的比例估算，内存占用固定，结果是近似值
+  'sliding-window-counter'(state, cost, now, { capacity, windowMs }) {
+    const index = Math.floor(now / windowMs);
+    const start = index * windowMs;
+    let current = state.window === index ? state.current : 0;
+    let previous = 0;
+    if (state.window === index) {
+      previous = state.previous;
+    } else if (state.window === index - 1) {
+      previous = state.current;
+    }
+    const estimated = previous * (start + windowMs - now) / windowMs + current;
+    if (estimated + cost > capacity + EPSILON) {
+      let retryAfterMs = Infinity;
+      if (cost <= capacity) {
+        retryAfterMs = current + cost <= capacity
+          // 当前窗口内等上一个窗口的比例降低到足够小
+          ? start + windowMs - windowMs * (capacity - current - cost) / previous - now
+          // 下一个窗口中当前窗口的数量成为上一个窗口
+          : start + 2 * windowMs - windowMs * (capacity - cost) / current - now;
+      }
+      return [false, capacity - estimated, retryAfterMs, getCounterResetAfter(start, current, previous, now, windowMs), 0];
+    }
+    current += cost;
+    state.window = index;
+    state.current = current;
+    state.previous = previous;
+    return [true, capacity - estimated - cost, 0, getCounterResetAfter(start, current, previous, now, windowMs), 0];
+  },
+
+  // 漏桶队列：请求进入长度为 capacity 的队列，以每 emissionInterval 毫秒一个的固定速率流出，
+  // 放行的请求需要排队 delayMs 毫秒后再执行，队列已满时拒绝
+  'leaky-bucket'(state, cost, now, { capacity, emissionInterval }) {
+    const elapsed = Math.max(now - (state.ts === undefined ? now : state.ts), 0);
+    const level = Math.max((state.level || 0) - elapsed / emissionInterval, 0);
+    if (level + cost > capacity + EPSILON) {
+      const retryAfterMs = cost > capacity ? Infinity : (level + cost - capacity) * emissionInterval;
+      return [false, capacity - level, retryAfterMs, level * emissionInterval, 0];
+    }
+    state.level = level + cost;
+    state.ts = now;
+    return [true, capacity - state.level, 0, state.level * emissionInterval, level * emissionInterval];
+  },
+};
+
+/**
+ * 滑动窗口计数的估算值降为0所需的毫秒数
+ * @param {number} start - 当前窗口的开始时间
+ * @param {number} current - 当前窗口的数量
+ * @param {number} previous - 上一个窗口的数量
+ * @param {number} now - 当前时间戳（毫秒）
+ * @param {number} windowMs - 窗口长度（毫秒）
+ * @returns {number} - 毫秒数
+ */
+function getCounterResetAfter(start, current, previous, now, windowMs) {
+  if (current > 0) {
+    return start + 2 * windowMs - now;
+  }
+  return previous > 0 ? start + windowMs - now : 0;
+}
@@ -1,24 +1,330 @@
-import type { RedisOptions, RedisClient } from 'ioredis';
+import type { RedisOptions, RedisClient, ClusterNode, ClusterOptions, SentinelAddress } from 'ioredis';
+import { EventEmitter } from 'events';
 
-export interface RateLimiterTokenBucketOptions {
+export interface RateLimitDecision {
+  allowed: boolean;
+  remaining: number;
+  limit: number;
+  retryAfterMs: number;
+  resetAtMs: number;
+  reason: 'allowed' | 'exhausted' | 'locked' | 'blocked' | 'unavailable' | 'allowlisted' | 'banned';
+  source: 'memory' | 'redis' | 'insurance' | 'fail-open' | 'fail-closed' | 'lease';
+  delayMs?: number;
+}
+
+export interface BucketState {
+  tokens: number;
+  limit: number;
+  locked: boolean;
+  lockTtlMs: number;
+  blocked: boolean;
+  blockTtlMs: number;
+}
+
+export interface WaitForTokenOptions {
+  maxWaitMs?: number;
+  signal?: AbortSignal;
+}
+
+export class WaitTimeoutError extends Error {
+  constructor(key: string, cost: number, waitMs: number, maxWaitMs: number);
+  readonly code: 'ERR_WAIT_TIMEOUT';
+  readonly key: string;
+  readonly cost: number;
+  readonly waitMs: number;
+  readonly maxWaitMs: number;
+}
+
+export interface ReserveOptions {
+  ttlMs?: number;
+}
+
+export type ReservationState = 'pending' | 'committed' | 'cancelled' | 'expired' | 'denied';
+
+export class Reservation<TResult = number> {
+  readonly key: string;
+  readonly cost: number;
+  readonly allowed: boolean;
+  readonly decision: RateLimitDecision;
+  readonly state: ReservationState;
+  readonly expiresAt: number;
+  commit(actualCost?: number): TResult;
+  cancel(): TResult;
+}
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+export interface Logger {
+  debug?(...args: any[]): void;
+  info?(...args: any[]): void;
+  warn?(...args: any[]): void;
+  error?(...args: any[]): void;
+  log?(...args: any[]): void;
+}
+
+export interface LoggerOptions {
+  logger?: Logger;
+  logLevel?: LogLevel;
+}
+
+export interface Clock {
+  now(): number;
+  setTimeout?(callback: () => void, ms: number): any;
+  clearTimeout?(timer: any): void;
+}
+
+export interface ClockOptions {
+  clock?: Clock;
+}
+
+export class FakeClock implements Clock {
+  constructor(now?: number);
+  readonly pendingTimers: number;
+  now(): number;
+  setTimeout(callback: () => void, ms?: number): { ref(): any; unref(): any };
+  clearTimeout(timer: any): void;
+  advance(ms: number): Promise<void>;
+}
+
+export type RateLimitEventName = 'allowed' | 'denied' | 'locked' | 'blocked';
+
+export interface RateLimitEvent {
+  key: string;
+  blockKey: string;
+  cost: number;
+  balance: number;
+  decision: RateLimitDecision;
+}
+
+export interface FallbackEvent extends RateLimitEvent {
+  error: Error;
+}
+
+export interface RedisErrorEvent {
+  key: string;
+  cost: number;
+  error: Error;
+}
+
+export interface RedisCallEvent {
+  durationMs: number;
+  batchSize?: number;
+  error?: Error;
+}
+
+export interface ClientIpResolverOptions {
+  trustedProxies?: string[];
+  hops?: number;
+  header?: 'x-forwarded-for' | 'forwarded' | 'x-real-ip';
+  ipv6Subnet?: number;
+}
+
+export type ClientIpResolver = (request: any) => string;
+
+export function getClientIp(request: any): string;
+export function createClientIpResolver(options?: ClientIpResolverOptions): ClientIpResolver;
+
+export interface RefillOptions {
+  tokenPerInterval?: number;
+  refillInterval?: number;
+  continuousRefill?: boolean;
+}
+
+export type RateLimitAlgorithm = 'token-bucket' | 'gcra' | 'sliding-window-log' | 'sliding-window-counter' | 'leaky-bucket';
+
+export interface InMemoryBlockEscalationOptions {
+  factor?: number;
+  resetAfter?: number;
+  maxDuration?: number;
+}
+
+export type AccessListEntryOption = string | { key: string; ttl?: number };
+
+export interface AccessListEntry {
+  key: string;
+  expiresAt: number | null;
+}
+
+export type AccessListName = 'allowList' | 'denyList' | 'bans';
+
+export interface DistributedBlockOptions {
+  channel?: string;
+}
+
+export interface RateLimiterTokenBucketOptions extends RefillOptions, LoggerOptions, ClockOptions {
   tokenPerSecond: number;
   capacity: number;
+  algorithm?: RateLimitAlgorithm;
   keyPrefix: string;
   lockDuration?: number;
   inMemoryBlockOnConsumed?: number;
   inMemoryBlockDuration?: number;
+  inMemoryBlockWindow?: number;
+  inMemoryBlockCountBy?: 'requests' | 'tokens';
+  inMemoryBlockSlidingWindow?: boolean;
+  inMemoryBlockEscalation?: InMemoryBlockEscalationOptions | boolean;
+  ipResolver?: ClientIpResolver | ClientIpResolverOptions;
+  allowList?: AccessListEntryOption[];
+  denyList?: AccessListEntryOption[];
+  maxKeys?: number;
 }
 
-export class RateLimiterTokenBucket {
+export class RateLimiterTokenBucket extends EventEmitter {
   constructor(options?: RateLimiterTokenBucketOptions);
+  on(event: RateLimitEventName, listener: (event: RateLimitEvent) => void): this;
   getToken(key?: string): number;
+  getTokens(requests: TokenRequest[]): number[];
   getTokenUseIp(request: object, key?: string): number;
+  resolveClientIp(request: object): string;
+  consume(tokenKey?: string, blockKey?: string, requestedTokens?: number, clientIp?: string): RateLimitDecision;
+  consumeUseIp(request: object, tokenKey?: string, blockKey?: string): RateLimitDecision;
+  waitForToken(tokenKey?: string, requestedTokens?: number, options?: WaitForTokenOptions): Promise<RateLimitDecision>;
+  reserve(tokenKey?: string, estimatedCost?: number, options?: ReserveOptions): Reservation<number>;
+  peek(tokenKey?: string, blockKey?: string): BucketState;
+  refund(tokenKey?: string, tokens?: number): number;
+  reset(tokenKey?: string): boolean;
+  unblock(blockKey?: string): boolean;
+  addListEntry(list: AccessListName, key: string, seconds?: number): void;
+  removeListEntry(list: AccessListName, key: string): boolean;
+  listEntries(list: AccessListName): AccessListEntry[];
+  ban(key: string, seconds?: number): void;
+  unban(key: string): boolean;
+  listBans(): AccessListEntry[];
+  destroy(): void;
+}
+
+export type CircuitBreakerState = 'closed' | 'open' | 'half-open';
+
+export interface CircuitBreakerOptions extends ClockOptions {
+  failureThreshold?: number;
+  cooldownMs?: number;
+}
+
+export interface CircuitBreakerStateChange {
+  from: CircuitBreakerState;
+  to: CircuitBreakerState;
+  error?: Error;
+}
+
+export class CircuitBreaker extends EventEmitter {
+  constructor(options?: CircuitBreakerOptions);
+  state: CircuitBreakerState;
+  failures: number;
+  allowRequest(): boolean;
+  onSuccess(): void;
+  onFailure(error?: Error): void;
+  getRemainingCooldown(): number;
+  on(event: 'stateChange' | CircuitBreakerState, listener: (change: CircuitBreakerStateChange) => void): this;
 }
 
-export interface RateLimiterTokenBucketRedisOptions {
+export type FailMode = 'open' | 'closed' | 'insurance';
+
+export interface TokenRequest {
+  key: string;
+  cost?: number;
+  blockKey?: string;
+}
+
+export interface AutoBatchOptions {
+  maxDelayMs?: number;
+  maxBatchSize?: number;
+}
+
+export interface LeasingOptions {
+  keys?: string[] | ((tokenKey: string) => boolean);
+  leaseMs?: number;
+  minLeaseSize?: number;
+  maxLeaseSize?: number;
+}
+
+export interface StorageCall {
+  operation: StorageOperation;
+  script: string;
+  keys: string[];
+  args: Array<string | number>;
+}
+
+export type StorageOperation =
+  | 'consume'
+  | 'peek'
+  | 'refund'
+  | 'reserve'
+  | 'lease'
+  | 'settle'
+  | 'debit'
+  | 'reset'
+  | 'block'
+  | 'unblock'
+  | 'unlock'
+  | 'ban'
+  | 'unban'
+  | 'listBans'
+  | 'gcra'
+  | 'slidingWindowLog'
+  | 'slidingWindowCounter'
+  | 'leakyBucket'
+  | 'compositeConsume';
+
+export interface StorageAdapter {
+  isReady(): boolean;
+  execute(operation: StorageOperation, script: string, keys: string[], args: Array<string | number>): Promise<any>;
+  executeBatch?(calls: StorageCall[]): Promise<Array<[Error | null, any]>>;
+  subscribe?(channel: string, onMessage: (message: string) => void, onError: (error: Error) => void): () => void;
+  disconnect?(): void;
+}
+
+export interface NodeRedisClient {
+  isReady: boolean;
+  evalSha(sha: string, options: { keys: string[]; arguments: string[] }): Promise<any>;
+  eval(script: string, options: { keys: string[]; arguments: string[] }): Promise<any>;
+}
+
+export class IoredisAdapter implements StorageAdapter {
+  constructor(client: RedisClient);
+  readonly client: RedisClient;
+  isReady(): boolean;
+  execute(operation: StorageOperation, script: string, keys: string[], args: Array<string | number>): Promise<any>;
+  executeBatch(calls: StorageCall[]): Promise<Array<[Error | null, any]>>;
+  subscribe(channel: string, onMessage: (message: string) => void, onError: (error: Error) => void): () => void;
+  disconnect(): void;
+}
+
+export class NodeRedisAdapter implements StorageAdapter {
+  constructor(client: NodeRedisClient);
+  readonly client: NodeRedisClient;
+  isReady(): boolean;
+  execute(operation: StorageOperation, script: string, keys: string[], args: Array<string | number>): Promise<any>;
+  subscribe(channel: string, onMessage: (message: string) => void, onError: (error: Error) => void): () => void;
+  disconnect(): void;
+}
+
+export class MemoryAdapter implements StorageAdapter {
+  constructor(options?: ClockOptions);
+  isReady(): boolean;
+  execute(operation: StorageOperation, script: string, keys: string[], args: Array<string | number>): Promise<any>;
+  subscribe(channel: string, onMessage: (message: string) => void, onError?: (error: Error) => void): () => void;
+  disconnect(): void;
+}
+
+export interface RedisFailureOptions {
+  failMode?: FailMode;
+  redisTimeout?: number;
+  circuitBreaker?: CircuitBreakerOptions | false;
+}
+
+export interface RedisTopologyOptions {
+  clusterNodes?: ClusterNode[];
+  clusterOptions?: ClusterOptions;
+  sentinels?: Array<Partial<SentinelAddress>>;
+  sentinelName?: string;
+}
+
+export interface RateLimiterTokenBucketRedisOptions extends RefillOptions, RedisTopologyOptions, RedisFailureOptions, LoggerOptions, ClockOptions {
   tokenPerSecond: number;
   capacity: number;
-  redisClient?: RedisClient;
+  algorithm?: RateLimitAlgorithm;
+  redisClient?: RedisClient | NodeRedisClient;
+  adapter?: StorageAdapter;
   redisOptions?: RedisOptions;
   keyPrefix: string;
   insuranceLimiter?: boolean;
@@ -26,11 +332,163 @@ export interface RateLimiterTokenBucketRedisOptions {
   insuranceLimiterCapacity?: number;
   inMemoryBlockOnConsumed?: number;
   inMemoryBlockDuration?: number;
+  inMemoryBlockWindow?: number;
+  inMemoryBlockCountBy?: 'requests' | 'tokens';
+  inMemoryBlockSlidingWindow?: boolean;
+  inMemoryBlockEscalation?: InMemoryBlockEscalationOptions | boolean;
+  distributedBlock?: DistributedBlockOptions | boolean;
   lockDuration?: number;
+  instanceCount?: number;
+  reconcileInsurance?: boolean;
+  reconcileBatchSize?: number;
+  autoBatch?: AutoBatchOptions | boolean;
+  leasing?: LeasingOptions | boolean;
+  migrateLegacyKeys?: boolean;
+  useRedisTime?: boolean;
+  ipResolver?: ClientIpResolver | ClientIpResolverOptions;
+  allowList?: AccessListEntryOption[];
+  denyList?: AccessListEntryOption[];
+  accessListRefreshInterval?: number;
+  maxKeys?: number;
 }
 
-export class RateLimiterTokenBucketRedis {
+export class RateLimiterTokenBucketRedis extends EventEmitter {
   constructor(options: RateLimiterTokenBucketRedisOptions);
+  on(event: RateLimitEventName, listener: (event: RateLimitEvent) => void): this;
+  on(event: 'fallback', listener: (event: FallbackEvent) => void): this;
+  on(event: 'redisError', listener: (event: RedisErrorEvent) => void): this;
+  on(event: 'redisCall', listener: (event: RedisCallEvent) => void): this;
+  readonly adapter: StorageAdapter;
+  readonly circuitBreaker: CircuitBreaker | null;
   getToken(tokenKey: string, blockKey?: string): Promise<number>;
+  getTokens(requests: TokenRequest[]): Promise<number[]>;
   getTokenUseIp(request: object, tokenKey: string, blockKey?: string): Promise<number>;
+  resolveClientIp(request: object): string;
+  consume(tokenKey: string, blockKey?: string, requestedTokens?: number, clientIp?: string): Promise<RateLimitDecision>;
+  consumeUseIp(request: object, tokenKey?: string, blockKey?: string): Promise<RateLimitDecision>;
+  waitForToken(tokenKey?: string, requestedTokens?: number, options?: WaitForTokenOptions): Promise<RateLimitDecision>;
+  reserve(tokenKey?: string, estimatedCost?: number, options?: ReserveOptions): Promise<Reservation<Promise<number>>>;
+  peek(tokenKey?: string, blockKey?: string): Promise<BucketState>;
+  refund(tokenKey?: string, tokens?: number): Promise<number>;
+  reset(tokenKey?: string): Promise<boolean>;
+  unblock(blockKey?: string): Promise<boolean>;
+  addListEntry(list: AccessListName, key: string, seconds?: number): Promise<void>;
+  removeListEntry(list: AccessListName, key: string): Promise<boolean>;
+  listEntries(list: AccessListName): Promise<AccessListEntry[]>;
+  ban(key: string, seconds?: number): Promise<void>;
+  unban(key: string): Promise<boolean>;
+  listBans(): Promise<AccessListEntry[]>;
+  reconcile(): Promise<number>;
+  releaseLeases(): Promise<void>;
+  destroy(): void;
+}
+
+export interface CompositeLimit extends RefillOptions {
+  name?: string;
+  capacity: number;
+  tokenPerSecond?: number;
 }
+
+export interface CompositeLimitDetail {
+  name: string;
+  allowed: boolean;
+  remaining: number;
+  limit: number;
+  retryAfterMs: number;
+  resetAtMs: number;
+}
+
+export interface CompositeRateLimitDecision extends RateLimitDecision {
+  limitName: string;
+  limits: CompositeLimitDetail[];
+}
+
+export interface RateLimiterCompositeTokenBucketOptions extends ClockOptions {
+  limits: CompositeLimit[];
+  keyPrefix?: string;
+  ipResolver?: ClientIpResolver | ClientIpResolverOptions;
+  maxKeys?: number;
+}
+
+export class RateLimiterCompositeTokenBucket {
+  constructor(options: RateLimiterCompositeTokenBucketOptions);
+  getToken(tokenKey?: string, blockKey?: string, requestedTokens?: number): number;
+  getTokenUseIp(request: object, tokenKey?: string, blockKey?: string, requestedTokens?: number): number;
+  consume(tokenKey?: string, blockKey?: string, requestedTokens?: number): CompositeRateLimitDecision;
+  consumeUseIp(request: object, tokenKey?: string, blockKey?: string, requestedTokens?: number): CompositeRateLimitDecision;
+  resolveClientIp(request: object): string;
+  destroy(): void;
+}
+
+export interface RateLimiterCompositeTokenBucketRedisOptions extends RateLimiterCompositeTokenBucketOptions, RedisTopologyOptions, RedisFailureOptions, LoggerOptions {
+  redisClient?: RedisClient | NodeRedisClient;
+  adapter?: StorageAdapter;
+  redisOptions?: RedisOptions;
+  insuranceLimiter?: boolean;
+  useRedisTime?: boolean;
+}
+
+export class RateLimiterCompositeTokenBucketRedis {
+  constructor(options: RateLimiterCompositeTokenBucketRedisOptions);
+  readonly adapter: StorageAdapter;
+  readonly circuitBreaker: CircuitBreaker | null;
+  getToken(tokenKey?: string, blockKey?: string, requestedTokens?: number): Promise<number>;
+  getTokenUseIp(request: object, tokenKey?: string, blockKey?: string, requestedTokens?: number): Promise<number>;
+  consume(tokenKey?: string, blockKey?: string, requestedTokens?: number): Promise<CompositeRateLimitDecision>;
+  consumeUseIp(request: object, tokenKey?: string, blockKey?: string, requestedTokens?: number): Promise<CompositeRateLimitDecision>;
+  resolveClientIp(request: object): string;
+  destroy(): void;
+}
+
+export interface RateLimiterMetricsOptions {
+  prefix?: string;
+  latencyBuckets?: number[];
+  meter?: any;
+}
+
+export class RateLimiterMetrics {
+  constructor(options?: RateLimiterMetricsOptions);
+  register(limiter: RateLimiterTokenBucket | RateLimiterTokenBucketRedis, name?: string): this;
+  unregister(name: string): boolean;
+  metrics(): string;
+}
+
+type RateLimiter = RateLimiterTokenBucket | RateLimiterTokenBucketRedis | RateLimiterCompositeTokenBucket | RateLimiterCompositeTokenBucketRedis;
+
+export interface RateLimitHeaderOptions {
+  standardHeaders?: boolean;
+  legacyHeaders?: boolean;
+}
+
+export interface RateLimitMiddlewareOptions<Req = any, Extra extends any[] = []> extends RateLimitHeaderOptions {
+  keyGenerator?: (req: Req, ...args: Extra) => string | Promise<string>;
+  blockKeyGenerator?: (req: Req, ...args: Extra) => string | Promise<string>;
+  cost?: (req: Req, ...args: Extra) => number | Promise<number>;
+  skip?: (req: Req, ...args: Extra) => boolean | Promise<boolean>;
+  allowList?: string[] | ((key: string, req: Req, ...args: Extra) => boolean);
+  statusCode?: number;
+  message?: unknown;
+}
+
+export function getRateLimitHeaders(decision: RateLimitDecision, options?: RateLimitHeaderOptions & { now?: number }): Record<string, string>;
+
+export function expressRateLimiter(
+  limiter: RateLimiter,
+  options?: RateLimitMiddlewareOptions & {
+    handler?: (req: any, res: any, next: (err?: unknown) => void, decision: RateLimitDecision) => unknown;
+  },
+): (req: any, res: any, next: (err?: unknown) => void) => Promise<void>;
+
+export function koaRateLimiter(
+  limiter: RateLimiter,
+  options?: RateLimitMiddlewareOptions<any, [ctx: any]> & {
+    handler?: (ctx: any, next: () => Promise<unknown>, decision: RateLimitDecision) => unknown;
+  },
+): (ctx: any, next: () => Promise<unknown>) => Promise<void>;
+
+export function fastifyRateLimiter(
+  limiter: RateLimiter,
+  options?: RateLimitMiddlewareOptions<any, [reply: any]> & {
+    handler?: (request: any, reply: any, decision: RateLimitDecision) => unknown;
+  },
+): (request: any, reply: any) => Promise<void>;
@@ -1,2 +1,14 @@
 export { default as RateLimiterTokenBucket } from './RateLimiterTokenBucket';
 export { default as RateLimiterTokenBucketRedis } from './RateLimiterTokenBucketRedis';
+export { default as RateLimiterCompositeTokenBucket } from './RateLimiterCompositeTokenBucket';
+export { default as RateLimiterCompositeTokenBucketRedis } from './RateLimiterCompositeTokenBucketRedis';
+export { default as CircuitBreaker } from './CircuitBreaker';
+export { default as IoredisAdapter } from './IoredisAdapter';
+export { default as NodeRedisAdapter } from './NodeRedisAdapter';
+export { default as MemoryAdapter } from './MemoryAdapter';
+export { default as FakeClock } from './FakeClock';
+export { default as WaitTimeoutError } from './WaitTimeoutError';
+export { default as Reservation } from './Reservation';
+export { default as RateLimiterMetrics } from './RateLimiterMetrics';
+export { expressRateLimiter, koaRateLimiter, fastifyRateLimiter, getRateLimitHeaders } from './middleware';
+export { getClientIp, createClientIpResolver } from './utils';
@@ -0,0 +1,29 @@
+/**
+ *  @description 可插拔的分级日志，未配置 logger 时不输出任何内容
+ */
+
+// 日志级别，从低到高
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// 低于最低级别时使用的空函数
+function noop() {}
+
+/**
+ * 创建分级日志对象
+ *
+ * @param {object} logger - 可选，带有 debug/info/warn/error 方法的日志对象，如 console、pino、winston，缺少的方法使用 log 代替
+ * @param {'debug'|'info'|'warn'|'error'} level - 可选，输出的最低级别，默认 info
+ * @returns {{ debug: function, info: function, warn: function, error: function }} - 日志对象，低于最低级别的方法为空函数
+ */
+export function createLogger(logger, level = 'info') {
+  const minLevel = LEVELS.indexOf(level);
+  if (minLevel === -1) {
+    throw new Error(`logLevel must be one of ${LEVELS.join(', ')}, got ${level}`);
+  }
+  const result = {};
+  for (const name of LEVELS) {
+    const method = logger && (logger[name] || logger.log);
+    result[name] = method && LEVELS.indexOf(name) >= minLevel ? method.bind(logger) : noop;
+  }
+  return result;
+}
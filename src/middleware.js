@@ -0,0 +1,210 @@
+/**
+ *  @description Express / Koa / Fastify 限流中间件
+ */
+
+/** @typedef {import('./RateLimiterTokenBucket').RateLimitDecision} RateLimitDecision */
+
+/**
+ * 默认的被限流响应体
+ */
+const DEFAULT_MESSAGE = { message: 'Too Many Requests' };
+
+/**
+ * 根据限流决策生成响应头
+ * 标准头遵循 IETF RateLimit header 草案，RateLimit-Reset 为距离重置的秒数；
+ * 旧版 X-RateLimit-Reset 沿用社区习惯，为重置时刻的 unix 时间戳（秒）
+ *
+ * @param {RateLimitDecision} decision - 限流决策
+ * @param {object} opts - 选项对象
+ * @param {boolean} opts.standardHeaders - 是否输出 RateLimit-* 头，默认 true
+ * @param {boolean} opts.legacyHeaders - 是否输出 X-RateLimit-* 头，默认 false
+ * @param {number} opts.now - 可选，计算 RateLimit-Reset 的当前时间戳（毫秒），默认 Date.now()
+ * @returns {Object<string, string>} - 响应头
+ */
+export function getRateLimitHeaders(decision, opts = {}) {
+  const { standardHeaders = true, legacyHeaders = false, now = Date.now() } = opts;
+  const headers = {};
+  const remaining = Math.max(0, Math.floor(decision.remaining));
+  const resetSeconds = Math.max(0, Math.ceil((decision.resetAtMs - now) / 1000));
+  // 永久封禁时没有重置时刻，不输出 Reset 头
+  const hasReset = Number.isFinite(decision.resetAtMs);
+
+  if (standardHeaders) {
+    headers['RateLimit-Limit'] = String(decision.limit);
+    headers['RateLimit-Remaining'] = String(remaining);
+    if (hasReset) {
+      headers['RateLimit-Reset'] = String(resetSeconds);
+    }
+  }
+  if (legacyHeaders) {
+    headers['X-RateLimit-Limit'] = String(decision.limit);
+    headers['X-RateLimit-Remaining'] = String(remaining);
+    if (hasReset) {
+      headers['X-RateLimit-Reset'] = String(Math.ceil(decision.resetAtMs / 1000));
+    }
+  }
+  // 被拒绝且可以重试时，告知客户端需要等待的秒数
+  if (!decision.allowed && Number.isFinite(decision.retryAfterMs)) {
+    headers['Retry-After'] = String(Math.max(1, Math.ceil(decision.retryAfterMs / 1000)));
+  }
+  return headers;
+}
+
+/**
+ * 对一次请求执行限流判断
+ * @private
+ * @param {RateLimiterTokenBucket|RateLimiterTokenBucketRedis} limiter - 限流器实例
+ * @param {object} req - 请求对象
+ * @param {object} opts - 中间件选项
+ * @param {...*} args - 透传给各个钩子的额外参数（如 koa 的 ctx）
+ * @returns {Promise<RateLimitDecision|null>} - 限流决策，跳过限流时返回 null
+ */
+async function evaluate(limiter, req, opts, ...args) {
+  if (opts.skip && await opts.skip(req, ...args)) {
+    return null;
+  }
+
+  // 客户端ip同时用于匹配限流器名单中的网段
+  const clientIp = limiter.resolveClientIp(req);
+  const key = opts.keyGenerator ? await opts.keyGenerator(req, ...args) : clientIp;
+  if (isAllowListed(opts.allowList, key, req, args)) {
+    return null;
+  }
+
+  const blockKey = opts.blockKeyGenerator ? await opts.blockKeyGenerator(req, ...args) : '';
+  const cost = opts.cost ? await opts.cost(req, ...args) : 1;
+  return await limiter.consume(key, blockKey, cost, clientIp);
+}
+
+/**
+ * 按限流器的时钟生成响应头
+ * @private
+ * @param {RateLimiterTokenBucket|RateLimiterTokenBucketRedis} limiter - 限流器实例
+ * @param {RateLimitDecision} decision - 限流决策
+ * @param {object} opts - 中间件选项
+ * @returns {Object<string, string>} - 响应头
+ */
+function getLimiterHeaders(limiter, decision, opts) {
+  return getRateLimitHeaders(decision, { ...opts, now: limiter.clock ? limiter.clock.now() : Date.now() });
+}
+
+/**
+ * 判断限流键是否在白名单中
+ * @private
+ * @param {string[]|function} allowList - 白名单，键数组或判断函数
+ * @param {string} key - 限流键
+ * @param {object} req - 请求对象
+ * @param {Array} args - 额外参数
+ * @returns {boolean} - 在白名单中返回 true
+ */
+function isAllowListed(allowList, key, req, args) {
+  if (!allowList) {
+    return false;
+  }
+  if (typeof allowList === 'function') {
+    return Boolean(allowList(key, req, ...args));
+  }
+  return allowList.includes(key);
+}
+
+/**
+ * 创建 Express（或 Node 原生 http）中间件
+ *
+ * @param {RateLimiterTokenBucket|RateLimiterTokenBucketRedis} limiter - 限流器实例
+ * @param {object} opts - 选项对象
+ * @param {function} opts.keyGenerator - 可选，(req) => 限流键，默认使用限流器解析出的客户端ip
+ * @param {function} opts.blockKeyGenerator - 可选，(req) => 阻塞键，默认与限流键相同
+ * @param {function} opts.cost - 可选，(req) => 本次请求消耗的令牌数，默认1
+ * @param {function} opts.skip - 可选，(req) => 返回 true 时跳过限流
+ * @param {string[]|function} opts.allowList - 可选，限流键白名单，或 (key, req) => boolean
+ * @param {function} opts.handler - 可选，(req, res, next, decision) 自定义被限流时的处理
+ * @param {number} opts.statusCode - 被限流时的状态码，默认429
+ * @param {*} opts.message - 被限流时的响应体，默认 { message: 'Too Many Requests' }
+ * @param {boolean} opts.standardHeaders - 是否输出 RateLimit-* 头，默认 true
+ * @param {boolean} opts.legacyHeaders - 是否输出 X-RateLimit-* 头，默认 false
+ * @returns {function} - (req, res, next) => Promise<void>
+ */
+export function expressRateLimiter(limiter, opts = {}) {
+  const { statusCode = 429, message = DEFAULT_MESSAGE } = opts;
+
+  return async (req, res, next) => {
+    let decision;
+    try {
+      decision = await evaluate(limiter, req, opts);
+    } catch (error) {
+      return next(error);
+    }
+    if (!decision) {
+      return next();
+    }
+
+    const headers = getLimiterHeaders(limiter, decision, opts);
+    for (const name of Object.keys(headers)) {
+      res.setHeader(name, headers[name]);
+    }
+    if (decision.allowed) {
+      return next();
+    }
+    if (opts.handler) {
+      return opts.handler(req, res, next, decision);
+    }
+    res.statusCode = statusCode;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(message));
+  };
+}
+
+/**
+ * 创建 Koa 中间件，各钩子的 req 参数为 ctx.req，第二个参数为 ctx
+ *
+ * @param {RateLimiterTokenBucket|RateLimiterTokenBucketRedis} limiter - 限流器实例
+ * @param {object} opts - 选项对象，同 expressRateLimiter，handler 签名为 (ctx, next, decision)
+ * @returns {function} - async (ctx, next) => void
+ */
+export function koaRateLimiter(limiter, opts = {}) {
+  const { statusCode = 429, message = DEFAULT_MESSAGE } = opts;
+
+  return async (ctx, next) => {
+    const decision = await evaluate(limiter, ctx.req, opts, ctx);
+    if (!decision) {
+      return await next();
+    }
+
+    ctx.set(getLimiterHeaders(limiter, decision, opts));
+    if (decision.allowed) {
+      return await next();
+    }
+    if (opts.handler) {
+      return await opts.handler(ctx, next, decision);
+    }
+    ctx.status = statusCode;
+    ctx.body = message;
+  };
+}
+
+/**
+ * 创建 Fastify 的 onRequest 钩子，用法：fastify.addHook('onRequest', fastifyRateLimiter(limiter))
+ *
+ * @param {RateLimiterTokenBucket|RateLimiterTokenBucketRedis} limiter - 限流器实例
+ * @param {object} opts - 选项对象，同 expressRateLimiter，各钩子的第二个参数为 reply，handler 签名为 (request, reply, decision)
+ * @returns {function} - async (request, reply) => void
+ */
+export function fastifyRateLimiter(limiter, opts = {}) {
+  const { statusCode = 429, message = DEFAULT_MESSAGE } = opts;
+
+  return async (request, reply) => {
+    const decision = await evaluate(limiter, request, opts, reply);
+    if (!decision) {
+      return;
+    }
+
+    reply.headers(getLimiterHeaders(limiter, decision, opts));
+    if (decision.allowed) {
+      return;
+    }
+    if (opts.handler) {
+      return await opts.handler(request, reply, decision);
+    }
+    return reply.code(statusCode).send(message);
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ *  @description 内置 redis 客户端的创建与连接状态检查，支持单节点、Redis Cluster 和 Sentinel
+ */
+
+/**
+ * 根据限流器的选项创建 ioredis 客户端
+ * 配置了 clusterNodes 时创建 Redis Cluster 客户端，配置了 sentinels 时创建通过 Sentinel 发现主节点的客户端，否则创建单节点客户端
+ *
+ * @param {object} opts - 限流器的选项对象
+ * @param {Redis.RedisOptions} opts.redisOptions - Redis 配置，集群模式下作为每个节点的配置
+ * @param {Array<string|object>} opts.clusterNodes - 可选，集群的启动节点，如 [{ host: '127.0.0.1', port: 7000 }]
+ * @param {Redis.ClusterOptions} opts.clusterOptions - 可选，集群配置
+ * @param {Array<object>} opts.sentinels - 可选，Sentinel 节点，如 [{ host: '127.0.0.1', port: 26379 }]
+ * @param {string} opts.sentinelName - 可选，Sentinel 监控的主节点名称，默认 mymaster
+ * @returns {Promise<object>} - ioredis 客户端，未安装 ioredis 时 reject
+ */
+export async function createRedisClient(opts) {
+  const { default: Redis, Cluster } = await import('ioredis');
+  const redisOptions = opts.redisOptions || {};
+
+  if (opts.clusterNodes) {
+    return new Cluster(opts.clusterNodes, { ...opts.clusterOptions, redisOptions });
+  }
+  if (opts.sentinels) {
+    return new Redis({ ...redisOptions, sentinels: opts.sentinels, name: opts.sentinelName || 'mymaster' });
+  }
+  return new Redis(redisOptions);
+}
+
+/**
+ * 判断 redis 客户端是否可以执行命令
+ * ioredis 的单节点、Sentinel 和 Cluster 客户端都通过 status 表示连接状态，Cluster 在拿到槽位信息后才会变为 ready；
+ * 也兼容使用 isReady 表示连接状态的客户端（如 node-redis）
+ *
+ * @param {object} redis - redis 客户端
+ * @returns {boolean} - 可以执行命令时返回 true
+ */
+export function isRedisReady(redis) {
+  if (!redis) {
+    return false;
+  }
+  if (typeof redis.status === 'string') {
+    return redis.status === 'ready';
+  }
+  if (typeof redis.isReady === 'boolean') {
+    return redis.isReady;
+  }
+  return true;
+}
@@ -0,0 +1,72 @@
+/**
+ *  @description 通过 EVALSHA 执行 Lua 脚本，避免每次请求都发送完整的脚本内容
+ */
+import { createHash } from 'crypto';
+
+// 脚本内容到 SHA1 的缓存，每个脚本只计算一次
+const shaCache = new Map();
+
+/**
+ * 计算脚本的 SHA1，与 redis SCRIPT LOAD 返回的值一致
+ *
+ * @param {string} script - Lua 脚本
+ * @returns {string} - SHA1 十六进制字符串
+ */
+export function getScriptSha(script) {
+  let sha = shaCache.get(script);
+  if (!sha) {
+    sha = createHash('sha1').update(script).digest('hex');
+    shaCache.set(script, sha);
+  }
+  return sha;
+}
+
+/**
+ * 执行 Lua 脚本：优先使用 EVALSHA 只发送脚本的 SHA1，
+ * 当 redis 重启或主从切换导致脚本缓存丢失（NOSCRIPT）时，使用 EVAL 发送完整脚本，redis 会同时重新缓存该脚本
+ *
+ * @param {object} redis - ioredis 客户端
+ * @param {string} script - Lua 脚本
+ * @param {number} numKeys - 键的数量
+ * @param {...*} args - 键和参数
+ * @returns {Promise<*>} - 脚本的返回值
+ */
+export async function evalScript(redis, script, numKeys, ...args) {
+  try {
+    return await redis.evalsha(getScriptSha(script), numKeys, ...args);
+  } catch (error) {
+    if (!String(error && error.message).includes('NOSCRIPT')) {
+      throw error;
+    }
+    return await redis.eval(script, numKeys, ...args);
+  }
+}
+
+/**
+ * 把调用的结果转换为 [错误, 结果]，与 ioredis pipeline 的返回值格式一致
+ *
+ * @param {Promise<*>} promise - redis 调用
+ * @returns {Promise<Array>} - 成功时为 [null, 结果]，失败时为 [错误, null]
+ */
+export function toResultTuple(promise) {
+  return promise.then((result) => [null, result], (error) => [error, null]);
+}
+
+/**
+ * 为 redis 调用设置超时时间，超时后 reject，避免 redis 响应缓慢时请求被长时间挂起
+ * 注意：超时只是不再等待结果，脚本仍可能在 redis 中执行完成
+ *
+ * @param {Promise<*>} promise - redis 调用
+ * @param {number} timeoutMs - 超时时间（毫秒），不大于0时不设置超时
+ * @returns {Promise<*>} - 调用结果
+ */
+export function withTimeout(promise, timeoutMs) {
+  if (!(timeoutMs > 0)) {
+    return promise;
+  }
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`redis command timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,21 @@
+/**
+ *  @description 把 redis 客户端包装为存储适配器，已经是存储适配器时原样返回
+ */
+import IoredisAdapter from './IoredisAdapter';
+import NodeRedisAdapter from './NodeRedisAdapter';
+
+/**
+ * 根据客户端的命令风格创建存储适配器：node-redis v4 的命令为驼峰命名（如 evalSha），否则按 ioredis 处理
+ *
+ * @param {object} client - ioredis 或 node-redis v4 客户端，或实现了 execute 的存储适配器
+ * @returns {object} - 存储适配器
+ */
+export function createStorageAdapter(client) {
+  if (typeof client.execute === 'function') {
+    return client;
+  }
+  if (typeof client.evalSha === 'function') {
+    return new NodeRedisAdapter(client);
+  }
+  return new IoredisAdapter(client);
+}
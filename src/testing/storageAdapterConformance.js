@@ -0,0 +1,195 @@
+// 存储适配器的一致性测试：通过限流器的公开接口验证适配器实现的每个操作，所有内置适配器和第三方适配器共用
+// 用法：runStorageAdapterConformance(test, 'MyAdapter', async (t) => new MyAdapter(...))，test 为 ava 的 test，
+// 断言使用 ava 的 t（t.is、t.deepEqual、t.teardown 等），使用方需要自行安装 ava（3.x 及以上）
+import {
+  RateLimiterTokenBucketRedis,
+  RateLimiterCompositeTokenBucketRedis,
+  WaitTimeoutError,
+} from 'token-bucket-limiter-redis';
+
+let keySequence = 0;
+
+function nextKeyPrefix() {
+  return `conformance-${Date.now()}-${keySequence++}-`;
+}
+
+// 存储出错时按 closed 拒绝，并让测试失败，避免错误被备用策略掩盖
+function createLimiter(t, adapter, opts = {}) {
+  const limiter = new RateLimiterTokenBucketRedis({
+    tokenPerInterval: 1,
+    refillInterval: 60000,
+    capacity: 3,
+    keyPrefix: nextKeyPrefix(),
+    adapter,
+    failMode: 'closed',
+    circuitBreaker: false,
+    migrateLegacyKeys: false,
+    ...opts,
+  });
+  limiter.on('redisError', ({ error }) => t.fail(`storage error: ${error.message}`));
+  t.teardown(() => limiter.destroy());
+  return limiter;
+}
+
+export function runStorageAdapterConformance(test, name, createAdapter) {
+  test(`${name} › consume应扣减令牌，令牌不足时拒绝并进入限流惩罚`, async (t) => {
+    const limiter = createLimiter(t, await createAdapter(t), { lockDuration: 1 });
+    const remaining = [];
+    for (let i = 0; i < 3; i++) {
+      const decision = await limiter.consume('user1');
+      t.is(decision.source, 'redis');
+      remaining.push(decision.remaining);
+    }
+    t.deepEqual(remaining, [2, 1, 0]);
+    t.is((await limiter.consume('user1')).reason, 'exhausted');
+    t.is((await limiter.consume('user1')).reason, 'locked');
+    const state = await limiter.peek('user1');
+    t.true(state.locked);
+    t.true(state.lockTtlMs > 0 && state.lockTtlMs <= 1000);
+
+    t.true(await limiter.unblock('user1'));
+    t.is((await limiter.consume('user1')).reason, 'exhausted');
+  });
+
+  test(`${name} › peek、refund和reset应读取和修改同一个令牌桶`, async (t) => {
+    const limiter = createLimiter(t, await createAdapter(t));
+    t.is((await limiter.peek('user1')).tokens, 3);
+    t.is(await limiter.refund('user1', 1), 3);
+    await limiter.consume('user1', '', 2);
+    t.is((await limiter.peek('user1')).tokens, 1);
+    t.is(await limiter.refund('user1', 5), 3);
+    await limiter.consume('user1', '', 3);
+    t.true(await limiter.reset('user1'));
+    t.false(await limiter.reset('user1'));
+    t.is((await limiter.peek('user1')).tokens, 3);
+  });
+
+  test(`${name} › 连续投放时应保留小数个令牌`, async (t) => {
+    const limiter = createLimiter(t, await createAdapter(t), {
+      tokenPerInterval: 1,
+      refillInterval: 1000,
+      continuousRefill: true,
+      capacity: 1,
+    });
+    t.true((await limiter.consume('user1')).allowed);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    const { tokens } = await limiter.peek('user1');
+    t.true(tokens > 0.05 && tokens < 0.95);
+    t.false((await limiter.consume('user1')).allowed);
+  });
+
+  test(`${name} › reserve和waitForToken应预留令牌并按实际消耗结算`, async (t) => {
+    const limiter = createLimiter(t, await createAdapter(t));
+    const reservation = await limiter.reserve('user1', 2);
+    t.true(reservation.allowed);
+    t.is((await limiter.peek('user1')).tokens, 1);
+    t.false((await limiter.reserve('user1', 2)).allowed);
+    t.is(await reservation.commit(4), -1);
+    await t.throwsAsync(limiter.waitForToken('user1', 1, { maxWaitMs: 10 }), { instanceOf: WaitTimeoutError });
+
+    const cancelled = await limiter.reserve('user2', 3);
+    t.is(await cancelled.cancel(), 3);
+  });
+
+  test(`${name} › getTokens和autoBatch合并发送时应与逐个调用的结果相同`, async (t) => {
+    const limiter = createLimiter(t, await createAdapter(t), { autoBatch: true });
+    t.deepEqual(await limiter.getTokens([{ key: 'user1', cost: 2 }, { key: 'user1', cost: 2 }, { key: 'user2' }]), [1, 0, 2]);
+    const decisions = await Promise.all([limiter.consume('user1'), limiter.consume('user1'), limiter.consume('user2')]);
+    t.deepEqual(decisions.map(({ allowed }) => allowed), [true, false, true]);
+    t.deepEqual(decisions.map(({ source }) => source), ['redis', 'redis', 'redis']);
+  });
+
+  test(`${name} › leasing应从令牌桶中租用令牌，releaseLeases时退还未用完的令牌`, async (t) => {
+    // 租约有效期足够长，租用数量不受机器速度影响：第一份租约1个，第二份按速率租满 maxLeaseSize
+    const limiter = createLimiter(t, await createAdapter(t), { capacity: 10, leasing: { leaseMs: 60000, maxLeaseSize: 5 } });
+    t.is((await limiter.consume('user1')).source, 'lease');
+    t.is((await limiter.consume('user1')).source, 'lease');
+    t.is((await limiter.peek('user1')).tokens, 4);
+    await limiter.releaseLeases();
+    t.is((await limiter.peek('user1')).tokens, 8);
+  });
+
+  test(`${name} › 令牌桶之外的算法应放行容量内的请求，超出时拒绝并进入限流惩罚`, async (t) => {
+    const adapter = await createAdapter(t);
+    for (const algorithm of ['gcra', 'sliding-window-log', 'sliding-window-counter', 'leaky-bucket']) {
+      const limiter = createLimiter(t, adapter, { algorithm, tokenPerInterval: 2, refillInterval: 60000, capacity: 2, lockDuration: 1 });
+      const decisions = [];
+      for (let i = 0; i < 3; i++) {
+        decisions.push(await limiter.consume('user1'));
+      }
+      t.deepEqual(decisions.map(({ allowed }) => allowed), [true, true, false], algorithm);
+      t.true(decisions.every(({ source }) => source === 'redis'), algorithm);
+      t.true(decisions[2].retryAfterMs > 1000 && decisions[2].retryAfterMs <= 120000, algorithm);
+      if (algorithm === 'leaky-bucket') {
+        t.true(decisions[1].delayMs > 29000 && decisions[1].delayMs <= 30000);
+      }
+      t.is((await limiter.consume('user1')).reason, 'locked', algorithm);
+      t.true((await limiter.peek('user1')).locked, algorithm);
+      t.true(await limiter.reset('user1'), algorithm);
+      t.is((await limiter.peek('user1')).tokens, 2, algorithm);
+    }
+  });
+
+  test(`${name} › 多个实例应共享内存阻塞策略的计数和阻塞状态`, async (t) => {
+    const adapter = await createAdapter(t);
+    const opts = { keyPrefix: nextKeyPrefix(), capacity: 10, inMemoryBlockOnConsumed: 2, inMemoryBlockDuration: 10, distributedBlock: true };
+    const first = createLimiter(t, adapter, opts);
+    const second = createLimiter(t, adapter, opts);
+    t.true((await first.consume('user1', 'ip1')).allowed);
+    t.true((await second.consume('user1', 'ip1')).allowed);
+    // 触发阻塞的请求本身仍会正常处理
+    t.true((await first.consume('user1', 'ip1')).allowed);
+    t.is((await first.consume('user1', 'ip1')).reason, 'blocked');
+    t.is((await second.consume('user2', 'ip1')).reason, 'blocked');
+
+    t.true(await first.unblock('ip1'));
+    t.true((await first.consume('user1', 'ip1')).allowed);
+  });
+
+  test(`${name} › 多个实例应共享白名单、黑名单和封禁名单`, async (t) => {
+    const adapter = await createAdapter(t);
+    const keyPrefix = nextKeyPrefix();
+    const first = createLimiter(t, adapter, { keyPrefix, allowList: ['health-checker'] });
+    const second = createLimiter(t, adapter, { keyPrefix });
+    await first.refreshingAccessLists;
+    await first.addListEntry('denyList', '10.0.0.0/8');
+    t.deepEqual((await second.listEntries('allowList')).map(({ key }) => key), ['health-checker']);
+    t.deepEqual((await second.listEntries('denyList')).map(({ key }) => key), ['10.0.0.0/8']);
+    t.is((await second.consume('health-checker')).reason, 'allowlisted');
+    t.is((await second.consume('user3', '', 1, '10.1.1.1')).reason, 'banned');
+
+    await first.ban('user1', 60);
+    await first.ban('user2');
+    const bans = await second.listBans();
+    t.deepEqual(bans.map(({ key }) => key).sort(), ['user1', 'user2']);
+    t.true(bans.find(({ key }) => key === 'user1').expiresAt > Date.now());
+    t.is(bans.find(({ key }) => key === 'user2').expiresAt, null);
+
+    t.true(await second.unban('user1'));
+    t.deepEqual((await first.listBans()).map(({ key }) => key), ['user2']);
+  });
+
+  test(`${name} › 组合限流器应在所有规则都放行时才扣减令牌`, async (t) => {
+    const limiter = new RateLimiterCompositeTokenBucketRedis({
+      limits: [
+        { name: 'second', tokenPerSecond: 3, capacity: 3 },
+        { name: 'minute', tokenPerInterval: 4, refillInterval: 60000, capacity: 4 },
+      ],
+      keyPrefix: nextKeyPrefix(),
+      adapter: await createAdapter(t),
+      failMode: 'closed',
+      circuitBreaker: false,
+    });
+    t.teardown(() => limiter.destroy());
+    const first = await limiter.consume('user1', '', 2);
+    t.is(first.source, 'redis');
+    t.is(first.remaining, 1);
+    // 秒级规则不足时两个规则都不扣减
+    const denied = await limiter.consume('user1', '', 2);
+    t.false(denied.allowed);
+    t.is(denied.limitName, 'second');
+    const allowed = await limiter.consume('user1', '', 1);
+    t.true(allowed.allowed);
+    t.is(allowed.limits.find(({ name }) => name === 'minute').remaining, 1);
+  });
+}
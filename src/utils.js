@@ -2,6 +2,8 @@
 
 /**
  * 获取客户端IP地址
+ * 注意：该方法无条件信任 X-Real-IP 和 X-Forwarded-For，客户端可以伪造这些头，
+ * 部署在代理之后时请使用 createClientIpResolver 配置可信代理
  * @param {Object} req - 请求对象
  * @returns {string} - 客户端IP地址
  */
@@ -32,3 +34,473 @@ export function getClientIp(req) {
 
   return '';
 }
+
+/**
+ * 计算补足指定数量的令牌还需要等待的时间
+ * @param {number} deficit - 缺少的令牌数
+ * @param {object} opts - 选项对象
+ * @param {number} opts.tokenPerInterval - 每个时间间隔流入的令牌数
+ * @param {number} opts.refillInterval - 时间间隔（毫秒）
+ * @param {number} opts.nextRefillMs - 距离下一次投放令牌的时间（毫秒），连续投放时忽略
+ * @param {boolean} opts.continuous - 是否按毫秒连续投放令牌
+ * @returns {number} - 需要等待的时间（毫秒），永远无法补足时返回 Infinity
+ */
+export function getRefillDelay(deficit, opts) {
+  const { tokenPerInterval, refillInterval, nextRefillMs, continuous } = opts;
+  if (deficit <= 0) {
+    return 0;
+  }
+  if (!(tokenPerInterval > 0)) {
+    return Infinity;
+  }
+  const intervals = deficit / tokenPerInterval;
+  if (continuous) {
+    return Math.ceil(intervals * refillInterval);
+  }
+  return nextRefillMs + (Math.ceil(intervals) - 1) * refillInterval;
+}
+
+/**
+ * 等待指定的毫秒数，signal 中止时提前 reject
+ * @param {number} ms - 等待的毫秒数
+ * @param {AbortSignal} signal - 可选，中止信号
+ * @param {Clock} clock - 可选，提供定时器的时钟，默认使用系统定时器
+ * @returns {Promise<void>} - 中止时以 signal.reason reject
+ */
+export function sleep(ms, signal, clock = systemClock) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(getAbortReason(signal));
+      return;
+    }
+    if (ms <= 0) {
+      resolve();
+      return;
+    }
+    const onAbort = () => {
+      clock.clearTimeout(timer);
+      reject(getAbortReason(signal));
+    };
+    const timer = clock.setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * 获取中止的原因，旧版本 Node 的 AbortSignal 没有 reason 时构造一个 AbortError
+ * @param {AbortSignal} signal - 中止信号
+ * @returns {Error} - 中止原因
+ */
+export function getAbortReason(signal) {
+  if (signal.reason !== undefined) {
+    return signal.reason;
+  }
+  return Object.assign(new Error('This operation was aborted'), { name: 'AbortError', code: 'ABORT_ERR' });
+}
+
+/**
+ * 解析令牌投放相关的选项
+ * @param {object} opts - 限流器选项
+ * @returns {{ tokenPerSecond: number, tokenPerInterval: number, refillInterval: number, continuousRefill: boolean, bucketTtl: number }} - 投放配置
+ */
+export function resolveRefillOptions(opts) {
+  const refillInterval = opts.refillInterval || 1000;
+  const tokenPerInterval = opts.tokenPerInterval !== undefined ? opts.tokenPerInterval : opts.tokenPerSecond * refillInterval / 1000;
+  const tokenPerSecond = opts.tokenPerSecond !== undefined ? opts.tokenPerSecond : tokenPerInterval * 1000 / refillInterval;
+  // 桶至少要保留到重新回满为止，否则过期后重建的满桶会多放行请求
+  const fillTime = tokenPerInterval > 0 ? Math.ceil(opts.capacity / tokenPerInterval) * refillInterval : 0;
+  return {
+    tokenPerSecond,
+    tokenPerInterval,
+    refillInterval,
+    continuousRefill: Boolean(opts.continuousRefill),
+    bucketTtl: Math.max(60000, fillTime),
+  };
+}
+
+/**
+ * 时钟，限流器通过时钟读取当前时间和设置定时器，测试中可以传入 FakeClock 控制时间
+ * @typedef {object} Clock
+ * @property {function(): number} now - 返回当前时间戳（毫秒）
+ * @property {function(function(): void, number): *} setTimeout - 设置定时器，返回定时器句柄
+ * @property {function(*): void} clearTimeout - 清除定时器
+ */
+
+/**
+ * 系统时钟
+ * @type {Clock}
+ */
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (timer) => clearTimeout(timer),
+};
+
+/**
+ * 解析 clock 选项，只实现了 now 的时钟使用系统定时器
+ * @param {object} clock - 可选，时钟对象，至少需要实现 now()
+ * @returns {Clock} - 时钟
+ */
+export function resolveClock(clock) {
+  if (!clock) {
+    return systemClock;
+  }
+  if (typeof clock.now !== 'function') {
+    throw new Error('clock must implement now()');
+  }
+  if (typeof clock.setTimeout === 'function' && typeof clock.clearTimeout === 'function') {
+    return clock;
+  }
+  return { now: () => clock.now(), setTimeout: systemClock.setTimeout, clearTimeout: systemClock.clearTimeout };
+}
+
+/**
+ * 解析 redis 不可用时的策略，未配置 failMode 时沿用 insuranceLimiter 选项
+ * @param {object} opts - 限流器选项
+ * @returns {'open'|'closed'|'insurance'} - redis 不可用时的策略
+ */
+export function resolveFailMode(opts) {
+  const failMode = opts.failMode || (opts.insuranceLimiter ? 'insurance' : 'open');
+  if (!['open', 'closed', 'insurance'].includes(failMode)) {
+    throw new Error(`failMode must be one of open, closed, insurance, got ${failMode}`);
+  }
+  return failMode;
+}
+
+/**
+ * 校验名单的名称
+ * @param {string} list - 名单的名称
+ * @returns {'allowList'|'denyList'|'bans'} - 名单：allowList 白名单 | denyList 黑名单 | bans 封禁名单
+ */
+export function resolveAccessListName(list) {
+  if (!['allowList', 'denyList', 'bans'].includes(list)) {
+    throw new Error(`list must be one of allowList, denyList, bans, got ${list}`);
+  }
+  return list;
+}
+
+/**
+ * 获取限流决策对应的事件名：allowed 放行 | denied 令牌不足（或 redis 不可用时拒绝）| locked 限流惩罚中 | blocked 内存阻塞中（或被封禁）
+ * @param {object} decision - 限流决策
+ * @returns {'allowed'|'denied'|'locked'|'blocked'} - 事件名
+ */
+export function getDecisionEvent(decision) {
+  if (decision.allowed) {
+    return 'allowed';
+  }
+  if (decision.reason === 'locked' || decision.reason === 'blocked') {
+    return decision.reason;
+  }
+  if (decision.reason === 'banned') {
+    return 'blocked';
+  }
+  return 'denied';
+}
+
+/**
+ * 解析 IP 地址字符串为字节数组，支持带端口、方括号及 zone id 的写法
+ * IPv4 映射的 IPv6 地址（::ffff:1.2.3.4）会被当作 IPv4 处理
+ * @param {string} address - IP 地址
+ * @returns {Uint8Array|null} - IPv4 为4字节，IPv6 为16字节，无法解析时返回 null
+ */
+export function parseIp(address) {
+  if (typeof address !== 'string') {
+    return null;
+  }
+  let ip = address.trim();
+  // [2001:db8::1]:8080 形式
+  if (ip.startsWith('[')) {
+    const end = ip.indexOf(']');
+    if (end === -1) {
+      return null;
+    }
+    ip = ip.slice(1, end);
+  } else if (/^\d+\.\d+\.\d+\.\d+:\d+$/.test(ip)) {
+    // 1.2.3.4:8080 形式
+    ip = ip.slice(0, ip.lastIndexOf(':'));
+  }
+  // 去掉 zone id，如 fe80::1%eth0
+  const zoneIndex = ip.indexOf('%');
+  if (zoneIndex !== -1) {
+    ip = ip.slice(0, zoneIndex);
+  }
+
+  if (ip.includes(':')) {
+    const bytes = parseIpv6(ip);
+    // IPv4 映射的 IPv6 地址统一转换为 IPv4
+    if (bytes && bytes.slice(0, 10).every((b) => b === 0) && bytes[10] === 0xff && bytes[11] === 0xff) {
+      return bytes.slice(12);
+    }
+    return bytes;
+  }
+  return parseIpv4(ip);
+}
+
+/**
+ * 解析 IPv4 地址
+ * @private
+ * @param {string} ip - IPv4 地址
+ * @returns {Uint8Array|null} - 4字节数组
+ */
+function parseIpv4(ip) {
+  const parts = ip.split('.');
+  if (parts.length !== 4) {
+    return null;
+  }
+  const bytes = new Uint8Array(4);
+  for (let i = 0; i < 4; i++) {
+    if (!/^\d{1,3}$/.test(parts[i]) || Number(parts[i]) > 255) {
+      return null;
+    }
+    bytes[i] = Number(parts[i]);
+  }
+  return bytes;
+}
+
+/**
+ * 解析 IPv6 地址，支持 :: 缩写和末尾内嵌 IPv4 的写法
+ * @private
+ * @param {string} ip - IPv6 地址
+ * @returns {Uint8Array|null} - 16字节数组
+ */
+function parseIpv6(ip) {
+  const halves = ip.split('::');
+  if (halves.length > 2) {
+    return null;
+  }
+  const toGroups = (part) => {
+    if (!part) {
+      return [];
+    }
+    const groups = [];
+    const items = part.split(':');
+    for (let i = 0; i < items.length; i++) {
+      // 末尾内嵌的 IPv4，如 ::ffff:1.2.3.4
+      if (i === items.length - 1 && items[i].includes('.')) {
+        const v4 = parseIpv4(items[i]);
+        if (!v4) {
+          return null;
+        }
+        groups.push((v4[0] << 8) | v4[1], (v4[2] << 8) | v4[3]);
+      } else if (/^[0-9a-f]{1,4}$/i.test(items[i])) {
+        groups.push(parseInt(items[i], 16));
+      } else {
+        return null;
+      }
+    }
+    return groups;
+  };
+
+  const head = toGroups(halves[0]);
+  const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+  if (!head || !tail) {
+    return null;
+  }
+  const missing = 8 - head.length - tail.length;
+  if ((halves.length === 2 && missing < 1) || (halves.length === 1 && missing !== 0)) {
+    return null;
+  }
+  const groups = [...head, ...new Array(missing).fill(0), ...tail];
+  const bytes = new Uint8Array(16);
+  groups.forEach((group, i) => {
+    bytes[i * 2] = group >> 8;
+    bytes[i * 2 + 1] = group & 0xff;
+  });
+  return bytes;
+}
+
+/**
+ * 将字节数组格式化为规范的 IP 地址字符串（IPv6 为小写并压缩最长的连续0段）
+ * @param {Uint8Array} bytes - parseIp 的返回值
+ * @returns {string} - IP 地址
+ */
+export function formatIp(bytes) {
+  if (bytes.length === 4) {
+    return bytes.join('.');
+  }
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+  }
+  // 找到最长的连续0段，长度至少为2时压缩为 ::
+  let bestStart = -1;
+  let bestLength = 0;
+  for (let i = 0; i < 8;) {
+    if (groups[i] !== '0') {
+      i++;
+      continue;
+    }
+    let j = i;
+    while (j < 8 && groups[j] === '0') {
+      j++;
+    }
+    if (j - i > bestLength) {
+      bestStart = i;
+      bestLength = j - i;
+    }
+    i = j;
+  }
+  if (bestLength < 2) {
+    return groups.join(':');
+  }
+  return `${groups.slice(0, bestStart).join(':')}::${groups.slice(bestStart + bestLength).join(':')}`;
+}
+
+/**
+ * 将字节数组按前缀长度截断，保留网络部分
+ * @private
+ * @param {Uint8Array} bytes - IP 字节数组
+ * @param {number} prefix - 前缀长度
+ * @returns {Uint8Array} - 截断后的字节数组
+ */
+function maskIp(bytes, prefix) {
+  const masked = new Uint8Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) {
+    const bits = Math.max(0, Math.min(8, prefix - i * 8));
+    masked[i] = bytes[i] & (0xff << (8 - bits));
+  }
+  return masked;
+}
+
+/**
+ * 解析 CIDR，如 10.0.0.0/8、2001:db8::/32，不带前缀时视为单个地址
+ * @param {string} cidr - CIDR 字符串
+ * @returns {{ bytes: Uint8Array, prefix: number }} - 网络地址和前缀长度
+ */
+export function parseCidr(cidr) {
+  const [address, prefixText] = cidr.split('/');
+  const bytes = parseIp(address);
+  if (!bytes) {
+    throw new Error(`Invalid CIDR: ${cidr}`);
+  }
+  const maxPrefix = bytes.length * 8;
+  // IPv4 映射的 IPv6 网段（::ffff:0:0/96 以内）同样转换为 IPv4 网段
+  let prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+  if (bytes.length === 4 && address.includes(':') && prefixText !== undefined) {
+    prefix -= 96;
+  }
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+    throw new Error(`Invalid CIDR: ${cidr}`);
+  }
+  return { bytes: maskIp(bytes, prefix), prefix };
+}
+
+/**
+ * 判断 IP 是否落在任一网段内
+ * @param {Uint8Array} bytes - parseIp 的返回值
+ * @param {Array<{ bytes: Uint8Array, prefix: number }>} ranges - parseCidr 的返回值列表
+ * @returns {boolean} - 命中返回 true
+ */
+export function isIpInRanges(bytes, ranges) {
+  return ranges.some((range) => {
+    if (range.bytes.length !== bytes.length) {
+      return false;
+    }
+    const masked = maskIp(bytes, range.prefix);
+    return masked.every((b, i) => b === range.bytes[i]);
+  });
+}
+
+// createClientIpResolver 支持的转发头
+const FORWARDED_HEADERS = ['x-forwarded-for', 'forwarded', 'x-real-ip'];
+
+/**
+ * 解析 RFC 7239 Forwarded 头中的 for= 参数列表
+ * @private
+ * @param {string} header - Forwarded 头
+ * @returns {string[]} - 从左到右的地址列表
+ */
+function parseForwardedHeader(header) {
+  const addresses = [];
+  for (const element of header.split(',')) {
+    for (const pair of element.split(';')) {
+      const index = pair.indexOf('=');
+      if (index !== -1 && pair.slice(0, index).trim().toLowerCase() === 'for') {
+        addresses.push(pair.slice(index + 1).trim().replace(/^"(.*)"$/, '$1'));
+      }
+    }
+  }
+  return addresses;
+}
+
+/**
+ * 创建考虑可信代理的客户端 IP 解析函数
+ * 从连接的远程地址开始，沿转发链从右向左查找，跳过可信代理，返回第一个不可信的地址，
+ * 避免客户端伪造 X-Forwarded-For / X-Real-IP 头绕过限流。
+ * 只读取 header 指定的转发头，代理不负责改写的其他转发头由客户端控制，一律忽略
+ *
+ * @param {object} opts - 选项对象
+ * @param {string[]} opts.trustedProxies - 可信代理的 IP 或 CIDR 列表
+ * @param {number} opts.hops - 可信代理的层数，与 trustedProxies 二选一，如只有一层 nginx 时为1
+ * @param {string} opts.header - 可选，代理写入的转发头：x-forwarded-for、forwarded 或 x-real-ip，默认 x-forwarded-for
+ * @param {number} opts.ipv6Subnet - 可选，IPv6 客户端按前缀长度聚合（如64），防止单个主机轮换整个子网的地址
+ * @returns {function} - (req) => 客户端IP地址
+ */
+export function createClientIpResolver(opts = {}) {
+  const ranges = (opts.trustedProxies || []).map(parseCidr);
+  const hops = opts.hops || 0;
+  const ipv6Subnet = opts.ipv6Subnet;
+  const header = (opts.header || 'x-forwarded-for').toLowerCase();
+  if (!FORWARDED_HEADERS.includes(header)) {
+    throw new Error(`header must be one of ${FORWARDED_HEADERS.join(', ')}, got ${opts.header}`);
+  }
+
+  const normalize = (address) => {
+    const bytes = parseIp(address);
+    if (!bytes) {
+      return address || '';
+    }
+    if (bytes.length === 16 && ipv6Subnet) {
+      return `${formatIp(maskIp(bytes, ipv6Subnet))}/${ipv6Subnet}`;
+    }
+    return formatIp(bytes);
+  };
+
+  const isTrusted = (address, index) => {
+    if (hops) {
+      return index < hops;
+    }
+    const bytes = parseIp(address);
+    return Boolean(bytes) && isIpInRanges(bytes, ranges);
+  };
+
+  return (req) => {
+    const remoteAddress = req.socket?.remoteAddress || req.connection?.remoteAddress || '';
+    const value = req.headers[header];
+    let forwardedList = [];
+    if (value && header === 'forwarded') {
+      forwardedList = parseForwardedHeader(String(value));
+    } else if (value && header === 'x-forwarded-for') {
+      forwardedList = String(value).split(',').map((ip) => ip.trim()).filter(Boolean);
+    } else if (value) {
+      forwardedList = [String(value).trim()];
+    }
+
+    // 转发链从右向左：远程地址、最近一跳代理记录的地址……最初的客户端
+    const chain = [remoteAddress, ...forwardedList.reverse()];
+    for (let i = 0; i < chain.length - 1; i++) {
+      if (!isTrusted(chain[i], i)) {
+        return normalize(chain[i]);
+      }
+    }
+    return normalize(chain[chain.length - 1]);
+  };
+}
+
+/**
+ * 将限流器的 ipResolver 选项转换为客户端 IP 解析函数
+ * @param {function|object} ipResolver - 自定义解析函数，或 createClientIpResolver 的选项
+ * @returns {function} - (req) => 客户端IP地址，未配置时为 getClientIp
+ */
+export function toClientIpResolver(ipResolver) {
+  if (!ipResolver) {
+    return getClientIp;
+  }
+  if (typeof ipResolver === 'function') {
+    return ipResolver;
+  }
+  return createClientIpResolver(ipResolver);
+}